@@ -1,8 +1,10 @@
 // netlify/functions/checkMotUpdates.js
 
-const axios = require('axios');
 const { connectToDatabase } = require('./utils/mongodb');
-const { getAccessToken } = require('./utils/tokenManager');
+const { MotApiError, createErrorResponse } = require('./utils/motApiClient');
+const { getCachedMotHistory } = require('./utils/motCache');
+const { buildSnapshot, diffSnapshots } = require('./utils/vehicleChanges');
+const { recordSnapshot } = require('./utils/snapshotStore');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -17,54 +19,7 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
-// Constants for API URLs and credentials
-const MOT_API_URL = 'https://history.mot.api.gov.uk';
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const API_KEY = process.env.API_KEY;
-const SCOPE = process.env.SCOPE;
-
-// Token management is now handled by the shared tokenManager utility
-
-/**
- * Fetches MOT history for a given registration
- */
-async function getMotHistory(registration) {
-  const token = await getAccessToken();
-
-  try {
-    const response = await axios.get(
-      `${MOT_API_URL}/v1/trade/vehicles/registration/${registration}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-API-Key': API_KEY
-        },
-        timeout: 10000 // 10 second timeout
-      }
-    );
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching MOT history for ${registration}:`, error.response?.data || error.message);
-    throw error;
-  }
-}
-
-/**
- * Gets the latest MOT test date from vehicle data
- */
-function getLatestMotTestDate(vehicleData) {
-  if (!vehicleData.motTests || vehicleData.motTests.length === 0) {
-    return null;
-  }
-  
-  // Find the latest test by completedDate
-  return vehicleData.motTests
-    .sort((a, b) => new Date(b.completedDate) - new Date(a.completedDate))[0]
-    .completedDate;
-}
+// MOT API access is handled by the shared motApiClient utility, read through the motCache utility
 
 /**
  * The Netlify Function handler
@@ -131,22 +86,25 @@ exports.handler = async function(event, context) {
     const lastMotTestDate = notificationRecord.lastMotTestDate;
     
     // Fetch the latest MOT data
-    const vehicleData = await getMotHistory(formattedReg);
-    const latestMotTestDate = getLatestMotTestDate(vehicleData);
+    // Stale data could hide an update, so only recently fetched data is used
+    const { data: vehicleData } = await getCachedMotHistory(formattedReg, { allowStale: false });
     
-    // Determine if there's an update
-    let hasUpdate = false;
-    if (latestMotTestDate && (!lastMotTestDate || new Date(latestMotTestDate) > new Date(lastMotTestDate))) {
-      hasUpdate = true;
-    }
+    // Compare against the snapshot from the last scheduled check
+    const snapshot = buildSnapshot(vehicleData);
+    const changes = diffSnapshots(notificationRecord.snapshot || null, snapshot, { lastMotTestDate });
+    const latestMotTestDate = snapshot.tests[0]?.completedDate || null;
+    const hasUpdate = changes.length > 0;
+    
+    // The timeline keeps its own versions, so this doesn't affect what the scheduled check notifies
+    await recordSnapshot(db, notificationRecord, snapshot);
     
-    // Update the record in MongoDB with the latest check time and MOT test date
+    // Only record the check time - the snapshot is left for the scheduled check,
+    // which notifies subscribers, so changes seen here are still sent to them
     await notificationsCollection.updateOne(
       { registration: formattedReg },
       { 
         $set: {
-          lastCheckedDate: new Date().toISOString(),
-          lastMotTestDate: latestMotTestDate
+          lastCheckedDate: new Date().toISOString()
         }
       }
     );
@@ -160,30 +118,16 @@ exports.handler = async function(event, context) {
         hasUpdate,
         lastMotTestDate: lastMotTestDate,
         latestMotTestDate,
+        changes: changes.map(({ type, summary, details }) => ({ type, summary, details })),
         vehicleData: hasUpdate ? vehicleData : null
       })
     };
   } catch (error) {
     console.error('Error checking MOT updates:', error);
     
-    // Handle API error responses
-    if (error.response) {
-      const statusCode = error.response.status;
-      const errorData = error.response.data;
-      
-      return {
-        statusCode,
-        headers,
-        body: JSON.stringify({
-          error: true,
-          message: errorData.errorMessage || 'Error from MOT API',
-          code: errorData.errorCode || 'MOT_API_ERROR',
-          timestamp: new Date().toISOString(),
-          details: {
-            requestId: errorData.requestId
-          }
-        })
-      };
+    // Handle MOT API errors
+    if (error instanceof MotApiError) {
+      return createErrorResponse(error, headers);
     }
 
     // Handle other errors
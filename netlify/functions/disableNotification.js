@@ -1,6 +1,7 @@
 // netlify/functions/disableNotification.js
 
 const { connectToDatabase } = require('./utils/mongodb');
+const { EMAIL_STATUS } = require('./utils/emailNotifications');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -15,6 +16,21 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
+/**
+ * Whether any device, email address or webhook still wants updates for the registration
+ */
+async function hasSubscribers(db, registration) {
+  const [devices, emails, webhooks] = await Promise.all([
+    db.collection('push_subscriptions').countDocuments({ registration, active: { $ne: false } }, { limit: 1 }),
+    db.collection('email_subscriptions').countDocuments({
+      registration,
+      status: { $in: [EMAIL_STATUS.PENDING, EMAIL_STATUS.ACTIVE] }
+    }, { limit: 1 }),
+    db.collection('webhook_subscriptions').countDocuments({ registrations: registration, active: true }, { limit: 1 })
+  ]);
+  return devices + emails + webhooks > 0;
+}
+
 exports.handler = async function(event, context) {
   // CORS headers
   const headers = {
@@ -64,7 +80,7 @@ exports.handler = async function(event, context) {
       };
     }
     
-    if (!registration) {
+    if (!registration || typeof registration !== 'string') {
       return {
         statusCode: 400,
         headers,
@@ -84,6 +100,23 @@ exports.handler = async function(event, context) {
     const db = await connectToDatabase();
     const notificationsCollection = db.collection('notifications');
     
+    // The device has already removed its own push subscription, so the vehicle stays
+    // monitored while anyone else still subscribes to it
+    if (await hasSubscribers(db, formattedReg)) {
+      const monitored = await notificationsCollection.countDocuments({ registration: formattedReg }, { limit: 1 });
+      if (monitored > 0) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            stillMonitored: true,
+            message: `${formattedReg} is still monitored for its other subscribers`
+          })
+        };
+      }
+    }
+    
     // Try to find and delete the notification
     const result = await notificationsCollection.deleteOne({ 
       registration: formattedReg 
@@ -0,0 +1,105 @@
+// netlify/functions/emailDigest.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { EMAIL_STATUS } = require('./utils/emailNotifications');
+const { buildResultPage } = require('./utils/emailTemplates');
+const { DIGEST_FREQUENCIES, normalizeDigestFrequency, setDigestFrequency } = require('./utils/digests');
+const emailChannel = require('./utils/channels/email');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+const CONFIRMATIONS = {
+  [DIGEST_FREQUENCIES.DAILY]: "You'll get one email a day summing up your vehicles' MOT updates, instead of an email for each.",
+  [DIGEST_FREQUENCIES.WEEKLY]: "You'll get one email a week, on Mondays, summing up your vehicles' MOT updates, instead of an email for each."
+};
+
+/**
+ * Switches every vehicle on an address to a daily or weekly digest, or back to an email per
+ * update (GET ?token=&frequency=DAILY|WEEKLY|OFF). The token is any of the address's
+ * unsubscribe tokens, so only the links in its own emails work.
+ * Opened in a browser, so it answers with a page rather than JSON.
+ */
+exports.handler = async function(event, context) {
+  const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: buildResultPage({ heading: 'Method not allowed', message: 'Open the link from your email to change how often we email you.', accent: 'danger' })
+    };
+  }
+
+  const { token, frequency } = event.queryStringParameters || {};
+  const digestFrequency = normalizeDigestFrequency(frequency);
+
+  if (!frequency || digestFrequency === false) {
+    return {
+      statusCode: 400,
+      headers,
+      body: buildResultPage({
+        heading: 'Link not recognised',
+        message: 'This link is incomplete. Use the link from your most recent MOT email.',
+        accent: 'warning'
+      })
+    };
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const subscriber = token ? await db.collection('email_subscriptions').findOne({ unsubscribeToken: token }) : null;
+
+    if (!subscriber || subscriber.status !== EMAIL_STATUS.ACTIVE) {
+      return {
+        statusCode: 404,
+        headers,
+        body: buildResultPage({
+          heading: 'Link not recognised',
+          message: 'This link is invalid, or you have unsubscribed. Use the link from your most recent MOT email.',
+          accent: 'warning'
+        })
+      };
+    }
+
+    await setDigestFrequency(db, emailChannel.name, subscriber.email, digestFrequency);
+    console.log(`Email subscriber ${subscriber._id} switched to ${digestFrequency || 'individual'} emails`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: buildResultPage({
+        heading: digestFrequency ? 'Digest switched on' : 'Digest switched off',
+        message: digestFrequency
+          ? CONFIRMATIONS[digestFrequency]
+          : "You'll get an email for each MOT update again. Anything already collected for your digest comes in one last digest.",
+        accent: 'success'
+      })
+    };
+  } catch (error) {
+    console.error('Error in emailDigest function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: buildResultPage({
+        heading: 'Something went wrong',
+        message: 'We could not change your email settings just now. Please try the link again later.',
+        accent: 'danger'
+      })
+    };
+  }
+};
@@ -1,7 +1,11 @@
 // netlify/functions/enableNotification.js
 
 const { connectToDatabase } = require('./utils/mongodb');
-const axios = require('axios');
+const { MotApiError, createErrorResponse } = require('./utils/motApiClient');
+const { getCachedMotHistory, getCachedMotHistoryByVin } = require('./utils/motCache');
+const { getNextCheck } = require('./utils/checkSchedule');
+const { buildSnapshot } = require('./utils/vehicleChanges');
+const { recordSnapshot } = require('./utils/snapshotStore');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -16,106 +20,7 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
-// Constants for API URLs and credentials
-const MOT_API_URL = 'https://history.mot.api.gov.uk';
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const API_KEY = process.env.API_KEY;
-const SCOPE = process.env.SCOPE;
-
-// Cache for access token
-let cachedToken = null;
-let tokenExpiry = null;
-
-// Prevent race conditions in token renewal with a simple lock
-let tokenRenewalInProgress = false;
-
-/**
- * Gets a valid access token, retrieving a new one if necessary
- */
-async function getAccessToken() {
-  // Check if we have a valid token
-  const now = Date.now();
-  if (cachedToken && tokenExpiry && now < tokenExpiry) {
-    return cachedToken;
-  }
-
-  // If token renewal is already in progress, wait for it
-  if (tokenRenewalInProgress) {
-    console.log('Token renewal already in progress, waiting...');
-    while (tokenRenewalInProgress) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    // Check again after waiting
-    if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
-      return cachedToken;
-    }
-  }
-
-  tokenRenewalInProgress = true;
-  
-  try {
-    console.log('Requesting new MOT API token...');
-    
-    // Request new token
-    const response = await axios.post(TOKEN_URL, 
-      `grant_type=client_credentials&scope=${encodeURIComponent(SCOPE)}`,
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        auth: {
-          username: CLIENT_ID,
-          password: CLIENT_SECRET
-        },
-        timeout: 10000 // 10 second timeout
-      }
-    );
-
-    // Update cache
-    cachedToken = response.data.access_token;
-    
-    // Set expiry to 55 minutes from now (tokens last 60 minutes)
-    // Using 55 minutes gives us a 5-minute buffer
-    tokenExpiry = now + (55 * 60 * 1000);
-    
-    console.log('Successfully obtained new MOT API token');
-    return cachedToken;
-  } catch (error) {
-    console.error('Error getting access token:', error.response?.data || error.message);
-    throw new Error('Failed to authenticate with MOT API');
-  } finally {
-    tokenRenewalInProgress = false;
-  }
-}
-
-/**
- * Fetches MOT history for a given registration
- */
-async function getMotHistory(registration) {
-  const token = await getAccessToken();
-
-  try {
-    console.log(`Fetching MOT history for ${registration}`); // Add logging
-    const response = await axios.get(
-      `${MOT_API_URL}/v1/trade/vehicles/registration/${registration}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-API-Key': API_KEY
-        },
-        timeout: 10000 // 10 second timeout
-      }
-    );
-    
-    console.log(`Successfully fetched MOT history for ${registration}`); // Add logging
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching MOT history for ${registration}:`, error.response?.data || error.message);
-    throw error;
-  }
-}
+// MOT API access is handled by the shared motApiClient utility, read through the motCache utility
 
 /**
  * Gets the latest MOT test date from vehicle data
@@ -167,10 +72,11 @@ exports.handler = async function(event, context) {
 
   try {
     // Parse the request body
-    let registration;
+    let registration, vin;
     try {
       const body = JSON.parse(event.body);
       registration = body.registration;
+      vin = body.vin; // Optional - lets monitoring follow the vehicle across plate changes
     } catch (parseError) {
       return {
         statusCode: 400,
@@ -184,7 +90,7 @@ exports.handler = async function(event, context) {
       };
     }
     
-    if (!registration) {
+    if (!registration || typeof registration !== 'string') {
       return {
         statusCode: 400,
         headers,
@@ -197,10 +103,45 @@ exports.handler = async function(event, context) {
       };
     }
 
+    if (vin !== undefined && vin !== null && typeof vin !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'VIN must be a string',
+          code: 'INVALID_VIN',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
     // Format the registration (remove spaces, uppercase)
     const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
     console.log(`Enabling notifications for ${formattedReg}`); // Add logging
 
+    // If a VIN was given, check it really belongs to this registration before storing it
+    const formattedVin = vin ? vin.replace(/\s+/g, '').toUpperCase() : null;
+    let vinVehicleData = null;
+    
+    if (formattedVin) {
+      vinVehicleData = (await getCachedMotHistoryByVin(formattedVin, { allowStale: false })).data;
+      const vinRegistration = (vinVehicleData.registration || '').replace(/\s+/g, '').toUpperCase();
+      
+      if (vinRegistration !== formattedReg) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: `VIN ${formattedVin} does not belong to ${formattedReg}`,
+            code: 'VIN_REGISTRATION_MISMATCH',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+    }
+
     // Connect to MongoDB
     const db = await connectToDatabase();
     const notificationsCollection = db.collection('notifications');
@@ -210,15 +151,25 @@ exports.handler = async function(event, context) {
       registration: formattedReg 
     });
 
-    // If the registration is already being monitored, just return success
+    // If the registration is already being monitored, just record the VIN if we didn't have it -
+    // this is how the app adds a VIN to a vehicle first monitored by its plate
     if (existingRecord) {
+      if (formattedVin && existingRecord.vin !== formattedVin) {
+        await notificationsCollection.updateOne(
+          { _id: existingRecord._id },
+          { $set: { vin: formattedVin } }
+        );
+        console.log(`Recorded VIN for already monitored ${formattedReg}`);
+      }
+      
       console.log(`Notifications for ${formattedReg} are already enabled`); // Add logging
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
           success: true,
-          message: `Notifications for ${formattedReg} are already enabled`
+          message: `Notifications for ${formattedReg} are already enabled`,
+          vin: formattedVin || existingRecord.vin || null
         })
       };
     }
@@ -227,10 +178,13 @@ exports.handler = async function(event, context) {
     let initialMotTestDate = null;
     let vehicleInfo = {};
     let motTests = [];
+    let nextCheck = { nextCheckAt: null, reason: null }; // Checked on the next scheduled run
+    let snapshot = null; // What later changes are compared against
     
     try {
-      // Get current MOT history from the API
-      const vehicleData = await getMotHistory(formattedReg);
+      // Get current MOT history from the API (already fetched if we verified a VIN)
+      // Stale data is no good for a baseline, so only recently fetched data is used
+      const vehicleData = vinVehicleData || (await getCachedMotHistory(formattedReg, { allowStale: false })).data;
       
       // Extract the latest MOT test date (if any)
       initialMotTestDate = getLatestMotTestDate(vehicleData);
@@ -245,6 +199,10 @@ exports.handler = async function(event, context) {
         color: vehicleData.primaryColour || 'Unknown'
       };
       
+      // We've just fetched it, so the scheduled check can wait until it's next due
+      nextCheck = getNextCheck(vehicleData);
+      snapshot = buildSnapshot(vehicleData);
+      
       console.log(`Initialized ${formattedReg} with baseline MOT date: ${initialMotTestDate || 'None'}`);
     } catch (error) {
       console.error(`Could not fetch initial MOT history for ${formattedReg}:`, error);
@@ -254,8 +212,14 @@ exports.handler = async function(event, context) {
     // Store the registration in the database with baseline MOT date
     const record = {
       registration: formattedReg,
+      // Used by the scheduled check to detect plate changes. The MOT API only gives the VIN to a VIN
+      // lookup, so without one from the client it stays null until the app sends it later
+      vin: formattedVin,
       lastCheckedDate: new Date().toISOString(),
       lastMotTestDate: initialMotTestDate, // Use the fetched date (or null if not found)
+      nextCheckAt: nextCheck.nextCheckAt,
+      nextCheckReason: nextCheck.reason,
+      snapshot,
       vehicleInfo: vehicleInfo,  // Store basic vehicle info
       motTests: motTests, // Store the actual MOT tests
       enabled: true,
@@ -265,6 +229,11 @@ exports.handler = async function(event, context) {
     console.log(`Storing notification record for ${formattedReg}:`, record); // Add logging
     
     await notificationsCollection.insertOne(record);
+    
+    // The baseline is the first version on the vehicle's timeline
+    if (snapshot) {
+      await recordSnapshot(db, record, snapshot);
+    }
 
     return {
       statusCode: 200,
@@ -272,6 +241,7 @@ exports.handler = async function(event, context) {
       body: JSON.stringify({
         success: true,
         message: `Notifications enabled for ${formattedReg}`,
+        vin: formattedVin,
         initialState: {
           lastMotTestDate: initialMotTestDate,
           vehicleInfo: vehicleInfo
@@ -281,6 +251,11 @@ exports.handler = async function(event, context) {
   } catch (error) {
     console.error('Error enabling notification:', error);
     
+    // Handle MOT API errors (from VIN verification)
+    if (error instanceof MotApiError) {
+      return createErrorResponse(error, headers);
+    }
+    
     return {
       statusCode: 500,
       headers,
@@ -0,0 +1,171 @@
+// netlify/functions/getCheckRuns.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { requireAdmin } = require('./utils/adminAuth');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI', 'ADMIN_API_KEY'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Summarises a run for the list view - vehicle outcomes are only returned in full for a single run
+ */
+function summariseRun(run, registration) {
+  const { vehicles = [], _id, ...fields } = run;
+  const summary = {
+    runId: _id,
+    ...fields,
+    vehiclesRecorded: vehicles.length,
+    notificationsSent: vehicles.reduce(
+      (total, vehicle) => total + (vehicle.notifications || []).reduce((sent, n) => sent + (n.sent || 0), 0),
+      0
+    )
+  };
+
+  // When searching for one vehicle, include what happened to it
+  if (registration) {
+    summary.vehicles = vehicles.filter(vehicle => vehicle.registration === registration);
+  }
+
+  return summary;
+}
+
+/**
+ * Admin run history for the scheduled check (requires Authorization: Bearer ADMIN_API_KEY).
+ * GET ?limit=&before= pages through runs, newest first; &registration= only returns runs that
+ * checked that vehicle; ?runId= returns one run with every vehicle outcome.
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  const unauthorized = requireAdmin(event, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  try {
+    const { runId, registration, before, limit } = event.queryStringParameters || {};
+
+    const db = await connectToDatabase();
+    const runsCollection = db.collection('check_runs');
+
+    if (runId) {
+      const run = await runsCollection.findOne({ _id: runId });
+
+      if (!run) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: `Run ${runId} not found`,
+            code: 'RUN_NOT_FOUND',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      const { _id, ...fields } = run;
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ run: { runId: _id, ...fields } })
+      };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const beforeDate = before ? new Date(before) : null;
+
+    if (beforeDate && Number.isNaN(beforeDate.getTime())) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'before must be an ISO date, as returned in nextBefore',
+          code: 'INVALID_CURSOR',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration ? registration.replace(/\s+/g, '').toUpperCase() : null;
+
+    const query = {};
+    if (beforeDate) query.startedAt = { $lt: beforeDate };
+    if (formattedReg) query['vehicles.registration'] = formattedReg;
+
+    // One extra tells us whether there's another page
+    const runs = await runsCollection
+      .find(query)
+      .sort({ startedAt: -1 })
+      .limit(pageSize + 1)
+      .toArray();
+
+    const page = runs.slice(0, pageSize);
+    const hasMore = runs.length > pageSize;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        runs: page.map(run => summariseRun(run, formattedReg)),
+        hasMore,
+        nextBefore: hasMore ? page[page.length - 1].startedAt : null
+      })
+    };
+  } catch (error) {
+    console.error('Error in getCheckRuns function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -1,5 +1,6 @@
 // netlify/functions/getMonitoredVehicles.js
 const { connectToDatabase } = require('./utils/mongodb');
+const { daysUntil } = require('./utils/reminders');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -36,15 +37,29 @@ exports.handler = async (event) => {
     const db = await connectToDatabase();
     const collection = db.collection('notifications');
     
+    // Optionally limited to some registrations (e.g. the ones watched on a device)
+    const registrations = (event.queryStringParameters?.registrations || '')
+      .split(',')
+      .map(registration => registration.replace(/\s+/g, '').toUpperCase())
+      .filter(Boolean);
+    const query = registrations.length > 0
+      ? { enabled: true, registration: { $in: registrations } }
+      : { enabled: true };
+    
     // Get all monitored vehicles
     const records = await collection.find(
-      { enabled: true },
+      query,
       { 
         projection: {
           registration: 1,
+          vin: 1,
+          previousRegistrations: 1,
           lastCheckedDate: 1,
+          nextCheckAt: 1,
+          nextCheckReason: 1,
           lastMotTestDate: 1,
           hasUpdate: 1,
+          motExpiry: 1,
           createdAt: 1
         }
       }
@@ -55,9 +70,16 @@ exports.handler = async (event) => {
     // Format the response
     const vehicles = records.map(record => ({
       registration: record.registration,
+      vin: record.vin || null,
+      previousRegistrations: record.previousRegistrations || [],
       lastCheckedDate: record.lastCheckedDate,
+      nextCheckAt: record.nextCheckAt || null,
+      nextCheckReason: record.nextCheckReason || null,
       lastMotTestDate: record.lastMotTestDate,
       hasUpdate: !!record.hasUpdate,
+      motExpiryDate: record.motExpiry?.expiryDate || null,
+      // Worked out now rather than at the last check, so it flips on the day after expiry
+      overdue: !!record.motExpiry && daysUntil(record.motExpiry.expiryDate) < 0,
       createdAt: record.createdAt
     }));
     
@@ -1,7 +1,7 @@
 // netlify/functions/getMotHistory.js
 
-const axios = require('axios');
-const { getAccessToken } = require('./utils/tokenManager');
+const { MotApiError, createErrorResponse } = require('./utils/motApiClient');
+const { getCachedMotHistory, getCacheHeaders } = require('./utils/motCache');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -16,15 +16,8 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
-// Constants for API URLs and credentials
-const MOT_API_URL = 'https://history.mot.api.gov.uk';
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const API_KEY = process.env.API_KEY;
-const SCOPE = process.env.SCOPE;
-
-// Token management is now handled by the shared tokenManager utility
+// MOT API access (token, retries, error mapping) is handled by the shared motApiClient utility,
+// and responses are cached in MongoDB by the motCache utility
 
 /**
  * Formats a UK vehicle registration to match the API's expectations
@@ -38,8 +31,6 @@ function formatRegistration(registration) {
   return registration.replace(/\s+/g, '').toUpperCase();
 }
 
-// getAccessToken is now imported from the shared tokenManager utility
-
 /**
  * The Netlify Function handler
  */
@@ -48,6 +39,7 @@ exports.handler = async function(event, context) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Age, Retry-After, X-Cache, X-Cache-Fetched-At',
     'Content-Type': 'application/json'
   };
 
@@ -60,8 +52,8 @@ exports.handler = async function(event, context) {
   }
 
   try {
-    // Get the registration from query parameters
-    const { registration } = event.queryStringParameters || {};
+    // Get the registration from query parameters (fresh=true skips the cache)
+    const { registration, fresh } = event.queryStringParameters || {};
     
     if (!registration) {
       return {
@@ -92,80 +84,25 @@ exports.handler = async function(event, context) {
       };
     }
 
-    // Get access token
-    const token = await getAccessToken();
-
-    // Call MOT API with proper error handling
-    try {
-      const response = await axios.get(
-        `${MOT_API_URL}/v1/trade/vehicles/registration/${formattedRegistration}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'X-API-Key': API_KEY
-          },
-          // Add timeout to prevent hanging requests
-          timeout: 10000
-        }
-      );
+    // Read through the cache to the MOT API (retries transient failures)
+    const { data, cache } = await getCachedMotHistory(formattedRegistration, {
+      forceFresh: fresh === 'true' || fresh === '1'
+    });
 
-      // Return the data
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(response.data)
-      };
-    } catch (apiError) {
-      // Handle specific API errors
-      console.error(`API error for ${formattedRegistration}:`, 
-        apiError.response?.data || apiError.message);
-      
-      // If this is a 404, the vehicle wasn't found - provide a friendlier message
-      if (apiError.response?.status === 404) {
-        return {
-          statusCode: 404,
-          headers,
-          body: JSON.stringify({
-            error: true,
-            message: `No vehicle found with registration ${formattedRegistration}`,
-            code: apiError.response?.data?.errorCode || 'VEHICLE_NOT_FOUND',
-            timestamp: new Date().toISOString()
-          })
-        };
-      }
-      
-      // For other API errors, return the details
-      if (apiError.response) {
-        return {
-          statusCode: apiError.response.status,
-          headers,
-          body: JSON.stringify({
-            error: true,
-            message: apiError.response.data?.errorMessage || 'Error from MOT API',
-            code: apiError.response.data?.errorCode || 'MOT_API_ERROR',
-            timestamp: new Date().toISOString(),
-            details: {
-              requestId: apiError.response.data?.requestId
-            }
-          })
-        };
-      }
-      
-      // If it's a timeout or other connection issue
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: true,
-          message: apiError.message || 'Failed to connect to MOT API',
-          code: 'CONNECTION_ERROR',
-          timestamp: new Date().toISOString()
-        })
-      };
-    }
+    // Return the data, with how old it is
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...getCacheHeaders(cache) },
+      body: JSON.stringify(data)
+    };
   } catch (error) {
     console.error('Error in getMotHistory function:', error);
     
+    // Handle MOT API errors
+    if (error instanceof MotApiError) {
+      return createErrorResponse(error, headers);
+    }
+    
     // Handle general errors
     return {
       statusCode: 500,
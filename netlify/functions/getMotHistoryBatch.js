@@ -0,0 +1,178 @@
+// netlify/functions/getMotHistoryBatch.js
+
+const { MotApiError } = require('./utils/motApiClient');
+const { getCachedMotHistory } = require('./utils/motCache');
+const { mapWithConcurrency } = require('./utils/concurrency');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['TOKEN_URL', 'CLIENT_ID', 'CLIENT_SECRET', 'API_KEY', 'SCOPE'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+// Batch limits - keep the whole batch comfortably inside the function timeout
+const MAX_BATCH_SIZE = 50;
+const CONCURRENCY = parseInt(process.env.MOT_BATCH_CONCURRENCY || '5', 10);
+const MAX_RETRIES = 1; // One retry per registration, so a single slow plate can't stall the batch
+
+/**
+ * Looks up a single registration, turning any failure into a per-registration error
+ */
+async function lookupRegistration(registration, forceFresh) {
+  if (!/^[A-Z0-9]{2,8}$/.test(registration)) {
+    return {
+      registration,
+      success: false,
+      error: {
+        message: 'Invalid registration format',
+        code: 'INVALID_REGISTRATION_FORMAT'
+      }
+    };
+  }
+
+  try {
+    // Token is shared through the tokenManager cache, so concurrent lookups reuse one token
+    const { data, cache } = await getCachedMotHistory(registration, { maxRetries: MAX_RETRIES, forceFresh });
+    return { registration, success: true, data, cache };
+  } catch (error) {
+    console.error(`Batch lookup failed for ${registration}:`, error.message);
+
+    return {
+      registration,
+      success: false,
+      error: error instanceof MotApiError
+        ? { message: error.message, code: error.code, retryAfter: error.retryAfter }
+        : { message: error.message || 'Internal server error', code: 'INTERNAL_SERVER_ERROR' }
+    };
+  }
+}
+
+/**
+ * The Netlify Function handler
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  // Only accept POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    // Parse the request body
+    let registrations, fresh;
+    try {
+      const body = JSON.parse(event.body);
+      registrations = body.registrations;
+      fresh = body.fresh === true; // Skip the cache
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Invalid JSON in request body',
+          code: 'INVALID_JSON',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    if (!Array.isArray(registrations) || registrations.length === 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'A non-empty list of registrations is required',
+          code: 'MISSING_REGISTRATIONS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format (remove spaces, uppercase) and de-duplicate, keeping the caller's order
+    const formattedRegs = [...new Set(
+      registrations
+        .filter(reg => typeof reg === 'string')
+        .map(reg => reg.replace(/\s+/g, '').toUpperCase())
+        .filter(Boolean)
+    )];
+
+    if (formattedRegs.length > MAX_BATCH_SIZE) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `A maximum of ${MAX_BATCH_SIZE} registrations can be looked up at once`,
+          code: 'BATCH_TOO_LARGE',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    console.log(`Batch lookup of ${formattedRegs.length} registrations (concurrency ${CONCURRENCY})`);
+
+    const results = await mapWithConcurrency(formattedRegs, CONCURRENCY, reg => lookupRegistration(reg, fresh));
+    const succeeded = results.filter(result => result.success).length;
+
+    console.log(`Batch lookup completed: ${succeeded} succeeded, ${results.length - succeeded} failed`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        },
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in getMotHistoryBatch function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,117 @@
+// netlify/functions/getMotHistoryByVin.js
+
+const { MotApiError, createErrorResponse } = require('./utils/motApiClient');
+const { getCachedMotHistoryByVin, getCacheHeaders } = require('./utils/motCache');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['TOKEN_URL', 'CLIENT_ID', 'CLIENT_SECRET', 'API_KEY', 'SCOPE'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Formats a VIN to match the API's expectations
+ * @param {string} vin - The raw VIN input
+ * @returns {string} - Properly formatted VIN, or '' if it can't be a VIN
+ */
+function formatVin(vin) {
+  if (!vin) return '';
+
+  // Remove all spaces and convert to uppercase
+  const formatted = vin.replace(/\s+/g, '').toUpperCase();
+
+  // Modern VINs are 17 characters, but older UK vehicles can have shorter chassis numbers
+  return /^[A-Z0-9]{5,20}$/.test(formatted) ? formatted : '';
+}
+
+/**
+ * The Netlify Function handler
+ */
+exports.handler = async function(event, context) {
+  // CORS headers for local development
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Age, Retry-After, X-Cache, X-Cache-Fetched-At',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  try {
+    // Get the VIN from query parameters (fresh=true skips the cache)
+    const { vin, fresh } = event.queryStringParameters || {};
+
+    if (!vin) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'VIN parameter is required',
+          code: 'MISSING_VIN',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const formattedVin = formatVin(vin);
+
+    if (!formattedVin) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Invalid VIN format',
+          code: 'INVALID_VIN_FORMAT',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Read through the cache to the MOT API (retries transient failures)
+    const { data, cache } = await getCachedMotHistoryByVin(formattedVin, {
+      forceFresh: fresh === 'true' || fresh === '1'
+    });
+
+    // The API response identifies the vehicle by its current registration only, so echo the VIN back
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...getCacheHeaders(cache) },
+      body: JSON.stringify({ ...data, vin: formattedVin })
+    };
+  } catch (error) {
+    console.error('Error in getMotHistoryByVin function:', error);
+
+    // Handle MOT API errors
+    if (error instanceof MotApiError) {
+      return createErrorResponse(error, headers);
+    }
+
+    // Handle general errors
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
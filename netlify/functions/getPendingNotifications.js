@@ -1,5 +1,6 @@
 // netlify/functions/getPendingNotifications.js
 const { connectToDatabase } = require('./utils/mongodb');
+const { claimLatestTestForDevice } = require('./utils/notificationEvents');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -14,6 +15,12 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
+/**
+ * Whether there's a new MOT test for a registration that this client hasn't seen
+ * (GET ?registration=&deviceId=). Each device gets the newest new test once, if it came after the
+ * device first polled and the device hasn't already read it in its notification inbox. Clients that don't identify themselves (by deviceId or X-Client-Id)
+ * share one flag, cleared by whichever polls first.
+ */
 exports.handler = async (event) => {
   // CORS headers
   const headers = {
@@ -34,7 +41,9 @@ exports.handler = async (event) => {
   }
   
   try {
-    const { registration } = event.queryStringParameters || {};
+    const { registration, deviceId: deviceIdParam } = event.queryStringParameters || {};
+    const clientId = (event.headers || {})['x-client-id'];
+    const deviceId = deviceIdParam || (clientId && clientId !== 'unknown' ? clientId : null);
     
     if (!registration) {
       return {
@@ -81,9 +90,50 @@ exports.handler = async (event) => {
       lastMotTestDate: record.lastMotTestDate
     });
     
+    if (deviceId) {
+      const testEvent = await claimLatestTestForDevice(db, formattedReg, deviceId);
+
+      if (testEvent) {
+        console.log(`New test ${testEvent._id} for ${formattedReg} delivered to device ${deviceId}`);
+        const payload = testEvent.payload;
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            hasUpdate: true,
+            registration: formattedReg,
+            eventId: testEvent._id,
+            updateDetectedAt: testEvent.createdAt,
+            details: {
+              previousDate: payload.previousDate,
+              newDate: payload.newDate,
+              testResult: payload.testResult,
+              expiryDate: payload.testDetails?.expiryDate,
+              defects: payload.testDetails?.defects,
+              vehicle: payload.vehicle
+            },
+            lastCheckedDate: record.lastCheckedDate
+          })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          hasUpdate: false,
+          registration: formattedReg,
+          isMonitored: true,
+          lastCheckedDate: record.lastCheckedDate || null,
+          lastMotTestDate: record.lastMotTestDate || null
+        })
+      };
+    }
+    
     // Use atomic findOneAndUpdate to prevent race conditions
     // This ensures only ONE client gets the notification, even with simultaneous requests
-    const updatedRecord = await collection.findOneAndUpdate(
+    const claimed = await collection.findOneAndUpdate(
       { 
         registration: formattedReg, 
         hasUpdate: true  // Only update if hasUpdate is still true
@@ -92,13 +142,14 @@ exports.handler = async (event) => {
         $set: { 
           hasUpdate: false, 
           updateAcknowledgedAt: new Date().toISOString(),
-          acknowledgedBy: event.headers['x-client-id'] || 'unknown'
+          acknowledgedBy: 'unknown'
         } 
       },
       { 
         returnDocument: 'before'  // Return the document before update
       }
     );
+    const updatedRecord = claimed.value;
     
     // If updatedRecord is null, another client already processed this update
     if (updatedRecord && updatedRecord.hasUpdate) {
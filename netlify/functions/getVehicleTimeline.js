@@ -0,0 +1,163 @@
+// netlify/functions/getVehicleTimeline.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { diffSnapshots } = require('./utils/vehicleChanges');
+const { getVehicleKey } = require('./utils/snapshotStore');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+// Most versions returned in the timeline
+const MAX_VERSIONS = 100;
+
+/**
+ * Parses a version number query parameter
+ * @returns {number|null|false} - The version, null if not given, or false if invalid
+ */
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : false;
+}
+
+/**
+ * Returns the stored versions of a vehicle's data (GET ?registration=),
+ * and what changed between two of them (&from=&to=, to defaults to the latest)
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  try {
+    const { registration, from, to } = event.queryStringParameters || {};
+
+    if (!registration) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Registration parameter is required',
+          code: 'MISSING_REGISTRATION',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const fromVersion = parseVersion(from);
+    const toVersion = parseVersion(to);
+    if (fromVersion === false || toVersion === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Versions must be positive whole numbers',
+          code: 'INVALID_VERSION',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+    const db = await connectToDatabase();
+    const snapshotsCollection = db.collection('vehicle_snapshots');
+
+    // Monitored vehicles with a VIN keep their timeline across plate changes
+    const monitoredRecord = await db.collection('notifications').findOne({
+      $or: [{ registration: formattedReg }, { previousRegistrations: formattedReg }]
+    });
+    const vehicleKey = getVehicleKey(monitoredRecord || { registration: formattedReg });
+
+    const versions = await snapshotsCollection
+      .find({ vehicleKey }, { projection: { _id: 0, version: 1, registration: 1, takenAt: 1, changes: 1 } })
+      .sort({ version: -1 })
+      .limit(MAX_VERSIONS)
+      .toArray();
+
+    const latestVersion = versions.length > 0 ? versions[0].version : null;
+
+    let diff = null;
+    if (fromVersion !== null && latestVersion !== null) {
+      const targetVersion = toVersion || latestVersion;
+      const [fromDoc, toDoc] = await Promise.all([
+        snapshotsCollection.findOne({ vehicleKey, version: fromVersion }),
+        snapshotsCollection.findOne({ vehicleKey, version: targetVersion })
+      ]);
+
+      if (!fromDoc || !toDoc) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: `Version ${!fromDoc ? fromVersion : targetVersion} of ${formattedReg} not found`,
+            code: 'VERSION_NOT_FOUND',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      diff = {
+        from: fromVersion,
+        to: targetVersion,
+        fromTakenAt: fromDoc.takenAt,
+        toTakenAt: toDoc.takenAt,
+        changes: diffSnapshots(fromDoc.snapshot, toDoc.snapshot)
+          .map(({ type, summary, details }) => ({ type, summary, details }))
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        registration: formattedReg,
+        latestVersion,
+        versions,
+        diff
+      })
+    };
+  } catch (error) {
+    console.error('Error in getVehicleTimeline function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
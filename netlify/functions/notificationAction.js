@@ -0,0 +1,118 @@
+// netlify/functions/notificationAction.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { NOTIFICATION_ACTIONS, performAction } = require('./utils/notificationActions');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+function errorResponse(headers, statusCode, code, message) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      error: true,
+      message,
+      code,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Carries out an action button on a push notification, straight from the service worker.
+ * POST { action, registration, endpoint, eventId } - action is one of NOTIFICATION_ACTIONS, and
+ * eventId is needed to mark the notification seen. As with snoozeReminder, the push endpoint
+ * identifies the device, since only the device holding the subscription knows it.
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return errorResponse(headers, 405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+  }
+
+  try {
+    let action, registration, endpoint, eventId;
+    try {
+      ({ action, registration, endpoint, eventId } = JSON.parse(event.body));
+    } catch (parseError) {
+      return errorResponse(headers, 400, 'INVALID_JSON', 'Invalid JSON in request body');
+    }
+
+    if (!Object.values(NOTIFICATION_ACTIONS).includes(action)) {
+      return errorResponse(headers, 400, 'INVALID_ACTION', `action must be one of: ${Object.values(NOTIFICATION_ACTIONS).join(', ')}`);
+    }
+
+    // Strings only - anything else could be a query operator matching another device's subscription
+    const isString = value => typeof value === 'string' && value !== '';
+    if (
+      !isString(registration) || !isString(endpoint) || (eventId !== undefined && !isString(eventId)) ||
+      (action === NOTIFICATION_ACTIONS.MARK_SEEN && !eventId)
+    ) {
+      return errorResponse(
+        headers,
+        400,
+        'MISSING_PARAMETERS',
+        `Registration and endpoint strings are required${action === NOTIFICATION_ACTIONS.MARK_SEEN ? ', and eventId to mark a notification seen' : ''}`
+      );
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+    const db = await connectToDatabase();
+    const subscription = await db.collection('push_subscriptions').findOne({
+      registration: formattedReg,
+      'subscription.endpoint': endpoint
+    });
+
+    if (!subscription) {
+      return errorResponse(headers, 404, 'SUBSCRIPTION_NOT_FOUND', `No subscription found for ${formattedReg} on this device`);
+    }
+
+    const { error, code, ...result } = await performAction(db, action, subscription, { eventId });
+    if (error) {
+      return errorResponse(headers, 409, code, error);
+    }
+
+    console.log(`Device ${subscription.deviceId} used the ${action} action for ${formattedReg}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        action,
+        registration: formattedReg,
+        ...result
+      })
+    };
+  } catch (error) {
+    console.error('Error in notificationAction function:', error);
+    return errorResponse(headers, 500, 'INTERNAL_SERVER_ERROR', error.message || 'Internal server error');
+  }
+};
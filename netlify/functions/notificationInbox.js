@@ -0,0 +1,172 @@
+// netlify/functions/notificationInbox.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { getInbox, countUnread, markRead } = require('./utils/notificationEvents');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * A device's notification inbox. GET ?deviceId=&limit=&before= lists past notifications, newest
+ * first, with the unread count. POST { deviceId, ids } marks those read on this device, or
+ * { deviceId, all: true } marks everything read.
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    const db = await connectToDatabase();
+
+    if (event.httpMethod === 'GET') {
+      const { deviceId, limit, before } = event.queryStringParameters || {};
+
+      if (!deviceId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: 'Device ID is required',
+            code: 'MISSING_PARAMETERS',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      if (before && isNaN(new Date(before).getTime())) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: 'before must be a date',
+            code: 'INVALID_BEFORE',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      const inbox = await getInbox(db, deviceId, { limit, before });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          deviceId,
+          ...inbox,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Invalid JSON in request body',
+          code: 'INVALID_JSON',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const { deviceId, ids, all } = body || {};
+
+    if (!deviceId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Device ID is required',
+          code: 'MISSING_PARAMETERS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const validIds = Array.isArray(ids) && ids.length > 0 && ids.every(id => typeof id === 'string' && id);
+    if (all !== true && !validIds) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'ids must be a non-empty list of notification ids, or set all to true',
+          code: 'INVALID_IDS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const marked = await markRead(db, deviceId, all === true ? null : ids);
+    const unreadCount = await countUnread(db, deviceId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        deviceId,
+        marked,
+        unreadCount,
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error handling notification inbox:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
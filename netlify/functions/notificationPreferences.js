@@ -0,0 +1,328 @@
+// netlify/functions/notificationPreferences.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { CHANGE_TYPES, TEST_RESULTS, normalizeEventTypes, normalizeTestResults } = require('./utils/vehicleChanges');
+const { normalizeQuietHours } = require('./utils/quietHours');
+const { DEVICE_CHANNELS } = require('./utils/notificationDispatcher');
+const chat = require('./utils/channels/chat');
+const webPush = require('./utils/channels/webPush');
+const { DIGEST_FREQUENCIES, normalizeDigestFrequency, getDigest, setDigestFrequency } = require('./utils/digests');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Gets (GET ?registration=&deviceId=) or sets
+ * (POST { registration, deviceId, eventTypes, testResults, quietHours, channels, chatWebhookUrl, digest, mutedUntil })
+ * which change events a device is notified about for a vehicle, and how and when. POST only
+ * changes the fields it's given. digest (DAILY, WEEKLY or null) covers every vehicle on the device.
+ * mutedUntil is set by a notification's "Mute" action; null unmutes the vehicle.
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    let registration, deviceId, eventTypes, testResults, quietHours, channels, chatWebhookUrl, digest, mutedUntil;
+    if (event.httpMethod === 'GET') {
+      ({ registration, deviceId } = event.queryStringParameters || {});
+    } else {
+      try {
+        const body = JSON.parse(event.body);
+        registration = body.registration;
+        deviceId = body.deviceId;
+        eventTypes = body.eventTypes;
+        testResults = body.testResults;
+        quietHours = body.quietHours;
+        channels = body.channels;
+        chatWebhookUrl = body.chatWebhookUrl;
+        digest = body.digest;
+        mutedUntil = body.mutedUntil;
+      } catch (parseError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: 'Invalid JSON in request body',
+            code: 'INVALID_JSON',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+    }
+
+    if (!registration || typeof registration !== 'string' || !deviceId || typeof deviceId !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Registration and device ID are required',
+          code: 'MISSING_PARAMETERS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // null means "all event types"
+    const formattedEventTypes = normalizeEventTypes(eventTypes);
+    if (formattedEventTypes === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `eventTypes must be a list of: ${Object.values(CHANGE_TYPES).join(', ')}`,
+          code: 'INVALID_EVENT_TYPES',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // null means "every new test"
+    const formattedTestResults = normalizeTestResults(testResults);
+    if (formattedTestResults === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `testResults must be a non-empty list of: ${Object.values(TEST_RESULTS).join(', ')}`,
+          code: 'INVALID_TEST_RESULTS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // null turns quiet hours off
+    const formattedQuietHours = normalizeQuietHours(quietHours);
+    if (formattedQuietHours === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'quietHours must be { start: "HH:MM", end: "HH:MM", timeZone } with different start and end times and a valid time zone (e.g. Europe/London)',
+          code: 'INVALID_QUIET_HOURS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // null sends each push as it happens
+    const digestFrequency = normalizeDigestFrequency(digest);
+    if (digestFrequency === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `digest must be one of ${Object.values(DIGEST_FREQUENCIES).join(', ')}, or null`,
+          code: 'INVALID_DIGEST',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // null unmutes the vehicle
+    const formattedMutedUntil = mutedUntil ? new Date(mutedUntil) : null;
+    if (mutedUntil !== undefined && mutedUntil !== null && !(formattedMutedUntil > new Date())) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'mutedUntil must be a date in the future, or null to unmute',
+          code: 'INVALID_MUTED_UNTIL',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    if (channels !== undefined && (
+      !Array.isArray(channels) || channels.length === 0 || !channels.every(channel => DEVICE_CHANNELS.includes(channel))
+    )) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `channels must be a non-empty list of: ${DEVICE_CHANNELS.join(', ')}`,
+          code: 'INVALID_CHANNELS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Slack, Discord or another Slack-compatible incoming webhook; empty removes it
+    const chatProvider = chatWebhookUrl ? chat.detectProvider(chatWebhookUrl) : null;
+    if (chatWebhookUrl && !chatProvider) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'chatWebhookUrl must be an https incoming webhook URL',
+          code: 'INVALID_CHAT_WEBHOOK_URL',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+    const db = await connectToDatabase();
+    const subscriptionsCollection = db.collection('push_subscriptions');
+
+    let subscription;
+    if (event.httpMethod === 'POST') {
+      // Chat needs somewhere to post to - either given now or saved before
+      if (channels?.includes(chat.name) && !chatProvider) {
+        const existing = await subscriptionsCollection.findOne({ registration: formattedReg, deviceId });
+        if (existing && (chatWebhookUrl !== undefined || !existing.chat?.url)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+              error: true,
+              message: 'A chat webhook URL is needed to get notifications in chat',
+              code: 'CHAT_WEBHOOK_URL_REQUIRED',
+              timestamp: new Date().toISOString()
+            })
+          };
+        }
+      }
+
+      const update = { $set: { preferencesUpdatedAt: new Date().toISOString() } };
+      // Older clients only ever send eventTypes, and leaving it out meant "all events"
+      const onlyLegacyFields = [testResults, quietHours, channels, chatWebhookUrl, digest, mutedUntil].every(value => value === undefined);
+      if (eventTypes !== undefined || onlyLegacyFields) {
+        update.$set.eventTypes = formattedEventTypes;
+      }
+      if (testResults !== undefined) {
+        update.$set.testResults = formattedTestResults;
+      }
+      if (quietHours !== undefined) {
+        update.$set.quietHours = formattedQuietHours;
+      }
+      if (channels !== undefined) {
+        update.$set.channels = [...new Set(channels)];
+      }
+      if (mutedUntil !== undefined) {
+        update.$set.mutedUntil = formattedMutedUntil;
+      }
+      if (chatWebhookUrl) {
+        update.$set.chat = { url: chatWebhookUrl, provider: chatProvider };
+      } else if (chatWebhookUrl !== undefined) {
+        update.$unset = { chat: '' };
+      }
+
+      const result = await subscriptionsCollection.findOneAndUpdate(
+        { registration: formattedReg, deviceId },
+        update,
+        { returnDocument: 'after' }
+      );
+      subscription = result.value;
+    } else {
+      subscription = await subscriptionsCollection.findOne({ registration: formattedReg, deviceId });
+    }
+
+    if (!subscription) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `No subscription found for ${formattedReg} on this device`,
+          code: 'SUBSCRIPTION_NOT_FOUND',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    if (event.httpMethod === 'POST' && digest !== undefined) {
+      await setDigestFrequency(db, webPush.name, deviceId, digestFrequency);
+    }
+    const deviceDigest = await getDigest(db, webPush.name, deviceId);
+    // Whether monitoring can follow the vehicle to a new plate - the app asks for the VIN if not
+    const monitored = await db.collection('notifications').findOne({ registration: formattedReg }, { projection: { vin: 1 } });
+
+    if (event.httpMethod === 'POST') {
+      const receives = subscription.eventTypes ? subscription.eventTypes.join(', ') : 'all events';
+      const quiet = subscription.quietHours
+        ? `, quiet ${subscription.quietHours.start}-${subscription.quietHours.end} ${subscription.quietHours.timeZone}`
+        : '';
+      console.log(`Device ${deviceId} now receives ${receives} for ${formattedReg} by ${(subscription.channels || [DEVICE_CHANNELS[0]]).join(', ')}${quiet}${deviceDigest?.frequency ? `, ${deviceDigest.frequency.toLowerCase()} digest` : ''}`);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        registration: formattedReg,
+        deviceId,
+        eventTypes: subscription.eventTypes || Object.values(CHANGE_TYPES),
+        availableEventTypes: Object.values(CHANGE_TYPES),
+        testResults: subscription.testResults || [TEST_RESULTS.PASSED, TEST_RESULTS.FAILED],
+        availableTestResults: Object.values(TEST_RESULTS),
+        quietHours: subscription.quietHours || null,
+        digest: deviceDigest?.frequency || null,
+        channels: subscription.channels || [DEVICE_CHANNELS[0]],
+        chat: subscription.chat ? { provider: subscription.chat.provider } : null, // The URL is a secret
+        mutedUntil: subscription.mutedUntil > new Date() ? subscription.mutedUntil.toISOString() : null,
+        vin: monitored?.vin || null,
+        availableChannels: DEVICE_CHANNELS
+      })
+    };
+  } catch (error) {
+    console.error('Error in notificationPreferences function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,213 @@
+// netlify/functions/previewScheduledCheck.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { requireAdmin } = require('./utils/adminAuth');
+const { getVehicleKey } = require('./utils/snapshotStore');
+const { replayVersions } = require('./utils/changeReplay');
+const { dryRunScheduledCheck } = require('./scheduled-mot-check');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI', 'ADMIN_API_KEY'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+const MAX_DRY_RUN_VEHICLES = 50;
+const MAX_REPLAY_VERSIONS = 100;
+// Leave time to send the report before the function is stopped (10s for HTTP functions)
+const DRY_RUN_BUDGET = 7000;
+
+/**
+ * Formats a registration (remove spaces, uppercase)
+ */
+function formatRegistration(registration) {
+  return String(registration).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Replays a vehicle's stored versions (from vehicle_snapshots) through the change detector
+ */
+async function replayStoredVersions(db, registration, from, to) {
+  const monitoredRecord = await db.collection('notifications').findOne({
+    $or: [{ registration }, { previousRegistrations: registration }]
+  });
+  const vehicleKey = getVehicleKey(monitoredRecord || { registration });
+
+  const versionRange = {};
+  if (from) versionRange.$gte = from;
+  if (to) versionRange.$lte = to;
+
+  const versions = await db.collection('vehicle_snapshots')
+    .find(from || to ? { vehicleKey, version: versionRange } : { vehicleKey })
+    .sort({ version: 1 })
+    .limit(MAX_REPLAY_VERSIONS)
+    .toArray();
+
+  return replayVersions(registration, versions.map(version => version.snapshot))
+    .map(step => ({ ...step, from: versions[step.from].version, to: versions[step.to].version }));
+}
+
+/**
+ * Admin tools for checking notification logic against real data before deploying
+ * (requires Authorization: Bearer ADMIN_API_KEY). POST with one of:
+ *   { mode: 'dry-run', registrations?, limit? } - fetch and diff due (or the given) vehicles, writing and sending nothing
+ *   { mode: 'replay', registration, from?, to? } - replay stored versions through the change detector
+ *   { mode: 'replay', registration, fixtures: [...] } - replay MOT API responses, oldest first
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  const unauthorized = requireAdmin(event, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (parseError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Invalid JSON in request body',
+        code: 'INVALID_JSON',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    const { mode } = body;
+
+    if (mode === 'dry-run') {
+      if (body.registrations !== undefined && !Array.isArray(body.registrations)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: 'registrations must be an array',
+            code: 'INVALID_REGISTRATIONS',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      const db = await connectToDatabase();
+      const report = await dryRunScheduledCheck(db, {
+        registrations: body.registrations ? body.registrations.map(formatRegistration) : null,
+        limit: Math.min(Math.max(parseInt(body.limit, 10) || 20, 1), MAX_DRY_RUN_VEHICLES),
+        deadline: Date.now() + DRY_RUN_BUDGET
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ mode, ...report, timestamp: new Date().toISOString() })
+      };
+    }
+
+    if (mode === 'replay') {
+      if (!body.registration) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: true,
+            message: 'Registration is required for a replay',
+            code: 'MISSING_REGISTRATION',
+            timestamp: new Date().toISOString()
+          })
+        };
+      }
+
+      const registration = formatRegistration(body.registration);
+      let steps;
+
+      if (body.fixtures !== undefined) {
+        if (!Array.isArray(body.fixtures) || body.fixtures.length < 2 || !body.fixtures.every(fixture => fixture && typeof fixture === 'object')) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+              error: true,
+              message: 'fixtures must be an array of at least two MOT API responses, oldest first',
+              code: 'INVALID_FIXTURES',
+              timestamp: new Date().toISOString()
+            })
+          };
+        }
+        steps = replayVersions(registration, body.fixtures);
+      } else {
+        const db = await connectToDatabase();
+        steps = await replayStoredVersions(db, registration, parseInt(body.from, 10) || null, parseInt(body.to, 10) || null);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ mode, registration, steps, timestamp: new Date().toISOString() })
+      };
+    }
+
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: "mode must be 'dry-run' or 'replay'",
+        code: 'INVALID_MODE',
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in previewScheduledCheck function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,211 @@
+// netlify/functions/pushOutbox.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { requireAdmin } = require('./utils/adminAuth');
+const { OUTBOX_STATUS, retryPushDeliveries, requeueDeadLetters } = require('./utils/pushOutbox');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI', 'ADMIN_API_KEY'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Dead letters re-queued per request - the scheduled check sends any this request doesn't get to
+const MAX_REDRIVE = 100;
+// Time spent sending re-driven pushes before leaving the rest to the scheduled check
+const REDRIVE_BUDGET = 8000;
+
+function errorResponse(headers, statusCode, code, message) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      error: true,
+      message,
+      code,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Formats a registration (remove spaces, uppercase)
+ */
+function formatRegistration(registration) {
+  return String(registration).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Lists outbox entries, newest first, with how many there are in each status
+ */
+async function listEntries(db, params, headers) {
+  const status = params.status || OUTBOX_STATUS.DEAD;
+  if (!Object.values(OUTBOX_STATUS).includes(status)) {
+    return errorResponse(headers, 400, 'INVALID_STATUS', `status must be one of: ${Object.values(OUTBOX_STATUS).join(', ')}`);
+  }
+  if (params.before && isNaN(new Date(params.before).getTime())) {
+    return errorResponse(headers, 400, 'INVALID_BEFORE', 'before must be a date');
+  }
+
+  const collection = db.collection('push_outbox');
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const entries = await collection
+    .find({
+      status,
+      ...(params.registration && { registration: formatRegistration(params.registration) }),
+      ...(params.deviceId && { deviceId: params.deviceId }),
+      ...(params.before && { createdAt: { $lt: new Date(params.before) } })
+    })
+    .project({ payload: 0, attempts: 0 })
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const counts = {};
+  for (const value of Object.values(OUTBOX_STATUS)) {
+    counts[value] = await collection.countDocuments({ status: value });
+  }
+
+  const page = entries.slice(0, limit);
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      status,
+      entries: page,
+      counts,
+      nextBefore: entries.length > limit ? page[page.length - 1].createdAt : null
+    })
+  };
+}
+
+/**
+ * Re-queues dead letters - one (?id=), those listed ({ ids }), or all of them for a registration
+ * or device ({ registration }, { deviceId }, or { all: true } for every one) - and sends them now
+ */
+async function redrive(db, id, body, headers) {
+  let filter;
+  if (id) {
+    filter = { ids: [id] };
+  } else if (Array.isArray(body.ids) && body.ids.length > 0 && body.ids.every(value => typeof value === 'string' && value)) {
+    filter = { ids: body.ids.slice(0, MAX_REDRIVE) };
+  } else if (body.registration || body.deviceId) {
+    filter = {
+      registration: body.registration ? formatRegistration(body.registration) : undefined,
+      deviceId: body.deviceId
+    };
+  } else if (body.all === true) {
+    filter = {};
+  } else {
+    return errorResponse(headers, 400, 'INVALID_REDRIVE', 'Send ids, registration or deviceId, or set all to true');
+  }
+
+  const requeued = await requeueDeadLetters(db, filter, MAX_REDRIVE);
+  if (id && requeued.length === 0) {
+    const entry = await db.collection('push_outbox').findOne({ _id: id }, { projection: { status: 1 } });
+    return entry
+      ? errorResponse(headers, 409, 'NOT_DEAD_LETTERED', `Push ${id} is ${entry.status}, not dead-lettered`)
+      : errorResponse(headers, 404, 'PUSH_NOT_FOUND', `No push in the outbox with id ${id}`);
+  }
+
+  const results = requeued.length > 0
+    ? await retryPushDeliveries(db, { limit: requeued.length, deadline: Date.now() + REDRIVE_BUDGET, ids: requeued })
+    : { attempted: 0, delivered: 0, deadLettered: 0 };
+
+  console.log(`Re-drove ${requeued.length} dead-lettered pushes: ${results.delivered} delivered`);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      requeued: requeued.length,
+      ...results,
+      // Not delivered yet - the scheduled check carries on with them
+      pending: await db.collection('push_outbox').countDocuments({ _id: { $in: requeued }, status: OUTBOX_STATUS.PENDING }),
+      ids: requeued
+    })
+  };
+}
+
+/**
+ * Admin API for the push outbox (requires Authorization: Bearer ADMIN_API_KEY):
+ *   GET ?status=&registration=&deviceId=&limit=&before= - entries in a status (DEAD by default), newest first
+ *   GET ?id=                              - one entry, with its payload and every attempt
+ *   POST ?action=redrive { ids | registration | deviceId | all: true } - re-drive dead letters
+ *   POST ?id=&action=redrive              - re-drive one dead letter
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return errorResponse(headers, 405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+  }
+
+  const unauthorized = requireAdmin(event, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  const params = event.queryStringParameters || {};
+
+  let body = {};
+  if (event.httpMethod === 'POST') {
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return errorResponse(headers, 400, 'INVALID_JSON', 'Invalid JSON in request body');
+    }
+  }
+
+  try {
+    const db = await connectToDatabase();
+
+    if (event.httpMethod === 'POST') {
+      if (params.action !== 'redrive') {
+        return errorResponse(headers, 400, 'INVALID_ACTION', "action must be 'redrive'");
+      }
+      return await redrive(db, params.id, body, headers);
+    }
+
+    if (!params.id) {
+      return await listEntries(db, params, headers);
+    }
+
+    const entry = await db.collection('push_outbox').findOne({ _id: params.id });
+    if (!entry) {
+      return errorResponse(headers, 404, 'PUSH_NOT_FOUND', `No push in the outbox with id ${params.id}`);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ entry })
+    };
+  } catch (error) {
+    console.error('Error in pushOutbox function:', error);
+    return errorResponse(headers, 500, 'INTERNAL_SERVER_ERROR', error.message || 'Internal server error');
+  }
+};
@@ -1,9 +1,41 @@
 // netlify/functions/scheduled-mot-check.js
 const { schedule } = require('@netlify/functions');
 const { connectToDatabase } = require('./utils/mongodb');
-const { sendPushNotificationToDevices } = require('./sendPushNotification');
-const { getAccessToken } = require('./utils/tokenManager');
-const axios = require('axios');
+const {
+  DEVICE_CHANNELS,
+  countRecipients,
+  dispatchNotification,
+  sendDueDigests
+} = require('./utils/notificationDispatcher');
+const { moveEmailSubscriptions } = require('./utils/emailNotifications');
+const { retryWebhookDeliveries, moveWebhookSubscriptions } = require('./utils/webhooks');
+const { releaseHeldNotifications } = require('./utils/channels/webPush');
+const { retryPushDeliveries } = require('./utils/pushOutbox');
+const { createEventId, recordNotificationEvent } = require('./utils/notificationEvents');
+const { getCachedMotHistory, getCachedMotHistoryByVin } = require('./utils/motCache');
+const { MOT_API_ERRORS } = require('./utils/motApiClient');
+const { PRIORITY } = require('./utils/rateLimiter');
+const { mapWithConcurrency, drainWithConcurrency } = require('./utils/concurrency');
+const { acquireLock, releaseLock } = require('./utils/runLock');
+const { getNextCheck, CHECK_INTERVALS } = require('./utils/checkSchedule');
+const {
+  getDueReminder,
+  getOverdueAlert,
+  getNextAlertAt,
+  getCurrentExpiry,
+  daysUntil,
+  describeExpiry
+} = require('./utils/reminders');
+const { CHANGE_TYPES, buildSnapshot, diffSnapshots, buildNotificationData } = require('./utils/vehicleChanges');
+const { getVehicleKey, recordSnapshot } = require('./utils/snapshotStore');
+const {
+  RUN_STATUS,
+  VEHICLE_OUTCOME,
+  startCheckRun,
+  recordVehicleOutcome,
+  finishCheckRun,
+  recordSkippedRun
+} = require('./utils/checkRuns');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -18,83 +50,629 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
-// Constants for API URLs and credentials
-const MOT_API_URL = 'https://history.mot.api.gov.uk';
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const API_KEY = process.env.API_KEY;
-const SCOPE = process.env.SCOPE;
+// MOT API access (token, retries, error mapping) is handled by the shared motApiClient utility,
+// read through the motCache utility so recent user lookups aren't fetched twice
 
-// Token management is now handled by the shared tokenManager utility
+// Worker pool settings - the shared rate limiter still caps the overall request rate
+const CONCURRENCY = parseInt(process.env.SCHEDULED_CHECK_CONCURRENCY || '4', 10);
+const SPACING = parseInt(process.env.SCHEDULED_CHECK_SPACING_MS || '250', 10); // Minimum gap between starting checks
+// Scheduled functions are stopped after 30 seconds
+const FUNCTION_TIMEOUT = parseInt(process.env.SCHEDULED_CHECK_TIMEOUT_MS || '30000', 10);
+// Leave room for checks already in flight (MOT API timeout is 10s) before the function is stopped
+const DEADLINE_MARGIN = 12000;
+// A claimed vehicle is skipped by other runs until this passes, in case its run dies mid-check
+const CHECK_LEASE = 2 * FUNCTION_TIMEOUT;
+// ...and likewise a snoozed reminder, in case its run dies mid-send
+const SNOOZE_LEASE = CHECK_LEASE;
+// Name of the lock that stops scheduled runs overlapping
+const RUN_LOCK = 'scheduled-mot-check';
+// A vehicle whose check is overdue by more than this has missed a run - runs report how many there are
+const BEHIND_SCHEDULE_AFTER = 60 * 60 * 1000;
+// Snoozed and requested reminders sent per run, within the first quarter of the run's time budget
+const SNOOZED_REMINDERS_PER_RUN = 50;
+// Failed webhook deliveries retried per run, within the same quarter
+const WEBHOOK_RETRIES_PER_RUN = 10;
+// Pushes in the outbox retried per run, within the same quarter
+const PUSH_RETRIES_PER_RUN = 50;
+// Pushes held for quiet hours sent per run, within the same quarter
+const HELD_RELEASES_PER_RUN = 50;
+// Daily and weekly digests sent per run, within the same quarter - the rest go on the next run
+const DIGESTS_PER_RUN = 50;
+
+// Vehicles the scheduled check looks after
+const ACTIVE_FILTER = {
+  $or: [{ enabled: true }, { enabled: { $exists: false } }], // Default enabled if field missing
+  registration: { $exists: true, $nin: [null, ''] }
+};
+
+// Only create the check-order index once per container
+let indexEnsured = false;
 
 /**
- * Fetches MOT history for a given registration
+ * Moves a monitored vehicle and its push subscriptions to a new registration after a plate change,
+ * then tells the subscribed devices
  */
-async function getMotHistory(registration) {
-  const token = await getAccessToken();
-
+async function rekeyMonitoredVehicle(db, record, newRegistration, vehicleData) {
+  const notificationsCollection = db.collection('notifications');
+  const subscriptionsCollection = db.collection('push_subscriptions');
+  const oldRegistration = record.registration;
+  
+  console.log(`Registration change detected for VIN ${record.vin}: ${oldRegistration} -> ${newRegistration}`);
+  
+  // If the new plate is already monitored separately, fold this record into that one
+  const existingRecord = await notificationsCollection.findOne({ registration: newRegistration });
+  
+  if (existingRecord) {
+    await notificationsCollection.updateOne(
+      { _id: existingRecord._id },
+      { 
+        $set: { vin: record.vin, registrationChangedAt: new Date().toISOString() },
+        $addToSet: { previousRegistrations: oldRegistration }
+      }
+    );
+    await notificationsCollection.deleteOne({ _id: record._id });
+  } else {
+    await notificationsCollection.updateOne(
+      { _id: record._id },
+      { 
+        $set: { registration: newRegistration, registrationChangedAt: new Date().toISOString() },
+        $addToSet: { previousRegistrations: oldRegistration }
+      }
+    );
+  }
+  
+  // Move device subscriptions across to the new plate
+  const subscriptions = await subscriptionsCollection.find({ registration: oldRegistration }).toArray();
+  
+  for (const sub of subscriptions) {
+    try {
+      await subscriptionsCollection.updateOne(
+        { _id: sub._id },
+        { $set: { registration: newRegistration, previousRegistration: oldRegistration } }
+      );
+    } catch (error) {
+      // Duplicate key - this device is already subscribed to the new plate
+      if (error.code !== 11000) throw error;
+      await subscriptionsCollection.deleteOne({ _id: sub._id });
+    }
+  }
+  
+  const emailSubscribers = await moveEmailSubscriptions(db, oldRegistration, newRegistration);
+  const webhooks = await moveWebhookSubscriptions(db, oldRegistration, newRegistration);
+  
+  console.log(`Moved ${subscriptions.length} subscriptions, ${emailSubscribers} email subscriptions and ${webhooks} webhooks from ${oldRegistration} to ${newRegistration}`);
+  
   try {
-    console.log(`Fetching MOT history for ${registration}`);
-    const response = await axios.get(
-      `${MOT_API_URL}/v1/trade/vehicles/registration/${registration}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'X-API-Key': API_KEY
-        },
-        timeout: 10000 // 10 second timeout
+    const notificationData = {
+      type: 'REGISTRATION_CHANGED',
+      eventId: createEventId(),
+      registration: newRegistration,
+      previousRegistration: oldRegistration,
+      summary: `Now registered as ${newRegistration} (previously ${oldRegistration})`,
+      vehicle: {
+        make: vehicleData.make || 'Unknown',
+        model: vehicleData.model || 'Unknown',
+        registration: newRegistration,
+        color: vehicleData.primaryColour || 'Unknown'
       }
+    };
+    const results = await dispatchNotification(db, newRegistration, notificationData);
+    await recordNotificationEvent(db, notificationData, results);
+    console.log(`Registration change notification results for ${newRegistration}:`, results);
+  } catch (notifyError) {
+    console.error(`Error sending registration change notifications for ${newRegistration}:`, notifyError);
+  }
+}
+
+/**
+ * Records scheduled run progress for the status endpoint
+ */
+async function recordScheduledRun(db, fields) {
+  try {
+    await db.collection('service_status').updateOne(
+      { _id: 'scheduled_check' },
+      { $set: fields },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Failed to record scheduled run status:', error);
+  }
+}
+
+/**
+ * Matches vehicles not checked since the given time (never-checked vehicles included)
+ */
+function notCheckedSince(isoDate) {
+  return {
+    $or: [
+      { lastCheckedDate: { $exists: false } },
+      { lastCheckedDate: null },
+      { lastCheckedDate: { $lt: isoDate } }
+    ]
+  };
+}
+
+/**
+ * Matches vehicles whose next check was due before the given time (never-scheduled vehicles included)
+ */
+function dueBy(date) {
+  return {
+    $or: [
+      { nextCheckAt: { $exists: false } },
+      { nextCheckAt: null },
+      { nextCheckAt: { $lte: date } }
+    ]
+  };
+}
+
+/**
+ * Claims the most overdue vehicle that this run hasn't checked yet.
+ * The lease stops concurrent runs checking the same vehicle; nextCheckAt order means
+ * a run that stops early is picked up by the next run where it left off.
+ * @returns {Promise<Object|null>} - The claimed record, or null if no more vehicles are due
+ */
+async function claimNextVehicle(collection, runId, runStartedAt) {
+  const now = new Date();
+  const result = await collection.findOneAndUpdate(
+    {
+      $and: [
+        ACTIVE_FILTER,
+        dueBy(now),
+        notCheckedSince(runStartedAt),
+        { $or: [{ checkLeaseUntil: { $exists: false } }, { checkLeaseUntil: { $lte: now } }] }
+      ]
+    },
+    { $set: { checkLeaseUntil: new Date(now.getTime() + CHECK_LEASE), checkLeaseRunId: runId } },
+    { sort: { nextCheckAt: 1, lastCheckedDate: 1 }, returnDocument: 'after' }
+  );
+
+  return result.value;
+}
+
+/**
+ * Sends reminders that devices snoozed ("Remind me tomorrow") or asked for ("Remind me a week
+ * before expiry") and are now due. A reminder is dropped if the vehicle has since had a test that moved its expiry date.
+ * Reminders left SENDING by a run that died are taken over once their lease has passed.
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { limit, deadline: stop starting sends after this time (ms) }
+ * @returns {Promise<number>} - How many snoozed reminders were sent
+ */
+async function sendSnoozedReminders(db, { limit, deadline }) {
+  const snoozes = db.collection('reminder_snoozes');
+  const stale = { status: 'SENDING', claimedAt: { $lte: new Date(Date.now() - SNOOZE_LEASE) } };
+  const due = await snoozes
+    .find({ $or: [{ status: 'PENDING', remindAt: { $lte: new Date() } }, stale] })
+    .sort({ remindAt: 1 })
+    .limit(limit)
+    .toArray();
+  let sent = 0;
+  
+  for (const snooze of due) {
+    if (Date.now() >= deadline) break;
+    
+    // Claim it, so an overlapping invocation can't send it too - or take it over from one that died
+    const claimed = await snoozes.findOneAndUpdate(
+      { _id: snooze._id, $or: [{ status: 'PENDING' }, stale] },
+      { $set: { status: 'SENDING', claimedAt: new Date() } }
     );
+    if (!claimed.value) continue;
     
-    console.log(`Successfully fetched MOT history for ${registration}`);
-    return response.data;
+    try {
+      const record = await db.collection('notifications').findOne({ registration: snooze.registration });
+      const expiry = record?.snapshot ? getCurrentExpiry(record.snapshot) : null;
+      const days = expiry ? daysUntil(expiry.expiryDate) : 0;
+      
+      if (!expiry || expiry.expiryDate !== snooze.expiryDate || days <= 0) {
+        await snoozes.updateOne({ _id: snooze._id }, { $set: { status: 'CANCELLED', cancelledAt: new Date() } });
+        continue;
+      }
+      
+      const reminder = {
+        type: CHANGE_TYPES.EXPIRY_REMINDER,
+        key: `REMINDER:${expiry.expiryDate}:${snooze.leadDays}`,
+        summary: describeExpiry(expiry, days),
+        details: {
+          expiryDate: expiry.expiryDate,
+          leadDays: snooze.leadDays,
+          daysUntil: days,
+          firstMot: expiry.firstMot,
+          ...(snooze.requested ? { requested: true } : { snoozed: true })
+        }
+      };
+      const notificationData = {
+        ...buildNotificationData(snooze.registration, reminder, record.snapshot, null),
+        eventId: createEventId()
+      };
+      // Only to the device that snoozed or asked for it, on whichever of its channels it uses -
+      // even if it has since turned reminders off, as it asked for this one
+      const delivery = await dispatchNotification(
+        db,
+        snooze.registration,
+        notificationData,
+        { channels: DEVICE_CHANNELS, recipientId: snooze.deviceId, ignorePreferences: true }
+      );
+      await recordNotificationEvent(db, notificationData, delivery);
+      await snoozes.updateOne({ _id: snooze._id }, { $set: { status: 'SENT', sentAt: new Date() } });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send snoozed reminder ${snooze._id}:`, error);
+      await snoozes.updateOne({ _id: snooze._id }, { $set: { status: 'PENDING' } });
+    }
+  }
+  
+  return sent;
+}
+
+/**
+ * Identifies the notification for one change event on one vehicle.
+ * New tests keep the vehicle:testNumber id they have always had, so old claims still match.
+ */
+function getClaimId(reg, event) {
+  return `${getVehicleKey(reg)}:${event.key}`;
+}
+
+/**
+ * Claims the right to notify subscribers about one change event, so it is only ever sent once.
+ * A claim left SENDING by a run that died, or by one that couldn't reach some channels, can be
+ * taken over once its lease has passed.
+ * @returns {Promise<Object|null>} - { claimId, eventId, pendingChannels } - the last two only when
+ *                                   taking over a claim with channels still to send on - or null
+ *                                   if another run has it
+ */
+async function claimEventNotification(db, reg, event, runId) {
+  const claims = db.collection('notification_claims');
+  const claimId = getClaimId(reg, event);
+  const now = new Date();
+  
+  try {
+    await claims.insertOne({
+      _id: claimId,
+      registration: reg.registration,
+      type: event.type,
+      status: 'SENDING',
+      runId,
+      claimedAt: now
+    });
+    return { claimId };
   } catch (error) {
-    console.error(`Error fetching MOT history for ${registration}:`, error.response?.data || error.message);
-    throw error;
+    if (error.code !== 11000) throw error;
   }
+  
+  const takenOver = await claims.findOneAndUpdate(
+    { _id: claimId, status: 'SENDING', claimedAt: { $lte: new Date(now.getTime() - CHECK_LEASE) } },
+    { $set: { runId, claimedAt: now } }
+  );
+  
+  if (!takenOver.value) return null;
+  
+  const { eventId, pendingChannels } = takenOver.value;
+  return { claimId, eventId, pendingChannels };
 }
 
 /**
- * Gets the latest MOT test from vehicle data
+ * Checks one monitored vehicle for changes, notifying subscribers about each one.
+ * A dry run works out the same changes and notifications, but writes nothing and sends nothing.
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { events, alerts, notifications, nextCheckAt, nextCheckReason },
+ *   plus { registrationChange, update } for a dry run
  */
-function getLatestMotTest(vehicleData) {
-  if (!vehicleData || !vehicleData.motTests || vehicleData.motTests.length === 0) {
-    console.log('No MOT tests found in vehicle data');
-    return null;
+async function checkVehicle(db, reg, runId, options = {}) {
+  const { dryRun = false } = options;
+  const collection = db.collection('notifications');
+  
+  // Fetch the latest MOT data - by VIN where we have one, so plate changes are picked up.
+  // Stale cache entries could hide a new test, so only recently fetched data is used.
+  // Background priority leaves headroom in the API budget for people using the app.
+  const lookupOptions = { allowStale: false, priority: PRIORITY.BACKGROUND, readOnly: dryRun };
+  const { data: vehicleData } = reg.vin
+    ? await getCachedMotHistoryByVin(reg.vin, lookupOptions)
+    : await getCachedMotHistory(reg.registration, lookupOptions);
+  
+  // Follow the vehicle to its new plate rather than losing it
+  const currentRegistration = (vehicleData.registration || '').replace(/\s+/g, '').toUpperCase();
+  let registrationChange = null;
+  if (reg.vin && currentRegistration && currentRegistration !== reg.registration) {
+    registrationChange = { from: reg.registration, to: currentRegistration };
+    // A dry run leaves the vehicle (and its subscribers) on the old plate
+    if (!dryRun) {
+      await rekeyMonitoredVehicle(db, reg, currentRegistration, vehicleData);
+      reg.registration = currentRegistration;
+    }
+  }
+  
+  // Vehicles close to expiry (or awaiting a retest) are checked hourly, the rest daily or weekly
+  let { nextCheckAt, reason: nextCheckReason } = getNextCheck(vehicleData);
+  // ...but never later than the next reminder or overdue alert is due
+  const nextAlert = getNextAlertAt(vehicleData);
+  if (nextAlert && nextAlert.at < nextCheckAt) {
+    nextCheckAt = nextAlert.at;
+    nextCheckReason = nextAlert.reason;
   }
+  console.log(`Next check for ${reg.registration} at ${nextCheckAt.toISOString()} (${nextCheckReason})`);
   
-  // Find the latest test by completedDate
-  const sortedTests = vehicleData.motTests.sort(
-    (a, b) => new Date(b.completedDate) - new Date(a.completedDate)
+  // Compare against what we saw last time
+  const snapshot = buildSnapshot(vehicleData);
+  const events = diffSnapshots(reg.snapshot || null, snapshot, { lastMotTestDate: reg.lastMotTestDate });
+  const latestTest = snapshot.tests[0] || null;
+  
+  console.log(`Registration: ${reg.registration}`);
+  console.log(`Last MOT test date in DB: ${reg.lastMotTestDate || 'None'}`);
+  console.log(`Latest MOT test date from API: ${latestTest?.completedDate || 'None'}`);
+  console.log(`Changes for ${reg.registration}: ${events.map(event => event.type).join(', ') || 'none'}`);
+  
+  // Reminders ahead of the expiry date and overdue alerts after it aren't changes,
+  // but are claimed and sent the same way
+  const alerts = [];
+  const reminder = getDueReminder(vehicleData);
+  if (reminder) {
+    const { key, summary, ...details } = reminder;
+    alerts.push({ type: CHANGE_TYPES.EXPIRY_REMINDER, key, summary, details });
+  }
+  const overdue = getOverdueAlert(vehicleData);
+  if (overdue) {
+    const { key, summary, ...details } = overdue;
+    alerts.push({ type: CHANGE_TYPES.MOT_OVERDUE, key, summary, details });
+  }
+  
+  // Keep every version of the data for the timeline
+  if (!dryRun) {
+    await recordSnapshot(db, reg, snapshot);
+  }
+  
+  const update = {
+    snapshot,
+    motExpiry: getCurrentExpiry(vehicleData), // Lets the app flag overdue vehicles
+    lastMotTestDate: latestTest?.completedDate || reg.lastMotTestDate || null,
+    lastCheckedDate: new Date().toISOString(),
+    nextCheckAt,
+    nextCheckReason
+  };
+  
+  // What was sent for each event, for the run history
+  const notifications = [];
+  
+  for (const event of [...events, ...alerts]) {
+    const notificationData = buildNotificationData(reg.registration, event, vehicleData, reg.lastMotTestDate);
+    
+    if (dryRun) {
+      const claim = await db.collection('notification_claims').findOne({ _id: getClaimId(reg, event) });
+      notifications.push({
+        type: event.type,
+        key: event.key,
+        status: claim ? 'ALREADY_NOTIFIED' : 'WOULD_SEND',
+        recipients: await countRecipients(db, reg.registration, notificationData),
+        payload: notificationData
+      });
+      continue;
+    }
+    
+    // Send push notifications to subscribed devices - unless another run already has
+    const claim = await claimEventNotification(db, reg, event, runId);
+    
+    if (!claim) {
+      console.log(`${event.type} for ${reg.registration} was already notified by another run`);
+      notifications.push({ type: event.type, key: event.key, status: 'ALREADY_NOTIFIED' });
+      continue;
+    }
+    
+    // Pushes carry the id so devices can mark it read in their inbox. A retry keeps the first
+    // attempt's id, so its inbox entry is updated rather than added again.
+    notificationData.eventId = claim.eventId || createEventId();
+    const outcome = { type: event.type, key: event.key, eventId: notificationData.eventId };
+    try {
+      // Each channel is independent - one failing doesn't stop the others
+      const delivery = await dispatchNotification(db, reg.registration, notificationData, { channels: claim.pendingChannels });
+      await recordNotificationEvent(db, notificationData, delivery);
+      console.log(`Notification results for ${event.type} on ${reg.registration}:`, delivery);
+      Object.assign(outcome, {
+        status: delivery.retryChannels.length > 0 ? 'FAILED' : 'SENT',
+        retryChannels: delivery.retryChannels,
+        sent: delivery.sent,
+        held: delivery.held,
+        digested: delivery.digested,
+        failed: delivery.failed,
+        channels: delivery.channels
+      });
+    } catch (notifyError) {
+      console.error(`Error sending notifications for ${reg.registration}:`, notifyError);
+      // Don't fail the entire process if notifications fail
+      Object.assign(outcome, { status: 'FAILED', error: notifyError.message });
+    }
+    
+    notifications.push(outcome);
+    
+    // A failed notification keeps its claim SENDING, so a later check can take it over and retry.
+    // When the dispatcher said which channels reached nobody, only those are retried.
+    if (outcome.status === 'SENT') {
+      await db.collection('notification_claims').updateOne(
+        { _id: claim.claimId },
+        { $set: { status: 'SENT', sentAt: new Date() } }
+      );
+    } else if (outcome.retryChannels) {
+      await db.collection('notification_claims').updateOne(
+        { _id: claim.claimId },
+        { $set: { eventId: notificationData.eventId, pendingChannels: outcome.retryChannels } }
+      );
+    }
+  }
+  
+  // Keep the last snapshot, so the next check finds the changes again and retries any that failed.
+  // Changes that were sent are skipped then, as their claims are SENT.
+  if (notifications.some(notification => notification.status === 'FAILED')) {
+    update.snapshot = reg.snapshot || null;
+    update.lastMotTestDate = reg.lastMotTestDate || null;
+    const retryAt = new Date(Date.now() + CHECK_LEASE);
+    if (retryAt < update.nextCheckAt) {
+      update.nextCheckAt = retryAt;
+      update.nextCheckReason = 'Retrying a failed notification';
+    }
+  }
+  
+  if (events.length > 0) {
+    update.hasUpdate = true;
+    update.updateDetectedAt = new Date().toISOString();
+    update.lastNotificationSentAt = new Date().toISOString();
+    update.lastChanges = events.map(({ type, summary }) => ({ type, summary }));
+  }
+  
+  // Keep the details of the latest new test for clients polling getPendingNotifications
+  if (events.some(event => event.type === CHANGE_TYPES.NEW_TEST) && latestTest) {
+    update.updateDetails = {
+      previousDate: reg.lastMotTestDate,
+      newDate: latestTest.completedDate,
+      testResult: latestTest.testResult,
+      expiryDate: latestTest.expiryDate,
+      defects: latestTest.defects,
+      vehicle: {
+        make: vehicleData.make || 'Unknown',
+        model: vehicleData.model || 'Unknown',
+        registration: vehicleData.registration,
+        color: vehicleData.primaryColour || 'Unknown'
+      }
+    };
+  }
+  
+  if (dryRun) {
+    return { events, alerts, notifications, nextCheckAt, nextCheckReason, registrationChange, update };
+  }
+  
+  // Update the database record with the new snapshot (keep for historical tracking)
+  await collection.updateOne(
+    { registration: reg.registration },
+    { $set: update }
   );
   
-  console.log(`Found ${sortedTests.length} MOT tests, latest date: ${sortedTests[0].completedDate}`);
-  return sortedTests[0];
+  return { events, alerts, notifications, nextCheckAt: update.nextCheckAt, nextCheckReason: update.nextCheckReason };
+}
+
+/**
+ * Runs the check over due vehicles (or the given registrations) without writing or sending anything,
+ * and reports what each check would have done
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { registrations, limit, deadline }
+ * @returns {Promise<Object>} - { vehicles: [...], results }
+ */
+async function dryRunScheduledCheck(db, options = {}) {
+  const { registrations = null, limit = 20, deadline = Date.now() + FUNCTION_TIMEOUT - DEADLINE_MARGIN } = options;
+  
+  // Same order the scheduled run would take them in, but nothing is claimed
+  const query = registrations
+    ? { $and: [ACTIVE_FILTER, { registration: { $in: registrations } }] }
+    : { $and: [ACTIVE_FILTER, dueBy(new Date())] };
+  const vehicles = await db.collection('notifications')
+    .find(query)
+    .sort({ nextCheckAt: 1, lastCheckedDate: 1 })
+    .limit(limit)
+    .toArray();
+  
+  const results = { total: vehicles.length, checked: 0, updated: 0, changes: {}, alerts: {}, errors: 0, notChecked: 0 };
+  
+  const outcomes = await mapWithConcurrency(vehicles, CONCURRENCY, async (reg) => {
+    const outcome = { registration: reg.registration, vin: reg.vin || null };
+    
+    try {
+      const plan = await checkVehicle(db, reg, null, { dryRun: true });
+      const { snapshot, ...wouldSet } = plan.update;
+      results.checked++;
+      if (plan.events.length > 0) results.updated++;
+      plan.events.forEach(({ type }) => {
+        results.changes[type] = (results.changes[type] || 0) + 1;
+      });
+      plan.alerts.forEach(({ type }) => {
+        results.alerts[type] = (results.alerts[type] || 0) + 1;
+      });
+      
+      return {
+        ...outcome,
+        outcome: plan.events.length > 0 ? VEHICLE_OUTCOME.CHANGED : VEHICLE_OUTCOME.UNCHANGED,
+        changes: plan.events.map(({ type, key, summary, details }) => ({ type, key, summary, details })),
+        alerts: plan.alerts.map(({ type, key, summary, details }) => ({ type, key, summary, details })),
+        notifications: plan.notifications,
+        registrationChange: plan.registrationChange,
+        wouldSet
+      };
+    } catch (error) {
+      results.checked++;
+      results.errors++;
+      return {
+        ...outcome,
+        outcome: VEHICLE_OUTCOME.ERROR,
+        error: { code: error.code || 'UNKNOWN_ERROR', message: error.message || 'Unknown error' }
+      };
+    }
+  }, { spacing: SPACING, shouldStop: () => Date.now() >= deadline });
+  
+  // Vehicles the deadline stopped us getting to
+  const report = outcomes.map((outcome, index) => outcome || {
+    registration: vehicles[index].registration,
+    vin: vehicles[index].vin || null,
+    outcome: VEHICLE_OUTCOME.NOT_CHECKED
+  });
+  results.notChecked = report.filter(outcome => outcome.outcome === VEHICLE_OUTCOME.NOT_CHECKED).length;
+  
+  return { vehicles: report, results };
 }
 
 /**
  * Netlify scheduled function handler
  */
-const handler = async (event) => {
+const handler = async (event, context) => {
+  const startedAt = Date.now();
+  
+  let db;
+  let runId = null;
+  
+  // Stop taking new vehicles with enough time left for in-flight checks to finish
+  const remaining = typeof context?.getRemainingTimeInMillis === 'function'
+    ? context.getRemainingTimeInMillis()
+    : FUNCTION_TIMEOUT;
+  const deadline = startedAt + Math.max(0, Math.min(remaining, FUNCTION_TIMEOUT) - DEADLINE_MARGIN);
+  
   try {
     console.log('Starting scheduled MOT check:', new Date().toISOString());
     
     // Connect to MongoDB
-    const db = await connectToDatabase();
+    db = await connectToDatabase();
     const collection = db.collection('notifications');
     
-    // Get all active registrations with validation
-    const registrations = await collection.find({ 
-      $and: [
-        { $or: [{ enabled: true }, { enabled: { $exists: false } }] }, // Default enabled if field missing
-        { registration: { $exists: true, $ne: null, $ne: '' } }
-      ]
-    }).toArray();
-    console.log(`Found ${registrations.length} active registrations to check`);
+    // Only one run at a time - a second run would check (and could notify) the same vehicles
+    runId = await acquireLock(db, RUN_LOCK, CHECK_LEASE);
+    if (!runId) {
+      console.log('Another scheduled check is still running, exiting');
+      await recordSkippedRun(db);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ 
+          message: 'Another scheduled check is already running',
+          timestamp: new Date().toISOString()
+        }),
+      };
+    }
+    
+    console.log(`Scheduled run ${runId} has the lock`);
+    await recordScheduledRun(db, { lastRunStartedAt: new Date(), lastRunId: runId });
     
-    if (registrations.length === 0) {
+    if (!indexEnsured) {
+      try {
+        await collection.createIndex({ nextCheckAt: 1, lastCheckedDate: 1 }, { background: true });
+        indexEnsured = true;
+      } catch (indexError) {
+        console.warn('Check-order index creation warning (may already exist):', indexError.message);
+      }
+    }
+    
+    const total = await collection.countDocuments(ACTIVE_FILTER);
+    console.log(`Found ${total} active registrations`);
+    await startCheckRun(db, runId, { total });
+    
+    if (total === 0) {
       console.log('No registrations to check, exiting');
+      const emptyResults = { total: 0, checked: 0, updated: 0, errors: 0 };
+      await recordScheduledRun(db, {
+        lastRunCompletedAt: new Date(),
+        lastRunResults: emptyResults
+      });
+      await finishCheckRun(db, runId, RUN_STATUS.COMPLETED, { results: emptyResults });
       return {
         statusCode: 200,
         body: JSON.stringify({ 
@@ -106,175 +684,196 @@ const handler = async (event) => {
     
     // Keep track of results
     const results = {
-      total: registrations.length,
+      total,
       checked: 0,
       updated: 0,
-      errors: 0
+      changes: {},
+      alerts: {},
+      snoozedReminders: 0,
+      webhookRetries: { attempted: 0, delivered: 0 },
+      heldNotifications: { released: 0, failed: 0 },
+      digests: { sent: 0, failed: 0 },
+      errors: 0,
+      remaining: 0,
+      behindSchedule: 0,
+      stoppedBy: null
+    };
+    const checkDurations = [];
+    const runStartedAt = new Date(startedAt).toISOString();
+    
+    const shouldStop = () => {
+      if (results.stoppedBy) return true;
+      if (Date.now() >= deadline) {
+        console.warn('Approaching the function time limit, not starting any more checks');
+        results.stoppedBy = 'DEADLINE';
+        return true;
+      }
+      return false;
     };
     
-    // Process in batches to avoid rate limits (3 at a time)
-    const batchSize = 3;
+    // Reminders snoozed until now don't depend on their vehicle being due for a check
+    try {
+      results.snoozedReminders = await sendSnoozedReminders(db, {
+        limit: SNOOZED_REMINDERS_PER_RUN,
+        deadline: startedAt + (deadline - startedAt) / 4
+      });
+    } catch (error) {
+      console.error('Error sending snoozed reminders:', error);
+    }
+    
+    // Webhook deliveries that failed before - capped so they can't use up the run
+    try {
+      results.webhookRetries = await retryWebhookDeliveries(db, {
+        limit: WEBHOOK_RETRIES_PER_RUN,
+        deadline: startedAt + (deadline - startedAt) / 4
+      });
+    } catch (error) {
+      console.error('Error retrying webhook deliveries:', error);
+    }
+    
+    // Pushes that couldn't be delivered before, e.g. the push service was down or rate limiting
+    try {
+      results.pushRetries = await retryPushDeliveries(db, {
+        limit: PUSH_RETRIES_PER_RUN,
+        deadline: startedAt + (deadline - startedAt) / 4
+      });
+    } catch (error) {
+      console.error('Error retrying push deliveries:', error);
+    }
+    
+    // Pushes held for quiet hours that have now ended
+    try {
+      results.heldNotifications = await releaseHeldNotifications(db, {
+        limit: HELD_RELEASES_PER_RUN,
+        deadline: startedAt + (deadline - startedAt) / 4
+      });
+    } catch (error) {
+      console.error('Error releasing held notifications:', error);
+    }
+    
+    try {
+      results.digests = await sendDueDigests(db, {
+        limit: DIGESTS_PER_RUN,
+        deadline: startedAt + (deadline - startedAt) / 4
+      });
+    } catch (error) {
+      console.error('Error sending digests:', error);
+    }
+    
+    console.log(`Checking with concurrency ${CONCURRENCY}, ${SPACING}ms spacing, ${deadline - startedAt}ms budget`);
     
-    for (let i = 0; i < registrations.length; i += batchSize) {
-      const batch = registrations.slice(i, i + batchSize);
-      console.log(`Processing batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(registrations.length/batchSize)}`);
+    await drainWithConcurrency(() => claimNextVehicle(collection, runId, runStartedAt), CONCURRENCY, async (reg) => {
+      const checkStartedAt = Date.now();
+      let handled = true;
+      const outcome = { registration: reg.registration, vin: reg.vin || null };
       
-      // Process each batch sequentially to avoid rate limits
-      for (const reg of batch) {
-        try {
-          results.checked++;
-          console.log(`[${results.checked}/${registrations.length}] Checking ${reg.registration}`);
-          
-          // Fetch the latest MOT data
-          const vehicleData = await getMotHistory(reg.registration);
-          const latestMotTest = getLatestMotTest(vehicleData);
-          
-          if (!latestMotTest) {
-            console.log(`No MOT tests found for ${reg.registration}`);
-            
-            // Still update the last checked time even if no MOT tests found
-            await collection.updateOne(
-              { registration: reg.registration },
-              { 
-                $set: { 
-                  lastCheckedDate: new Date().toISOString()
-                }
-              }
-            );
-            
-            continue;
-          }
-          
-          const latestMotTestDate = latestMotTest.completedDate;
-          
-          // Get the current stored MOT test date
-          const lastMotTestDate = reg.lastMotTestDate;
-          
-          console.log(`Registration: ${reg.registration}`);
-          console.log(`Last MOT test date in DB: ${lastMotTestDate || 'None'}`);
-          console.log(`Latest MOT test date from API: ${latestMotTestDate || 'None'}`);
-          
-          // Determine if there's an update - handle the case where lastMotTestDate could be null
-          let hasUpdate = false;
-          
-          if (latestMotTestDate) {
-            if (!lastMotTestDate) {
-              hasUpdate = true;
-              console.log(`First MOT test detected for ${reg.registration}`);
-            } else {
-              // Convert dates to timestamps for accurate comparison
-              const lastTestTime = new Date(lastMotTestDate).getTime();
-              const latestTestTime = new Date(latestMotTestDate).getTime();
-              
-              if (latestTestTime > lastTestTime) {
-                hasUpdate = true;
-                console.log(`New MOT test detected for ${reg.registration}`);
-              } else {
-                console.log(`No new MOT tests for ${reg.registration}`);
-              }
-            }
+      try {
+        console.log(`Checking ${reg.registration} (last checked ${reg.lastCheckedDate || 'never'})`);
+        const { events, alerts, notifications, nextCheckAt, nextCheckReason } = await checkVehicle(db, reg, runId);
+        results.checked++;
+        if (events.length > 0) results.updated++;
+        events.forEach(({ type }) => {
+          results.changes[type] = (results.changes[type] || 0) + 1;
+        });
+        alerts.forEach(({ type }) => {
+          results.alerts[type] = (results.alerts[type] || 0) + 1;
+        });
+        
+        Object.assign(outcome, {
+          registration: reg.registration, // May have moved to a new plate
+          outcome: events.length > 0 ? VEHICLE_OUTCOME.CHANGED : VEHICLE_OUTCOME.UNCHANGED,
+          changes: events.map(({ type, summary }) => ({ type, summary })),
+          alerts: alerts.map(({ type, summary }) => ({ type, summary })),
+          notifications,
+          nextCheckAt,
+          nextCheckReason
+        });
+      } catch (error) {
+        // The MOT API is down - stop here rather than marking every remaining vehicle as failed
+        if (error.code === MOT_API_ERRORS.CIRCUIT_OPEN) {
+          if (!results.stoppedBy) {
+            console.warn(`MOT API circuit is open, stopping scheduled check (retry in ${error.retryAfter}s)`);
+            results.stoppedBy = MOT_API_ERRORS.CIRCUIT_OPEN;
           }
-          
-          if (hasUpdate) {
-            console.log(`Update detected for ${reg.registration}!`);
-            results.updated++;
-            
-            // Create notification data for push notifications
-            const notificationData = {
-              registration: reg.registration,
-              testResult: latestMotTest.testResult,
-              previousDate: lastMotTestDate,
-              newDate: latestMotTestDate,
-              vehicle: {
-                make: vehicleData.make || 'Unknown',
-                model: vehicleData.model || 'Unknown',
-                registration: vehicleData.registration,
-                color: vehicleData.primaryColour || 'Unknown'
-              },
-              testDetails: {
-                expiryDate: latestMotTest.expiryDate,
-                defects: latestMotTest.defects || [],
-                odometerValue: latestMotTest.odometerValue,
-                odometerUnit: latestMotTest.odometerUnit
+          handled = false;
+          outcome.outcome = VEHICLE_OUTCOME.NOT_CHECKED;
+          outcome.error = { code: error.code, message: error.message };
+          return;
+        }
+        
+        console.error(`Error checking ${reg.registration}:`, error);
+        results.checked++;
+        results.errors++;
+        outcome.outcome = VEHICLE_OUTCOME.ERROR;
+        outcome.error = { code: error.code || 'UNKNOWN_ERROR', message: error.message || 'Unknown error' };
+        
+        // Still update the last checked time even if there was an error
+        try {
+          await collection.updateOne(
+            { _id: reg._id },
+            { 
+              $set: { 
+                lastCheckedDate: new Date().toISOString(),
+                lastCheckError: error.message || 'Unknown error',
+                lastCheckErrorCode: error.code || 'UNKNOWN_ERROR',
+                nextCheckAt: new Date(Date.now() + CHECK_INTERVALS.HOURLY),
+                nextCheckReason: 'Retrying after a failed check'
               }
-            };
-
-            // Send push notifications to all subscribed devices for this registration
-            try {
-              const pushResults = await sendPushNotificationToDevices(reg.registration, notificationData);
-              console.log(`Push notification results for ${reg.registration}:`, pushResults);
-            } catch (pushError) {
-              console.error(`Error sending push notifications for ${reg.registration}:`, pushError);
-              // Don't fail the entire process if push notifications fail
             }
-            
-            // Update the database record with new test data (keep for historical tracking)
-            await collection.updateOne(
-              { registration: reg.registration },
-              { 
-                $set: { 
-                  lastMotTestDate: latestMotTestDate,
-                  lastCheckedDate: new Date().toISOString(),
-                  lastNotificationSentAt: new Date().toISOString(),
-                  hasUpdate: true,
-                  updateDetectedAt: new Date().toISOString(),
-                  updateDetails: {
-                    previousDate: lastMotTestDate,
-                    newDate: latestMotTestDate,
-                    testResult: latestMotTest.testResult,
-                    expiryDate: latestMotTest.expiryDate,
-                    defects: latestMotTest.defects || [],
-                    vehicle: {
-                      make: vehicleData.make || 'Unknown',
-                      model: vehicleData.model || 'Unknown',
-                      registration: vehicleData.registration,
-                      color: vehicleData.primaryColour || 'Unknown'
-                    }
-                  }
-                }
-              }
-            );
-          } else {
-            // Just update the last checked time
-            await collection.updateOne(
-              { registration: reg.registration },
-              { 
-                $set: { 
-                  lastCheckedDate: new Date().toISOString()
-                }
-              }
-            );
-          }
-        } catch (error) {
-          console.error(`Error checking ${reg.registration}:`, error);
-          results.errors++;
-          
-          // Still update the last checked time even if there was an error
-          try {
-            await collection.updateOne(
-              { registration: reg.registration },
-              { 
-                $set: { 
-                  lastCheckedDate: new Date().toISOString(),
-                  lastCheckError: error.message || 'Unknown error'
-                }
-              }
-            );
-          } catch (dbError) {
-            console.error(`Failed to update last checked time for ${reg.registration}:`, dbError);
-          }
+          );
+        } catch (dbError) {
+          console.error(`Failed to update last checked time for ${reg.registration}:`, dbError);
+        }
+      } finally {
+        // Release the lease so an unchecked vehicle is first in line for the next run,
+        // and record which run checked it
+        try {
+          await collection.updateOne(
+            { _id: reg._id },
+            handled
+              ? { $set: { lastCheckRunId: runId }, $unset: { checkLeaseUntil: '', checkLeaseRunId: '' } }
+              : { $unset: { checkLeaseUntil: '', checkLeaseRunId: '' } }
+          );
+        } catch (dbError) {
+          console.error(`Failed to release check lease for ${reg.registration}:`, dbError);
         }
+        
+        outcome.durationMs = Date.now() - checkStartedAt;
+        await recordVehicleOutcome(db, runId, outcome);
       }
       
-      // Add a small delay between batches to avoid rate limiting
-      if (i + batchSize < registrations.length) {
-        const delay = 3000; // 3 seconds
-        console.log(`Waiting ${delay}ms before next batch`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+      checkDurations.push(Date.now() - checkStartedAt);
+    }, { spacing: SPACING, shouldStop });
+    
+    // Due vehicles left for the next run, and how many have missed at least one run
+    const behindScheduleBefore = new Date(Date.now() - BEHIND_SCHEDULE_AFTER);
+    [results.remaining, results.behindSchedule] = await Promise.all([
+      collection.countDocuments({ $and: [ACTIVE_FILTER, dueBy(new Date()), notCheckedSince(runStartedAt)] }),
+      collection.countDocuments({
+        $and: [ACTIVE_FILTER, dueBy(behindScheduleBefore), notCheckedSince(behindScheduleBefore.toISOString())]
+      })
+    ]);
+    
+    if (results.behindSchedule > 0) {
+      console.warn(`${results.behindSchedule} vehicles are more than an hour overdue for a check - increase concurrency or check frequency`);
     }
     
+    // Throughput stats, to tune concurrency and spacing against the function time limit
+    const durationMs = Date.now() - startedAt;
+    results.stats = {
+      concurrency: CONCURRENCY,
+      spacingMs: SPACING,
+      durationMs,
+      checksPerSecond: durationMs > 0 ? Math.round((results.checked / durationMs) * 10000) / 10 : 0,
+      averageCheckMs: checkDurations.length > 0
+        ? Math.round(checkDurations.reduce((sum, ms) => sum + ms, 0) / checkDurations.length)
+        : 0,
+      slowestCheckMs: checkDurations.length > 0 ? Math.max(...checkDurations) : 0
+    };
+    
     console.log('Scheduled check completed:', results);
+    await recordScheduledRun(db, { lastRunCompletedAt: new Date(), lastRunResults: results });
+    await finishCheckRun(db, runId, RUN_STATUS.COMPLETED, { results });
     
     return {
       statusCode: 200,
@@ -286,6 +885,9 @@ const handler = async (event) => {
     };
   } catch (error) {
     console.error('Error in scheduled check:', error);
+    if (runId) {
+      await finishCheckRun(db, runId, RUN_STATUS.FAILED, { error: { code: error.code || null, message: error.message } });
+    }
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -295,8 +897,13 @@ const handler = async (event) => {
         timestamp: new Date().toISOString()
       }),
     };
+  } finally {
+    if (runId) {
+      await releaseLock(db, RUN_LOCK, runId);
+    }
   }
 };
 
 // Run once per hour (Netlify's minimum frequency)
-module.exports.handler = schedule('@hourly', handler);
\ No newline at end of file
+module.exports.handler = schedule('@hourly', handler);
+module.exports.dryRunScheduledCheck = dryRunScheduledCheck;
@@ -1,7 +1,8 @@
 // netlify/functions/sendPushNotification.js
 
-const webpush = require('web-push');
 const { connectToDatabase } = require('./utils/mongodb');
+const { dispatchNotification } = require('./utils/notificationDispatcher');
+const webPush = require('./utils/channels/webPush');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -16,100 +17,19 @@ function validateEnvironmentVariables() {
 // Validate environment variables on module load
 validateEnvironmentVariables();
 
-// Configure web-push with VAPID credentials
-webpush.setVapidDetails(
-  process.env.VAPID_MAILTO,
-  process.env.VAPID_PUBLIC_KEY,
-  process.env.VAPID_PRIVATE_KEY
-);
-
 /**
  * Send push notification to specific devices subscribed to a registration
+ * @param {Object} options - { deviceId: only send to this device }
+ * @returns {Promise<Object>} - { sent, failed, errors }
  */
-async function sendPushNotificationToDevices(registration, notificationData) {
-  try {
-    const db = await connectToDatabase();
-    const subscriptionsCollection = db.collection('push_subscriptions');
-    
-    // Get all active subscriptions for this registration with validation
-    const subscriptions = await subscriptionsCollection.find({
-      $and: [
-        { registration: registration },
-        { $or: [{ active: true }, { active: { $exists: false } }] }, // Default active if field missing
-        { 'subscription.endpoint': { $exists: true, $ne: null, $ne: '' } },
-        { 'subscription.keys.p256dh': { $exists: true, $ne: null, $ne: '' } },
-        { 'subscription.keys.auth': { $exists: true, $ne: null, $ne: '' } }
-      ]
-    }).toArray();
-
-    console.log(`Found ${subscriptions.length} active subscriptions for ${registration}`);
-
-    if (subscriptions.length === 0) {
-      console.log(`No active subscriptions found for ${registration}`);
-      return { sent: 0, failed: 0 };
-    }
-
-    const results = {
-      sent: 0,
-      failed: 0,
-      errors: []
-    };
-
-    // Send notification to each subscribed device
-    for (const sub of subscriptions) {
-      try {
-        const pushSubscription = {
-          endpoint: sub.subscription.endpoint,
-          keys: sub.subscription.keys
-        };
-
-        console.log(`Sending push notification to device ${sub.deviceId} for ${registration}`);
-
-        await webpush.sendNotification(
-          pushSubscription,
-          JSON.stringify(notificationData),
-          {
-            TTL: 3600, // 1 hour TTL
-            urgency: 'high'
-          }
-        );
-
-        results.sent++;
-
-        // Update last notified timestamp
-        await subscriptionsCollection.updateOne(
-          { _id: sub._id },
-          { $set: { lastNotifiedAt: new Date().toISOString() } }
-        );
-
-        console.log(`Successfully sent push notification to device ${sub.deviceId}`);
-
-      } catch (pushError) {
-        console.error(`Failed to send push notification to device ${sub.deviceId}:`, pushError);
-        results.failed++;
-        results.errors.push({
-          deviceId: sub.deviceId,
-          error: pushError.message
-        });
-
-        // If subscription is invalid, mark it as inactive
-        if (pushError.statusCode === 410 || pushError.statusCode === 404) {
-          console.log(`Marking subscription as inactive for device ${sub.deviceId} (invalid endpoint)`);
-          await subscriptionsCollection.updateOne(
-            { _id: sub._id },
-            { $set: { active: false, deactivatedAt: new Date().toISOString() } }
-          );
-        }
-      }
-    }
-
-    console.log(`Push notification results for ${registration}: ${results.sent} sent, ${results.failed} failed`);
-    return results;
-
-  } catch (error) {
-    console.error('Error sending push notifications:', error);
-    throw error;
-  }
+async function sendPushNotificationToDevices(registration, notificationData, options = {}) {
+  const db = await connectToDatabase();
+  const results = await dispatchNotification(db, registration, notificationData, {
+    channels: [webPush.name],
+    recipientId: options.deviceId
+  });
+
+  return results.channels[webPush.name];
 }
 
 exports.handler = async function(event, context) {
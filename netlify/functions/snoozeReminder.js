@@ -0,0 +1,155 @@
+// netlify/functions/snoozeReminder.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { REMINDER_DAYS, SNOOZE_DAYS } = require('./utils/reminders');
+const { REMIND_LEAD_DAYS } = require('./utils/notificationActions');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Snoozes an expiry reminder on one device, from the reminder's "Remind me tomorrow" action.
+ * POST { registration, endpoint, expiryDate, leadDays } - the push endpoint identifies the device,
+ * since only the device holding the subscription knows it.
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    let registration, endpoint, expiryDate, leadDays;
+    try {
+      ({ registration, endpoint, expiryDate, leadDays } = JSON.parse(event.body));
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Invalid JSON in request body',
+          code: 'INVALID_JSON',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Strings only - anything else could be a query operator matching another device's subscription
+    if (
+      typeof registration !== 'string' || !registration ||
+      typeof endpoint !== 'string' || !endpoint ||
+      typeof expiryDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(expiryDate) ||
+      !(REMINDER_DAYS.includes(leadDays) || leadDays === REMIND_LEAD_DAYS)
+    ) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Registration, endpoint, expiryDate (YYYY-MM-DD) and the reminder leadDays are required',
+          code: 'MISSING_PARAMETERS',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+    const db = await connectToDatabase();
+    const subscription = await db.collection('push_subscriptions').findOne({
+      registration: formattedReg,
+      'subscription.endpoint': endpoint
+    });
+
+    if (!subscription) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: `No subscription found for ${formattedReg} on this device`,
+          code: 'SUBSCRIPTION_NOT_FOUND',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Snoozing the same reminder again just moves it on
+    const remindAt = new Date(Date.now() + SNOOZE_DAYS * 24 * 60 * 60 * 1000);
+    await db.collection('reminder_snoozes').updateOne(
+      { _id: `${subscription.deviceId}:${formattedReg}:${expiryDate}:${leadDays}` },
+      {
+        $set: {
+          registration: formattedReg,
+          deviceId: subscription.deviceId,
+          expiryDate,
+          leadDays,
+          remindAt,
+          status: 'PENDING',
+          snoozedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    console.log(`Device ${subscription.deviceId} snoozed the ${leadDays}-day reminder for ${formattedReg} until ${remindAt.toISOString()}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        registration: formattedReg,
+        remindAt: remindAt.toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in snoozeReminder function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
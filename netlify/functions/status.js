@@ -0,0 +1,85 @@
+// netlify/functions/status.js
+const { connectToDatabase } = require('./utils/mongodb');
+const { getCircuitStatus, STATE } = require('./utils/circuitBreaker');
+const { getLock } = require('./utils/runLock');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI', 'MONGODB_DB_NAME'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Public service status: MOT API circuit breaker and the last scheduled check
+ */
+exports.handler = async (event) => {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const [circuit, scheduledCheck, runLock] = await Promise.all([
+      getCircuitStatus(),
+      db.collection('service_status').findOne({ _id: 'scheduled_check' }),
+      getLock(db, 'scheduled-mot-check')
+    ]);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        status: circuit.state === STATE.CLOSED ? 'ok' : 'degraded',
+        motApi: {
+          circuit: circuit.state,
+          consecutiveFailures: circuit.consecutiveFailures,
+          openedAt: circuit.openedAt,
+          retryAfter: circuit.retryAfter,
+          lastSuccessAt: circuit.lastSuccessAt,
+          lastFailureAt: circuit.lastFailureAt,
+          lastFailureCode: circuit.lastFailureCode
+        },
+        scheduledCheck: {
+          running: Boolean(runLock),
+          lastRunId: scheduledCheck?.lastRunId || null,
+          lastRunStartedAt: scheduledCheck?.lastRunStartedAt || null,
+          lastRunCompletedAt: scheduledCheck?.lastRunCompletedAt || null,
+          lastRunResults: scheduledCheck?.lastRunResults || null
+        },
+        timestamp: new Date().toISOString()
+      })
+    };
+  } catch (error) {
+    console.error('Error in status function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -0,0 +1,227 @@
+// netlify/functions/subscribeEmail.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { isEmailConfigured, sendEmail } = require('./utils/mailer');
+const { buildVerificationEmail } = require('./utils/emailTemplates');
+const {
+  EMAIL_STATUS,
+  VERIFICATION_TTL,
+  createToken,
+  normalizeEmail,
+  ensureIndexes,
+  getVerifyUrl
+} = require('./utils/emailNotifications');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+// Don't send another confirmation email to the same address for the same vehicle within this time
+const RESEND_COOLDOWN = 5 * 60 * 1000;
+
+/**
+ * Starts email updates for a vehicle. POST { email, registration }.
+ * Nothing is sent to the address until it is confirmed from the email this sends (double opt-in).
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Method not allowed',
+        code: 'METHOD_NOT_ALLOWED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  if (!isEmailConfigured()) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Email updates are not available',
+        code: 'EMAIL_NOT_CONFIGURED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  try {
+    let email, registration;
+    try {
+      ({ email, registration } = JSON.parse(event.body));
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Invalid JSON in request body',
+          code: 'INVALID_JSON',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    if (!registration || typeof registration !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Registration is required',
+          code: 'MISSING_REGISTRATION',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    const address = typeof email === 'string' ? normalizeEmail(email) : null;
+    if (!address) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'A valid email address is required',
+          code: 'INVALID_EMAIL',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // Format the registration (remove spaces, uppercase)
+    const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+    const db = await connectToDatabase();
+    await ensureIndexes(db);
+    const collection = db.collection('email_subscriptions');
+
+    const existing = await collection.findOne({ email: address, registration: formattedReg });
+
+    if (existing?.status === EMAIL_STATUS.ACTIVE) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          registration: formattedReg,
+          status: EMAIL_STATUS.ACTIVE,
+          message: `${address} already gets updates for ${formattedReg}`
+        })
+      };
+    }
+
+    if (existing?.status === EMAIL_STATUS.PENDING && Date.now() - new Date(existing.verificationSentAt) < RESEND_COOLDOWN) {
+      return {
+        statusCode: 429,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'A confirmation email was sent a moment ago - please check your inbox',
+          code: 'VERIFICATION_RECENTLY_SENT',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    // A new link each time, so only the latest confirmation email works.
+    // Unsubscribed addresses have to confirm again too.
+    const verifyToken = createToken();
+    await collection.updateOne(
+      { email: address, registration: formattedReg },
+      {
+        $set: {
+          status: EMAIL_STATUS.PENDING,
+          verifyToken,
+          verifyExpiresAt: new Date(Date.now() + VERIFICATION_TTL),
+          verificationSentAt: new Date()
+        },
+        $setOnInsert: {
+          unsubscribeToken: createToken(),
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    try {
+      await sendEmail({
+        to: address,
+        ...buildVerificationEmail({ registration: formattedReg, verifyUrl: getVerifyUrl(verifyToken) })
+      });
+    } catch (sendError) {
+      console.error(`Failed to send confirmation email for ${formattedReg}:`, sendError);
+      // Let them try again straight away
+      await collection.updateOne(
+        { email: address, registration: formattedReg },
+        { $unset: { verificationSentAt: '' } }
+      );
+
+      return {
+        statusCode: 502,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'Could not send the confirmation email - please try again later',
+          code: 'EMAIL_SEND_FAILED',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
+    console.log(`Sent email confirmation for ${formattedReg}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        registration: formattedReg,
+        status: EMAIL_STATUS.PENDING,
+        message: `Check ${address} for a link to confirm email updates for ${formattedReg}`
+      })
+    };
+  } catch (error) {
+    console.error('Error in subscribeEmail function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: error.message || 'Internal server error',
+        code: 'INTERNAL_SERVER_ERROR',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
@@ -2,6 +2,7 @@
 
 const webpush = require('web-push');
 const { connectToDatabase } = require('./utils/mongodb');
+const { normalizeEventTypes } = require('./utils/vehicleChanges');
 
 // Environment variable validation
 function validateEnvironmentVariables() {
@@ -55,12 +56,13 @@ exports.handler = async function(event, context) {
 
   try {
     // Parse the request body
-    let registration, subscription, deviceId;
+    let registration, subscription, deviceId, eventTypes;
     try {
       const body = JSON.parse(event.body);
       registration = body.registration;
       subscription = body.subscription;
       deviceId = body.deviceId;
+      eventTypes = body.eventTypes; // Optional - which change events to notify about
     } catch (parseError) {
       return {
         statusCode: 400,
@@ -113,6 +115,20 @@ exports.handler = async function(event, context) {
       };
     }
 
+    const formattedEventTypes = normalizeEventTypes(eventTypes);
+    if (formattedEventTypes === false) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: true,
+          message: 'eventTypes must be a list of known change event types',
+          code: 'INVALID_EVENT_TYPES',
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+
     // Format the registration (remove spaces, uppercase)
     const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
     console.log(`Subscribing device ${deviceId} to push notifications for ${formattedReg}`);
@@ -162,13 +178,18 @@ exports.handler = async function(event, context) {
       ipAddress: event.headers['x-forwarded-for'] || 'Unknown'
     };
 
-    // Use upsert to replace existing subscription for this device+registration combination
-    await subscriptionsCollection.replaceOne(
+    // Only change event preferences if they were sent, so re-subscribing keeps them
+    if (formattedEventTypes !== null) {
+      subscriptionRecord.eventTypes = formattedEventTypes;
+    }
+
+    // Use upsert to update the existing subscription for this device+registration combination
+    await subscriptionsCollection.updateOne(
       { 
         registration: formattedReg,
         deviceId: deviceId
       },
-      subscriptionRecord,
+      { $set: subscriptionRecord, $unset: { deactivatedAt: '' } },
       { upsert: true }
     );
 
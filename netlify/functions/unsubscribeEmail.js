@@ -0,0 +1,125 @@
+// netlify/functions/unsubscribeEmail.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { EMAIL_STATUS } = require('./utils/emailNotifications');
+const { buildResultPage } = require('./utils/emailTemplates');
+const { setDigestFrequency } = require('./utils/digests');
+const emailChannel = require('./utils/channels/email');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Stops email updates for one vehicle, with the token from the unsubscribe link (?token=), or
+ * for every vehicle on that address with &all=true (the link in digests).
+ * GET is the link in the email; POST is the mail client's own one-click unsubscribe (RFC 8058).
+ */
+exports.handler = async function(event, context) {
+  const isOneClick = event.httpMethod === 'POST';
+  const headers = {
+    'Content-Type': isOneClick ? 'text/plain; charset=utf-8' : 'text/html; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod !== 'GET' && !isOneClick) {
+    return {
+      statusCode: 405,
+      headers,
+      body: buildResultPage({ heading: 'Method not allowed', message: 'Open the unsubscribe link from your email.', accent: 'danger' })
+    };
+  }
+
+  const token = event.queryStringParameters?.token;
+  const all = event.queryStringParameters?.all === 'true';
+
+  try {
+    const db = await connectToDatabase();
+    const collection = db.collection('email_subscriptions');
+    const subscriber = token ? await collection.findOne({ unsubscribeToken: token }) : null;
+
+    if (!subscriber) {
+      return {
+        statusCode: 404,
+        headers,
+        body: isOneClick
+          ? 'Unknown unsubscribe token'
+          : buildResultPage({
+            heading: 'Link not recognised',
+            message: 'This unsubscribe link is invalid. If you keep getting emails, use the link in the most recent one.',
+            accent: 'warning'
+          })
+      };
+    }
+
+    if (all) {
+      const result = await collection.updateMany(
+        { email: subscriber.email, status: { $ne: EMAIL_STATUS.UNSUBSCRIBED } },
+        {
+          $set: { status: EMAIL_STATUS.UNSUBSCRIBED, unsubscribedAt: new Date() },
+          $unset: { verifyToken: '', verifyExpiresAt: '' }
+        }
+      );
+      await setDigestFrequency(db, emailChannel.name, subscriber.email, null);
+      console.log(`Email subscriber ${subscriber._id} unsubscribed from all ${result.modifiedCount} vehicles${isOneClick ? ' (one-click)' : ''}`);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: isOneClick
+          ? 'Unsubscribed'
+          : buildResultPage({
+            heading: 'Unsubscribed',
+            message: "You won't get any more MOT emails."
+          })
+      };
+    }
+
+    // Clicking it twice is fine
+    if (subscriber.status !== EMAIL_STATUS.UNSUBSCRIBED) {
+      await collection.updateOne(
+        { _id: subscriber._id },
+        {
+          $set: { status: EMAIL_STATUS.UNSUBSCRIBED, unsubscribedAt: new Date() },
+          $unset: { verifyToken: '', verifyExpiresAt: '' }
+        }
+      );
+      console.log(`Email subscription ${subscriber._id} unsubscribed from ${subscriber.registration}${isOneClick ? ' (one-click)' : ''}`);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: isOneClick
+        ? 'Unsubscribed'
+        : buildResultPage({
+          heading: 'Unsubscribed',
+          message: `You won't get any more emails about ${subscriber.registration}.`,
+          registration: subscriber.registration
+        })
+    };
+  } catch (error) {
+    console.error('Error in unsubscribeEmail function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: isOneClick
+        ? 'Internal server error'
+        : buildResultPage({
+          heading: 'Something went wrong',
+          message: 'We could not unsubscribe you just now. Please try the link again later.',
+          accent: 'danger'
+        })
+    };
+  }
+};
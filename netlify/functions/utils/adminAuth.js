@@ -0,0 +1,45 @@
+// netlify/functions/utils/adminAuth.js
+const crypto = require('crypto');
+
+/**
+ * Checks an admin request's bearer token against ADMIN_API_KEY
+ * @param {Object} event - Netlify function event
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} - A 401 response to return, or null if the request is authorised
+ */
+function requireAdmin(event, headers) {
+  const authHeader = event.headers?.authorization || event.headers?.Authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Unauthorized - Bearer token required',
+        code: 'UNAUTHORIZED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  // Compare in constant time so the key can't be guessed a character at a time
+  const provided = Buffer.from(authHeader.substring(7));
+  const expected = Buffer.from(process.env.ADMIN_API_KEY || '');
+  if (expected.length === 0 || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({
+        error: true,
+        message: 'Unauthorized - Invalid token',
+        code: 'UNAUTHORIZED',
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+
+  return null;
+}
+
+module.exports = { requireAdmin };
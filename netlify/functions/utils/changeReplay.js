@@ -0,0 +1,39 @@
+// netlify/functions/utils/changeReplay.js
+const { buildSnapshot, diffSnapshots, buildNotificationData } = require('./vehicleChanges');
+
+/**
+ * Accepts either a stored snapshot or a raw MOT API response
+ */
+function toSnapshot(version) {
+  return Array.isArray(version.tests) ? version : buildSnapshot(version);
+}
+
+/**
+ * Feeds a sequence of vehicle versions through the change detector, as if the scheduled check
+ * had seen each one in turn. Nothing is read from or written to the database.
+ * @param {string} registration - Registration the notifications would be sent for
+ * @param {Array<Object>} versions - Snapshots or MOT API responses, oldest first. The first is the baseline.
+ * @returns {Array<Object>} - One step per version after the first: { from, to, events, notifications }
+ */
+function replayVersions(registration, versions) {
+  const snapshots = versions.map(toSnapshot);
+  const steps = [];
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    const events = diffSnapshots(previous, current);
+    const previousTestDate = previous.tests[0]?.completedDate || null;
+
+    steps.push({
+      from: i - 1,
+      to: i,
+      events: events.map(({ type, key, summary, details }) => ({ type, key, summary, details })),
+      notifications: events.map(event => buildNotificationData(registration, event, current, previousTestDate))
+    });
+  }
+
+  return steps;
+}
+
+module.exports = { replayVersions };
@@ -0,0 +1,110 @@
+// netlify/functions/utils/channels/chat.js
+const axios = require('axios');
+const { getEventTypeFilter, getTestResultFilter } = require('../vehicleChanges');
+const { getAppUrl, getNotificationContent } = require('../emailTemplates');
+const { getMuteFilter } = require('../notificationActions');
+
+const name = 'chat';
+
+const PROVIDERS = {
+  SLACK: 'slack', // Also Mattermost, Rocket.Chat and others that take Slack's { text } format
+  DISCORD: 'discord'
+};
+
+const COLOURS = {
+  info: 0x2563eb,
+  success: 0x16a34a,
+  warning: 0xd97706,
+  danger: 0xdc2626
+};
+
+const SEND_TIMEOUT = 5000;
+
+/**
+ * Works out the message format from an incoming webhook URL
+ * @returns {string|null} - One of PROVIDERS, or null if it isn't an https URL
+ */
+function detectProvider(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'https:') return null;
+
+  return /(^|\.)discord(app)?\.com$/.test(parsed.hostname) ? PROVIDERS.DISCORD : PROVIDERS.SLACK;
+}
+
+/**
+ * Devices that have added chat to their channels for the registration, want this notification
+ * and haven't muted the vehicle
+ */
+async function findRecipients(db, registration, notificationData, options = {}) {
+  return db.collection('push_subscriptions').find({
+    $and: [
+      { registration },
+      options.recipientId ? { deviceId: options.recipientId } : {},
+      // Reminders the device asked for itself go whatever it's chosen to hear about, even if muted
+      options.ignorePreferences ? {} : getEventTypeFilter(notificationData),
+      options.ignorePreferences ? {} : getTestResultFilter(notificationData),
+      options.ignorePreferences ? {} : getMuteFilter(),
+      { channels: name },
+      { 'chat.url': { $exists: true, $nin: [null, ''] } }
+    ]
+  }).toArray();
+}
+
+function describeRecipient(sub) {
+  return `${sub.chat?.provider || name} chat for device ${sub.deviceId}`;
+}
+
+/**
+ * A chat message in the provider's own format, with a link back to the vehicle
+ */
+function format(notificationData, sub) {
+  const content = getNotificationContent(notificationData);
+  const viewUrl = `${getAppUrl()}/?registration=${encodeURIComponent(notificationData.registration)}`;
+  const body = [...content.lines, ...(content.list || []).map(item => `• ${item}`)].join('\n');
+
+  if (sub.chat.provider === PROVIDERS.DISCORD) {
+    return {
+      embeds: [{
+        title: content.heading,
+        description: body.slice(0, 4000),
+        url: viewUrl,
+        color: COLOURS[content.accent]
+      }]
+    };
+  }
+
+  // Slack treats <, > and & as markup
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return {
+    text: `*${escape(content.heading)}*\n${escape(body)}\n<${viewUrl}|View MOT history>`
+  };
+}
+
+async function send(db, sub, message) {
+  const response = await axios.post(sub.chat.url, message, {
+    timeout: SEND_TIMEOUT,
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Chat webhook responded with HTTP ${response.status}`);
+  }
+}
+
+module.exports = {
+  name,
+  PROVIDERS,
+  detectProvider,
+  isConfigured: () => true,
+  findRecipients,
+  describeRecipient,
+  format,
+  send,
+  getDeviceId: sub => sub.deviceId
+};
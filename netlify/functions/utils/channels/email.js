@@ -0,0 +1,88 @@
+// netlify/functions/utils/channels/email.js
+const { getEventTypeFilter } = require('../vehicleChanges');
+const { isEmailConfigured, sendEmail } = require('../mailer');
+const { buildNotificationEmail, buildDigestEmail } = require('../emailTemplates');
+const { EMAIL_STATUS, getUnsubscribeUrl, getDigestSettingsUrl } = require('../emailNotifications');
+const { DIGEST_FREQUENCIES } = require('../digests');
+
+const name = 'email';
+
+/**
+ * Addresses that have confirmed they want updates for the registration and want this notification
+ */
+async function findRecipients(db, registration, notificationData, options = {}) {
+  return db.collection('email_subscriptions').find({
+    $and: [
+      { registration },
+      options.recipientId ? { _id: options.recipientId } : {},
+      { status: EMAIL_STATUS.ACTIVE },
+      getEventTypeFilter(notificationData)
+    ]
+  }).toArray();
+}
+
+function describeRecipient(subscriber) {
+  return `email subscriber ${subscriber._id}`;
+}
+
+/**
+ * HTML and plain-text email, with the subscriber's own unsubscribe link
+ */
+function format(notificationData, subscriber) {
+  const unsubscribeUrl = getUnsubscribeUrl(subscriber.unsubscribeToken);
+  return {
+    ...buildNotificationEmail(notificationData, {
+      unsubscribeUrl,
+      digestUrl: getDigestSettingsUrl(subscriber.unsubscribeToken, DIGEST_FREQUENCIES.DAILY)
+    }),
+    // One-click unsubscribe from the mail client itself (RFC 8058)
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+async function send(db, subscriber, email) {
+  await sendEmail({ to: subscriber.email, ...email });
+  await db.collection('email_subscriptions').updateOne({ _id: subscriber._id }, { $set: { lastNotifiedAt: new Date() } });
+}
+
+/**
+ * One email covering every vehicle in the digest, whichever subscription each event came from
+ */
+async function sendDigest(db, email, digest) {
+  const subscriber = await db.collection('email_subscriptions').findOne({ email, status: EMAIL_STATUS.ACTIVE });
+  if (!subscriber) return false;
+
+  const token = subscriber.unsubscribeToken;
+  const unsubscribeUrl = getUnsubscribeUrl(token, { all: true });
+  // No frequency means this is the last one, after switching back to each update
+  const switchUrls = !digest.frequency ? {} : {
+    'Get each update as it happens': getDigestSettingsUrl(token, 'OFF'),
+    ...(digest.frequency === DIGEST_FREQUENCIES.WEEKLY
+      ? { 'Switch to a daily digest': getDigestSettingsUrl(token, DIGEST_FREQUENCIES.DAILY) }
+      : { 'Switch to a weekly digest': getDigestSettingsUrl(token, DIGEST_FREQUENCIES.WEEKLY) })
+  };
+
+  await sendEmail({
+    to: email,
+    ...buildDigestEmail(digest, { unsubscribeUrl, switchUrls }),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+  return true;
+}
+
+module.exports = {
+  name,
+  isConfigured: isEmailConfigured,
+  findRecipients,
+  describeRecipient,
+  format,
+  send,
+  getDigestKey: subscriber => subscriber.email,
+  sendDigest
+};
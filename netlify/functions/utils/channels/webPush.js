@@ -0,0 +1,215 @@
+// netlify/functions/utils/channels/webPush.js
+const { getEventTypeFilter, getTestResultFilter } = require('../vehicleChanges');
+const { getQuietHoursEnd } = require('../quietHours');
+const { OUTBOX_STATUS, queuePush } = require('../pushOutbox');
+const { updateDeliveryStatus } = require('../notificationEvents');
+const { getMuteFilter } = require('../notificationActions');
+
+const name = 'webPush';
+
+// A held push still SENDING after this was cut off mid-release, and can be released again
+const RELEASE_LEASE = 5 * 60 * 1000;
+
+// Wait before trying again to release a push that never reached the outbox: 5 minutes,
+// 30 minutes, 2 hours, then 6 hours - then give up
+const RELEASE_RETRY_DELAYS = [5, 30, 120, 360].map(minutes => minutes * 60 * 1000);
+
+function isConfigured() {
+  return !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY && process.env.VAPID_MAILTO);
+}
+
+/**
+ * Devices with an active, valid push subscription for the registration that want this notification
+ * on this channel and haven't muted the vehicle - devices that haven't chosen channels get web push
+ */
+async function findRecipients(db, registration, notificationData, options = {}) {
+  return db.collection('push_subscriptions').find({
+    $and: [
+      { registration },
+      options.recipientId ? { deviceId: options.recipientId } : {},
+      // Reminders the device asked for itself go whatever it's chosen to hear about, even if muted
+      options.ignorePreferences ? {} : getEventTypeFilter(notificationData),
+      options.ignorePreferences ? {} : getTestResultFilter(notificationData),
+      options.ignorePreferences ? {} : getMuteFilter(),
+      { $or: [{ channels: { $exists: false } }, { channels: null }, { channels: name }] },
+      { $or: [{ active: true }, { active: { $exists: false } }] }, // Default active if field missing
+      { 'subscription.endpoint': { $exists: true, $nin: [null, ''] } },
+      { 'subscription.keys.p256dh': { $exists: true, $nin: [null, ''] } },
+      { 'subscription.keys.auth': { $exists: true, $nin: [null, ''] } }
+    ]
+  }).toArray();
+}
+
+function describeRecipient(sub) {
+  return `device ${sub.deviceId}`;
+}
+
+/**
+ * The service worker builds the notification itself, so it gets the shared payload as it is
+ */
+function format(notificationData) {
+  return JSON.stringify(notificationData);
+}
+
+/**
+ * Sends through the push outbox, throwing if the first attempt didn't get through. The outbox
+ * retries it later if it's worth retrying (see utils/pushOutbox.js), so the error is marked queued.
+ */
+async function deliver(db, sub, payload, details) {
+  const entry = await queuePush(db, sub, payload, details);
+
+  if (entry.status !== OUTBOX_STATUS.DELIVERED) {
+    const next = entry.nextAttemptAt ? `will retry at ${entry.nextAttemptAt.toISOString()}` : `dead-lettered: ${entry.deadLetterReason}`;
+    throw Object.assign(new Error(`${entry.lastError} (outbox ${entry._id}, ${next})`), { queued: true });
+  }
+}
+
+/**
+ * Sends straight away, or holds the push in held_notifications until the device's quiet hours end
+ */
+async function send(db, sub, payload, { registration, notificationData }) {
+  const heldUntil = getQuietHoursEnd(sub.quietHours);
+  if (!heldUntil) {
+    await deliver(db, sub, payload, { registration, type: notificationData.type, eventId: notificationData.eventId });
+    return null;
+  }
+
+  await db.collection('held_notifications').insertOne({
+    subscriptionId: sub._id,
+    deviceId: sub.deviceId,
+    registration,
+    type: notificationData.type,
+    eventId: notificationData.eventId || null,
+    payload,
+    status: 'HELD',
+    heldAt: new Date(),
+    releaseAt: heldUntil
+  });
+  console.log(`Holding ${notificationData.type} for device ${sub.deviceId} until ${heldUntil.toISOString()} (quiet hours)`);
+  return { heldUntil };
+}
+
+/**
+ * One push summing up a digest - the sections are left to the app, which the push links to.
+ * Goes to the device's most recently used subscription, since they all share its push endpoint.
+ */
+async function sendDigest(db, deviceId, digest) {
+  const [sub] = await db.collection('push_subscriptions').find({
+    $and: [
+      { deviceId },
+      { $or: [{ channels: { $exists: false } }, { channels: null }, { channels: name }] },
+      { $or: [{ active: true }, { active: { $exists: false } }] },
+      { 'subscription.endpoint': { $exists: true, $nin: [null, ''] } }
+    ]
+  }).sort({ lastNotifiedAt: -1 }).limit(1).toArray();
+  if (!sub) return false;
+
+  const notificationData = {
+    type: 'DIGEST',
+    frequency: digest.frequency,
+    title: digest.title,
+    summary: digest.summary,
+    sections: digest.sections.map(section => ({ title: section.title, count: section.items.length })),
+    url: digest.path
+  };
+  // Quiet hours still apply
+  await send(db, sub, format(notificationData), { registration: null, notificationData });
+  return true;
+}
+
+/**
+ * Sends pushes held for quiet hours that have now ended. Quiet hours are checked again, in case
+ * the device has changed them since. Pushes left SENDING by a run that died are taken over once
+ * their lease has passed. A push is only removed once the push outbox has it; one that fails
+ * before then is held again and retried later.
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { limit, deadline: stop starting sends after this time (ms) }
+ * @returns {Promise<Object>} - { released, failed }
+ */
+async function releaseHeldNotifications(db, { limit, deadline }) {
+  const held = db.collection('held_notifications');
+  const results = { released: 0, failed: 0 };
+
+  const stale = { status: 'SENDING', claimedAt: { $lte: new Date(Date.now() - RELEASE_LEASE) } };
+  const due = await held.find({ $or: [{ status: 'HELD', releaseAt: { $lte: new Date() } }, stale] })
+    .sort({ releaseAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  for (const item of due) {
+    if (Date.now() >= deadline) break;
+
+    // Claim it so an overlapping run can't send it too - or take it over from a run that died
+    const claimed = await held.findOneAndUpdate(
+      { _id: item._id, $or: [{ status: 'HELD' }, stale] },
+      { $set: { status: 'SENDING', claimedAt: new Date() } }
+    );
+    if (!claimed.value) continue;
+
+    try {
+      const sub = await db.collection('push_subscriptions').findOne({ _id: item.subscriptionId });
+      if (!sub || sub.active === false) {
+        await held.deleteOne({ _id: item._id });
+        continue;
+      }
+
+      const heldUntil = getQuietHoursEnd(sub.quietHours);
+      if (heldUntil) {
+        await held.updateOne({ _id: item._id }, { $set: { status: 'HELD', releaseAt: heldUntil } });
+        continue;
+      }
+
+      await deliver(db, sub, item.payload, { registration: item.registration, type: item.type, eventId: item.eventId });
+      await held.deleteOne({ _id: item._id });
+      if (item.eventId) {
+        await updateDeliveryStatus(db, item.eventId, item.deviceId, name, 'SENT');
+      }
+      results.released++;
+    } catch (error) {
+      console.error(`Failed to release held ${item.type} for device ${item.deviceId}:`, error.message);
+      results.failed++;
+
+      // A push that didn't get through is in the push outbox, which retries it if it's worth retrying
+      if (error.queued) {
+        await held.deleteOne({ _id: item._id });
+        continue;
+      }
+
+      const releaseAttempts = (item.releaseAttempts || 0) + 1;
+      if (releaseAttempts > RELEASE_RETRY_DELAYS.length) {
+        console.error(`Giving up on held ${item.type} for device ${item.deviceId} after ${releaseAttempts} attempts`);
+        await held.deleteOne({ _id: item._id });
+        if (item.eventId) {
+          await updateDeliveryStatus(db, item.eventId, item.deviceId, name, 'FAILED');
+        }
+        continue;
+      }
+      await held.updateOne(
+        { _id: item._id },
+        {
+          $set: {
+            status: 'HELD',
+            releaseAt: new Date(Date.now() + RELEASE_RETRY_DELAYS[releaseAttempts - 1]),
+            releaseAttempts,
+            lastError: error.message
+          }
+        }
+      );
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  name,
+  isConfigured,
+  findRecipients,
+  describeRecipient,
+  format,
+  send,
+  getDeviceId: sub => sub.deviceId,
+  getDigestKey: sub => sub.deviceId,
+  sendDigest,
+  releaseHeldNotifications
+};
@@ -0,0 +1,133 @@
+// netlify/functions/utils/channels/webPush.test.js
+const { queuePush, OUTBOX_STATUS } = require('../pushOutbox');
+const { updateDeliveryStatus } = require('../notificationEvents');
+const { releaseHeldNotifications } = require('./webPush');
+
+jest.mock('../pushOutbox', () => ({
+  ...jest.requireActual('../pushOutbox'),
+  queuePush: jest.fn()
+}));
+jest.mock('../notificationEvents', () => ({ updateDeliveryStatus: jest.fn() }));
+
+const NOW = new Date('2025-01-15T08:00:00.000Z');
+
+const SUB = { _id: 'sub-1', deviceId: 'device-1', subscription: { endpoint: 'https://push.example.com/1' } };
+
+function heldItem(overrides = {}) {
+  return {
+    _id: 'held-1',
+    subscriptionId: SUB._id,
+    deviceId: SUB.deviceId,
+    registration: 'AB12CDE',
+    type: 'NEW_TEST',
+    eventId: 'event-1',
+    payload: '{}',
+    status: 'HELD',
+    releaseAt: new Date(NOW.getTime() - 1000),
+    ...overrides
+  };
+}
+
+/**
+ * held_notifications with one item, and push_subscriptions returning findSub()
+ */
+function fakeDb(item, findSub = async () => SUB) {
+  const held = {
+    item,
+    find: jest.fn(() => ({ sort: () => ({ limit: () => ({ toArray: async () => (held.item ? [{ ...held.item }] : []) }) }) })),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const before = { ...held.item };
+      Object.assign(held.item, update.$set);
+      return { value: before };
+    }),
+    updateOne: jest.fn(async (filter, update) => Object.assign(held.item, update.$set)),
+    deleteOne: jest.fn(async () => { held.item = null; })
+  };
+  const subscriptions = { findOne: jest.fn(findSub) };
+  return {
+    held,
+    db: { collection: name => (name === 'held_notifications' ? held : subscriptions) }
+  };
+}
+
+const release = db => releaseHeldNotifications(db, { limit: 10, deadline: Infinity });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('releaseHeldNotifications', () => {
+  it('sends a held push and removes it once delivered', async () => {
+    queuePush.mockResolvedValue({ status: OUTBOX_STATUS.DELIVERED });
+    const { db, held } = fakeDb(heldItem());
+
+    await expect(release(db)).resolves.toEqual({ released: 1, failed: 0 });
+
+    expect(queuePush).toHaveBeenCalledWith(db, SUB, '{}', { registration: 'AB12CDE', type: 'NEW_TEST', eventId: 'event-1' });
+    expect(held.item).toBeNull();
+    expect(updateDeliveryStatus).toHaveBeenCalledWith(db, 'event-1', 'device-1', 'webPush', 'SENT');
+  });
+
+  it('removes a push the outbox has taken to retry itself', async () => {
+    queuePush.mockResolvedValue({ _id: 'outbox-1', status: OUTBOX_STATUS.PENDING, lastError: 'HTTP 503', nextAttemptAt: new Date(NOW.getTime() + 60000) });
+    const { db, held } = fakeDb(heldItem());
+
+    await expect(release(db)).resolves.toEqual({ released: 0, failed: 1 });
+
+    expect(held.item).toBeNull();
+  });
+
+  it('holds a push again, with a backoff, if it failed before reaching the outbox', async () => {
+    const { db, held } = fakeDb(heldItem(), async () => { throw new Error('connection reset'); });
+
+    await expect(release(db)).resolves.toEqual({ released: 0, failed: 1 });
+
+    expect(queuePush).not.toHaveBeenCalled();
+    expect(held.item).toMatchObject({
+      status: 'HELD',
+      releaseAt: new Date(NOW.getTime() + 5 * 60 * 1000),
+      releaseAttempts: 1,
+      lastError: 'connection reset'
+    });
+
+    jest.setSystemTime(held.item.releaseAt);
+    await release(db);
+    expect(held.item).toMatchObject({ releaseAttempts: 2, releaseAt: new Date(Date.now() + 30 * 60 * 1000) });
+  });
+
+  it('gives up after its last retry and marks the delivery failed', async () => {
+    const { db, held } = fakeDb(heldItem({ releaseAttempts: 4 }), async () => { throw new Error('connection reset'); });
+
+    await release(db);
+
+    expect(held.item).toBeNull();
+    expect(updateDeliveryStatus).toHaveBeenCalledWith(db, 'event-1', 'device-1', 'webPush', 'FAILED');
+  });
+
+  it("holds it until the device's quiet hours end if they've been changed", async () => {
+    const quietHours = { start: '07:00', end: '09:00', timeZone: 'UTC' };
+    const { db, held } = fakeDb(heldItem(), async () => ({ ...SUB, quietHours }));
+
+    await release(db);
+
+    expect(queuePush).not.toHaveBeenCalled();
+    expect(held.item).toMatchObject({ status: 'HELD', releaseAt: new Date('2025-01-15T09:00:00.000Z') });
+  });
+
+  it('drops a push for a device that has unsubscribed', async () => {
+    const { db, held } = fakeDb(heldItem(), async () => null);
+
+    await release(db);
+
+    expect(queuePush).not.toHaveBeenCalled();
+    expect(held.item).toBeNull();
+  });
+});
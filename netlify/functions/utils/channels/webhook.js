@@ -0,0 +1,74 @@
+// netlify/functions/utils/channels/webhook.js
+const crypto = require('crypto');
+const { getEventTypeFilter } = require('../vehicleChanges');
+const { DELIVERY_STATUS, ensureIndexes, attemptDelivery } = require('../webhooks');
+
+const name = 'webhook';
+
+/**
+ * Active webhook subscriptions covering the registration that want this notification
+ */
+async function findRecipients(db, registration, notificationData, options = {}) {
+  return db.collection('webhook_subscriptions').find({
+    $and: [
+      { registrations: registration },
+      options.recipientId ? { _id: options.recipientId } : {},
+      getEventTypeFilter(notificationData),
+      { active: true }
+    ]
+  }).toArray();
+}
+
+function describeRecipient(subscription) {
+  return `webhook ${subscription._id}`;
+}
+
+/**
+ * JSON envelope around the shared payload. The id is also the delivery id, which stays the
+ * same on retries so receivers can de-duplicate.
+ */
+function format(notificationData) {
+  return {
+    id: crypto.randomUUID(),
+    type: notificationData.type,
+    registration: notificationData.registration,
+    createdAt: new Date().toISOString(),
+    data: notificationData
+  };
+}
+
+/**
+ * Logs the delivery and makes the first attempt. If that fails the delivery stays in the log
+ * and later scheduled runs retry it (see retryWebhookDeliveries).
+ */
+async function send(db, subscription, payload, { registration }) {
+  await ensureIndexes(db);
+
+  const delivery = {
+    _id: payload.id,
+    subscriptionId: subscription._id,
+    registration,
+    type: payload.type,
+    payload,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: [],
+    attemptCount: 0,
+    createdAt: new Date()
+  };
+  await db.collection('webhook_deliveries').insertOne(delivery);
+
+  const result = await attemptDelivery(db, delivery, subscription);
+  if (result.status !== DELIVERY_STATUS.DELIVERED) {
+    const retry = result.nextAttemptAt ? `will retry at ${result.nextAttemptAt.toISOString()}` : 'no retries left';
+    throw Object.assign(new Error(`${result.lastError} (delivery ${delivery._id}, ${retry})`), { queued: true });
+  }
+}
+
+module.exports = {
+  name,
+  isConfigured: () => true,
+  findRecipients,
+  describeRecipient,
+  format,
+  send
+};
@@ -0,0 +1,118 @@
+// netlify/functions/utils/checkRuns.js
+const crypto = require('crypto');
+
+// How long run history is kept before a TTL index removes it
+const RETENTION_DAYS = parseInt(process.env.CHECK_RUN_RETENTION_DAYS || '90', 10);
+
+// Run statuses
+const RUN_STATUS = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  SKIPPED: 'SKIPPED' // Another run held the lock
+};
+
+// What happened to one vehicle in a run
+const VEHICLE_OUTCOME = {
+  CHANGED: 'CHANGED',
+  UNCHANGED: 'UNCHANGED',
+  ERROR: 'ERROR',
+  NOT_CHECKED: 'NOT_CHECKED' // Released unchecked, e.g. the MOT API circuit was open
+};
+
+// Only create the run history indexes once per container
+let indexesEnsured = false;
+
+// The audit log never fails a run - problems writing it are only logged
+async function writeSafely(description, write) {
+  try {
+    await write();
+  } catch (error) {
+    console.error(`Failed to record ${description} in check_runs:`, error);
+  }
+}
+
+async function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+
+  await collection.createIndex({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, background: true });
+  await collection.createIndex({ 'vehicles.registration': 1, startedAt: -1 }, { background: true });
+  indexesEnsured = true;
+}
+
+/**
+ * Records the start of a scheduled run
+ * @param {Object} db - MongoDB database
+ * @param {string} runId - The run's lock id
+ * @param {Object} fields - Anything else to record, e.g. { total }
+ */
+async function startCheckRun(db, runId, fields = {}) {
+  await writeSafely(`start of run ${runId}`, async () => {
+    const collection = db.collection('check_runs');
+    await ensureIndexes(collection);
+    await collection.insertOne({
+      _id: runId,
+      status: RUN_STATUS.RUNNING,
+      startedAt: new Date(),
+      completedAt: null,
+      ...fields,
+      vehicles: []
+    });
+  });
+}
+
+/**
+ * Appends one vehicle's outcome to a run
+ * @param {Object} db - MongoDB database
+ * @param {string} runId - The run's lock id
+ * @param {Object} outcome - { registration, vin, outcome, changes, notifications, error, ... }
+ */
+async function recordVehicleOutcome(db, runId, outcome) {
+  await writeSafely(`${outcome.registration} in run ${runId}`, () => db.collection('check_runs').updateOne(
+    { _id: runId },
+    { $push: { vehicles: { ...outcome, recordedAt: new Date() } } }
+  ));
+}
+
+/**
+ * Records the end of a run
+ * @param {Object} db - MongoDB database
+ * @param {string} runId - The run's lock id
+ * @param {string} status - RUN_STATUS.COMPLETED or RUN_STATUS.FAILED
+ * @param {Object} fields - { results } or { error }
+ */
+async function finishCheckRun(db, runId, status, fields = {}) {
+  await writeSafely(`end of run ${runId}`, () => db.collection('check_runs').updateOne(
+    { _id: runId },
+    { $set: { status, completedAt: new Date(), ...fields } }
+  ));
+}
+
+/**
+ * Records a run that exited straight away because another run held the lock
+ * @param {Object} db - MongoDB database
+ */
+async function recordSkippedRun(db) {
+  await writeSafely('skipped run', async () => {
+    const collection = db.collection('check_runs');
+    await ensureIndexes(collection);
+    const now = new Date();
+    await collection.insertOne({
+      _id: crypto.randomUUID(),
+      status: RUN_STATUS.SKIPPED,
+      reason: 'Another scheduled check was still running',
+      startedAt: now,
+      completedAt: now,
+      vehicles: []
+    });
+  });
+}
+
+module.exports = {
+  RUN_STATUS,
+  VEHICLE_OUTCOME,
+  startCheckRun,
+  recordVehicleOutcome,
+  finishCheckRun,
+  recordSkippedRun
+};
@@ -0,0 +1,85 @@
+// netlify/functions/utils/checkSchedule.js
+const { getCurrentExpiry } = require('./reminders');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long to wait between checks. Hourly is a little under an hour so the next hourly run picks it up.
+const CHECK_INTERVALS = {
+  HOURLY: 50 * 60 * 1000,
+  DAILY: DAY,
+  WEEKLY: 7 * DAY
+};
+
+// MOTs can be done up to a month (minus a day) early without losing the expiry date,
+// so that's when a new test becomes likely
+const HOURLY_BEFORE_EXPIRY = 45 * DAY;
+const DAILY_BEFORE_EXPIRY = 90 * DAY;
+// Keep checking an expired vehicle hourly for a while - after that it's probably off the road
+const HOURLY_AFTER_EXPIRY = 60 * DAY;
+// Failed vehicles usually come back for a retest within 10 working days
+const RETEST_WINDOW = 28 * DAY;
+
+/**
+ * Gets the latest MOT test from vehicle data, without reordering the original array
+ */
+function getLatestTest(vehicleData) {
+  if (!vehicleData || !vehicleData.motTests || vehicleData.motTests.length === 0) {
+    return null;
+  }
+
+  return [...vehicleData.motTests].sort(
+    (a, b) => new Date(b.completedDate) - new Date(a.completedDate)
+  )[0];
+}
+
+/**
+ * Works out when a vehicle should next be checked, from its MOT expiry and recent tests
+ * @param {Object} vehicleData - MOT API response for the vehicle
+ * @param {Date} now - Current time
+ * @returns {Object} - { nextCheckAt: Date, reason: string }
+ */
+function getNextCheck(vehicleData, now = new Date()) {
+  const latestTest = getLatestTest(vehicleData);
+  let interval = CHECK_INTERVALS.DAILY;
+  let reason = 'Expiry date unknown';
+
+  // The newest test with an expiry date - a failed retest doesn't end an earlier pass - or when
+  // the first MOT is due for a vehicle that has never had one
+  const expiry = getCurrentExpiry(vehicleData);
+  const untilExpiry = expiry ? new Date(expiry.expiryDate) - now : NaN;
+  const label = expiry?.firstMot ? 'First MOT due' : 'MOT expires';
+  const pastLabel = expiry?.firstMot ? 'First MOT was due' : 'MOT expired';
+
+  if (latestTest && latestTest.testResult === 'FAILED' && now - new Date(latestTest.completedDate) < RETEST_WINDOW) {
+    interval = CHECK_INTERVALS.HOURLY;
+    reason = 'Awaiting retest after a recent failure';
+  } else if (!Number.isNaN(untilExpiry)) {
+    if (untilExpiry < -HOURLY_AFTER_EXPIRY) {
+      interval = CHECK_INTERVALS.WEEKLY;
+      reason = `${pastLabel} over 60 days ago`;
+    } else if (untilExpiry < HOURLY_BEFORE_EXPIRY) {
+      interval = CHECK_INTERVALS.HOURLY;
+      reason = untilExpiry < 0 ? `${pastLabel} in the last 60 days` : `${label} within 45 days`;
+    } else if (untilExpiry < DAILY_BEFORE_EXPIRY) {
+      interval = CHECK_INTERVALS.DAILY;
+      reason = `${label} within 90 days`;
+    } else {
+      interval = CHECK_INTERVALS.WEEKLY;
+      reason = `${label} in over 90 days`;
+    }
+  }
+
+  // Spread daily and weekly checks out a little, so they don't all land on the same run
+  const jitter = interval > CHECK_INTERVALS.HOURLY ? Math.random() * interval * 0.1 : 0;
+
+  return {
+    nextCheckAt: new Date(now.getTime() + interval + jitter),
+    reason
+  };
+}
+
+module.exports = {
+  getNextCheck,
+  CHECK_INTERVALS
+};
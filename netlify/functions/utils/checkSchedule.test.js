@@ -0,0 +1,85 @@
+// netlify/functions/utils/checkSchedule.test.js
+const { CHECK_INTERVALS, getNextCheck } = require('./checkSchedule');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+
+function expiringIn(days, extraTests = []) {
+  return {
+    motTests: [
+      {
+        completedDate: '2024-01-10T10:00:00.000Z',
+        testResult: 'PASSED',
+        expiryDate: new Date(NOW.getTime() + days * DAY).toISOString().slice(0, 10)
+      },
+      ...extraTests
+    ]
+  };
+}
+
+// Daily and weekly checks get up to 10% jitter
+function expectInterval(nextCheck, interval) {
+  const delay = nextCheck.nextCheckAt - NOW;
+  expect(delay).toBeGreaterThanOrEqual(interval);
+  expect(delay).toBeLessThanOrEqual(interval * 1.1);
+}
+
+describe('getNextCheck', () => {
+  it('checks hourly while a recent failure awaits a retest', () => {
+    const failed = { completedDate: '2025-01-10T10:00:00.000Z', testResult: 'FAILED' };
+    const nextCheck = getNextCheck(expiringIn(200, [failed]), NOW);
+
+    expect(nextCheck.reason).toBe('Awaiting retest after a recent failure');
+    expect(nextCheck.nextCheckAt - NOW).toBe(CHECK_INTERVALS.HOURLY);
+  });
+
+  it('schedules an old failed retest off the expiry of the pass before it', () => {
+    const failed = { completedDate: '2024-11-01T10:00:00.000Z', testResult: 'FAILED' };
+    const nextCheck = getNextCheck(expiringIn(200, [failed]), NOW);
+
+    expect(nextCheck.reason).toBe('MOT expires in over 90 days');
+    expectInterval(nextCheck, CHECK_INTERVALS.WEEKLY);
+  });
+
+  it('checks hourly within 45 days of expiry', () => {
+    const nextCheck = getNextCheck(expiringIn(30), NOW);
+
+    expect(nextCheck.reason).toBe('MOT expires within 45 days');
+    expect(nextCheck.nextCheckAt - NOW).toBe(CHECK_INTERVALS.HOURLY);
+  });
+
+  it('checks daily within 90 days of expiry', () => {
+    const nextCheck = getNextCheck(expiringIn(60), NOW);
+
+    expect(nextCheck.reason).toBe('MOT expires within 90 days');
+    expectInterval(nextCheck, CHECK_INTERVALS.DAILY);
+  });
+
+  it('checks weekly when expiry is over 90 days away', () => {
+    expectInterval(getNextCheck(expiringIn(200), NOW), CHECK_INTERVALS.WEEKLY);
+  });
+
+  it('keeps checking hourly for 60 days after expiry, then weekly', () => {
+    const recent = getNextCheck(expiringIn(-30), NOW);
+    expect(recent.reason).toBe('MOT expired in the last 60 days');
+    expect(recent.nextCheckAt - NOW).toBe(CHECK_INTERVALS.HOURLY);
+
+    const old = getNextCheck(expiringIn(-90), NOW);
+    expect(old.reason).toBe('MOT expired over 60 days ago');
+    expectInterval(old, CHECK_INTERVALS.WEEKLY);
+  });
+
+  it('uses the first MOT due date for a vehicle that has never had one', () => {
+    const nextCheck = getNextCheck({ motTests: [], motTestDueDate: '2025-02-01' }, NOW);
+
+    expect(nextCheck.reason).toBe('First MOT due within 45 days');
+    expect(nextCheck.nextCheckAt - NOW).toBe(CHECK_INTERVALS.HOURLY);
+  });
+
+  it('checks daily when the expiry date is unknown', () => {
+    const nextCheck = getNextCheck({}, NOW);
+
+    expect(nextCheck.reason).toBe('Expiry date unknown');
+    expectInterval(nextCheck, CHECK_INTERVALS.DAILY);
+  });
+});
@@ -0,0 +1,166 @@
+// netlify/functions/utils/circuitBreaker.js
+const { connectToDatabase } = require('./mongodb');
+
+// Breaker state lives in MongoDB so every function instance sees the same outage
+const BREAKER_ID = 'mot_api';
+// Consecutive upstream failures (timeouts, 5xx) before the breaker opens
+const FAILURE_THRESHOLD = parseInt(process.env.MOT_BREAKER_FAILURE_THRESHOLD || '5', 10);
+// How long to fail fast before letting a trial request through
+const OPEN_DURATION = parseInt(process.env.MOT_BREAKER_OPEN_SECONDS || '60', 10) * 1000;
+// How long a trial request may take before another invocation can try instead
+const TRIAL_TIMEOUT = 15000;
+
+const STATE = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+/**
+ * Error thrown instead of calling the MOT API while the breaker is open
+ */
+class CircuitOpenError extends Error {
+  constructor(retryAfter) {
+    super('MOT API is unavailable');
+    this.name = 'CircuitOpenError';
+    this.retryAfter = retryAfter; // Seconds until the next trial request
+  }
+}
+
+async function getCollection() {
+  const db = await connectToDatabase();
+  return db.collection('service_status');
+}
+
+/**
+ * Checks the breaker before an MOT API call
+ * @throws {CircuitOpenError} - If the call should fail fast
+ */
+async function checkCircuit() {
+  let collection, breaker;
+  try {
+    collection = await getCollection();
+    breaker = await collection.findOne({ _id: BREAKER_ID });
+  } catch (error) {
+    // Without shared state the breaker can't help - let the call through
+    console.warn('Circuit breaker unavailable, allowing MOT API call:', error.message);
+    return;
+  }
+
+  if (!breaker || !breaker.state || breaker.state === STATE.CLOSED) {
+    return;
+  }
+
+  const now = new Date();
+  const retryField = breaker.state === STATE.OPEN ? 'openUntil' : 'trialUntil';
+  const retryAt = breaker[retryField];
+
+  if (new Date(retryAt) > now) {
+    throw new CircuitOpenError(Math.max(1, Math.ceil((new Date(retryAt) - now) / 1000)));
+  }
+
+  // Open period is over (or the last trial never reported back) - one invocation gets to try
+  let claimed;
+  try {
+    claimed = await collection.findOneAndUpdate(
+      { _id: BREAKER_ID, state: breaker.state, [retryField]: retryAt },
+      { $set: { state: STATE.HALF_OPEN, trialUntil: new Date(now.getTime() + TRIAL_TIMEOUT) } }
+    );
+  } catch (error) {
+    console.warn('Circuit breaker unavailable, allowing MOT API call:', error.message);
+    return;
+  }
+
+  if (!claimed.value) {
+    throw new CircuitOpenError(Math.ceil(TRIAL_TIMEOUT / 1000));
+  }
+
+  console.log('MOT API circuit half-open, sending trial request');
+}
+
+/**
+ * Records a successful MOT API call, closing the breaker
+ */
+async function recordSuccess() {
+  try {
+    const collection = await getCollection();
+    const previous = await collection.findOneAndUpdate(
+      { _id: BREAKER_ID },
+      {
+        $set: { state: STATE.CLOSED, consecutiveFailures: 0, lastSuccessAt: new Date() },
+        $unset: { openUntil: '', trialUntil: '' }
+      },
+      { upsert: true }
+    );
+
+    if (previous.value && previous.value.state !== STATE.CLOSED) {
+      console.log('MOT API circuit closed, upstream has recovered');
+    }
+  } catch (error) {
+    console.warn('Failed to record MOT API success:', error.message);
+  }
+}
+
+/**
+ * Records an upstream failure, opening the breaker once there have been too many
+ * @param {string} code - The MotApiError code
+ */
+async function recordFailure(code) {
+  try {
+    const collection = await getCollection();
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { _id: BREAKER_ID },
+      {
+        $inc: { consecutiveFailures: 1 },
+        $set: { lastFailureAt: now, lastFailureCode: code }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const breaker = result.value;
+
+    // A failed trial reopens straight away
+    if (breaker.state === STATE.HALF_OPEN || (breaker.state !== STATE.OPEN && breaker.consecutiveFailures >= FAILURE_THRESHOLD)) {
+      console.warn(`MOT API circuit opened after ${breaker.consecutiveFailures} consecutive failures`);
+      await collection.updateOne(
+        { _id: BREAKER_ID },
+        {
+          $set: { state: STATE.OPEN, openedAt: now, openUntil: new Date(now.getTime() + OPEN_DURATION) },
+          $unset: { trialUntil: '' }
+        }
+      );
+    }
+  } catch (error) {
+    console.warn('Failed to record MOT API failure:', error.message);
+  }
+}
+
+/**
+ * Reports the breaker for the status endpoint
+ * @returns {Promise<Object>} - { state, consecutiveFailures, openedAt, retryAfter, lastSuccessAt, lastFailureAt, lastFailureCode }
+ */
+async function getCircuitStatus() {
+  const collection = await getCollection();
+  const breaker = await collection.findOne({ _id: BREAKER_ID }) || {};
+  const state = breaker.state || STATE.CLOSED;
+  const retryAt = state === STATE.OPEN ? breaker.openUntil : null;
+
+  return {
+    state,
+    consecutiveFailures: breaker.consecutiveFailures || 0,
+    openedAt: state === STATE.CLOSED ? null : breaker.openedAt || null,
+    retryAfter: retryAt ? Math.max(0, Math.ceil((new Date(retryAt) - Date.now()) / 1000)) : null,
+    lastSuccessAt: breaker.lastSuccessAt || null,
+    lastFailureAt: breaker.lastFailureAt || null,
+    lastFailureCode: breaker.lastFailureCode || null
+  };
+}
+
+module.exports = {
+  checkCircuit,
+  recordSuccess,
+  recordFailure,
+  getCircuitStatus,
+  CircuitOpenError,
+  STATE
+};
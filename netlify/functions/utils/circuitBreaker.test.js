@@ -0,0 +1,180 @@
+// netlify/functions/utils/circuitBreaker.test.js
+const { connectToDatabase } = require('./mongodb');
+const {
+  checkCircuit,
+  recordSuccess,
+  recordFailure,
+  getCircuitStatus,
+  CircuitOpenError,
+  STATE
+} = require('./circuitBreaker');
+
+jest.mock('./mongodb', () => ({ connectToDatabase: jest.fn() }));
+
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+
+function sameValue(a, b) {
+  return a instanceof Date || b instanceof Date ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+}
+
+/**
+ * The service_status collection, holding at most the one breaker document
+ */
+function breakerCollection() {
+  const collection = { breaker: null };
+
+  const matches = filter => collection.breaker &&
+    Object.entries(filter).every(([field, value]) => sameValue(collection.breaker[field], value));
+
+  const apply = update => {
+    Object.entries(update.$inc || {}).forEach(([field, by]) => {
+      collection.breaker[field] = (collection.breaker[field] || 0) + by;
+    });
+    Object.assign(collection.breaker, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => delete collection.breaker[field]);
+  };
+
+  collection.findOne = jest.fn(async () => collection.breaker && { ...collection.breaker });
+  collection.findOneAndUpdate = jest.fn(async (filter, update, options = {}) => {
+    if (!matches(filter)) {
+      if (!options.upsert) return { value: null };
+      collection.breaker = { _id: filter._id };
+    }
+    const before = { ...collection.breaker };
+    apply(update);
+    return { value: options.returnDocument === 'after' ? { ...collection.breaker } : before };
+  });
+  collection.updateOne = jest.fn(async (filter, update) => {
+    if (matches(filter)) apply(update);
+  });
+  return collection;
+}
+
+let collection;
+
+function advance(ms) {
+  jest.setSystemTime(Date.now() + ms);
+}
+
+async function failTimes(count) {
+  for (let i = 0; i < count; i++) {
+    await recordFailure('UPSTREAM_UNAVAILABLE');
+  }
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  collection = breakerCollection();
+  connectToDatabase.mockResolvedValue({ collection: () => collection });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('circuit breaker', () => {
+  it('lets calls through until it has seen 5 consecutive failures', async () => {
+    await expect(checkCircuit()).resolves.toBeUndefined();
+
+    await failTimes(4);
+    await expect(checkCircuit()).resolves.toBeUndefined();
+
+    await failTimes(1);
+    const error = await checkCircuit().catch(e => e);
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryAfter).toBe(60);
+    expect(collection.breaker).toMatchObject({ state: STATE.OPEN, openedAt: NOW, consecutiveFailures: 5 });
+  });
+
+  it('starts counting again after a success', async () => {
+    await failTimes(4);
+    await recordSuccess();
+    await failTimes(4);
+
+    await expect(checkCircuit()).resolves.toBeUndefined();
+    expect(collection.breaker).toMatchObject({ state: STATE.CLOSED, consecutiveFailures: 4 });
+  });
+
+  it('lets one trial request through once the open period is over', async () => {
+    await failTimes(5);
+    advance(30000);
+    await expect(checkCircuit()).rejects.toMatchObject({ retryAfter: 30 });
+
+    advance(30000);
+    await expect(checkCircuit()).resolves.toBeUndefined();
+    expect(collection.breaker.state).toBe(STATE.HALF_OPEN);
+
+    // Everyone else waits for the trial
+    await expect(checkCircuit()).rejects.toMatchObject({ retryAfter: 15 });
+  });
+
+  it('only gives the trial to one of two invocations that both saw the open period end', async () => {
+    await failTimes(5);
+    advance(60000);
+
+    const results = await Promise.allSettled([checkCircuit(), checkCircuit()]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(CircuitOpenError);
+  });
+
+  it('closes when the trial succeeds', async () => {
+    await failTimes(5);
+    advance(60000);
+    await checkCircuit();
+
+    await recordSuccess();
+
+    expect(collection.breaker).toMatchObject({ state: STATE.CLOSED, consecutiveFailures: 0 });
+    expect(collection.breaker.openUntil).toBeUndefined();
+    await expect(checkCircuit()).resolves.toBeUndefined();
+  });
+
+  it('reopens straight away when the trial fails', async () => {
+    await failTimes(5);
+    advance(60000);
+    await checkCircuit();
+
+    await failTimes(1);
+
+    expect(collection.breaker.state).toBe(STATE.OPEN);
+    await expect(checkCircuit()).rejects.toMatchObject({ retryAfter: 60 });
+  });
+
+  it('lets another trial through if the last one never reported back', async () => {
+    await failTimes(5);
+    advance(60000);
+    await checkCircuit();
+
+    advance(15000);
+
+    await expect(checkCircuit()).resolves.toBeUndefined();
+    expect(collection.breaker.trialUntil).toEqual(new Date(Date.now() + 15000));
+  });
+
+  it('reports its state for the status endpoint', async () => {
+    await expect(getCircuitStatus()).resolves.toMatchObject({ state: STATE.CLOSED, consecutiveFailures: 0, retryAfter: null });
+
+    await failTimes(5);
+    advance(20000);
+
+    await expect(getCircuitStatus()).resolves.toMatchObject({
+      state: STATE.OPEN,
+      consecutiveFailures: 5,
+      openedAt: NOW,
+      retryAfter: 40,
+      lastFailureCode: 'UPSTREAM_UNAVAILABLE'
+    });
+  });
+
+  it('lets calls through when the database is unavailable', async () => {
+    connectToDatabase.mockRejectedValue(new Error('connection refused'));
+
+    await expect(checkCircuit()).resolves.toBeUndefined();
+    await expect(recordFailure('UPSTREAM_UNAVAILABLE')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,85 @@
+// netlify/functions/utils/concurrency.js
+
+/**
+ * Runs an async function over a list of items with at most `limit` calls in flight at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @param {Object} options - { spacing: minimum ms between starting calls, shouldStop: checked before each item }
+ * @returns {Promise<Array>} - Results, in the same order as the items (undefined for items never started)
+ */
+async function mapWithConcurrency(items, limit, fn, options = {}) {
+  const { spacing = 0, shouldStop = () => false } = options;
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let nextStartAt = 0;
+
+  // Each worker keeps taking the next unclaimed item until there are none left, or we're told to stop
+  const worker = async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+
+      // Workers share one start schedule, so spacing holds across the whole pool
+      if (spacing > 0) {
+        const startAt = Math.max(Date.now(), nextStartAt);
+        nextStartAt = startAt + spacing;
+        if (startAt > Date.now()) {
+          await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+          if (shouldStop()) return;
+        }
+      }
+
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Like mapWithConcurrency, but pulls items one at a time (e.g. claiming them from a database)
+ * until the source runs dry, so the full list never has to be loaded
+ * @param {Function} takeNext - Async function returning the next item, or null when there are none left
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item)
+ * @param {Object} options - { spacing, shouldStop }, as for mapWithConcurrency
+ * @returns {Promise<number>} - How many items were processed
+ */
+async function drainWithConcurrency(takeNext, limit, fn, options = {}) {
+  const { spacing = 0, shouldStop = () => false } = options;
+  let processed = 0;
+  let exhausted = false;
+  let nextStartAt = 0;
+
+  const worker = async () => {
+    while (!exhausted && !shouldStop()) {
+      // Space out starts before taking an item, so nothing is claimed and then left waiting
+      if (spacing > 0) {
+        const startAt = Math.max(Date.now(), nextStartAt);
+        nextStartAt = startAt + spacing;
+        if (startAt > Date.now()) {
+          await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+          if (exhausted || shouldStop()) return;
+        }
+      }
+
+      const item = await takeNext();
+      if (item === null || item === undefined) {
+        exhausted = true;
+        return;
+      }
+
+      await fn(item);
+      processed++;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, limit) }, worker));
+
+  return processed;
+}
+
+module.exports = { mapWithConcurrency, drainWithConcurrency };
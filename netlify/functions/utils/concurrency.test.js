@@ -0,0 +1,132 @@
+// netlify/functions/utils/concurrency.test.js
+const { mapWithConcurrency, drainWithConcurrency } = require('./concurrency');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wraps an async function to count how many calls are in flight at once
+ */
+function tracked(fn) {
+  const stats = { active: 0, maxActive: 0, started: [] };
+  const wrapped = async (...args) => {
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    stats.started.push(Date.now());
+    try {
+      return await fn(...args);
+    } finally {
+      stats.active--;
+    }
+  };
+  return { wrapped, stats };
+}
+
+describe('mapWithConcurrency', () => {
+  it('returns results in item order, whatever order they finish in', async () => {
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, index) => {
+      await sleep(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0']);
+  });
+
+  it('never has more than the limit in flight', async () => {
+    const { wrapped, stats } = tracked(() => sleep(5));
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, wrapped);
+
+    expect(stats.maxActive).toBe(3);
+    expect(stats.started).toHaveLength(10);
+  });
+
+  it('copes with a limit larger than the list, and with no items', async () => {
+    await expect(mapWithConcurrency([1, 2], 10, async n => n * 2)).resolves.toEqual([2, 4]);
+    await expect(mapWithConcurrency([], 4, async n => n)).resolves.toEqual([]);
+  });
+
+  it('stops starting items once shouldStop is true, leaving them undefined', async () => {
+    let done = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5], 1, async n => {
+      done++;
+      return n;
+    }, { shouldStop: () => done >= 2 });
+
+    expect(results).toEqual([1, 2, undefined, undefined, undefined]);
+  });
+
+  it('spaces out starts across the whole pool', async () => {
+    const { wrapped, stats } = tracked(() => sleep(1));
+
+    await mapWithConcurrency([1, 2, 3, 4], 4, wrapped, { spacing: 25 });
+
+    const gaps = stats.started.slice(1).map((at, i) => at - stats.started[i]);
+    // Timers can fire a millisecond early
+    gaps.forEach(gap => expect(gap).toBeGreaterThanOrEqual(24));
+  });
+
+  it('passes on the first error', async () => {
+    await expect(mapWithConcurrency([1, 2], 2, async n => {
+      if (n === 2) throw new Error('boom');
+      return n;
+    })).rejects.toThrow('boom');
+  });
+});
+
+describe('drainWithConcurrency', () => {
+  function source(count) {
+    let next = 0;
+    return jest.fn(async () => (next < count ? next++ : null));
+  }
+
+  it('processes items until the source runs dry', async () => {
+    const takeNext = source(7);
+    const seen = [];
+
+    const processed = await drainWithConcurrency(takeNext, 3, async item => {
+      await sleep(item % 3);
+      seen.push(item);
+    });
+
+    expect(processed).toBe(7);
+    expect(seen.sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('never has more than the limit in flight', async () => {
+    const { wrapped, stats } = tracked(() => sleep(5));
+
+    await drainWithConcurrency(source(9), 2, wrapped);
+
+    expect(stats.maxActive).toBe(2);
+  });
+
+  it('processes every item it takes, even when told to stop', async () => {
+    const takeNext = source(100);
+    let processed = 0;
+
+    const count = await drainWithConcurrency(takeNext, 4, async () => {
+      await sleep(2);
+      processed++;
+    }, { shouldStop: () => processed >= 5 });
+
+    // Workers already holding an item finish it, but take nothing more
+    expect(count).toBe(processed);
+    expect(takeNext).toHaveBeenCalledTimes(processed);
+    expect(processed).toBeGreaterThanOrEqual(5);
+    expect(processed).toBeLessThan(5 + 4);
+  });
+
+  it('spaces out taking items, so none is claimed and then left waiting', async () => {
+    const taken = [];
+    const takeNext = source(3);
+
+    await drainWithConcurrency(async () => {
+      const item = await takeNext();
+      if (item !== null) taken.push(Date.now());
+      return item;
+    }, 3, async () => {}, { spacing: 25 });
+
+    expect(taken).toHaveLength(3);
+    taken.slice(1).forEach((at, i) => expect(at - taken[i]).toBeGreaterThanOrEqual(24));
+  });
+});
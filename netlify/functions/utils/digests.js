@@ -0,0 +1,282 @@
+// netlify/functions/utils/digests.js
+const { CHANGE_TYPES } = require('./vehicleChanges');
+const { getNotificationContent } = require('./emailTemplates');
+
+const DIGEST_FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY' // Mondays
+};
+
+// Local time digests go out at - the first scheduled run after this hour sends them
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '8', 10);
+const DIGEST_TIME_ZONE = process.env.DIGEST_TIME_ZONE || 'Europe/London';
+// Events kept per digest - a recipient watching a huge fleet gets the most recent
+const MAX_DIGEST_ITEMS = 200;
+
+// Digest sections, in the order they're shown. Each event goes in the first one that matches.
+const SECTIONS = [
+  {
+    key: 'failures',
+    title: 'Failed MOTs',
+    matches: item => item.type === CHANGE_TYPES.NEW_TEST && item.testResult === 'FAILED'
+  },
+  {
+    key: 'tests',
+    title: 'New MOT tests',
+    matches: item => item.type === CHANGE_TYPES.NEW_TEST
+  },
+  {
+    key: 'expiries',
+    title: 'MOTs expiring or expired',
+    matches: item => item.type === CHANGE_TYPES.EXPIRY_REMINDER || item.type === CHANGE_TYPES.MOT_OVERDUE
+  },
+  {
+    key: 'recalls',
+    title: 'Recall changes',
+    matches: item => item.type === CHANGE_TYPES.RECALL_OPENED || item.type === CHANGE_TYPES.RECALL_CLOSED
+  },
+  {
+    key: 'other',
+    title: 'Other changes',
+    matches: () => true
+  }
+];
+
+function getDigestId(channelName, recipientKey) {
+  return `${channelName}:${recipientKey}`;
+}
+
+/**
+ * Validates a recipient's digest setting
+ * @returns {string|null|false} - One of DIGEST_FREQUENCIES, null for no digest, or false if invalid
+ */
+function normalizeDigestFrequency(frequency) {
+  if (frequency === undefined || frequency === null || frequency === 'OFF') {
+    return null;
+  }
+  return Object.values(DIGEST_FREQUENCIES).includes(frequency) ? frequency : false;
+}
+
+/**
+ * Hour and weekday at this moment in the digest time zone
+ */
+function getLocalTime(date) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: DIGEST_TIME_ZONE,
+    hour: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return {
+    hour: Number(parts.find(part => part.type === 'hour').value),
+    weekday: parts.find(part => part.type === 'weekday').value
+  };
+}
+
+/**
+ * The next time a digest is due: DIGEST_HOUR local time tomorrow (or today, if it's still to
+ * come), and on Mondays only for weekly digests
+ */
+function getNextDigestAt(frequency, now = new Date()) {
+  const next = new Date(now);
+  next.setUTCMinutes(0, 0, 0);
+
+  // Step through the hours rather than doing time zone arithmetic - at most 8 days' worth
+  for (let i = 0; i < 8 * 24; i++) {
+    next.setUTCHours(next.getUTCHours() + 1);
+    const local = getLocalTime(next);
+    if (local.hour === DIGEST_HOUR && (frequency !== DIGEST_FREQUENCIES.WEEKLY || local.weekday === 'Mon')) {
+      return next;
+    }
+  }
+  return next;
+}
+
+/**
+ * A recipient's digest settings (null if they get notifications as they happen)
+ */
+async function getDigest(db, channelName, recipientKey) {
+  return db.collection('digests').findOne({ _id: getDigestId(channelName, recipientKey) });
+}
+
+/**
+ * Recipients (by key) on a channel who get digests instead of individual notifications
+ * @returns {Promise<Set<string>>}
+ */
+async function getDigestRecipients(db, channelName, recipientKeys) {
+  if (recipientKeys.length === 0) return new Set();
+
+  const digests = await db.collection('digests').find({
+    _id: { $in: recipientKeys.map(key => getDigestId(channelName, key)) },
+    frequency: { $ne: null }
+  }).toArray();
+  return new Set(digests.map(digest => digest.recipientKey));
+}
+
+/**
+ * Switches a recipient to a daily or weekly digest, or back to individual notifications (null).
+ * Anything already collected is still sent at the next scheduled run.
+ */
+async function setDigestFrequency(db, channelName, recipientKey, frequency) {
+  const collection = db.collection('digests');
+  const _id = getDigestId(channelName, recipientKey);
+  const existing = await collection.findOne({ _id });
+
+  if (!frequency) {
+    if (!existing) return;
+    if ((existing.items || []).length === 0) {
+      await collection.deleteOne({ _id });
+    } else {
+      await collection.updateOne({ _id }, { $set: { frequency: null, nextDigestAt: new Date(), updatedAt: new Date() } });
+    }
+    return;
+  }
+
+  if (existing?.frequency === frequency) return;
+
+  await collection.updateOne(
+    { _id },
+    {
+      $set: {
+        channel: channelName,
+        recipientKey,
+        frequency,
+        nextDigestAt: getNextDigestAt(frequency),
+        updatedAt: new Date()
+      },
+      $setOnInsert: { items: [], createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Adds a notification to a recipient's next digest
+ */
+async function addToDigest(db, channelName, recipientKey, notificationData) {
+  const content = getNotificationContent(notificationData);
+  const item = {
+    type: notificationData.type,
+    registration: notificationData.registration,
+    testResult: notificationData.testResult || null,
+    text: notificationData.summary ? `${notificationData.registration}: ${notificationData.summary}` : content.heading,
+    createdAt: new Date()
+  };
+
+  await db.collection('digests').updateOne(
+    { _id: getDigestId(channelName, recipientKey), frequency: { $ne: null } },
+    { $push: { items: { $each: [item], $slice: -MAX_DIGEST_ITEMS } } }
+  );
+}
+
+/**
+ * Digests whose time has come, oldest first
+ */
+async function findDueDigests(db, limit) {
+  return db.collection('digests')
+    .find({ nextDigestAt: { $lte: new Date() } })
+    .sort({ nextDigestAt: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Takes a due digest's events and moves it on to its next time, so an overlapping run can't
+ * send it too
+ * @returns {Promise<Object|null>} - The digest as it was, or null if another run got it first
+ */
+async function claimDigest(db, digest) {
+  const result = await db.collection('digests').findOneAndUpdate(
+    { _id: digest._id, nextDigestAt: { $lte: new Date() } },
+    {
+      $set: {
+        items: [],
+        nextDigestAt: getNextDigestAt(digest.frequency || DIGEST_FREQUENCIES.DAILY),
+        lastDigestAt: new Date()
+      }
+    },
+    { returnDocument: 'before' }
+  );
+  return result.value;
+}
+
+/**
+ * Puts events back after a digest couldn't be sent, so the next one includes them
+ */
+async function restoreDigestItems(db, digest, items) {
+  await db.collection('digests').updateOne(
+    { _id: digest._id },
+    { $push: { items: { $each: items, $position: 0, $slice: MAX_DIGEST_ITEMS } } }
+  );
+}
+
+async function deleteDigest(db, digest) {
+  await db.collection('digests').deleteOne({ _id: digest._id });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Link to the app showing just these vehicles
+ */
+function getVehicleListPath(registrations, sectionKey) {
+  return `/?registrations=${encodeURIComponent(registrations.join(','))}&digest=${sectionKey}`;
+}
+
+/**
+ * Groups a digest's events into sections, with a one-line summary and app links for each.
+ * Channels format the result their own way.
+ * @returns {Object} - { frequency, title, summary, itemCount, registrations, path, sections: [{ key, title, items, registrations, path }] }
+ */
+function buildDigest(frequency, items) {
+  const sections = SECTIONS.map(section => ({ key: section.key, title: section.title, items: [] }));
+  for (const item of items) {
+    const index = SECTIONS.findIndex(section => section.matches(item));
+    sections[index].items.push(item);
+  }
+
+  const populated = sections
+    .filter(section => section.items.length > 0)
+    .map(section => {
+      const registrations = [...new Set(section.items.map(item => item.registration))];
+      return { ...section, registrations, path: getVehicleListPath(registrations, section.key) };
+    });
+  const registrations = [...new Set(items.map(item => item.registration))];
+
+  const count = key => sections.find(section => section.key === key).items.length;
+  const failures = count('failures');
+  const tests = count('tests') + failures;
+  const summary = [
+    tests > 0 && `${plural(tests, 'new test')}${failures > 0 ? ` (${failures} failed)` : ''}`,
+    count('expiries') > 0 && `${plural(count('expiries'), 'expiry alert')}`,
+    count('recalls') > 0 && `${plural(count('recalls'), 'recall change')}`,
+    count('other') > 0 && `${plural(count('other'), 'other update')}`
+  ].filter(Boolean).join(', ');
+
+  return {
+    frequency,
+    title: { DAILY: 'Daily MOT digest', WEEKLY: 'Weekly MOT digest' }[frequency] || 'MOT digest', // null: the last one after switching back
+    summary: `${summary} across ${plural(registrations.length, 'vehicle')}`,
+    itemCount: items.length,
+    registrations,
+    path: getVehicleListPath(registrations, 'all'),
+    sections: populated
+  };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  normalizeDigestFrequency,
+  getNextDigestAt,
+  getDigest,
+  getDigestRecipients,
+  setDigestFrequency,
+  addToDigest,
+  findDueDigests,
+  claimDigest,
+  restoreDigestItems,
+  deleteDigest,
+  buildDigest
+};
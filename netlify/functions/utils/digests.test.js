@@ -0,0 +1,306 @@
+// netlify/functions/utils/digests.test.js
+const { CHANGE_TYPES } = require('./vehicleChanges');
+const {
+  DIGEST_FREQUENCIES,
+  normalizeDigestFrequency,
+  getNextDigestAt,
+  getDigest,
+  getDigestRecipients,
+  setDigestFrequency,
+  addToDigest,
+  findDueDigests,
+  claimDigest,
+  buildDigest
+} = require('./digests');
+const { dispatchNotification, sendDueDigests } = require('./notificationDispatcher');
+const email = require('./channels/email');
+
+jest.mock('./channels/email', () => ({
+  name: 'email',
+  isConfigured: () => true,
+  findRecipients: jest.fn(),
+  describeRecipient: subscriber => `subscriber ${subscriber._id}`,
+  format: notificationData => notificationData,
+  send: jest.fn(),
+  getDigestKey: subscriber => subscriber.email,
+  sendDigest: jest.fn()
+}));
+jest.mock('./channels/webPush', () => ({ name: 'webPush', isConfigured: () => false }));
+jest.mock('./channels/webhook', () => ({ name: 'webhook', isConfigured: () => false }));
+jest.mock('./channels/chat', () => ({ name: 'chat', isConfigured: () => false }));
+
+// 10am in London, in winter
+const NOW = new Date('2025-01-15T10:00:00.000Z');
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$ne' in condition) return value !== condition.$ne && !(condition.$ne === null && value === undefined);
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$lte' in condition) return value <= condition.$lte;
+    }
+    return value === condition;
+  });
+}
+
+/**
+ * The digests collection, with just the queries and updates digests.js makes
+ */
+function digestsCollection() {
+  const docs = new Map();
+  const copy = doc => doc && JSON.parse(JSON.stringify(doc), (key, value) => (/At$/.test(key) && value ? new Date(value) : value));
+  const findAll = filter => [...docs.values()].filter(doc => matches(doc, filter));
+
+  const apply = (doc, update, inserting) => {
+    Object.assign(doc, update.$set);
+    if (inserting) Object.assign(doc, update.$setOnInsert);
+    if (update.$push) {
+      const { $each, $position, $slice } = update.$push.items;
+      const items = doc.items || [];
+      items.splice($position ?? items.length, 0, ...$each);
+      doc.items = $slice < 0 ? items.slice($slice) : items.slice(0, $slice);
+    }
+  };
+
+  return {
+    docs,
+    findOne: jest.fn(async ({ _id }) => copy(docs.get(_id)) || null),
+    find: jest.fn(filter => {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        toArray: async () => findAll(filter).map(copy)
+      };
+      return cursor;
+    }),
+    updateOne: jest.fn(async (filter, update, options = {}) => {
+      const [doc] = findAll(filter);
+      if (doc) {
+        apply(doc, update, false);
+      } else if (options.upsert) {
+        const inserted = { _id: filter._id };
+        apply(inserted, update, true);
+        docs.set(inserted._id, inserted);
+      }
+    }),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const [doc] = findAll(filter);
+      if (!doc) return { value: null };
+      const before = copy(doc);
+      apply(doc, update, false);
+      return { value: before };
+    }),
+    deleteOne: jest.fn(async ({ _id }) => docs.delete(_id))
+  };
+}
+
+let collection;
+let db;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  collection = digestsCollection();
+  db = { collection: () => collection };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+function notification(overrides = {}) {
+  return { type: CHANGE_TYPES.RECALL_OPENED, registration: 'AB12CDE', summary: 'Safety recall opened', ...overrides };
+}
+
+describe('normalizeDigestFrequency', () => {
+  it('takes the frequencies, with OFF and nothing meaning no digest', () => {
+    expect(normalizeDigestFrequency('DAILY')).toBe(DIGEST_FREQUENCIES.DAILY);
+    expect(normalizeDigestFrequency('WEEKLY')).toBe(DIGEST_FREQUENCIES.WEEKLY);
+    expect(normalizeDigestFrequency('OFF')).toBeNull();
+    expect(normalizeDigestFrequency(undefined)).toBeNull();
+    expect(normalizeDigestFrequency('HOURLY')).toBe(false);
+  });
+});
+
+describe('getNextDigestAt', () => {
+  it('is 8am London time tomorrow, or today if that is still to come', () => {
+    expect(getNextDigestAt(DIGEST_FREQUENCIES.DAILY, NOW)).toEqual(new Date('2025-01-16T08:00:00.000Z'));
+    expect(getNextDigestAt(DIGEST_FREQUENCIES.DAILY, new Date('2025-01-15T06:30:00.000Z'))).toEqual(new Date('2025-01-15T08:00:00.000Z'));
+  });
+
+  it('follows British Summer Time', () => {
+    expect(getNextDigestAt(DIGEST_FREQUENCIES.DAILY, new Date('2025-07-15T10:00:00.000Z'))).toEqual(new Date('2025-07-16T07:00:00.000Z'));
+  });
+
+  it('is the next Monday for a weekly digest', () => {
+    // 15 January 2025 is a Wednesday
+    expect(getNextDigestAt(DIGEST_FREQUENCIES.WEEKLY, NOW)).toEqual(new Date('2025-01-20T08:00:00.000Z'));
+  });
+});
+
+describe('buildDigest', () => {
+  const items = [
+    { type: CHANGE_TYPES.NEW_TEST, registration: 'AB12CDE', testResult: 'FAILED', text: 'AB12CDE failed its MOT' },
+    { type: CHANGE_TYPES.NEW_TEST, registration: 'CD34EFG', testResult: 'PASSED', text: 'CD34EFG passed its MOT' },
+    { type: CHANGE_TYPES.MOT_OVERDUE, registration: 'AB12CDE', text: 'AB12CDE: MOT expires today' },
+    { type: CHANGE_TYPES.DETAILS_CHANGED, registration: 'EF56GHI', text: 'EF56GHI: colour changed' }
+  ];
+
+  it('groups events into sections, in order, each in the first that fits', () => {
+    const digest = buildDigest(DIGEST_FREQUENCIES.DAILY, items);
+
+    expect(digest.sections.map(section => [section.key, section.items.length])).toEqual([
+      ['failures', 1],
+      ['tests', 1],
+      ['expiries', 1],
+      ['other', 1]
+    ]);
+    expect(digest.sections[2]).toMatchObject({
+      registrations: ['AB12CDE'],
+      path: '/?registrations=AB12CDE&digest=expiries'
+    });
+  });
+
+  it('sums the digest up in a line', () => {
+    expect(buildDigest(DIGEST_FREQUENCIES.WEEKLY, items)).toMatchObject({
+      title: 'Weekly MOT digest',
+      summary: '2 new tests (1 failed), 1 expiry alert, 1 other update across 3 vehicles',
+      itemCount: 4,
+      registrations: ['AB12CDE', 'CD34EFG', 'EF56GHI'],
+      path: '/?registrations=AB12CDE%2CCD34EFG%2CEF56GHI&digest=all'
+    });
+    expect(buildDigest(null, items.slice(3)).title).toBe('MOT digest');
+  });
+});
+
+describe('collecting a digest', () => {
+  it('only collects for recipients who have chosen a digest', async () => {
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.DAILY);
+
+    await expect(getDigestRecipients(db, 'email', ['a@example.com', 'b@example.com'])).resolves.toEqual(new Set(['a@example.com']));
+
+    await addToDigest(db, 'email', 'a@example.com', notification());
+    await addToDigest(db, 'email', 'b@example.com', notification());
+    expect((await getDigest(db, 'email', 'a@example.com')).items).toEqual([
+      expect.objectContaining({ type: CHANGE_TYPES.RECALL_OPENED, registration: 'AB12CDE', text: 'AB12CDE: Safety recall opened' })
+    ]);
+    await expect(getDigest(db, 'email', 'b@example.com')).resolves.toBeNull();
+  });
+
+  it('keeps only the latest 200 events', async () => {
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.DAILY);
+
+    for (let i = 0; i < 205; i++) {
+      await addToDigest(db, 'email', 'a@example.com', notification({ summary: `update ${i}` }));
+    }
+
+    const { items } = await getDigest(db, 'email', 'a@example.com');
+    expect(items).toHaveLength(200);
+    expect(items[0].text).toBe('AB12CDE: update 5');
+  });
+
+  it('sends what has been collected straight away when switched off', async () => {
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.WEEKLY);
+    await addToDigest(db, 'email', 'a@example.com', notification());
+
+    await setDigestFrequency(db, 'email', 'a@example.com', null);
+
+    await expect(getDigest(db, 'email', 'a@example.com')).resolves.toMatchObject({ frequency: null, nextDigestAt: NOW });
+    await expect(getDigestRecipients(db, 'email', ['a@example.com'])).resolves.toEqual(new Set());
+  });
+
+  it('forgets a digest with nothing in it when switched off', async () => {
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.DAILY);
+
+    await setDigestFrequency(db, 'email', 'a@example.com', null);
+
+    await expect(getDigest(db, 'email', 'a@example.com')).resolves.toBeNull();
+  });
+
+  it('lets only one run claim a due digest, and moves it on to its next time', async () => {
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.DAILY);
+    await addToDigest(db, 'email', 'a@example.com', notification());
+    await expect(findDueDigests(db, 10)).resolves.toEqual([]);
+
+    jest.setSystemTime(new Date('2025-01-16T08:05:00.000Z'));
+    const [due] = await findDueDigests(db, 10);
+    const claimed = await claimDigest(db, due);
+
+    expect(claimed.items).toHaveLength(1);
+    await expect(claimDigest(db, due)).resolves.toBeNull();
+    await expect(getDigest(db, 'email', 'a@example.com')).resolves.toMatchObject({
+      items: [],
+      nextDigestAt: new Date('2025-01-17T08:00:00.000Z')
+    });
+  });
+});
+
+describe('batching notifications into digests', () => {
+  const subscribers = [{ _id: 'sub-a', email: 'a@example.com' }, { _id: 'sub-b', email: 'b@example.com' }];
+
+  beforeEach(async () => {
+    email.findRecipients.mockResolvedValue(subscribers);
+    await setDigestFrequency(db, 'email', 'a@example.com', DIGEST_FREQUENCIES.DAILY);
+  });
+
+  it('collects notifications for digest recipients and sends the rest', async () => {
+    const delivery = await dispatchNotification(db, 'AB12CDE', notification());
+
+    expect(delivery).toMatchObject({ sent: 1, digested: 1, failed: 0 });
+    expect(email.send).toHaveBeenCalledTimes(1);
+    expect(email.send.mock.calls[0][1]).toBe(subscribers[1]);
+    expect((await getDigest(db, 'email', 'a@example.com')).items).toHaveLength(1);
+  });
+
+  it('never collects a notification meant for one recipient, or that they asked for', async () => {
+    await dispatchNotification(db, 'AB12CDE', notification(), { ignorePreferences: true });
+
+    expect(email.send).toHaveBeenCalledTimes(2);
+    expect((await getDigest(db, 'email', 'a@example.com')).items).toEqual([]);
+  });
+
+  it('sends one digest of everything collected once it is due', async () => {
+    await dispatchNotification(db, 'AB12CDE', notification());
+    await dispatchNotification(db, 'CD34EFG', notification({ registration: 'CD34EFG', type: CHANGE_TYPES.MOT_OVERDUE, summary: 'MOT expires today' }));
+    email.sendDigest.mockResolvedValue(true);
+
+    await expect(sendDueDigests(db, { limit: 10, deadline: Infinity })).resolves.toEqual({ sent: 0, failed: 0 });
+
+    jest.setSystemTime(new Date('2025-01-16T08:05:00.000Z'));
+    await expect(sendDueDigests(db, { limit: 10, deadline: Infinity })).resolves.toEqual({ sent: 1, failed: 0 });
+
+    const [recipientKey, digest] = email.sendDigest.mock.calls[0].slice(1);
+    expect(recipientKey).toBe('a@example.com');
+    expect(digest).toMatchObject({ itemCount: 2, registrations: ['AB12CDE', 'CD34EFG'] });
+    expect((await getDigest(db, 'email', 'a@example.com')).items).toEqual([]);
+  });
+
+  it('keeps the events for the next digest if sending fails', async () => {
+    await dispatchNotification(db, 'AB12CDE', notification());
+    jest.setSystemTime(new Date('2025-01-16T08:05:00.000Z'));
+    email.sendDigest.mockRejectedValue(new Error('SMTP unavailable'));
+
+    await expect(sendDueDigests(db, { limit: 10, deadline: Infinity })).resolves.toEqual({ sent: 0, failed: 1 });
+
+    await expect(getDigest(db, 'email', 'a@example.com')).resolves.toMatchObject({
+      items: [expect.objectContaining({ registration: 'AB12CDE' })],
+      nextDigestAt: new Date('2025-01-17T08:00:00.000Z')
+    });
+  });
+
+  it('sends the last digest after switching back, then forgets it', async () => {
+    await dispatchNotification(db, 'AB12CDE', notification());
+    await setDigestFrequency(db, 'email', 'a@example.com', null);
+    email.sendDigest.mockResolvedValue(true);
+
+    await sendDueDigests(db, { limit: 10, deadline: Infinity });
+
+    expect(email.sendDigest.mock.calls[0][2]).toMatchObject({ frequency: null, title: 'MOT digest', itemCount: 1 });
+    await expect(getDigest(db, 'email', 'a@example.com')).resolves.toBeNull();
+  });
+});
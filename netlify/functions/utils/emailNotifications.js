@@ -0,0 +1,84 @@
+// netlify/functions/utils/emailNotifications.js
+const crypto = require('crypto');
+const { getAppUrl } = require('./emailTemplates');
+
+const EMAIL_STATUS = {
+  PENDING: 'PENDING', // Waiting for the address to be confirmed
+  ACTIVE: 'ACTIVE',
+  UNSUBSCRIBED: 'UNSUBSCRIBED'
+};
+
+// How long a confirmation link works for
+const VERIFICATION_TTL = 48 * 60 * 60 * 1000;
+
+/**
+ * Random token for verify and unsubscribe links
+ */
+function createToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Normalises an email address, or returns null if it doesn't look like one
+ */
+function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) && normalized.length <= 254 ? normalized : null;
+}
+
+async function ensureIndexes(db) {
+  const collection = db.collection('email_subscriptions');
+  await collection.createIndex({ email: 1, registration: 1 }, { unique: true });
+  await collection.createIndex({ verifyToken: 1 }, { sparse: true });
+  await collection.createIndex({ unsubscribeToken: 1 }, { unique: true });
+}
+
+function getVerifyUrl(token) {
+  return `${getAppUrl()}/api/verifyEmail?token=${token}`;
+}
+
+function getUnsubscribeUrl(token, { all = false } = {}) {
+  return `${getAppUrl()}/api/unsubscribeEmail?token=${token}${all ? '&all=true' : ''}`;
+}
+
+/**
+ * Link that switches the address to a daily or weekly digest, or back to each update (OFF)
+ */
+function getDigestSettingsUrl(token, frequency) {
+  return `${getAppUrl()}/api/emailDigest?token=${token}&frequency=${frequency}`;
+}
+
+/**
+ * Moves email subscriptions across when a vehicle's plate changes
+ */
+async function moveEmailSubscriptions(db, oldRegistration, newRegistration) {
+  const collection = db.collection('email_subscriptions');
+  const subscribers = await collection.find({ registration: oldRegistration }).toArray();
+
+  for (const subscriber of subscribers) {
+    try {
+      await collection.updateOne(
+        { _id: subscriber._id },
+        { $set: { registration: newRegistration, previousRegistration: oldRegistration } }
+      );
+    } catch (error) {
+      // Duplicate key - this address is already subscribed to the new plate
+      if (error.code !== 11000) throw error;
+      await collection.deleteOne({ _id: subscriber._id });
+    }
+  }
+
+  return subscribers.length;
+}
+
+module.exports = {
+  EMAIL_STATUS,
+  VERIFICATION_TTL,
+  createToken,
+  normalizeEmail,
+  ensureIndexes,
+  getVerifyUrl,
+  getUnsubscribeUrl,
+  getDigestSettingsUrl,
+  moveEmailSubscriptions
+};
@@ -0,0 +1,296 @@
+// netlify/functions/utils/emailTemplates.js
+const { CHANGE_TYPES, describeDefect } = require('./vehicleChanges');
+
+// Subjects for change events that carry a ready-made summary (matches the push titles)
+const CHANGE_SUBJECTS = {
+  [CHANGE_TYPES.RECALL_OPENED]: 'Safety recall',
+  [CHANGE_TYPES.RECALL_CLOSED]: 'Recall resolved',
+  [CHANGE_TYPES.RECORD_AMENDED]: 'MOT record amended',
+  [CHANGE_TYPES.DETAILS_CHANGED]: 'Vehicle details changed',
+  [CHANGE_TYPES.EXPIRY_REMINDER]: 'MOT reminder',
+  [CHANGE_TYPES.MOT_OVERDUE]: 'MOT expired',
+  REGISTRATION_CHANGED: 'Registration changed'
+};
+
+const ACCENTS = {
+  info: '#2563eb',
+  success: '#16a34a',
+  warning: '#d97706',
+  danger: '#dc2626'
+};
+
+/**
+ * Base URL for links in emails - Netlify sets URL to the site's main address
+ */
+function getAppUrl() {
+  return (process.env.APP_URL || process.env.URL || 'http://localhost:8888').replace(/\/$/, '');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+  if (!date) return 'Unknown';
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function describeVehicle(vehicle, registration) {
+  const name = vehicle?.make && vehicle.make !== 'Unknown'
+    ? `${vehicle.make} ${vehicle.model && vehicle.model !== 'Unknown' ? vehicle.model : ''}`.trim()
+    : '';
+  return name ? `${name} (${registration})` : registration;
+}
+
+/**
+ * Wraps content in the shared HTML layout. Inline styles only, since most mail clients drop <style>.
+ * @param {Object} content - { heading, accent, lines: [html], list: [html], sections: [{ title: html, link: { label, url }, list: [html] }],
+ *                             button: { label, url }, footer: html }
+ */
+function renderHtml({ heading, accent = 'info', lines = [], list = [], sections = [], button, footer }) {
+  const colour = ACCENTS[accent];
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;border-top:4px solid ${colour};">
+            <tr>
+              <td style="padding:24px;">
+                <h1 style="margin:0 0 16px;font-size:20px;color:${colour};">${heading}</h1>
+                ${lines.map(line => `<p style="margin:0 0 12px;font-size:15px;line-height:1.5;">${line}</p>`).join('\n                ')}
+                ${list.length > 0 ? `<ul style="margin:0 0 12px;padding-left:20px;font-size:14px;line-height:1.5;">${list.map(item => `<li>${item}</li>`).join('')}</ul>` : ''}
+                ${sections.map(section => `<h2 style="margin:20px 0 8px;font-size:16px;">${section.title}${section.link ? ` <a href="${escapeHtml(section.link.url)}" style="font-size:13px;font-weight:normal;color:${colour};">${escapeHtml(section.link.label)}</a>` : ''}</h2>
+                <ul style="margin:0 0 12px;padding-left:20px;font-size:14px;line-height:1.5;">${section.list.map(item => `<li>${item}</li>`).join('')}</ul>`).join('\n                ')}
+                ${button ? `<p style="margin:20px 0;"><a href="${escapeHtml(button.url)}" style="background:${colour};color:#ffffff;text-decoration:none;padding:10px 18px;border-radius:6px;font-size:15px;display:inline-block;">${escapeHtml(button.label)}</a></p>` : ''}
+              </td>
+            </tr>
+          </table>
+          ${footer ? `<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;line-height:1.5;">${footer}</p>` : ''}
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+}
+
+/**
+ * Plain-text version of the same content, for clients that don't show HTML
+ */
+function renderText({ heading, lines = [], list = [], sections = [], button, footer }) {
+  return [
+    heading,
+    '',
+    ...lines,
+    ...(list.length > 0 ? ['', ...list.map(item => `- ${item}`)] : []),
+    ...sections.flatMap(section => [
+      '',
+      section.title,
+      ...section.list.map(item => `- ${item}`),
+      ...(section.link ? [`${section.link.label}: ${section.link.url}`] : [])
+    ]),
+    ...(button ? ['', `${button.label}: ${button.url}`] : []),
+    ...(footer ? ['', '--', footer] : [])
+  ].join('\n');
+}
+
+/**
+ * Email asking someone to confirm they want updates for a vehicle (double opt-in)
+ * @returns {Object} - { subject, html, text }
+ */
+function buildVerificationEmail({ registration, verifyUrl }) {
+  const content = {
+    heading: `Confirm MOT updates for ${registration}`,
+    lines: [
+      `Someone (hopefully you) asked for MOT updates for ${registration} to be emailed to this address.`,
+      'Confirm below to start receiving them. The link expires in 48 hours.'
+    ],
+    button: { label: 'Confirm email updates', url: verifyUrl },
+    footer: "If you didn't ask for this, ignore this email and you won't hear from us again."
+  };
+
+  return {
+    subject: `Confirm MOT updates for ${registration}`,
+    html: renderHtml({
+      ...content,
+      heading: escapeHtml(content.heading),
+      lines: content.lines.map(escapeHtml),
+      footer: escapeHtml(content.footer)
+    }),
+    text: renderText(content)
+  };
+}
+
+/**
+ * Works out what to say about a notification payload (see buildNotificationData).
+ * Plain text - other channels reuse it with their own formatting.
+ * @returns {Object} - { subject, heading, accent, lines, list }
+ */
+function getNotificationContent(notificationData) {
+  const { type, registration, vehicle } = notificationData;
+  const vehicleName = describeVehicle(vehicle, registration);
+
+  if (type === CHANGE_TYPES.NEW_TEST || (!type && notificationData.testResult)) {
+    const passed = notificationData.testResult === 'PASSED';
+    const details = notificationData.testDetails || {};
+    const defects = details.defects || [];
+
+    return {
+      subject: `MOT ${passed ? 'passed' : 'failed'} - ${registration}`,
+      heading: passed ? `${registration} passed its MOT` : `${registration} failed its MOT`,
+      accent: passed ? 'success' : 'danger',
+      lines: [
+        `A new MOT test was recorded for your ${vehicleName} on ${formatDate(notificationData.newDate)}.`,
+        passed
+          ? `The new MOT runs until ${formatDate(details.expiryDate)}.`
+          : "It can't pass until the failures below are repaired and it's retested.",
+        ...(details.odometerValue ? [`Mileage at test: ${details.odometerValue} ${(details.odometerUnit || '').toLowerCase()}`] : []),
+        ...(defects.length > 0 ? [passed ? 'Advisories:' : 'Defects:'] : [])
+      ],
+      list: defects.map(describeDefect)
+    };
+  }
+
+  if (type === CHANGE_TYPES.MOT_OVERDUE) {
+    return {
+      subject: `MOT expired - ${registration}`,
+      heading: notificationData.details?.daysOverdue > 0
+        ? `The MOT for ${registration} has expired`
+        : `The MOT for ${registration} expires today`,
+      accent: 'danger',
+      lines: [
+        `${vehicleName}: ${notificationData.summary}.`,
+        "A vehicle without a valid MOT can only be driven to a pre-booked test or to be repaired. We'll keep reminding you until a new pass is recorded."
+      ]
+    };
+  }
+
+  if (type === CHANGE_TYPES.EXPIRY_REMINDER) {
+    return {
+      subject: `MOT reminder - ${registration}: ${notificationData.summary}`,
+      heading: `MOT reminder for ${registration}`,
+      accent: 'warning',
+      lines: [
+        `${vehicleName}: ${notificationData.summary}.`,
+        'You can book a test up to a month (minus a day) before it runs out and keep the same renewal date.'
+      ]
+    };
+  }
+
+  return {
+    subject: `${CHANGE_SUBJECTS[type] || 'MOT update'} - ${registration}`,
+    heading: `${CHANGE_SUBJECTS[type] || 'MOT update'} for ${registration}`,
+    accent: type === CHANGE_TYPES.RECALL_OPENED ? 'warning' : 'info',
+    lines: [`${vehicleName}: ${notificationData.summary || 'Its MOT record has been updated'}.`]
+  };
+}
+
+/**
+ * Email for a notification, with a one-click unsubscribe link
+ * @param {Object} notificationData - Payload from buildNotificationData
+ * @param {Object} links - { unsubscribeUrl, digestUrl: switches this address to a daily digest }
+ * @returns {Object} - { subject, html, text }
+ */
+function buildNotificationEmail(notificationData, { unsubscribeUrl, digestUrl }) {
+  const content = getNotificationContent(notificationData);
+  const viewUrl = `${getAppUrl()}/?registration=${encodeURIComponent(notificationData.registration)}`;
+  const footer = `You're getting this because you asked for MOT updates for ${notificationData.registration}.`;
+  const digestLine = 'Watching a lot of vehicles? Get one email a day instead';
+
+  return {
+    subject: content.subject,
+    html: renderHtml({
+      heading: escapeHtml(content.heading),
+      accent: content.accent,
+      lines: content.lines.map(escapeHtml),
+      list: (content.list || []).map(escapeHtml),
+      button: { label: 'View MOT history', url: viewUrl },
+      footer: `${escapeHtml(footer)} <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a>`
+        + (digestUrl ? `<br>${escapeHtml(digestLine)}: <a href="${escapeHtml(digestUrl)}" style="color:#6b7280;">switch to a daily digest</a>` : '')
+    }),
+    text: renderText({
+      ...content,
+      button: { label: 'View MOT history', url: viewUrl },
+      footer: `${footer}\nUnsubscribe: ${unsubscribeUrl}` + (digestUrl ? `\n${digestLine}: ${digestUrl}` : '')
+    })
+  };
+}
+
+/**
+ * Email for a daily or weekly digest (see utils/digests.js buildDigest), linking each section
+ * to those vehicles in the app
+ * @param {Object} digest - From buildDigest
+ * @param {Object} links - { unsubscribeUrl: stops every email to this address, switchUrls: { label: url } }
+ * @returns {Object} - { subject, html, text }
+ */
+function buildDigestEmail(digest, { unsubscribeUrl, switchUrls }) {
+  const appUrl = getAppUrl();
+  const content = {
+    heading: digest.title,
+    lines: [`${digest.summary}.`],
+    sections: digest.sections.map(section => ({
+      title: `${section.title} (${section.items.length})`,
+      link: { label: `View ${section.registrations.length === 1 ? 'vehicle' : 'vehicles'}`, url: `${appUrl}${section.path}` },
+      list: section.items.map(item => item.text)
+    })),
+    button: { label: 'View all these vehicles', url: `${appUrl}${digest.path}` }
+  };
+  const footer = "You're getting this digest because you asked for MOT updates by email.";
+  const switches = Object.entries(switchUrls);
+
+  return {
+    subject: `${digest.title}: ${digest.summary}`,
+    html: renderHtml({
+      ...content,
+      heading: escapeHtml(content.heading),
+      accent: digest.sections.some(section => section.key === 'failures' || section.key === 'expiries') ? 'warning' : 'info',
+      lines: content.lines.map(escapeHtml),
+      sections: content.sections.map(section => ({ ...section, title: escapeHtml(section.title), list: section.list.map(escapeHtml) })),
+      footer: `${escapeHtml(footer)} `
+        + [...switches, ['Unsubscribe from everything', unsubscribeUrl]]
+          .map(([label, url]) => `<a href="${escapeHtml(url)}" style="color:#6b7280;">${escapeHtml(label)}</a>`)
+          .join(' · ')
+    }),
+    text: renderText({
+      ...content,
+      footer: [
+        footer,
+        ...switches.map(([label, url]) => `${label}: ${url}`),
+        `Unsubscribe from everything: ${unsubscribeUrl}`
+      ].join('\n')
+    })
+  };
+}
+
+/**
+ * Small standalone page for the verify and unsubscribe links, which open in a browser
+ */
+function buildResultPage({ heading, message, accent = 'info', registration }) {
+  const button = registration
+    ? { label: `View ${registration}`, url: `${getAppUrl()}/?registration=${encodeURIComponent(registration)}` }
+    : { label: 'Open MOT Tracker', url: getAppUrl() };
+
+  return renderHtml({
+    heading: escapeHtml(heading),
+    accent,
+    lines: [escapeHtml(message)],
+    button
+  });
+}
+
+module.exports = {
+  getAppUrl,
+  getNotificationContent,
+  buildVerificationEmail,
+  buildNotificationEmail,
+  buildDigestEmail,
+  buildResultPage
+};
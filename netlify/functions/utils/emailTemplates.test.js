@@ -0,0 +1,179 @@
+// netlify/functions/utils/emailTemplates.test.js
+process.env.APP_URL = 'https://mot.example.com/';
+
+const { CHANGE_TYPES } = require('./vehicleChanges');
+const {
+  getAppUrl,
+  getNotificationContent,
+  buildVerificationEmail,
+  buildNotificationEmail,
+  buildDigestEmail
+} = require('./emailTemplates');
+
+const VEHICLE = { make: 'FORD', model: 'FOCUS', registration: 'AB12CDE' };
+
+function newTest(overrides = {}) {
+  return {
+    type: CHANGE_TYPES.NEW_TEST,
+    registration: 'AB12CDE',
+    testResult: 'FAILED',
+    newDate: '2025-02-20T10:00:00.000Z',
+    vehicle: VEHICLE,
+    testDetails: {
+      odometerValue: '58000',
+      odometerUnit: 'MI',
+      defects: [{ type: 'MAJOR', text: 'Brake pipe corroded', dangerous: true, description: 'MAJOR (dangerous): Brake pipe corroded' }]
+    },
+    ...overrides
+  };
+}
+
+describe('getAppUrl', () => {
+  it('drops a trailing slash', () => {
+    expect(getAppUrl()).toBe('https://mot.example.com');
+  });
+});
+
+describe('getNotificationContent', () => {
+  it('lists the defects of a failed test', () => {
+    expect(getNotificationContent(newTest())).toEqual({
+      subject: 'MOT failed - AB12CDE',
+      heading: 'AB12CDE failed its MOT',
+      accent: 'danger',
+      lines: [
+        'A new MOT test was recorded for your FORD FOCUS (AB12CDE) on 20 February 2025.',
+        "It can't pass until the failures below are repaired and it's retested.",
+        'Mileage at test: 58000 mi',
+        'Defects:'
+      ],
+      list: ['MAJOR (dangerous): Brake pipe corroded']
+    });
+  });
+
+  it('gives a pass its new expiry date and lists advisories, including ones only described', () => {
+    const content = getNotificationContent(newTest({
+      testResult: 'PASSED',
+      testDetails: {
+        expiryDate: '2026-02-19',
+        defects: [{ type: 'ADVISORY', text: 'Tyre worn close to legal limit' }, 'MINOR: Wiper blade worn']
+      }
+    }));
+
+    expect(content).toMatchObject({ subject: 'MOT passed - AB12CDE', accent: 'success' });
+    expect(content.lines).toContain('The new MOT runs until 19 February 2026.');
+    expect(content.lines).toContain('Advisories:');
+    expect(content.list).toEqual(['ADVISORY: Tyre worn close to legal limit', 'MINOR: Wiper blade worn']);
+  });
+
+  it('says whether an MOT expires today or has expired', () => {
+    const overdue = daysOverdue => getNotificationContent({
+      type: CHANGE_TYPES.MOT_OVERDUE,
+      registration: 'AB12CDE',
+      summary: 'MOT expired 7 days ago (9 Mar 2025) and no new pass has been recorded',
+      details: { daysOverdue }
+    });
+
+    expect(overdue(0).heading).toBe('The MOT for AB12CDE expires today');
+    expect(overdue(7)).toMatchObject({ heading: 'The MOT for AB12CDE has expired', accent: 'danger' });
+    expect(overdue(7).lines[0]).toBe('AB12CDE: MOT expired 7 days ago (9 Mar 2025) and no new pass has been recorded.');
+  });
+
+  it('uses the summary for other changes', () => {
+    const content = getNotificationContent({
+      type: CHANGE_TYPES.RECALL_OPENED,
+      registration: 'AB12CDE',
+      vehicle: VEHICLE,
+      summary: 'A safety recall is outstanding'
+    });
+
+    expect(content.accent).toBe('warning');
+    expect(content.lines).toEqual(['FORD FOCUS (AB12CDE): A safety recall is outstanding.']);
+  });
+});
+
+describe('buildVerificationEmail', () => {
+  it('links to the confirmation in both parts', () => {
+    const email = buildVerificationEmail({ registration: 'AB12CDE', verifyUrl: 'https://mot.example.com/api/verifyEmail?token=abc' });
+
+    expect(email.subject).toBe('Confirm MOT updates for AB12CDE');
+    expect(email.html).toContain('href="https://mot.example.com/api/verifyEmail?token=abc"');
+    expect(email.text).toContain('Confirm email updates: https://mot.example.com/api/verifyEmail?token=abc');
+  });
+});
+
+describe('buildNotificationEmail', () => {
+  const links = { unsubscribeUrl: 'https://mot.example.com/api/unsubscribeEmail?token=abc' };
+
+  it('links to the vehicle and to unsubscribe', () => {
+    const email = buildNotificationEmail(newTest(), links);
+
+    expect(email.subject).toBe('MOT failed - AB12CDE');
+    expect(email.html).toContain('href="https://mot.example.com/?registration=AB12CDE"');
+    expect(email.html).toContain(`href="${links.unsubscribeUrl}"`);
+    expect(email.text).toContain('- MAJOR (dangerous): Brake pipe corroded');
+    expect(email.text).toContain(`Unsubscribe: ${links.unsubscribeUrl}`);
+    expect(email.text).not.toContain('daily digest');
+  });
+
+  it('offers the daily digest when given its link', () => {
+    const email = buildNotificationEmail(newTest(), { ...links, digestUrl: 'https://mot.example.com/api/emailDigest?token=abc' });
+
+    expect(email.text).toContain('Get one email a day instead: https://mot.example.com/api/emailDigest?token=abc');
+  });
+
+  it('escapes what came from the MOT API in the HTML part', () => {
+    const email = buildNotificationEmail(newTest({
+      testDetails: { defects: [{ type: 'MAJOR', text: '<script>alert(1)</script>' }] }
+    }), links);
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.html).toContain('MAJOR: &lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(email.text).toContain('- MAJOR: <script>alert(1)</script>');
+  });
+});
+
+describe('buildDigestEmail', () => {
+  const digest = {
+    title: 'Your daily MOT digest',
+    summary: '2 updates for 2 vehicles',
+    path: '/?registrations=AB12CDE,CD34EFG',
+    sections: [
+      {
+        key: 'failures',
+        title: 'Failed MOTs',
+        path: '/?registrations=AB12CDE',
+        registrations: ['AB12CDE'],
+        items: [{ text: 'AB12CDE failed its MOT' }]
+      },
+      {
+        key: 'recalls',
+        title: 'Recalls',
+        path: '/?registrations=CD34EFG',
+        registrations: ['CD34EFG'],
+        items: [{ text: 'CD34EFG has an outstanding recall' }]
+      }
+    ]
+  };
+  const links = {
+    unsubscribeUrl: 'https://mot.example.com/api/unsubscribeEmail?token=abc&all=1',
+    switchUrls: { 'Switch to a weekly digest': 'https://mot.example.com/api/emailDigest?token=abc&frequency=WEEKLY' }
+  };
+
+  it('has a section per kind of update, each linking to its vehicles', () => {
+    const email = buildDigestEmail(digest, links);
+
+    expect(email.subject).toBe('Your daily MOT digest: 2 updates for 2 vehicles');
+    expect(email.text).toContain('Failed MOTs (1)\n- AB12CDE failed its MOT\nView vehicle: https://mot.example.com/?registrations=AB12CDE');
+    expect(email.text).toContain('View all these vehicles: https://mot.example.com/?registrations=AB12CDE,CD34EFG');
+    // Failures make the digest a warning
+    expect(email.html).toContain('border-top:4px solid #d97706');
+  });
+
+  it('links to the other frequencies and to unsubscribe from everything', () => {
+    const email = buildDigestEmail(digest, links);
+
+    expect(email.text).toContain('Switch to a weekly digest: https://mot.example.com/api/emailDigest?token=abc&frequency=WEEKLY');
+    expect(email.text).toContain(`Unsubscribe from everything: ${links.unsubscribeUrl}`);
+    expect(email.html).toContain('href="https://mot.example.com/api/unsubscribeEmail?token=abc&amp;all=1"');
+  });
+});
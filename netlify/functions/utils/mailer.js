@@ -0,0 +1,67 @@
+// netlify/functions/utils/mailer.js
+const nodemailer = require('nodemailer');
+
+// Reuse the SMTP connection across function invocations
+let cachedTransport = null;
+
+/**
+ * Email is optional - without an SMTP host the channel is simply switched off
+ */
+function isEmailConfigured() {
+  return !!(process.env.SMTP_HOST && process.env.EMAIL_FROM);
+}
+
+/**
+ * Gets the SMTP transport. The host, port and credentials all come from the environment,
+ * so it can point at a local catcher like MailHog (SMTP_HOST=localhost, SMTP_PORT=1025).
+ */
+function getTransport() {
+  if (cachedTransport) {
+    return cachedTransport;
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  cachedTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465, otherwise STARTTLS when the server offers it
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+    pool: true,
+    maxConnections: 2,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 15000
+  });
+
+  return cachedTransport;
+}
+
+/**
+ * Sends one email
+ * @param {Object} message - { to, subject, html, text, headers }
+ * @returns {Promise<Object>} - { messageId }
+ */
+async function sendEmail({ to, subject, html, text, headers = {} }) {
+  if (!isEmailConfigured()) {
+    throw new Error('Email is not configured (SMTP_HOST and EMAIL_FROM are required)');
+  }
+
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    html,
+    text,
+    headers
+  });
+
+  return { messageId: info.messageId };
+}
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail
+};
@@ -0,0 +1,286 @@
+// netlify/functions/utils/motApiClient.js
+const axios = require('axios');
+const { getAccessToken, clearTokenCache } = require('./tokenManager');
+const { acquireToken, RateLimitExceededError, PRIORITY } = require('./rateLimiter');
+const { checkCircuit, recordSuccess, recordFailure, CircuitOpenError } = require('./circuitBreaker');
+
+// Constants for API URLs and credentials (MOT_API_URL can point at scripts/motApiStub.js locally)
+const MOT_API_URL = (process.env.MOT_API_URL || 'https://history.mot.api.gov.uk').replace(/\/+$/, '');
+const API_KEY = process.env.API_KEY;
+
+// Retry settings
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500; // 500ms base delay, doubled on each attempt
+const MAX_RETRY_DELAY = 8000; // Never back off for longer than 8 seconds
+const MAX_RETRY_AFTER = 30000; // Give up rather than wait longer than this on a 429
+const REQUEST_TIMEOUT = 10000; // 10 second timeout
+
+// Error taxonomy shared by every function that talks to the MOT API
+const MOT_API_ERRORS = {
+  NOT_FOUND: 'VEHICLE_NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
+  INVALID_REQUEST: 'INVALID_REQUEST'
+};
+
+// HTTP status our functions should return for each error code
+const STATUS_CODES = {
+  [MOT_API_ERRORS.NOT_FOUND]: 404,
+  [MOT_API_ERRORS.RATE_LIMITED]: 429,
+  [MOT_API_ERRORS.AUTH_FAILED]: 502,
+  [MOT_API_ERRORS.UPSTREAM_UNAVAILABLE]: 503,
+  [MOT_API_ERRORS.CIRCUIT_OPEN]: 503,
+  [MOT_API_ERRORS.INVALID_REQUEST]: 400
+};
+
+/**
+ * Error thrown for any failed MOT API call
+ */
+class MotApiError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'MotApiError';
+    this.code = code;
+    this.statusCode = STATUS_CODES[code] || 500;
+    this.retryAfter = details.retryAfter ?? null; // Seconds, when the API told us
+    this.upstreamStatus = details.upstreamStatus || null;
+    this.requestId = details.requestId || null;
+  }
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date) into seconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+
+  const date = new Date(value).getTime();
+  if (!Number.isNaN(date)) {
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  return null;
+}
+
+/**
+ * Converts an axios error into a MotApiError
+ * @param {Error} error - The axios error
+ * @param {string} description - What was being looked up, e.g. "registration AB12CDE"
+ * @returns {MotApiError}
+ */
+function classifyError(error, description) {
+  const response = error.response;
+
+  if (!response) {
+    // Timeouts and connection failures
+    return new MotApiError(
+      MOT_API_ERRORS.UPSTREAM_UNAVAILABLE,
+      error.code === 'ECONNABORTED' ? 'MOT API request timed out' : `Failed to connect to MOT API: ${error.message}`
+    );
+  }
+
+  const status = response.status;
+  const data = response.data || {};
+  const details = { upstreamStatus: status, requestId: data.requestId };
+
+  if (status === 404) {
+    return new MotApiError(MOT_API_ERRORS.NOT_FOUND, `No vehicle found with ${description}`, details);
+  }
+
+  if (status === 429) {
+    return new MotApiError(MOT_API_ERRORS.RATE_LIMITED, 'MOT API rate limit exceeded', {
+      ...details,
+      retryAfter: parseRetryAfter(response.headers?.['retry-after'])
+    });
+  }
+
+  if (status === 401 || status === 403) {
+    return new MotApiError(MOT_API_ERRORS.AUTH_FAILED, 'Failed to authenticate with MOT API', details);
+  }
+
+  if (status >= 500) {
+    return new MotApiError(MOT_API_ERRORS.UPSTREAM_UNAVAILABLE, data.errorMessage || 'MOT API is unavailable', details);
+  }
+
+  return new MotApiError(MOT_API_ERRORS.INVALID_REQUEST, data.errorMessage || 'Invalid request to MOT API', details);
+}
+
+/**
+ * Works out how long to wait before retrying, or null if we shouldn't retry
+ */
+function getRetryDelay(apiError, attempt, maxRetries) {
+  if (attempt >= maxRetries) {
+    return null;
+  }
+
+  // Exponential backoff with full jitter
+  const backoff = Math.random() * Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attempt));
+
+  switch (apiError.code) {
+    case MOT_API_ERRORS.UPSTREAM_UNAVAILABLE:
+      return backoff;
+    case MOT_API_ERRORS.RATE_LIMITED:
+      if (apiError.retryAfter === null) {
+        return backoff;
+      }
+      // Honour Retry-After, but only if it fits in a single invocation
+      return apiError.retryAfter * 1000 <= MAX_RETRY_AFTER ? apiError.retryAfter * 1000 : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Performs a GET against the MOT API with retries
+ * @param {string} path - API path, e.g. /v1/trade/vehicles/registration/AB12CDE
+ * @param {string} description - What is being looked up (used in error messages)
+ * @param {Object} options - { maxRetries, priority }
+ * @returns {Promise<Object>} - Response data
+ */
+async function requestWithRetry(path, description, options = {}) {
+  const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const priority = options.priority || PRIORITY.INTERACTIVE;
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    // Fail fast while the API is known to be down, rather than waiting out the timeout
+    try {
+      await checkCircuit();
+    } catch (circuitError) {
+      if (circuitError instanceof CircuitOpenError) {
+        throw new MotApiError(MOT_API_ERRORS.CIRCUIT_OPEN, 'MOT API is temporarily unavailable', {
+          retryAfter: circuitError.retryAfter
+        });
+      }
+      throw circuitError;
+    }
+
+    // Every attempt, retries included, spends from the shared API budget
+    try {
+      await acquireToken(priority);
+    } catch (limitError) {
+      if (limitError instanceof RateLimitExceededError) {
+        throw new MotApiError(MOT_API_ERRORS.RATE_LIMITED, 'Too many MOT lookups right now', {
+          retryAfter: limitError.retryAfter
+        });
+      }
+      throw limitError;
+    }
+
+    let token;
+    try {
+      token = await getAccessToken();
+    } catch (tokenError) {
+      throw new MotApiError(MOT_API_ERRORS.AUTH_FAILED, tokenError.message);
+    }
+
+    try {
+      const response = await axios.get(`${MOT_API_URL}${path}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'X-API-Key': API_KEY
+        },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      await recordSuccess();
+      return response.data;
+    } catch (error) {
+      const apiError = classifyError(error, description);
+
+      if (apiError.code === MOT_API_ERRORS.UPSTREAM_UNAVAILABLE) {
+        await recordFailure(apiError.code);
+      }
+
+      // A rejected token may have been revoked early - get a new one and try once more
+      if (apiError.code === MOT_API_ERRORS.AUTH_FAILED && !tokenRefreshed) {
+        console.warn(`MOT API rejected our token for ${description}, requesting a new one`);
+        tokenRefreshed = true;
+        clearTokenCache();
+        continue;
+      }
+
+      const delay = getRetryDelay(apiError, attempt, maxRetries);
+      if (delay === null) {
+        console.error(`MOT API error for ${description} (${apiError.code}):`, error.response?.data || error.message);
+        throw apiError;
+      }
+
+      console.warn(`MOT API error for ${description} (${apiError.code}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Fetches MOT history for a given registration
+ * @param {string} registration - Formatted registration (no spaces, uppercase)
+ * @param {Object} options - { maxRetries, priority }
+ * @returns {Promise<Object>} - Vehicle and MOT data
+ */
+async function getMotHistory(registration, options = {}) {
+  console.log(`Fetching MOT history for ${registration}`);
+  const data = await requestWithRetry(
+    `/v1/trade/vehicles/registration/${encodeURIComponent(registration)}`,
+    `registration ${registration}`,
+    options
+  );
+  console.log(`Successfully fetched MOT history for ${registration}`);
+  return data;
+}
+
+/**
+ * Fetches MOT history for a given VIN (follows the vehicle across plate changes)
+ * @param {string} vin - Formatted VIN (no spaces, uppercase)
+ * @param {Object} options - { maxRetries, priority }
+ * @returns {Promise<Object>} - Vehicle and MOT data, including its current registration
+ */
+async function getMotHistoryByVin(vin, options = {}) {
+  console.log(`Fetching MOT history for VIN ${vin}`);
+  const data = await requestWithRetry(
+    `/v1/trade/vehicles/vin/${encodeURIComponent(vin)}`,
+    `VIN ${vin}`,
+    options
+  );
+  console.log(`Successfully fetched MOT history for VIN ${vin}`);
+  return data;
+}
+
+/**
+ * Builds a function response for a MotApiError, in our standard error format
+ * @param {MotApiError} error - The error to report
+ * @param {Object} headers - Response headers (CORS etc.)
+ * @returns {Object} - Netlify function response
+ */
+function createErrorResponse(error, headers = {}) {
+  return {
+    statusCode: error.statusCode,
+    headers: error.retryAfter ? { ...headers, 'Retry-After': String(error.retryAfter) } : headers,
+    body: JSON.stringify({
+      error: true,
+      message: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString(),
+      details: {
+        requestId: error.requestId,
+        retryAfter: error.retryAfter
+      }
+    })
+  };
+}
+
+module.exports = {
+  getMotHistory,
+  getMotHistoryByVin,
+  createErrorResponse,
+  MotApiError,
+  MOT_API_ERRORS,
+  PRIORITY
+};
@@ -0,0 +1,168 @@
+// netlify/functions/utils/motApiClient.test.js
+const axios = require('axios');
+const { getAccessToken, clearTokenCache } = require('./tokenManager');
+const { acquireToken, RateLimitExceededError } = require('./rateLimiter');
+const { checkCircuit, recordSuccess, recordFailure, CircuitOpenError } = require('./circuitBreaker');
+const { getMotHistory, createErrorResponse, MotApiError, MOT_API_ERRORS } = require('./motApiClient');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('./tokenManager');
+jest.mock('./rateLimiter', () => ({
+  ...jest.requireActual('./rateLimiter'),
+  acquireToken: jest.fn()
+}));
+jest.mock('./circuitBreaker', () => ({
+  ...jest.requireActual('./circuitBreaker'),
+  checkCircuit: jest.fn(),
+  recordSuccess: jest.fn(),
+  recordFailure: jest.fn()
+}));
+
+const VEHICLE = { registration: 'AB12CDE', motTests: [] };
+
+function httpError(status, headers = {}, data = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data } });
+}
+
+let delays;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getAccessToken.mockResolvedValue('token');
+  acquireToken.mockResolvedValue();
+  checkCircuit.mockResolvedValue();
+
+  // Retries wait for real otherwise - record the delays and carry on straight away
+  delays = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+    delays.push(delay);
+    callback();
+    return 0;
+  });
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getMotHistory', () => {
+  it('returns the vehicle and records the success', async () => {
+    axios.get.mockResolvedValue({ data: VEHICLE });
+
+    await expect(getMotHistory('AB12CDE')).resolves.toEqual(VEHICLE);
+    expect(axios.get).toHaveBeenCalledWith(
+      expect.stringMatching(/\/v1\/trade\/vehicles\/registration\/AB12CDE$/),
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer token' }) })
+    );
+    expect(recordSuccess).toHaveBeenCalled();
+  });
+
+  it('retries 5xx responses with exponential backoff and jitter', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValue({ data: VEHICLE });
+
+    await expect(getMotHistory('AB12CDE')).resolves.toEqual(VEHICLE);
+    expect(delays).toEqual([250, 500]);
+    expect(recordFailure).toHaveBeenCalledTimes(2);
+    expect(acquireToken).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries timeouts, and gives up after maxRetries', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+
+    const error = await getMotHistory('AB12CDE', { maxRetries: 2 }).catch(e => e);
+    expect(error).toBeInstanceOf(MotApiError);
+    expect(error).toMatchObject({ code: MOT_API_ERRORS.UPSTREAM_UNAVAILABLE, statusCode: 503, message: 'MOT API request timed out' });
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+
+  it('waits for Retry-After on a 429', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValue({ data: VEHICLE });
+
+    await expect(getMotHistory('AB12CDE')).resolves.toEqual(VEHICLE);
+    expect(delays).toEqual([2000]);
+  });
+
+  it('reads Retry-After as an HTTP date', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': new Date(Date.now() + 3000).toUTCString() }))
+      .mockResolvedValue({ data: VEHICLE });
+
+    await getMotHistory('AB12CDE');
+    expect(delays[0]).toBeGreaterThan(0);
+    expect(delays[0]).toBeLessThanOrEqual(3000);
+  });
+
+  it('gives up at once when Retry-After is too long to wait for', async () => {
+    axios.get.mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+    await expect(getMotHistory('AB12CDE')).rejects.toMatchObject({ code: MOT_API_ERRORS.RATE_LIMITED, statusCode: 429, retryAfter: 120 });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry a vehicle that is not found', async () => {
+    axios.get.mockRejectedValue(httpError(404, {}, { requestId: 'req-1' }));
+
+    await expect(getMotHistory('AB12CDE')).rejects.toMatchObject({
+      code: MOT_API_ERRORS.NOT_FOUND,
+      statusCode: 404,
+      message: 'No vehicle found with registration AB12CDE',
+      requestId: 'req-1'
+    });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('gets a new token once when the API rejects ours', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(401))
+      .mockResolvedValue({ data: VEHICLE });
+
+    await expect(getMotHistory('AB12CDE')).resolves.toEqual(VEHICLE);
+    expect(clearTokenCache).toHaveBeenCalledTimes(1);
+    expect(delays).toEqual([]);
+
+    axios.get.mockRejectedValue(httpError(403));
+    await expect(getMotHistory('AB12CDE')).rejects.toMatchObject({ code: MOT_API_ERRORS.AUTH_FAILED, statusCode: 502 });
+    expect(clearTokenCache).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails fast while the circuit is open', async () => {
+    checkCircuit.mockRejectedValue(new CircuitOpenError(30));
+
+    await expect(getMotHistory('AB12CDE')).rejects.toMatchObject({ code: MOT_API_ERRORS.CIRCUIT_OPEN, retryAfter: 30 });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('fails when the shared rate limit has no token to spare', async () => {
+    acquireToken.mockRejectedValue(new RateLimitExceededError(1));
+
+    await expect(getMotHistory('AB12CDE')).rejects.toMatchObject({ code: MOT_API_ERRORS.RATE_LIMITED, retryAfter: 1 });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('createErrorResponse', () => {
+  it('uses the standard error format, with Retry-After when known', () => {
+    const response = createErrorResponse(
+      new MotApiError(MOT_API_ERRORS.RATE_LIMITED, 'MOT API rate limit exceeded', { retryAfter: 5 }),
+      { 'Content-Type': 'application/json' }
+    );
+
+    expect(response.statusCode).toBe(429);
+    expect(response.headers).toEqual({ 'Content-Type': 'application/json', 'Retry-After': '5' });
+    expect(JSON.parse(response.body)).toMatchObject({
+      error: true,
+      message: 'MOT API rate limit exceeded',
+      code: 'RATE_LIMITED',
+      details: { retryAfter: 5 }
+    });
+  });
+});
@@ -0,0 +1,200 @@
+// netlify/functions/utils/motCache.js
+const { connectToDatabase } = require('./mongodb');
+const { getMotHistory, getMotHistoryByVin, MOT_API_ERRORS, PRIORITY } = require('./motApiClient');
+
+// How long cached data is served without asking the MOT API (default 15 minutes)
+const FRESH_FOR = parseInt(process.env.MOT_CACHE_FRESH_SECONDS || '900', 10) * 1000;
+// How long stale data is kept for stale-while-revalidate, after which the TTL index removes it (default 24 hours)
+const KEEP_FOR = parseInt(process.env.MOT_CACHE_MAX_AGE_SECONDS || '86400', 10) * 1000;
+// How long one invocation may hold the revalidation claim on an entry
+const REVALIDATE_LOCK = 30000;
+
+// Errors where stale data is better than no data
+const STALE_IF_ERROR_CODES = [
+  MOT_API_ERRORS.UPSTREAM_UNAVAILABLE,
+  MOT_API_ERRORS.CIRCUIT_OPEN,
+  MOT_API_ERRORS.RATE_LIMITED
+];
+
+// Only create the TTL index once per container
+let indexEnsured = false;
+
+/**
+ * Gets the mot_cache collection, creating its TTL index on first use
+ */
+async function getCacheCollection() {
+  const db = await connectToDatabase();
+  const collection = db.collection('mot_cache');
+
+  if (!indexEnsured) {
+    try {
+      await collection.createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0, background: true }
+      );
+      indexEnsured = true;
+    } catch (indexError) {
+      console.warn('MOT cache index creation warning (may already exist):', indexError.message);
+    }
+  }
+
+  return collection;
+}
+
+/**
+ * Saves fresh API data to the cache (no-op if the cache is unavailable)
+ */
+async function storeEntry(collection, key, data) {
+  const now = new Date();
+  const entry = { _id: key, data, fetchedAt: now };
+
+  if (!collection) {
+    return entry;
+  }
+
+  try {
+    await collection.updateOne(
+      { _id: key },
+      {
+        $set: { data, fetchedAt: now, expiresAt: new Date(now.getTime() + KEEP_FOR) },
+        $unset: { revalidatingUntil: '' }
+      },
+      { upsert: true }
+    );
+  } catch (cacheError) {
+    console.warn(`Failed to write ${key} to MOT cache:`, cacheError.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Refreshes a stale entry in the background. Only one invocation claims each refresh.
+ * Netlify may freeze the container once the response is sent, in which case the
+ * refresh finishes on its next invocation, or the next request for the entry does it.
+ */
+async function revalidateEntry(collection, key, fetchFn) {
+  try {
+    const claimed = await collection.findOneAndUpdate(
+      { _id: key, revalidatingUntil: { $not: { $gt: new Date() } } },
+      { $set: { revalidatingUntil: new Date(Date.now() + REVALIDATE_LOCK) } }
+    );
+
+    // Another invocation is already refreshing this entry
+    if (!claimed.value) {
+      return;
+    }
+
+    console.log(`Revalidating stale MOT cache entry ${key}`);
+    // Nobody is waiting on this refresh, so it shouldn't use the interactive budget
+    await storeEntry(collection, key, await fetchFn({ priority: PRIORITY.BACKGROUND }));
+  } catch (error) {
+    console.warn(`Background revalidation of ${key} failed:`, error.message);
+  }
+}
+
+/**
+ * Describes how a result was served, for the response headers
+ */
+function describe(entry, status) {
+  const fetchedAt = new Date(entry.fetchedAt);
+  return {
+    data: entry.data,
+    cache: {
+      status,
+      fetchedAt: fetchedAt.toISOString(),
+      ageSeconds: Math.max(0, Math.floor((Date.now() - fetchedAt.getTime()) / 1000))
+    }
+  };
+}
+
+/**
+ * Reads through the MOT cache, falling back to the API
+ * @param {string} key - Cache key, e.g. registration:AB12CDE
+ * @param {Function} fetchFn - Fetches fresh data from the MOT API, given option overrides
+ * @param {Object} options - { forceFresh, allowStale, readOnly: don't store what's fetched }
+ * @returns {Promise<Object>} - { data, cache: { status, fetchedAt, ageSeconds } }
+ */
+async function readThrough(key, fetchFn, options = {}) {
+  const { forceFresh = false, allowStale = true, readOnly = false } = options;
+
+  // The cache is an optimisation - if MongoDB is unavailable, go straight to the API
+  let collection = null;
+  let cached = null;
+  try {
+    collection = await getCacheCollection();
+    if (!forceFresh) {
+      cached = await collection.findOne({ _id: key });
+    }
+  } catch (cacheError) {
+    console.warn(`MOT cache unavailable, fetching ${key} directly:`, cacheError.message);
+  }
+
+  if (cached) {
+    const age = Date.now() - new Date(cached.fetchedAt).getTime();
+
+    if (age < FRESH_FOR) {
+      return describe(cached, 'HIT');
+    }
+
+    if (allowStale) {
+      // Not awaited - serve the stale copy now and refresh it behind the scenes
+      revalidateEntry(collection, key, fetchFn);
+      return describe(cached, 'STALE');
+    }
+  }
+
+  try {
+    const entry = await storeEntry(readOnly ? null : collection, key, await fetchFn());
+    return describe(entry, forceFresh ? 'BYPASS' : 'MISS');
+  } catch (error) {
+    if (cached && allowStale && STALE_IF_ERROR_CODES.includes(error.code)) {
+      console.warn(`Serving stale ${key} because the MOT API failed (${error.code})`);
+      return describe(cached, 'STALE');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches MOT history for a registration through the cache
+ * @param {string} registration - Formatted registration
+ * @param {Object} options - { forceFresh, allowStale, readOnly, maxRetries, priority }
+ */
+async function getCachedMotHistory(registration, options = {}) {
+  return readThrough(
+    `registration:${registration}`,
+    overrides => getMotHistory(registration, { ...options, ...overrides }),
+    options
+  );
+}
+
+/**
+ * Fetches MOT history for a VIN through the cache
+ * @param {string} vin - Formatted VIN
+ * @param {Object} options - { forceFresh, allowStale, readOnly, maxRetries, priority }
+ */
+async function getCachedMotHistoryByVin(vin, options = {}) {
+  return readThrough(
+    `vin:${vin}`,
+    overrides => getMotHistoryByVin(vin, { ...options, ...overrides }),
+    options
+  );
+}
+
+/**
+ * Response headers describing the cache result
+ */
+function getCacheHeaders(cache) {
+  return {
+    'X-Cache': cache.status,
+    'Age': String(cache.ageSeconds),
+    'X-Cache-Fetched-At': cache.fetchedAt
+  };
+}
+
+module.exports = {
+  getCachedMotHistory,
+  getCachedMotHistoryByVin,
+  getCacheHeaders
+};
@@ -0,0 +1,143 @@
+// netlify/functions/utils/notificationActions.js
+const { getCurrentExpiry, daysUntil } = require('./reminders');
+const { markRead, countUnread } = require('./notificationEvents');
+
+// Buttons on push notifications that the service worker sends to /api/notificationAction
+const NOTIFICATION_ACTIONS = {
+  REMIND_BEFORE_EXPIRY: 'remind-before-expiry',
+  MUTE: 'mute',
+  MARK_SEEN: 'mark-seen'
+};
+
+// "Remind me a week before expiry"
+const REMIND_LEAD_DAYS = 7;
+// "Mute this vehicle for 30 days"
+const MUTE_DAYS = 30;
+// Time of day (UTC) requested reminders are due - the next scheduled run sends them
+const REMIND_HOUR_UTC = 9;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Query clause leaving out devices that have muted the vehicle
+ */
+function getMuteFilter(now = new Date()) {
+  return { $or: [{ mutedUntil: { $exists: false } }, { mutedUntil: null }, { mutedUntil: { $lte: now } }] };
+}
+
+/**
+ * Sets a reminder for this device a week before the vehicle's current MOT expiry. It's a
+ * snoozed reminder due then, so the scheduled check sends it (see sendSnoozedReminders) - even if
+ * the device has since muted the vehicle or switched to a digest.
+ * @returns {Promise<Object>} - { remindAt, expiryDate, confirmation }, or { error, code } if it can't be set
+ */
+async function remindBeforeExpiry(db, subscription) {
+  const record = await db.collection('notifications').findOne({ registration: subscription.registration });
+  const expiry = record?.snapshot ? getCurrentExpiry(record.snapshot) : null;
+  if (!expiry) {
+    return { code: 'NO_EXPIRY_DATE', error: `There's no MOT expiry date for ${subscription.registration}` };
+  }
+
+  const days = daysUntil(expiry.expiryDate);
+  if (days <= REMIND_LEAD_DAYS) {
+    return {
+      code: 'TOO_CLOSE_TO_EXPIRY',
+      error: days > 0
+        ? `The MOT for ${subscription.registration} expires in ${days} day${days === 1 ? '' : 's'} - too soon for a week's notice`
+        : `The MOT for ${subscription.registration} has already expired`
+    };
+  }
+
+  const remindAt = new Date(Date.parse(`${expiry.expiryDate}T00:00:00Z`) - REMIND_LEAD_DAYS * DAY + REMIND_HOUR_UTC * 60 * 60 * 1000);
+  const confirmation = {
+    title: `Reminder set - ${subscription.registration}`,
+    body: `We'll remind you on ${formatDate(remindAt)}, a week before the MOT expires on ${formatDate(expiry.expiryDate)}.`
+  };
+
+  await db.collection('reminder_snoozes').updateOne(
+    { _id: `${subscription.deviceId}:${subscription.registration}:${expiry.expiryDate}:${REMIND_LEAD_DAYS}` },
+    {
+      $set: {
+        registration: subscription.registration,
+        deviceId: subscription.deviceId,
+        expiryDate: expiry.expiryDate,
+        leadDays: REMIND_LEAD_DAYS,
+        remindAt,
+        status: 'PENDING',
+        requested: true,
+        requestedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  return { remindAt, expiryDate: expiry.expiryDate, confirmation };
+}
+
+/**
+ * Stops notifications about the vehicle on this device (push and chat) for MUTE_DAYS, apart from
+ * reminders the device asks for. Muting again starts the 30 days again.
+ */
+async function muteVehicle(db, subscription) {
+  const mutedUntil = new Date(Date.now() + MUTE_DAYS * DAY);
+  await db.collection('push_subscriptions').updateOne(
+    { _id: subscription._id },
+    { $set: { mutedUntil, preferencesUpdatedAt: new Date().toISOString() } }
+  );
+
+  return {
+    mutedUntil,
+    confirmation: {
+      title: `${subscription.registration} muted`,
+      body: `No notifications about ${subscription.registration} on this device until ${formatDate(mutedUntil)}. You can unmute it in the app.`
+    }
+  };
+}
+
+/**
+ * Marks the notification read in this device's notification centre
+ */
+async function markSeen(db, subscription, eventId) {
+  await markRead(db, subscription.deviceId, [eventId]);
+  return {
+    unreadCount: await countUnread(db, subscription.deviceId),
+    confirmation: {
+      title: 'Marked as seen',
+      body: `The notification about ${subscription.registration} has been marked as seen.`
+    }
+  };
+}
+
+/**
+ * Carries out a notification action for the device that owns the subscription
+ * @param {Object} db - MongoDB database
+ * @param {string} action - One of NOTIFICATION_ACTIONS
+ * @param {Object} subscription - The device's push subscription for the vehicle
+ * @param {Object} details - { eventId } of the notification the action was on
+ * @returns {Promise<Object>} - The action's result, with a confirmation { title, body } for the
+ *                              service worker to show, or { error, code } if it can't be done now
+ */
+async function performAction(db, action, subscription, { eventId }) {
+  switch (action) {
+    case NOTIFICATION_ACTIONS.REMIND_BEFORE_EXPIRY:
+      return remindBeforeExpiry(db, subscription);
+    case NOTIFICATION_ACTIONS.MUTE:
+      return muteVehicle(db, subscription);
+    case NOTIFICATION_ACTIONS.MARK_SEEN:
+      return markSeen(db, subscription, eventId);
+    default:
+      return { code: 'INVALID_ACTION', error: `action must be one of: ${Object.values(NOTIFICATION_ACTIONS).join(', ')}` };
+  }
+}
+
+module.exports = {
+  NOTIFICATION_ACTIONS,
+  REMIND_LEAD_DAYS,
+  MUTE_DAYS,
+  getMuteFilter,
+  performAction
+};
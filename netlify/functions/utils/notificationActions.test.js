@@ -0,0 +1,143 @@
+// netlify/functions/utils/notificationActions.test.js
+const { markRead, countUnread } = require('./notificationEvents');
+const { NOTIFICATION_ACTIONS, MUTE_DAYS, getMuteFilter, performAction } = require('./notificationActions');
+
+jest.mock('./notificationEvents', () => ({ markRead: jest.fn(), countUnread: jest.fn() }));
+
+const NOW = new Date('2025-03-01T09:30:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const SUBSCRIPTION = { _id: 'sub-1', deviceId: 'device-1', registration: 'AB12CDE' };
+
+/**
+ * notifications holding the vehicle's snapshot, if any, and the collections the actions write to
+ */
+function fakeDb(snapshot) {
+  const collections = {
+    notifications: { findOne: jest.fn(async () => (snapshot ? { registration: 'AB12CDE', snapshot } : null)) },
+    reminder_snoozes: { updateOne: jest.fn() },
+    push_subscriptions: { updateOne: jest.fn() }
+  };
+  return { collections, db: { collection: name => collections[name] } };
+}
+
+const expiringOn = expiryDate => ({ tests: [{ completedDate: '2024-04-01', testResult: 'PASSED', expiryDate }] });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.useRealTimers();
+});
+
+describe('remind-before-expiry', () => {
+  const remind = (db, subscription = SUBSCRIPTION) => performAction(db, NOTIFICATION_ACTIONS.REMIND_BEFORE_EXPIRY, subscription, {});
+
+  it('sets a reminder for 9am a week before expiry, for this device only', async () => {
+    const { db, collections } = fakeDb(expiringOn('2025-03-31'));
+
+    const result = await remind(db);
+
+    const remindAt = new Date('2025-03-24T09:00:00.000Z');
+    expect(result).toEqual({
+      remindAt,
+      expiryDate: '2025-03-31',
+      confirmation: {
+        title: 'Reminder set - AB12CDE',
+        body: "We'll remind you on 24 Mar 2025, a week before the MOT expires on 31 Mar 2025."
+      }
+    });
+    expect(collections.reminder_snoozes.updateOne).toHaveBeenCalledWith(
+      { _id: 'device-1:AB12CDE:2025-03-31:7' },
+      {
+        $set: {
+          registration: 'AB12CDE',
+          deviceId: 'device-1',
+          expiryDate: '2025-03-31',
+          leadDays: 7,
+          remindAt,
+          status: 'PENDING',
+          requested: true,
+          requestedAt: NOW
+        }
+      },
+      { upsert: true }
+    );
+  });
+
+  it('sets it even for a device that gets the usual reminders, in case it mutes the vehicle', async () => {
+    const { db, collections } = fakeDb(expiringOn('2025-03-31'));
+
+    await remind(db, { ...SUBSCRIPTION, eventTypes: ['EXPIRY_REMINDER'], mutedUntil: new Date(NOW.getTime() + DAY) });
+
+    expect(collections.reminder_snoozes.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it("can't be set within a week of expiry, or without an expiry date", async () => {
+    await expect(remind(fakeDb(expiringOn('2025-03-06')).db)).resolves.toEqual({
+      code: 'TOO_CLOSE_TO_EXPIRY',
+      error: "The MOT for AB12CDE expires in 5 days - too soon for a week's notice"
+    });
+    await expect(remind(fakeDb(expiringOn('2025-02-28')).db)).resolves.toMatchObject({
+      code: 'TOO_CLOSE_TO_EXPIRY',
+      error: 'The MOT for AB12CDE has already expired'
+    });
+    await expect(remind(fakeDb(null).db)).resolves.toEqual({
+      code: 'NO_EXPIRY_DATE',
+      error: "There's no MOT expiry date for AB12CDE"
+    });
+  });
+});
+
+describe('mute', () => {
+  it('mutes the vehicle on this device for 30 days', async () => {
+    const { db, collections } = fakeDb();
+
+    const result = await performAction(db, NOTIFICATION_ACTIONS.MUTE, SUBSCRIPTION, {});
+
+    const mutedUntil = new Date(NOW.getTime() + MUTE_DAYS * DAY);
+    expect(result).toEqual({
+      mutedUntil,
+      confirmation: {
+        title: 'AB12CDE muted',
+        body: 'No notifications about AB12CDE on this device until 31 Mar 2025. You can unmute it in the app.'
+      }
+    });
+    expect(collections.push_subscriptions.updateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1' },
+      { $set: { mutedUntil, preferencesUpdatedAt: NOW.toISOString() } }
+    );
+  });
+});
+
+describe('mark-seen', () => {
+  it("marks the notification read on this device and returns the device's unread count", async () => {
+    countUnread.mockResolvedValue(2);
+    const { db } = fakeDb();
+
+    const result = await performAction(db, NOTIFICATION_ACTIONS.MARK_SEEN, SUBSCRIPTION, { eventId: 'event-1' });
+
+    expect(markRead).toHaveBeenCalledWith(db, 'device-1', ['event-1']);
+    expect(result).toMatchObject({ unreadCount: 2, confirmation: { title: 'Marked as seen' } });
+  });
+});
+
+describe('performAction', () => {
+  it('refuses unknown actions', async () => {
+    await expect(performAction(fakeDb().db, 'delete', SUBSCRIPTION, {})).resolves.toEqual({
+      code: 'INVALID_ACTION',
+      error: 'action must be one of: remind-before-expiry, mute, mark-seen'
+    });
+  });
+});
+
+describe('getMuteFilter', () => {
+  it('matches devices that have never muted the vehicle, or whose mute has run out', () => {
+    expect(getMuteFilter(NOW)).toEqual({
+      $or: [{ mutedUntil: { $exists: false } }, { mutedUntil: null }, { mutedUntil: { $lte: NOW } }]
+    });
+  });
+});
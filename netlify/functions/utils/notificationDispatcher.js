@@ -0,0 +1,200 @@
+// netlify/functions/utils/notificationDispatcher.js
+const webPush = require('./channels/webPush');
+const email = require('./channels/email');
+const webhook = require('./channels/webhook');
+const chat = require('./channels/chat');
+const {
+  getDigestRecipients,
+  addToDigest,
+  findDueDigests,
+  claimDigest,
+  restoreDigestItems,
+  deleteDigest,
+  buildDigest
+} = require('./digests');
+
+/**
+ * Every way a notification can be delivered. A channel is an object with:
+ *   name                                                 - key for its results, e.g. 'webPush'
+ *   isConfigured()                                       - false switches the channel off, e.g. no SMTP host
+ *   findRecipients(db, registration, notificationData, { recipientId, ignorePreferences })
+ *                                                        - subscribers who want this notification on this channel
+ *                                                          (only recipientId's, if given; whatever types and
+ *                                                          results they've chosen, and even if they've muted
+ *                                                          the vehicle, if ignorePreferences)
+ *   describeRecipient(recipient)                         - id for results and logs (never an address or secret)
+ *   format(notificationData, recipient)                  - the message in the channel's own format
+ *   send(db, recipient, message, { registration, notificationData })
+ *                                                        - delivers it, throwing if it couldn't be, or returns
+ *                                                          { heldUntil } if it's been held to send later. The
+ *                                                          error has `queued: true` if the channel has kept the
+ *                                                          message to retry itself (or dead-letter)
+ *
+ * Channels that deliver to a device also have:
+ *   getDeviceId(recipient)                               - the device, so it gets the notification in its inbox
+ *
+ * Channels whose recipients can choose a daily or weekly digest (see utils/digests.js) also have:
+ *   getDigestKey(recipient)                              - who the digest is for, e.g. the device id
+ *   sendDigest(db, recipientKey, digest)                 - sends a digest from buildDigest, returning false if
+ *                                                          the recipient has gone
+ *
+ * Subscribers choose their channels: a device's push subscription has a `channels` list (web push
+ * by default, chat as well or instead), and email addresses and webhook endpoints subscribe to
+ * their own channel. Adding a channel means adding it here - the scheduled check doesn't change.
+ */
+const CHANNELS = [webPush, email, webhook, chat];
+
+// Channels a device can pick from on its push subscription
+const DEVICE_CHANNELS = [webPush.name, chat.name];
+
+function getChannels(names = null) {
+  return CHANNELS.filter(channel => (!names || names.includes(channel.name)) && channel.isConfigured());
+}
+
+/**
+ * Counts who a notification would go to on each channel, without sending it
+ * @returns {Promise<Object>} - { [channel]: count }
+ */
+async function countRecipients(db, registration, notificationData, options = {}) {
+  const counts = {};
+  for (const channel of getChannels(options.channels)) {
+    counts[channel.name] = (await channel.findRecipients(db, registration, notificationData, options)).length;
+  }
+  return counts;
+}
+
+/**
+ * Delivers a notification on every channel its subscribers have chosen. One channel failing
+ * doesn't stop the others. Held notifications (e.g. during a device's quiet hours) count as held, and
+ * those saved for a recipient's digest as digested, rather than sent. Notifications for one
+ * recipient (recipientId) or that they asked for (ignorePreferences) never go in a digest.
+ * Channels that reached nobody - their recipients couldn't be found, or every send failed and
+ * the channel hasn't queued any to retry itself - are listed in retryChannels, so the caller can send
+ * on just those again without anyone getting it twice.
+ * @param {Object} db - MongoDB database
+ * @param {string} registration - The vehicle registration
+ * @param {Object} notificationData - Shared event payload (see buildNotificationData)
+ * @param {Object} options - { channels: only these channel names, recipientId: only this subscriber,
+ *                            ignorePreferences: for a notification the subscriber asked for }
+ * @returns {Promise<Object>} - { sent, held, digested, failed, channels: { [channel]: { sent, held, digested, failed, errors } },
+ *                                deliveries: [{ deviceId, channel, status }] for each device it went to,
+ *                                retryChannels: names of channels that reached nobody }
+ */
+async function dispatchNotification(db, registration, notificationData, options = {}) {
+  const results = { sent: 0, held: 0, digested: 0, failed: 0, channels: {}, deliveries: [], retryChannels: [] };
+
+  for (const channel of getChannels(options.channels)) {
+    const channelResults = { sent: 0, held: 0, digested: 0, failed: 0, errors: [] };
+    let unqueuedFailures = 0;
+    results.channels[channel.name] = channelResults;
+
+    let recipients, digestRecipients;
+    try {
+      recipients = await channel.findRecipients(db, registration, notificationData, options);
+      const digestable = channel.getDigestKey && !options.recipientId && !options.ignorePreferences;
+      digestRecipients = digestable
+        ? await getDigestRecipients(db, channel.name, recipients.map(channel.getDigestKey))
+        : new Set();
+    } catch (error) {
+      console.error(`Could not find ${channel.name} recipients for ${registration}:`, error);
+      channelResults.error = error.message;
+      results.retryChannels.push(channel.name);
+      continue;
+    }
+
+    for (const recipient of recipients) {
+      let status;
+      try {
+        if (digestRecipients.has(channel.getDigestKey(recipient))) {
+          await addToDigest(db, channel.name, channel.getDigestKey(recipient), notificationData);
+          channelResults.digested++;
+          status = 'DIGESTED';
+        } else {
+          const outcome = await channel.send(db, recipient, channel.format(notificationData, recipient), { registration, notificationData });
+          if (outcome?.heldUntil) {
+            channelResults.held++;
+            status = 'HELD';
+          } else {
+            channelResults.sent++;
+            status = 'SENT';
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to deliver ${notificationData.type || 'notification'} for ${registration} by ${channel.name} to ${channel.describeRecipient(recipient)}:`, error.message);
+        channelResults.failed++;
+        if (!error.queued) unqueuedFailures++;
+        channelResults.errors.push({ recipient: channel.describeRecipient(recipient), error: error.message });
+        status = 'FAILED';
+      }
+
+      if (channel.getDeviceId) {
+        results.deliveries.push({ deviceId: channel.getDeviceId(recipient), channel: channel.name, status });
+      }
+    }
+
+    results.sent += channelResults.sent;
+    results.held += channelResults.held;
+    results.digested += channelResults.digested;
+    results.failed += channelResults.failed;
+    if (recipients.length > 0 && unqueuedFailures === recipients.length) {
+      results.retryChannels.push(channel.name);
+    }
+
+    if (recipients.length > 0) {
+      console.log(`${channel.name} results for ${registration}: ${channelResults.sent} sent, ${channelResults.held} held, ${channelResults.digested} digested, ${channelResults.failed} failed`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Sends the daily and weekly digests that are due, each on its recipient's channel. A digest
+ * that fails keeps its events for the next one.
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { limit, deadline: stop starting sends after this time (ms) }
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+async function sendDueDigests(db, { limit, deadline }) {
+  const results = { sent: 0, failed: 0 };
+
+  for (const due of await findDueDigests(db, limit)) {
+    if (Date.now() >= deadline) break;
+
+    const digest = await claimDigest(db, due);
+    if (!digest) continue;
+
+    const items = digest.items || [];
+    const channel = CHANNELS.find(candidate => candidate.name === digest.channel);
+    // Switched back to individual notifications, and now caught up
+    const finished = !digest.frequency;
+
+    if (items.length === 0 || !channel || !channel.isConfigured()) {
+      if (finished || !channel) await deleteDigest(db, digest);
+      continue;
+    }
+
+    try {
+      const delivered = await channel.sendDigest(db, digest.recipientKey, buildDigest(digest.frequency, items));
+      if (delivered === false || finished) {
+        await deleteDigest(db, digest);
+      }
+      if (delivered !== false) {
+        results.sent++;
+      }
+    } catch (error) {
+      console.error(`Failed to send a ${digest.channel} digest of ${items.length} events:`, error.message);
+      await restoreDigestItems(db, digest, items);
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEVICE_CHANNELS,
+  countRecipients,
+  dispatchNotification,
+  sendDueDigests
+};
@@ -0,0 +1,201 @@
+// netlify/functions/utils/notificationEvents.js
+const crypto = require('crypto');
+const { getNotificationContent } = require('./emailTemplates');
+
+// How long past notifications stay in device inboxes before a TTL index removes them
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_EVENT_RETENTION_DAYS || '90', 10);
+
+// Inbox pages
+const DEFAULT_INBOX_LIMIT = 20;
+const MAX_INBOX_LIMIT = 100;
+
+// Only create the indexes once per container
+let indexesEnsured = false;
+
+async function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, background: true });
+  await collection.createIndex({ 'deliveries.deviceId': 1, createdAt: -1 }, { background: true });
+  await collection.createIndex({ registration: 1, type: 1, createdAt: -1 }, { background: true });
+  indexesEnsured = true;
+}
+
+/**
+ * Id for a notification, set on its payload before it's sent so pushes can refer back to it
+ */
+function createEventId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Records a notification that's been dispatched, with what happened on each device, so every
+ * device has it in its inbox whether or not its push arrived. Recorded even with no devices, for
+ * clients polling getPendingNotifications. Recording it again after retrying some channels
+ * replaces those channels' receipts. Never fails the caller.
+ * @param {Object} db - MongoDB database
+ * @param {Object} notificationData - The payload, with its eventId
+ * @param {Object} delivery - Result of dispatchNotification
+ */
+async function recordNotificationEvent(db, notificationData, delivery) {
+  if (!notificationData.eventId) return;
+
+  try {
+    const collection = db.collection('notification_events');
+    await ensureIndexes(collection);
+
+    const content = getNotificationContent(notificationData);
+    const now = new Date();
+    const receipts = delivery.deliveries.map(({ deviceId, channel, status }) => ({ deviceId, channel, status, at: now }));
+    try {
+      await collection.insertOne({
+        _id: notificationData.eventId,
+        registration: notificationData.registration,
+        type: notificationData.type,
+        title: content.heading,
+        body: content.lines[0] || '',
+        payload: notificationData,
+        createdAt: now,
+        deliveries: receipts,
+        reads: []
+      });
+    } catch (insertError) {
+      if (insertError.code !== 11000) throw insertError;
+
+      // A retry - the channels just dispatched on replace their earlier receipts
+      await collection.updateOne(
+        { _id: notificationData.eventId },
+        { $pull: { deliveries: { channel: { $in: Object.keys(delivery.channels) } } } }
+      );
+      await collection.updateOne(
+        { _id: notificationData.eventId },
+        { $push: { deliveries: { $each: receipts } } }
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to record notification event ${notificationData.eventId}:`, error);
+  }
+}
+
+/**
+ * Updates a device's delivery receipt, e.g. when a push that failed gets through on a retry
+ */
+async function updateDeliveryStatus(db, eventId, deviceId, channel, status) {
+  await db.collection('notification_events').updateOne(
+    { _id: eventId },
+    { $set: { 'deliveries.$[receipt].status': status, 'deliveries.$[receipt].at': new Date() } },
+    { arrayFilters: [{ 'receipt.deviceId': deviceId, 'receipt.channel': channel }] }
+  );
+}
+
+function unreadQuery(deviceId) {
+  return { 'deliveries.deviceId': deviceId, 'reads.deviceId': { $ne: deviceId } };
+}
+
+/**
+ * A device's past notifications, newest first, with its own delivery status and read state
+ * @param {Object} options - { limit, before: createdAt of the last event on the previous page }
+ * @returns {Promise<Object>} - { events, unreadCount, nextBefore }
+ */
+async function getInbox(db, deviceId, { limit = DEFAULT_INBOX_LIMIT, before } = {}) {
+  const collection = db.collection('notification_events');
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+
+  const records = await collection
+    .find({
+      'deliveries.deviceId': deviceId,
+      ...(before && { createdAt: { $lt: new Date(before) } })
+    })
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .project({ payload: 0 })
+    .toArray();
+
+  const page = records.slice(0, pageSize);
+  const events = page.map(record => {
+    const read = record.reads.find(receipt => receipt.deviceId === deviceId);
+    return {
+      id: record._id,
+      registration: record.registration,
+      type: record.type,
+      title: record.title,
+      body: record.body,
+      createdAt: record.createdAt,
+      // A device can have it by push and by chat - list both
+      delivery: record.deliveries
+        .filter(receipt => receipt.deviceId === deviceId)
+        .map(({ channel, status }) => ({ channel, status })),
+      read: !!read,
+      readAt: read?.at || null
+    };
+  });
+
+  return {
+    events,
+    unreadCount: await countUnread(db, deviceId),
+    nextBefore: records.length > pageSize ? page[page.length - 1].createdAt : null
+  };
+}
+
+async function countUnread(db, deviceId) {
+  return db.collection('notification_events').countDocuments(unreadQuery(deviceId));
+}
+
+/**
+ * Marks notifications read on one device - other devices keep their own read state
+ * @param {Array<string>|null} eventIds - The events to mark, or null for all of them
+ * @returns {Promise<number>} - How many were newly marked read
+ */
+async function markRead(db, deviceId, eventIds) {
+  const result = await db.collection('notification_events').updateMany(
+    { ...unreadQuery(deviceId), ...(eventIds && { _id: { $in: eventIds } }) },
+    { $push: { reads: { deviceId, at: new Date() } } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * The vehicle's newest new test, if this device hasn't had it yet (by push or polling), for
+ * clients polling getPendingNotifications. Recorded as delivered by polling, so each device gets
+ * it once and other devices still get it. Older tests are never offered, and nor is anything from
+ * before the device first polled for the vehicle - a device's first poll just starts the clock.
+ */
+async function claimLatestTestForDevice(db, registration, deviceId) {
+  const now = new Date();
+  const cursor = await db.collection('poll_cursors').findOneAndUpdate(
+    { _id: `${deviceId}:${registration}` },
+    { $setOnInsert: { deviceId, registration, since: now }, $set: { lastPolledAt: now } },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  const collection = db.collection('notification_events');
+  const [latest] = await collection
+    .find({ registration, type: 'NEW_TEST' })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .toArray();
+  if (!latest || latest.createdAt < cursor.value.since) {
+    return null;
+  }
+
+  const result = await collection.findOneAndUpdate(
+    {
+      _id: latest._id,
+      deliveries: { $not: { $elemMatch: { deviceId, channel: { $in: ['webPush', 'poll'] }, status: 'SENT' } } },
+      'reads.deviceId': { $ne: deviceId }
+    },
+    { $push: { deliveries: { deviceId, channel: 'poll', status: 'SENT', at: now } } },
+    { returnDocument: 'before' }
+  );
+  return result.value;
+}
+
+module.exports = {
+  createEventId,
+  recordNotificationEvent,
+  updateDeliveryStatus,
+  getInbox,
+  countUnread,
+  markRead,
+  claimLatestTestForDevice
+};
@@ -0,0 +1,262 @@
+// netlify/functions/utils/notificationEvents.test.js
+const { CHANGE_TYPES } = require('./vehicleChanges');
+const {
+  createEventId,
+  recordNotificationEvent,
+  updateDeliveryStatus,
+  getInbox,
+  markRead,
+  claimLatestTestForDevice
+} = require('./notificationEvents');
+
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+
+const NOTIFICATION = {
+  eventId: 'event-1',
+  type: CHANGE_TYPES.RECALL_OPENED,
+  registration: 'AB12CDE',
+  summary: 'Safety recall opened'
+};
+
+/**
+ * A collection whose reads return `records`, recording the queries and updates it's given
+ */
+function eventsCollection(records = []) {
+  const cursor = {
+    sort: jest.fn(() => cursor),
+    limit: jest.fn(() => cursor),
+    project: jest.fn(() => cursor),
+    toArray: jest.fn(async () => records)
+  };
+  return {
+    cursor,
+    createIndex: jest.fn(),
+    insertOne: jest.fn(),
+    updateOne: jest.fn(),
+    updateMany: jest.fn(async () => ({ modifiedCount: 2 })),
+    find: jest.fn(() => cursor),
+    findOneAndUpdate: jest.fn(async () => ({ value: null })),
+    countDocuments: jest.fn(async () => 3)
+  };
+}
+
+function fakeDb(collections) {
+  return { collection: name => collections[name] };
+}
+
+function inboxRecord(id, createdAt, overrides = {}) {
+  return {
+    _id: id,
+    registration: 'AB12CDE',
+    type: CHANGE_TYPES.NEW_TEST,
+    title: 'AB12CDE passed its MOT',
+    body: 'A new MOT test was recorded',
+    createdAt: new Date(createdAt),
+    deliveries: [
+      { deviceId: 'device-1', channel: 'webPush', status: 'SENT' },
+      { deviceId: 'device-1', channel: 'chat', status: 'FAILED' },
+      { deviceId: 'device-2', channel: 'webPush', status: 'HELD' }
+    ],
+    reads: [],
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('createEventId', () => {
+  it('makes a new UUID each time', () => {
+    expect(createEventId()).toMatch(/^[0-9a-f-]{36}$/);
+    expect(createEventId()).not.toBe(createEventId());
+  });
+});
+
+describe('recordNotificationEvent', () => {
+  const delivery = {
+    channels: { webPush: {}, email: {} },
+    deliveries: [{ deviceId: 'device-1', channel: 'webPush', status: 'SENT' }]
+  };
+
+  it('records the event with a receipt for each device', async () => {
+    const events = eventsCollection();
+
+    await recordNotificationEvent(fakeDb({ notification_events: events }), NOTIFICATION, delivery);
+
+    expect(events.insertOne).toHaveBeenCalledWith({
+      _id: 'event-1',
+      registration: 'AB12CDE',
+      type: CHANGE_TYPES.RECALL_OPENED,
+      title: 'Safety recall for AB12CDE',
+      body: 'AB12CDE: Safety recall opened.',
+      payload: NOTIFICATION,
+      createdAt: NOW,
+      deliveries: [{ deviceId: 'device-1', channel: 'webPush', status: 'SENT', at: NOW }],
+      reads: []
+    });
+  });
+
+  it("replaces the retried channels' receipts when recorded again", async () => {
+    const events = eventsCollection();
+    events.insertOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await recordNotificationEvent(fakeDb({ notification_events: events }), NOTIFICATION, delivery);
+
+    expect(events.updateOne.mock.calls).toEqual([
+      [{ _id: 'event-1' }, { $pull: { deliveries: { channel: { $in: ['webPush', 'email'] } } } }],
+      [{ _id: 'event-1' }, { $push: { deliveries: { $each: [{ deviceId: 'device-1', channel: 'webPush', status: 'SENT', at: NOW }] } } }]
+    ]);
+  });
+
+  it('never fails the caller, and skips payloads without an id', async () => {
+    const events = eventsCollection();
+    events.insertOne.mockRejectedValue(new Error('connection reset'));
+    const db = fakeDb({ notification_events: events });
+
+    await expect(recordNotificationEvent(db, NOTIFICATION, delivery)).resolves.toBeUndefined();
+    await recordNotificationEvent(db, { ...NOTIFICATION, eventId: undefined }, delivery);
+    expect(events.insertOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('updateDeliveryStatus', () => {
+  it("updates just that device's receipt on that channel", async () => {
+    const events = eventsCollection();
+
+    await updateDeliveryStatus(fakeDb({ notification_events: events }), 'event-1', 'device-1', 'webPush', 'SENT');
+
+    expect(events.updateOne).toHaveBeenCalledWith(
+      { _id: 'event-1' },
+      { $set: { 'deliveries.$[receipt].status': 'SENT', 'deliveries.$[receipt].at': NOW } },
+      { arrayFilters: [{ 'receipt.deviceId': 'device-1', 'receipt.channel': 'webPush' }] }
+    );
+  });
+});
+
+describe('getInbox', () => {
+  it("lists the device's events with its own receipts and read state", async () => {
+    const events = eventsCollection([
+      inboxRecord('event-2', '2025-01-15T11:00:00.000Z', { reads: [{ deviceId: 'device-1', at: NOW }] }),
+      inboxRecord('event-1', '2025-01-14T11:00:00.000Z', { reads: [{ deviceId: 'device-2', at: NOW }] })
+    ]);
+
+    const inbox = await getInbox(fakeDb({ notification_events: events }), 'device-1');
+
+    expect(events.find).toHaveBeenCalledWith({ 'deliveries.deviceId': 'device-1' });
+    expect(events.cursor.project).toHaveBeenCalledWith({ payload: 0 });
+    expect(inbox).toEqual({
+      events: [
+        expect.objectContaining({
+          id: 'event-2',
+          delivery: [{ channel: 'webPush', status: 'SENT' }, { channel: 'chat', status: 'FAILED' }],
+          read: true,
+          readAt: NOW
+        }),
+        expect.objectContaining({ id: 'event-1', read: false, readAt: null })
+      ],
+      unreadCount: 3,
+      nextBefore: null
+    });
+    expect(events.countDocuments).toHaveBeenCalledWith({ 'deliveries.deviceId': 'device-1', 'reads.deviceId': { $ne: 'device-1' } });
+  });
+
+  it('pages by creation time, fetching one extra to know if there is more', async () => {
+    const records = [1, 2, 3].map(hour => inboxRecord(`event-${hour}`, `2025-01-15T0${hour}:00:00.000Z`));
+    const events = eventsCollection(records);
+
+    const inbox = await getInbox(fakeDb({ notification_events: events }), 'device-1', { limit: '2', before: '2025-01-15T10:00:00.000Z' });
+
+    expect(events.find).toHaveBeenCalledWith({
+      'deliveries.deviceId': 'device-1',
+      createdAt: { $lt: new Date('2025-01-15T10:00:00.000Z') }
+    });
+    expect(events.cursor.limit).toHaveBeenCalledWith(3);
+    expect(inbox.events.map(event => event.id)).toEqual(['event-1', 'event-2']);
+    expect(inbox.nextBefore).toEqual(new Date('2025-01-15T02:00:00.000Z'));
+  });
+
+  it('keeps page sizes between 1 and 100', async () => {
+    const events = eventsCollection();
+    const db = fakeDb({ notification_events: events });
+
+    await getInbox(db, 'device-1', { limit: 1000 });
+    await getInbox(db, 'device-1', { limit: -5 });
+
+    expect(events.cursor.limit.mock.calls).toEqual([[101], [2]]);
+  });
+});
+
+describe('markRead', () => {
+  it('marks unread events read on this device only', async () => {
+    const events = eventsCollection();
+
+    await expect(markRead(fakeDb({ notification_events: events }), 'device-1', ['event-1'])).resolves.toBe(2);
+
+    expect(events.updateMany).toHaveBeenCalledWith(
+      { 'deliveries.deviceId': 'device-1', 'reads.deviceId': { $ne: 'device-1' }, _id: { $in: ['event-1'] } },
+      { $push: { reads: { deviceId: 'device-1', at: NOW } } }
+    );
+  });
+
+  it('marks everything read without a list', async () => {
+    const events = eventsCollection();
+
+    await markRead(fakeDb({ notification_events: events }), 'device-1', null);
+
+    expect(events.updateMany.mock.calls[0][0]).toEqual({ 'deliveries.deviceId': 'device-1', 'reads.deviceId': { $ne: 'device-1' } });
+  });
+});
+
+describe('claimLatestTestForDevice', () => {
+  function pollDb(latest, since) {
+    const events = eventsCollection(latest ? [latest] : []);
+    const cursors = { findOneAndUpdate: jest.fn(async () => ({ value: { since } })) };
+    return { events, cursors, db: fakeDb({ notification_events: events, poll_cursors: cursors }) };
+  }
+
+  it('offers the newest test once, recording it as delivered by polling', async () => {
+    const latest = inboxRecord('event-1', '2025-01-15T11:00:00.000Z');
+    const { db, events, cursors } = pollDb(latest, new Date('2025-01-10T00:00:00.000Z'));
+    events.findOneAndUpdate.mockResolvedValue({ value: latest });
+
+    await expect(claimLatestTestForDevice(db, 'AB12CDE', 'device-3')).resolves.toBe(latest);
+
+    expect(cursors.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'device-3:AB12CDE' },
+      { $setOnInsert: { deviceId: 'device-3', registration: 'AB12CDE', since: NOW }, $set: { lastPolledAt: NOW } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    expect(events.find).toHaveBeenCalledWith({ registration: 'AB12CDE', type: 'NEW_TEST' });
+    // Only if neither a push nor an earlier poll got it to this device, and it hasn't been read there
+    expect(events.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: 'event-1',
+        deliveries: { $not: { $elemMatch: { deviceId: 'device-3', channel: { $in: ['webPush', 'poll'] }, status: 'SENT' } } },
+        'reads.deviceId': { $ne: 'device-3' }
+      },
+      { $push: { deliveries: { deviceId: 'device-3', channel: 'poll', status: 'SENT', at: NOW } } },
+      { returnDocument: 'before' }
+    );
+  });
+
+  it('never offers a test from before the device first polled', async () => {
+    const { db, events } = pollDb(inboxRecord('event-1', '2025-01-15T11:00:00.000Z'), NOW);
+
+    await expect(claimLatestTestForDevice(db, 'AB12CDE', 'device-3')).resolves.toBeNull();
+    expect(events.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('returns null when the vehicle has no tests recorded', async () => {
+    const { db } = pollDb(null, new Date('2025-01-10T00:00:00.000Z'));
+
+    await expect(claimLatestTestForDevice(db, 'AB12CDE', 'device-3')).resolves.toBeNull();
+  });
+});
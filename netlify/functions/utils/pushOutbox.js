@@ -0,0 +1,305 @@
+// netlify/functions/utils/pushOutbox.js
+const crypto = require('crypto');
+const webpush = require('web-push');
+const { updateDeliveryStatus } = require('./notificationEvents');
+
+const OUTBOX_STATUS = {
+  PENDING: 'PENDING', // Waiting for its next attempt
+  SENDING: 'SENDING', // Being attempted now
+  DELIVERED: 'DELIVERED',
+  DEAD: 'DEAD' // Given up on - see deadLetterReason
+};
+
+// Why a push was given up on
+const DEAD_LETTER_REASONS = {
+  SUBSCRIPTION_GONE: 'SUBSCRIPTION_GONE', // The push service says the subscription has expired (404/410)
+  SUBSCRIPTION_REMOVED: 'SUBSCRIPTION_REMOVED', // The device unsubscribed before a retry
+  REJECTED: 'REJECTED', // The push service refused it, e.g. 400, 403 or 413 - retrying won't help
+  RETRIES_EXHAUSTED: 'RETRIES_EXHAUSTED'
+};
+
+// Wait before each retry: 1 minute, 5 minutes, 30 minutes, 2 hours, then 6 hours - then give up.
+// Retries are made by the scheduled check, so in practice they're no more than hourly.
+const RETRY_DELAYS = [1, 5, 30, 120, 360].map(minutes => minutes * 60 * 1000);
+// Longest Retry-After from a push service we'll wait for
+const MAX_RETRY_AFTER = 24 * 60 * 60 * 1000;
+// A push still SENDING after this was cut off mid-attempt, and can be tried again
+const SENDING_LEASE = 5 * 60 * 1000;
+
+const RETENTION_DAYS = parseInt(process.env.PUSH_OUTBOX_RETENTION_DAYS || '30', 10);
+
+let vapidConfigured = false;
+let indexesEnsured = false;
+
+function configureVapid() {
+  if (vapidConfigured) return;
+
+  webpush.setVapidDetails(
+    process.env.VAPID_MAILTO,
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidConfigured = true;
+}
+
+async function ensureIndexes(collection) {
+  if (indexesEnsured) return;
+
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, background: true });
+  await collection.createIndex({ status: 1, nextAttemptAt: 1 }, { background: true });
+  await collection.createIndex({ deviceId: 1, createdAt: -1 }, { background: true });
+  indexesEnsured = true;
+}
+
+/**
+ * Whether a failed push is worth trying again. Network errors, timeouts, 429s and 5xx are;
+ * anything else the push service rejected, or that web-push couldn't even send, isn't.
+ * @returns {Object} - { retry, reason, retryAfter (ms, from a Retry-After header) }
+ */
+function classifyError(error) {
+  const statusCode = error.statusCode || null;
+
+  if (statusCode === 404 || statusCode === 410) {
+    return { retry: false, reason: DEAD_LETTER_REASONS.SUBSCRIPTION_GONE };
+  }
+  if (statusCode === 408 || statusCode === 429 || statusCode >= 500) {
+    const retryAfter = parseInt(error.headers?.['retry-after'], 10);
+    return { retry: true, retryAfter: retryAfter > 0 ? Math.min(retryAfter * 1000, MAX_RETRY_AFTER) : 0 };
+  }
+  if (!statusCode && error.code) {
+    return { retry: true, retryAfter: 0 }; // ECONNRESET, ETIMEDOUT and the like
+  }
+  return { retry: false, reason: DEAD_LETTER_REASONS.REJECTED };
+}
+
+/**
+ * Makes one attempt at a push and records it against its outbox entry
+ * @returns {Promise<Object>} - The entry as it now stands
+ */
+async function attemptPush(db, entry, sub) {
+  configureVapid();
+
+  const startedAt = Date.now();
+  const attempt = { at: new Date(), statusCode: null, durationMs: 0, error: null };
+  const attemptCount = (entry.attemptCount || 0) + 1;
+  let update;
+
+  try {
+    const response = await webpush.sendNotification(
+      { endpoint: sub.subscription.endpoint, keys: sub.subscription.keys },
+      entry.payload,
+      {
+        TTL: 3600, // 1 hour TTL
+        urgency: 'high'
+      }
+    );
+    attempt.statusCode = response?.statusCode || null;
+  } catch (pushError) {
+    attempt.statusCode = pushError.statusCode || null;
+    attempt.error = pushError.statusCode
+      ? `Push service responded with HTTP ${pushError.statusCode}${pushError.body ? `: ${String(pushError.body).slice(0, 200)}` : ''}`
+      : pushError.message;
+
+    const { retry, reason, retryAfter } = classifyError(pushError);
+    if (!retry) {
+      update = { status: OUTBOX_STATUS.DEAD, deadLetterReason: reason };
+    } else if (attemptCount > RETRY_DELAYS.length) {
+      update = { status: OUTBOX_STATUS.DEAD, deadLetterReason: DEAD_LETTER_REASONS.RETRIES_EXHAUSTED };
+    } else {
+      update = {
+        status: OUTBOX_STATUS.PENDING,
+        nextAttemptAt: new Date(Date.now() + Math.max(RETRY_DELAYS[attemptCount - 1], retryAfter))
+      };
+    }
+
+    // If subscription is invalid, mark it as inactive
+    if (reason === DEAD_LETTER_REASONS.SUBSCRIPTION_GONE) {
+      console.log(`Marking subscription as inactive for device ${sub.deviceId} (invalid endpoint)`);
+      await db.collection('push_subscriptions').updateOne(
+        { _id: sub._id },
+        { $set: { active: false, deactivatedAt: new Date().toISOString() } }
+      );
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  if (!attempt.error) {
+    update = { status: OUTBOX_STATUS.DELIVERED, deliveredAt: attempt.at };
+
+    // Update last notified timestamp
+    await db.collection('push_subscriptions').updateOne(
+      { _id: sub._id },
+      { $set: { lastNotifiedAt: new Date().toISOString() } }
+    );
+  }
+  if (update.status !== OUTBOX_STATUS.PENDING) {
+    update.nextAttemptAt = null;
+  }
+  if (update.status === OUTBOX_STATUS.DEAD) {
+    update.deadLetteredAt = attempt.at;
+  }
+
+  await db.collection('push_outbox').updateOne(
+    { _id: entry._id },
+    {
+      $set: { ...update, attemptCount, lastAttemptAt: attempt.at, lastError: attempt.error },
+      $push: { attempts: attempt }
+    }
+  );
+
+  return { ...entry, ...update, attemptCount, lastError: attempt.error };
+}
+
+/**
+ * Puts a push in the outbox and makes the first attempt. If that fails with something worth
+ * retrying, later scheduled runs retry it (see retryPushDeliveries); otherwise it's dead-lettered.
+ * @param {Object} db - MongoDB database
+ * @param {Object} sub - The push subscription
+ * @param {string} payload - The push payload
+ * @param {Object} details - { registration, type, eventId } for the outbox and the device's inbox
+ * @returns {Promise<Object>} - The outbox entry after the attempt
+ */
+async function queuePush(db, sub, payload, { registration, type, eventId }) {
+  const collection = db.collection('push_outbox');
+  await ensureIndexes(collection);
+
+  const entry = {
+    _id: crypto.randomUUID(),
+    subscriptionId: sub._id,
+    deviceId: sub.deviceId,
+    registration: registration || null,
+    type,
+    eventId: eventId || null,
+    payload,
+    status: OUTBOX_STATUS.SENDING,
+    attempts: [],
+    attemptCount: 0,
+    nextAttemptAt: null,
+    claimedAt: new Date(),
+    createdAt: new Date()
+  };
+  await collection.insertOne(entry);
+
+  return attemptPush(db, entry, sub);
+}
+
+/**
+ * Claims an entry for an attempt, so an overlapping run or re-drive can't send it too
+ */
+async function claimEntry(collection, entry) {
+  const result = await collection.findOneAndUpdate(
+    {
+      _id: entry._id,
+      $or: [
+        { status: OUTBOX_STATUS.PENDING },
+        { status: OUTBOX_STATUS.SENDING, claimedAt: { $lte: new Date(Date.now() - SENDING_LEASE) } }
+      ]
+    },
+    { $set: { status: OUTBOX_STATUS.SENDING, claimedAt: new Date() } }
+  );
+  return result.value;
+}
+
+/**
+ * Retries pushes whose next attempt is due, oldest first. A push that gets through later
+ * is marked sent in its device's notification inbox.
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { limit, deadline: stop starting attempts after this time (ms), ids: only these entries }
+ * @returns {Promise<Object>} - { attempted, delivered, deadLettered }
+ */
+async function retryPushDeliveries(db, { limit = 20, deadline = Infinity, ids = null } = {}) {
+  const collection = db.collection('push_outbox');
+  const due = await collection
+    .find({
+      ...(ids && { _id: { $in: ids } }),
+      $or: [
+        { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: new Date() } },
+        { status: OUTBOX_STATUS.SENDING, claimedAt: { $lte: new Date(Date.now() - SENDING_LEASE) } }
+      ]
+    })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const results = { attempted: 0, delivered: 0, deadLettered: 0 };
+
+  for (const item of due) {
+    if (Date.now() >= deadline) break;
+
+    const entry = await claimEntry(collection, item);
+    if (!entry) continue;
+
+    const sub = await db.collection('push_subscriptions').findOne({ _id: entry.subscriptionId });
+    if (!sub || sub.active === false) {
+      await collection.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: OUTBOX_STATUS.DEAD,
+            deadLetterReason: DEAD_LETTER_REASONS.SUBSCRIPTION_REMOVED,
+            deadLetteredAt: new Date(),
+            nextAttemptAt: null,
+            lastError: 'Subscription removed or inactive'
+          }
+        }
+      );
+      results.deadLettered++;
+      continue;
+    }
+
+    const result = await attemptPush(db, entry, sub);
+    results.attempted++;
+    if (result.status === OUTBOX_STATUS.DELIVERED) {
+      results.delivered++;
+      if (entry.eventId) {
+        await updateDeliveryStatus(db, entry.eventId, entry.deviceId, 'webPush', 'SENT');
+      }
+    } else if (result.status === OUTBOX_STATUS.DEAD) {
+      results.deadLettered++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Puts dead-lettered pushes back in the outbox with a fresh set of retries, due now.
+ * Their earlier attempts stay in the log.
+ * @param {Object} filter - { ids, registration, deviceId } - at least one
+ * @returns {Promise<Array<string>>} - Ids of the entries re-queued
+ */
+async function requeueDeadLetters(db, { ids, registration, deviceId }, limit) {
+  const collection = db.collection('push_outbox');
+  const dead = await collection
+    .find({
+      status: OUTBOX_STATUS.DEAD,
+      ...(ids && { _id: { $in: ids } }),
+      ...(registration && { registration }),
+      ...(deviceId && { deviceId })
+    })
+    .project({ _id: 1 })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+  const deadIds = dead.map(entry => entry._id);
+
+  if (deadIds.length > 0) {
+    await collection.updateMany(
+      { _id: { $in: deadIds }, status: OUTBOX_STATUS.DEAD },
+      {
+        $set: { status: OUTBOX_STATUS.PENDING, attemptCount: 0, nextAttemptAt: new Date(), redrivenAt: new Date() },
+        $unset: { deadLetterReason: '', deadLetteredAt: '' }
+      }
+    );
+  }
+
+  return deadIds;
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  DEAD_LETTER_REASONS,
+  queuePush,
+  retryPushDeliveries,
+  requeueDeadLetters
+};
@@ -0,0 +1,274 @@
+// netlify/functions/utils/pushOutbox.test.js
+process.env.VAPID_MAILTO = 'mailto:test@example.com';
+process.env.VAPID_PUBLIC_KEY = 'public-key';
+process.env.VAPID_PRIVATE_KEY = 'private-key';
+
+const webpush = require('web-push');
+const { updateDeliveryStatus } = require('./notificationEvents');
+const {
+  OUTBOX_STATUS,
+  DEAD_LETTER_REASONS,
+  queuePush,
+  retryPushDeliveries,
+  requeueDeadLetters
+} = require('./pushOutbox');
+
+jest.mock('web-push', () => ({ setVapidDetails: jest.fn(), sendNotification: jest.fn() }));
+jest.mock('./notificationEvents', () => ({ updateDeliveryStatus: jest.fn() }));
+
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+const SUB = {
+  _id: 'sub-1',
+  deviceId: 'device-1',
+  subscription: { endpoint: 'https://push.example.com/1', keys: { p256dh: 'key', auth: 'auth' } }
+};
+
+function pushError(statusCode, headers = {}) {
+  return Object.assign(new Error(`Received unexpected response code ${statusCode}`), { statusCode, headers });
+}
+
+/**
+ * push_outbox as a map of entries, and push_subscriptions holding SUB (or `subs`)
+ */
+function fakeDb(subs = [SUB]) {
+  const entries = new Map();
+  const outbox = {
+    entries,
+    createIndex: jest.fn(),
+    insertOne: jest.fn(async entry => entries.set(entry._id, { ...entry })),
+    updateOne: jest.fn(async ({ _id }, update) => {
+      const entry = entries.get(_id);
+      Object.assign(entry, update.$set);
+      if (update.$push) entry.attempts = [...(entry.attempts || []), update.$push.attempts];
+    }),
+    // Every PENDING entry counts as due - the scheduling itself is checked through nextAttemptAt
+    find: jest.fn(() => {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        project: () => cursor,
+        toArray: async () => [...entries.values()].filter(entry => entry.status === OUTBOX_STATUS.PENDING || entry.status === OUTBOX_STATUS.DEAD)
+      };
+      return cursor;
+    }),
+    findOneAndUpdate: jest.fn(async ({ _id }, update) => {
+      const entry = entries.get(_id);
+      if (!entry || entry.status !== OUTBOX_STATUS.PENDING) return { value: null };
+      const before = { ...entry };
+      Object.assign(entry, update.$set);
+      return { value: before };
+    }),
+    updateMany: jest.fn()
+  };
+  const subscriptions = {
+    findOne: jest.fn(async ({ _id }) => subs.find(sub => sub._id === _id) || null),
+    updateOne: jest.fn()
+  };
+  return {
+    outbox,
+    subscriptions,
+    db: { collection: name => (name === 'push_outbox' ? outbox : subscriptions) }
+  };
+}
+
+function pendingEntry(overrides = {}) {
+  return {
+    _id: 'entry-1',
+    subscriptionId: SUB._id,
+    deviceId: SUB.deviceId,
+    eventId: 'event-1',
+    payload: '{}',
+    status: OUTBOX_STATUS.PENDING,
+    attempts: [],
+    attemptCount: 1,
+    nextAttemptAt: NOW,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('queuePush', () => {
+  it('sends the push, logging it as delivered', async () => {
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+    const { db, outbox, subscriptions } = fakeDb();
+
+    const entry = await queuePush(db, SUB, '{"type":"NEW_TEST"}', { registration: 'AB12CDE', type: 'NEW_TEST', eventId: 'event-1' });
+
+    expect(webpush.setVapidDetails).toHaveBeenCalledWith('mailto:test@example.com', 'public-key', 'private-key');
+    expect(webpush.sendNotification).toHaveBeenCalledWith(SUB.subscription, '{"type":"NEW_TEST"}', { TTL: 3600, urgency: 'high' });
+    expect(entry).toMatchObject({ status: OUTBOX_STATUS.DELIVERED, attemptCount: 1, lastError: null, nextAttemptAt: null });
+    expect(outbox.entries.get(entry._id)).toMatchObject({
+      deviceId: 'device-1',
+      registration: 'AB12CDE',
+      eventId: 'event-1',
+      status: OUTBOX_STATUS.DELIVERED,
+      attempts: [expect.objectContaining({ statusCode: 201, error: null })]
+    });
+    expect(subscriptions.updateOne).toHaveBeenCalledWith({ _id: 'sub-1' }, { $set: { lastNotifiedAt: NOW.toISOString() } });
+  });
+
+  it('retries server errors, timeouts, rate limits and network errors a minute later', async () => {
+    const { db } = fakeDb();
+
+    for (const error of [pushError(503), pushError(408), pushError(429), Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })]) {
+      webpush.sendNotification.mockRejectedValueOnce(error);
+      await expect(queuePush(db, SUB, '{}', { type: 'NEW_TEST' })).resolves.toMatchObject({
+        status: OUTBOX_STATUS.PENDING,
+        nextAttemptAt: new Date(NOW.getTime() + MINUTE)
+      });
+    }
+  });
+
+  it('waits longer if the push service says to, up to a day', async () => {
+    const { db } = fakeDb();
+
+    webpush.sendNotification.mockRejectedValueOnce(pushError(429, { 'retry-after': '600' }));
+    await expect(queuePush(db, SUB, '{}', { type: 'NEW_TEST' })).resolves.toMatchObject({
+      nextAttemptAt: new Date(NOW.getTime() + 10 * MINUTE)
+    });
+
+    webpush.sendNotification.mockRejectedValueOnce(pushError(503, { 'retry-after': '999999' }));
+    await expect(queuePush(db, SUB, '{}', { type: 'NEW_TEST' })).resolves.toMatchObject({
+      nextAttemptAt: new Date(NOW.getTime() + 24 * 60 * MINUTE)
+    });
+  });
+
+  it('dead-letters an expired subscription and stops using it', async () => {
+    webpush.sendNotification.mockRejectedValue(pushError(410));
+    const { db, subscriptions } = fakeDb();
+
+    await expect(queuePush(db, SUB, '{}', { type: 'NEW_TEST' })).resolves.toMatchObject({
+      status: OUTBOX_STATUS.DEAD,
+      deadLetterReason: DEAD_LETTER_REASONS.SUBSCRIPTION_GONE,
+      deadLetteredAt: NOW,
+      nextAttemptAt: null
+    });
+    expect(subscriptions.updateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1' },
+      { $set: { active: false, deactivatedAt: NOW.toISOString() } }
+    );
+  });
+
+  it('dead-letters anything else the push service rejects, or that could not be sent', async () => {
+    const { db } = fakeDb();
+
+    for (const error of [pushError(400), pushError(413), new Error('Vapid details are missing')]) {
+      webpush.sendNotification.mockRejectedValueOnce(error);
+      await expect(queuePush(db, SUB, '{}', { type: 'NEW_TEST' })).resolves.toMatchObject({
+        status: OUTBOX_STATUS.DEAD,
+        deadLetterReason: DEAD_LETTER_REASONS.REJECTED
+      });
+    }
+  });
+
+  it('logs what the push service said', async () => {
+    webpush.sendNotification.mockRejectedValue(Object.assign(pushError(400), { body: 'Invalid payload' }));
+    const { db } = fakeDb();
+
+    const entry = await queuePush(db, SUB, '{}', { type: 'NEW_TEST' });
+
+    expect(entry.lastError).toBe('Push service responded with HTTP 400: Invalid payload');
+  });
+});
+
+describe('retryPushDeliveries', () => {
+  it('retries a due push and marks it sent in the device inbox', async () => {
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+    const { db, outbox } = fakeDb();
+    outbox.entries.set('entry-1', pendingEntry());
+
+    await expect(retryPushDeliveries(db)).resolves.toEqual({ attempted: 1, delivered: 1, deadLettered: 0 });
+
+    expect(outbox.entries.get('entry-1')).toMatchObject({ status: OUTBOX_STATUS.DELIVERED, attemptCount: 2 });
+    expect(updateDeliveryStatus).toHaveBeenCalledWith(db, 'event-1', 'device-1', 'webPush', 'SENT');
+  });
+
+  it('backs off further with each failed attempt, then gives up', async () => {
+    webpush.sendNotification.mockRejectedValue(pushError(503));
+    const { db, outbox } = fakeDb();
+
+    outbox.entries.set('entry-1', pendingEntry({ attemptCount: 2 }));
+    await retryPushDeliveries(db);
+    expect(outbox.entries.get('entry-1')).toMatchObject({
+      status: OUTBOX_STATUS.PENDING,
+      attemptCount: 3,
+      nextAttemptAt: new Date(NOW.getTime() + 30 * MINUTE)
+    });
+
+    outbox.entries.set('entry-1', pendingEntry({ attemptCount: 5 }));
+    await expect(retryPushDeliveries(db)).resolves.toEqual({ attempted: 1, delivered: 0, deadLettered: 1 });
+    expect(outbox.entries.get('entry-1')).toMatchObject({
+      status: OUTBOX_STATUS.DEAD,
+      deadLetterReason: DEAD_LETTER_REASONS.RETRIES_EXHAUSTED
+    });
+    expect(updateDeliveryStatus).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters a push whose device has unsubscribed, without sending it', async () => {
+    const { db, outbox } = fakeDb([]);
+    outbox.entries.set('entry-1', pendingEntry());
+
+    await expect(retryPushDeliveries(db)).resolves.toEqual({ attempted: 0, delivered: 0, deadLettered: 1 });
+
+    expect(webpush.sendNotification).not.toHaveBeenCalled();
+    expect(outbox.entries.get('entry-1')).toMatchObject({
+      status: OUTBOX_STATUS.DEAD,
+      deadLetterReason: DEAD_LETTER_REASONS.SUBSCRIPTION_REMOVED
+    });
+  });
+
+  it('skips a push another run has claimed', async () => {
+    const { db, outbox } = fakeDb();
+    outbox.entries.set('entry-1', pendingEntry());
+    outbox.findOneAndUpdate.mockResolvedValue({ value: null });
+
+    await expect(retryPushDeliveries(db)).resolves.toEqual({ attempted: 0, delivered: 0, deadLettered: 0 });
+    expect(webpush.sendNotification).not.toHaveBeenCalled();
+  });
+
+  it('stops starting attempts at the deadline', async () => {
+    const { db, outbox } = fakeDb();
+    outbox.entries.set('entry-1', pendingEntry());
+
+    await expect(retryPushDeliveries(db, { deadline: NOW.getTime() })).resolves.toEqual({ attempted: 0, delivered: 0, deadLettered: 0 });
+    expect(outbox.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('requeueDeadLetters', () => {
+  it('gives dead-lettered pushes a fresh set of retries, due now', async () => {
+    const { db, outbox } = fakeDb();
+    outbox.entries.set('entry-1', pendingEntry({ status: OUTBOX_STATUS.DEAD }));
+
+    await expect(requeueDeadLetters(db, { deviceId: 'device-1' }, 10)).resolves.toEqual(['entry-1']);
+
+    expect(outbox.find).toHaveBeenCalledWith({ status: OUTBOX_STATUS.DEAD, deviceId: 'device-1' });
+    expect(outbox.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['entry-1'] }, status: OUTBOX_STATUS.DEAD },
+      {
+        $set: { status: OUTBOX_STATUS.PENDING, attemptCount: 0, nextAttemptAt: NOW, redrivenAt: NOW },
+        $unset: { deadLetterReason: '', deadLetteredAt: '' }
+      }
+    );
+  });
+
+  it('does nothing when there is nothing dead-lettered', async () => {
+    const { db, outbox } = fakeDb();
+
+    await expect(requeueDeadLetters(db, { registration: 'AB12CDE' }, 10)).resolves.toEqual([]);
+    expect(outbox.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+// netlify/functions/utils/quietHours.js
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Minutes since midnight for an "HH:MM" time, or null if it isn't one
+ */
+function parseTime(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a subscriber's quiet hours
+ * @param {*} quietHours - { start: 'HH:MM', end: 'HH:MM', timeZone: IANA name }, or null/undefined for none
+ * @returns {Object|null|false} - Quiet hours to store, null for none, or false if invalid
+ */
+function normalizeQuietHours(quietHours) {
+  if (quietHours === undefined || quietHours === null) {
+    return null;
+  }
+
+  const { start, end, timeZone } = quietHours;
+  const startMinutes = parseTime(start);
+  const endMinutes = parseTime(end);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes || !isValidTimeZone(timeZone)) {
+    return false;
+  }
+
+  return { start, end, timeZone };
+}
+
+/**
+ * Minutes since midnight at this moment in a time zone
+ */
+function getLocalMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * When the current quiet hours end, if it's quiet hours now. Windows can run past midnight
+ * (22:00-07:00). The end is worked out from the local time now, so it can be an hour out when
+ * the clocks change during the night.
+ * @returns {Date|null} - End of the window, or null if notifications can go now
+ */
+function getQuietHoursEnd(quietHours, now = new Date()) {
+  if (!quietHours) return null;
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end || !isValidTimeZone(quietHours.timeZone)) return null;
+
+  const local = getLocalMinutes(now, quietHours.timeZone);
+  const inside = start < end
+    ? local >= start && local < end
+    : local >= start || local < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - local + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
+
+module.exports = {
+  normalizeQuietHours,
+  getQuietHoursEnd
+};
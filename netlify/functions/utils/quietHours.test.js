@@ -0,0 +1,52 @@
+// netlify/functions/utils/quietHours.test.js
+const { normalizeQuietHours, getQuietHoursEnd } = require('./quietHours');
+
+const OVERNIGHT = { start: '22:00', end: '07:00', timeZone: 'Europe/London' };
+
+describe('normalizeQuietHours', () => {
+  it('keeps valid quiet hours', () => {
+    expect(normalizeQuietHours({ ...OVERNIGHT, extra: true })).toEqual(OVERNIGHT);
+  });
+
+  it('treats null and undefined as none', () => {
+    expect(normalizeQuietHours(null)).toBeNull();
+    expect(normalizeQuietHours(undefined)).toBeNull();
+  });
+
+  it('rejects bad times, empty windows and unknown time zones', () => {
+    expect(normalizeQuietHours({ ...OVERNIGHT, start: '24:00' })).toBe(false);
+    expect(normalizeQuietHours({ ...OVERNIGHT, end: '7:00' })).toBe(false);
+    expect(normalizeQuietHours({ ...OVERNIGHT, end: '22:00' })).toBe(false);
+    expect(normalizeQuietHours({ ...OVERNIGHT, timeZone: 'Mars/Olympus_Mons' })).toBe(false);
+    expect(normalizeQuietHours({ start: '22:00', end: '07:00' })).toBe(false);
+  });
+});
+
+describe('getQuietHoursEnd', () => {
+  it('returns null outside quiet hours', () => {
+    expect(getQuietHoursEnd(OVERNIGHT, new Date('2025-01-15T12:00:00.000Z'))).toBeNull();
+    expect(getQuietHoursEnd(OVERNIGHT, new Date('2025-01-15T07:00:00.000Z'))).toBeNull();
+  });
+
+  it('finds the end of a window that runs past midnight', () => {
+    expect(getQuietHoursEnd(OVERNIGHT, new Date('2025-01-15T23:15:30.000Z'))).toEqual(new Date('2025-01-16T07:00:00.000Z'));
+    expect(getQuietHoursEnd(OVERNIGHT, new Date('2025-01-16T03:00:00.000Z'))).toEqual(new Date('2025-01-16T07:00:00.000Z'));
+  });
+
+  it('works in local time', () => {
+    // 21:30 UTC is 22:30 in London in summer
+    expect(getQuietHoursEnd(OVERNIGHT, new Date('2025-07-15T21:30:00.000Z'))).toEqual(new Date('2025-07-16T06:00:00.000Z'));
+  });
+
+  it('handles windows within a day', () => {
+    const lunch = { start: '12:00', end: '13:30', timeZone: 'UTC' };
+
+    expect(getQuietHoursEnd(lunch, new Date('2025-01-15T12:45:00.000Z'))).toEqual(new Date('2025-01-15T13:30:00.000Z'));
+    expect(getQuietHoursEnd(lunch, new Date('2025-01-15T23:00:00.000Z'))).toBeNull();
+  });
+
+  it('ignores missing or invalid quiet hours', () => {
+    expect(getQuietHoursEnd(null, new Date('2025-01-15T23:00:00.000Z'))).toBeNull();
+    expect(getQuietHoursEnd({ ...OVERNIGHT, timeZone: 'Nowhere' }, new Date('2025-01-15T23:00:00.000Z'))).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+// netlify/functions/utils/rateLimiter.js
+const { connectToDatabase } = require('./mongodb');
+
+// Token bucket shared by every function instance, so the DVSA quota holds across invocations
+const BUCKET_ID = 'mot_api';
+const RATE = parseFloat(process.env.MOT_RATE_LIMIT_PER_SECOND || '10'); // Tokens added per second
+const CAPACITY = parseInt(process.env.MOT_RATE_LIMIT_BURST || '10', 10); // Maximum burst
+// Tokens that only interactive lookups may use, so background checks can't starve users
+const INTERACTIVE_RESERVE = parseInt(process.env.MOT_RATE_LIMIT_INTERACTIVE_RESERVE || '3', 10);
+
+const PRIORITY = {
+  INTERACTIVE: 'interactive',
+  BACKGROUND: 'background'
+};
+
+// Longest we'll wait for a token before giving up - users are waiting, the scheduled check isn't
+const MAX_WAIT = {
+  [PRIORITY.INTERACTIVE]: 2000,
+  [PRIORITY.BACKGROUND]: 30000
+};
+
+// Give up after this many lost races against other invocations updating the bucket
+const MAX_CONFLICTS = 5;
+
+/**
+ * Error thrown when no token is available within the caller's wait budget
+ */
+class RateLimitExceededError extends Error {
+  constructor(retryAfter) {
+    super('MOT lookup limit reached');
+    this.name = 'RateLimitExceededError';
+    this.retryAfter = retryAfter; // Seconds
+  }
+}
+
+/**
+ * Gets the bucket, creating it full on first use
+ */
+async function loadBucket(collection) {
+  const bucket = await collection.findOne({ _id: BUCKET_ID });
+  if (bucket) {
+    return bucket;
+  }
+
+  const fresh = { _id: BUCKET_ID, tokens: CAPACITY, refilledAt: new Date() };
+  try {
+    await collection.insertOne(fresh);
+    return fresh;
+  } catch (error) {
+    // Another invocation created it first
+    if (error.code === 11000) {
+      return collection.findOne({ _id: BUCKET_ID });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Tries to take one token from the bucket
+ * @returns {Promise<number>} - 0 if a token was taken, otherwise ms until one should be available
+ */
+async function tryTake(collection, priority) {
+  const floor = priority === PRIORITY.INTERACTIVE ? 0 : INTERACTIVE_RESERVE;
+
+  for (let conflicts = 0; conflicts < MAX_CONFLICTS; conflicts++) {
+    const bucket = await loadBucket(collection);
+    const now = new Date();
+    const elapsed = Math.max(0, now - new Date(bucket.refilledAt)) / 1000;
+    const available = Math.min(CAPACITY, bucket.tokens + elapsed * RATE);
+
+    if (available < floor + 1) {
+      return Math.ceil(((floor + 1 - available) / RATE) * 1000);
+    }
+
+    // Only succeeds if nobody else has touched the bucket since we read it
+    const result = await collection.updateOne(
+      { _id: BUCKET_ID, refilledAt: bucket.refilledAt },
+      { $set: { tokens: available - 1, refilledAt: now } }
+    );
+
+    if (result.modifiedCount === 1) {
+      return 0;
+    }
+  }
+
+  // Heavy contention - back off briefly and let the caller try again
+  return Math.ceil(1000 / RATE);
+}
+
+/**
+ * Waits for a token from the shared MOT API budget
+ * @param {string} priority - PRIORITY.INTERACTIVE (default) or PRIORITY.BACKGROUND
+ * @throws {RateLimitExceededError} - If no token is available within the priority's wait budget
+ */
+async function acquireToken(priority = PRIORITY.INTERACTIVE) {
+  let collection;
+  try {
+    const db = await connectToDatabase();
+    collection = db.collection('rate_limits');
+  } catch (error) {
+    // Don't take lookups down with the database - the API's own 429s still protect us
+    console.warn('Rate limiter unavailable, allowing MOT API call:', error.message);
+    return;
+  }
+
+  const deadline = Date.now() + (MAX_WAIT[priority] ?? MAX_WAIT[PRIORITY.INTERACTIVE]);
+
+  for (;;) {
+    const wait = await tryTake(collection, priority);
+    if (wait === 0) {
+      return;
+    }
+
+    if (Date.now() + wait > deadline) {
+      console.warn(`MOT API budget exhausted for ${priority} call, next token in ${wait}ms`);
+      throw new RateLimitExceededError(Math.max(1, Math.ceil(wait / 1000)));
+    }
+
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
+
+module.exports = {
+  acquireToken,
+  RateLimitExceededError,
+  PRIORITY
+};
@@ -0,0 +1,145 @@
+// netlify/functions/utils/rateLimiter.test.js
+
+// A slow bucket, so waits are easy to tell apart: a token every 4 seconds, 5 at most, 2 kept for users
+process.env.MOT_RATE_LIMIT_PER_SECOND = '0.25';
+process.env.MOT_RATE_LIMIT_BURST = '5';
+process.env.MOT_RATE_LIMIT_INTERACTIVE_RESERVE = '2';
+
+const { connectToDatabase } = require('./mongodb');
+const { acquireToken, RateLimitExceededError, PRIORITY } = require('./rateLimiter');
+
+jest.mock('./mongodb', () => ({ connectToDatabase: jest.fn() }));
+
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+
+/**
+ * The rate_limits collection, holding at most the one bucket. updateOne only matches a bucket
+ * that hasn't been refilled since it was read, like the real compare-and-set.
+ */
+function bucketCollection(initial = null) {
+  const collection = {
+    bucket: initial && { _id: 'mot_api', ...initial },
+    findOne: jest.fn(async () => collection.bucket && { ...collection.bucket }),
+    insertOne: jest.fn(async doc => {
+      if (collection.bucket) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      collection.bucket = { ...doc };
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      if (!collection.bucket || collection.bucket.refilledAt.getTime() !== filter.refilledAt.getTime()) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+      collection.bucket = { ...collection.bucket, ...update.$set };
+      return { matchedCount: 1, modifiedCount: 1 };
+    })
+  };
+  return collection;
+}
+
+let collection;
+let delays;
+
+function useBucket(initial) {
+  collection = bucketCollection(initial);
+  connectToDatabase.mockResolvedValue({ collection: () => collection });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+
+  // Waiting for a token moves the clock on, so the bucket refills
+  delays = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+    delays.push(delay);
+    jest.setSystemTime(Date.now() + delay);
+    callback();
+    return 0;
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('acquireToken', () => {
+  it('creates a full bucket on first use and takes a token from it', async () => {
+    useBucket(null);
+
+    await acquireToken();
+
+    expect(collection.insertOne).toHaveBeenCalledWith({ _id: 'mot_api', tokens: 5, refilledAt: NOW });
+    expect(collection.bucket.tokens).toBe(4);
+    expect(delays).toEqual([]);
+  });
+
+  it('uses the bucket another invocation created first', async () => {
+    useBucket({ tokens: 3, refilledAt: NOW });
+    collection.findOne.mockResolvedValueOnce(null);
+
+    await acquireToken();
+
+    expect(collection.insertOne).toHaveBeenCalled();
+    expect(collection.bucket.tokens).toBe(2);
+  });
+
+  it('refills with the time since the last take, up to the burst size', async () => {
+    useBucket({ tokens: 1, refilledAt: new Date(NOW.getTime() - 8000) });
+    await acquireToken();
+    expect(collection.bucket).toMatchObject({ tokens: 2, refilledAt: NOW });
+
+    useBucket({ tokens: 4, refilledAt: new Date(NOW.getTime() - 60000) });
+    await acquireToken();
+    expect(collection.bucket.tokens).toBe(4);
+  });
+
+  it('keeps the reserve for interactive lookups', async () => {
+    useBucket({ tokens: 2, refilledAt: NOW });
+    await acquireToken(PRIORITY.INTERACTIVE);
+    expect(delays).toEqual([]);
+    expect(collection.bucket.tokens).toBe(1);
+
+    useBucket({ tokens: 2, refilledAt: NOW });
+    await acquireToken(PRIORITY.BACKGROUND);
+    // One more token is needed above the reserve of 2
+    expect(delays).toEqual([4000]);
+    expect(collection.bucket.tokens).toBe(2);
+  });
+
+  it("fails when no token comes within the caller's wait budget", async () => {
+    useBucket({ tokens: 0, refilledAt: NOW });
+
+    const error = await acquireToken(PRIORITY.INTERACTIVE).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitExceededError);
+    expect(error.retryAfter).toBe(4);
+    expect(collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('tries again when another invocation takes a token first', async () => {
+    useBucket({ tokens: 3, refilledAt: NOW });
+    const { updateOne } = collection;
+    collection.updateOne = jest.fn(async (filter, update) => {
+      if (collection.updateOne.mock.calls.length === 1) {
+        // The other invocation's take lands between our read and our write
+        jest.setSystemTime(NOW.getTime() + 1);
+        await updateOne({ refilledAt: collection.bucket.refilledAt }, { $set: { tokens: 2, refilledAt: new Date() } });
+      }
+      return updateOne(filter, update);
+    });
+
+    await acquireToken();
+
+    expect(collection.updateOne).toHaveBeenCalledTimes(2);
+    expect(collection.bucket.tokens).toBeCloseTo(1, 3);
+  });
+
+  it('lets the call through when the database is unavailable', async () => {
+    connectToDatabase.mockRejectedValue(new Error('connection refused'));
+
+    await expect(acquireToken()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+// netlify/functions/utils/reminders.js
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before expiry to send reminders (default 30, 14, 7 and 1), largest first
+const REMINDER_DAYS = (process.env.MOT_REMINDER_DAYS || '30,14,7,1')
+  .split(',')
+  .map(days => parseInt(days, 10))
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+
+// How long the "Remind me tomorrow" action snoozes a reminder for
+const SNOOZE_DAYS = 1;
+
+// How often overdue alerts repeat after the expiry date (default weekly)
+const OVERDUE_REPEAT_DAYS = Math.max(1, parseInt(process.env.MOT_OVERDUE_REPEAT_DAYS || '7', 10));
+
+/**
+ * Gets the date a vehicle's current MOT runs out: the expiry of its most recent test that has one
+ * (failed tests don't), or when its first MOT is due if it has never had one
+ * @param {Object} vehicleData - MOT API response (or a snapshot)
+ * @returns {Object|null} - { expiryDate: 'YYYY-MM-DD', firstMot: boolean }, or null if unknown
+ */
+function getCurrentExpiry(vehicleData) {
+  const tests = vehicleData?.motTests || vehicleData?.tests || [];
+  const withExpiry = tests
+    .filter(test => test.expiryDate)
+    .sort((a, b) => new Date(b.completedDate) - new Date(a.completedDate));
+
+  if (withExpiry.length > 0) {
+    return { expiryDate: withExpiry[0].expiryDate.slice(0, 10), firstMot: false };
+  }
+
+  if (tests.length === 0 && vehicleData?.motTestDueDate) {
+    return { expiryDate: vehicleData.motTestDueDate.slice(0, 10), firstMot: true };
+  }
+
+  return null;
+}
+
+/**
+ * Whole days from today (UTC) until a YYYY-MM-DD date - 0 on the day itself, negative after it
+ */
+function daysUntil(date, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - today) / DAY);
+}
+
+/**
+ * Describes an expiry for people, e.g. "MOT expires in 7 days (Thu 13 Mar 2025)"
+ */
+function describeExpiry({ expiryDate, firstMot }, days) {
+  const when = new Date(`${expiryDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+  const what = firstMot ? 'First MOT due' : 'MOT expires';
+  const inDays = days === 1 ? 'tomorrow' : `in ${days} days`;
+  return `${what} ${inDays} (${when})`;
+}
+
+/**
+ * Works out which reminder, if any, is due for a vehicle. Only the closest lead time that has been
+ * reached counts, so a vehicle added 10 days before expiry gets the 7-day reminder, not a late 30-day one.
+ * @param {Object} vehicleData - MOT API response
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { key, leadDays, daysUntil, expiryDate, firstMot, summary }
+ */
+function getDueReminder(vehicleData, now = new Date()) {
+  const expiry = getCurrentExpiry(vehicleData);
+  if (!expiry) return null;
+
+  const days = daysUntil(expiry.expiryDate, now);
+  // On and after the expiry date it's no longer a reminder
+  if (days <= 0) return null;
+
+  const reached = REMINDER_DAYS.filter(leadDays => days <= leadDays);
+  if (reached.length === 0) return null;
+
+  const leadDays = reached[reached.length - 1];
+  return {
+    // One reminder per lead time per expiry date - a new test means a new expiry date and new reminders
+    key: `REMINDER:${expiry.expiryDate}:${leadDays}`,
+    leadDays,
+    daysUntil: days,
+    expiryDate: expiry.expiryDate,
+    firstMot: expiry.firstMot,
+    summary: describeExpiry(expiry, days)
+  };
+}
+
+/**
+ * Works out whether an overdue alert is due: on the expiry date itself, then every
+ * OVERDUE_REPEAT_DAYS until a new pass moves the expiry date on (failed retests don't)
+ * @param {Object} vehicleData - MOT API response
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { key, expiryDate, daysOverdue, firstMot, summary }
+ */
+function getOverdueAlert(vehicleData, now = new Date()) {
+  const expiry = getCurrentExpiry(vehicleData);
+  if (!expiry) return null;
+
+  const daysOverdue = -daysUntil(expiry.expiryDate, now);
+  if (daysOverdue < 0) return null;
+
+  const when = new Date(`${expiry.expiryDate}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+  let summary;
+  if (daysOverdue === 0) {
+    summary = `${expiry.firstMot ? 'First MOT due' : 'MOT expires'} today (${when}) - it can't be driven from tomorrow without a new MOT`;
+  } else {
+    const ago = `${daysOverdue} day${daysOverdue === 1 ? '' : 's'} ago`;
+    summary = `${expiry.firstMot ? 'First MOT was due' : 'MOT expired'} ${ago} (${when}) and no new pass has been recorded`;
+  }
+
+  return {
+    // One alert per repeat period - a new pass means a new expiry date, which stops them
+    key: `OVERDUE:${expiry.expiryDate}:${Math.floor(daysOverdue / OVERDUE_REPEAT_DAYS)}`,
+    expiryDate: expiry.expiryDate,
+    daysOverdue,
+    firstMot: expiry.firstMot,
+    summary
+  };
+}
+
+/**
+ * When the next reminder or overdue alert becomes due, so the vehicle can be checked by then
+ * @returns {Object|null} - { at: Date, reason }, or null if nothing is coming up
+ */
+function getNextAlertAt(vehicleData, now = new Date()) {
+  const expiry = getCurrentExpiry(vehicleData);
+  if (!expiry) return null;
+
+  const expiresAt = Date.parse(`${expiry.expiryDate}T00:00:00Z`);
+  const upcoming = REMINDER_DAYS
+    .map(leadDays => ({ at: new Date(expiresAt - leadDays * DAY), reason: 'Expiry reminder due' }))
+    .concat({ at: new Date(expiresAt), reason: 'MOT expires' });
+
+  // Overdue alerts repeat indefinitely, so only the next one matters
+  const periodsOverdue = Math.floor((now - expiresAt) / (OVERDUE_REPEAT_DAYS * DAY));
+  if (periodsOverdue >= 0) {
+    upcoming.push({ at: new Date(expiresAt + (periodsOverdue + 1) * OVERDUE_REPEAT_DAYS * DAY), reason: 'Overdue alert due' });
+  }
+
+  return upcoming
+    .filter(alert => alert.at > now)
+    .sort((a, b) => a.at - b.at)[0] || null;
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  SNOOZE_DAYS,
+  getCurrentExpiry,
+  daysUntil,
+  describeExpiry,
+  getDueReminder,
+  getOverdueAlert,
+  getNextAlertAt
+};
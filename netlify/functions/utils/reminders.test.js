@@ -0,0 +1,114 @@
+// netlify/functions/utils/reminders.test.js
+const {
+  REMINDER_DAYS,
+  getCurrentExpiry,
+  daysUntil,
+  getDueReminder,
+  getOverdueAlert,
+  getNextAlertAt
+} = require('./reminders');
+
+const NOW = new Date('2025-03-01T09:30:00.000Z');
+
+const vehicle = {
+  motTests: [
+    { completedDate: '2024-03-10T10:00:00.000Z', testResult: 'PASSED', expiryDate: '2025-03-09' },
+    { completedDate: '2024-03-05T10:00:00.000Z', testResult: 'FAILED' }
+  ]
+};
+
+describe('getCurrentExpiry', () => {
+  it('uses the newest test with an expiry date, so a failed retest does not end a pass', () => {
+    const retested = {
+      motTests: [...vehicle.motTests, { completedDate: '2025-02-20T10:00:00.000Z', testResult: 'FAILED' }]
+    };
+
+    expect(getCurrentExpiry(retested)).toEqual({ expiryDate: '2025-03-09', firstMot: false });
+  });
+
+  it('reads snapshots as well as API responses', () => {
+    expect(getCurrentExpiry({ tests: [{ completedDate: '2024-03-10', expiryDate: '2025-03-09T00:00:00Z' }] }))
+      .toEqual({ expiryDate: '2025-03-09', firstMot: false });
+  });
+
+  it('falls back to the first MOT due date for a vehicle with no tests', () => {
+    expect(getCurrentExpiry({ motTests: [], motTestDueDate: '2025-06-01' })).toEqual({ expiryDate: '2025-06-01', firstMot: true });
+  });
+
+  it('returns null when there is no expiry date', () => {
+    expect(getCurrentExpiry({ motTests: [{ completedDate: '2024-03-05', testResult: 'FAILED' }] })).toBeNull();
+    expect(getCurrentExpiry(null)).toBeNull();
+  });
+});
+
+describe('daysUntil', () => {
+  it('counts whole UTC days, 0 on the day and negative after it', () => {
+    expect(daysUntil('2025-03-09', NOW)).toBe(8);
+    expect(daysUntil('2025-03-01', NOW)).toBe(0);
+    expect(daysUntil('2025-02-27', NOW)).toBe(-2);
+  });
+});
+
+describe('getDueReminder', () => {
+  it('uses the default lead times', () => {
+    expect(REMINDER_DAYS).toEqual([30, 14, 7, 1]);
+  });
+
+  it('picks the closest lead time that has been reached', () => {
+    expect(getDueReminder(vehicle, NOW)).toMatchObject({
+      key: 'REMINDER:2025-03-09:14',
+      leadDays: 14,
+      daysUntil: 8,
+      expiryDate: '2025-03-09',
+      firstMot: false
+    });
+    expect(getDueReminder(vehicle, new Date('2025-03-08T09:00:00.000Z')).summary).toMatch(/^MOT expires tomorrow \(Sun,? 9 Mar 2025\)$/);
+  });
+
+  it('returns null before the first lead time, and from the expiry date on', () => {
+    expect(getDueReminder(vehicle, new Date('2025-01-01T00:00:00.000Z'))).toBeNull();
+    expect(getDueReminder(vehicle, new Date('2025-03-09T09:00:00.000Z'))).toBeNull();
+  });
+});
+
+describe('getOverdueAlert', () => {
+  it('alerts on the expiry date', () => {
+    const alert = getOverdueAlert(vehicle, new Date('2025-03-09T09:00:00.000Z'));
+
+    expect(alert).toMatchObject({
+      key: 'OVERDUE:2025-03-09:0',
+      summary: "MOT expires today (9 Mar 2025) - it can't be driven from tomorrow without a new MOT"
+    });
+    // Negating daysUntil gives -0 on the day itself, which toBe and toMatchObject tell apart from 0
+    expect(Math.abs(alert.daysOverdue)).toBe(0);
+  });
+
+  it('repeats weekly after expiry', () => {
+    expect(getOverdueAlert(vehicle, new Date('2025-03-15T09:00:00.000Z')).key).toBe('OVERDUE:2025-03-09:0');
+    expect(getOverdueAlert(vehicle, new Date('2025-03-16T09:00:00.000Z'))).toMatchObject({
+      key: 'OVERDUE:2025-03-09:1',
+      summary: 'MOT expired 7 days ago (9 Mar 2025) and no new pass has been recorded'
+    });
+  });
+
+  it('returns null before expiry', () => {
+    expect(getOverdueAlert(vehicle, NOW)).toBeNull();
+  });
+});
+
+describe('getNextAlertAt', () => {
+  it('finds the next reminder', () => {
+    expect(getNextAlertAt(vehicle, NOW)).toEqual({ at: new Date('2025-03-02T00:00:00.000Z'), reason: 'Expiry reminder due' });
+  });
+
+  it('finds the expiry date, then the next overdue alert', () => {
+    expect(getNextAlertAt(vehicle, new Date('2025-03-08T09:00:00.000Z')))
+      .toEqual({ at: new Date('2025-03-09T00:00:00.000Z'), reason: 'MOT expires' });
+    expect(getNextAlertAt(vehicle, new Date('2025-03-20T09:00:00.000Z')))
+      .toEqual({ at: new Date('2025-03-23T00:00:00.000Z'), reason: 'Overdue alert due' });
+  });
+
+  it('returns null when the expiry date is unknown', () => {
+    expect(getNextAlertAt({ motTests: [] }, NOW)).toBeNull();
+  });
+});
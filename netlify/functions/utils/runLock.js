@@ -0,0 +1,56 @@
+// netlify/functions/utils/runLock.js
+const crypto = require('crypto');
+
+/**
+ * Takes a named lock in the locks collection, so only one invocation runs a job at a time.
+ * The lock expires on its own, so a run that dies without releasing it can't block the job forever.
+ * @param {Object} db - MongoDB database
+ * @param {string} name - Lock name, e.g. scheduled-mot-check
+ * @param {number} ttl - How long the lock is held for, in ms
+ * @returns {Promise<string|null>} - The new run's id, or null if another run holds the lock
+ */
+async function acquireLock(db, name, ttl) {
+  const runId = crypto.randomUUID();
+  const now = new Date();
+
+  try {
+    // Matches only a missing or expired lock - otherwise the upsert collides with the live one
+    await db.collection('locks').findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { runId, acquiredAt: now, expiresAt: new Date(now.getTime() + ttl) } },
+      { upsert: true }
+    );
+    return runId;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Releases a lock, if this run still holds it
+ * @param {Object} db - MongoDB database
+ * @param {string} name - Lock name
+ * @param {string} runId - The id returned by acquireLock
+ */
+async function releaseLock(db, name, runId) {
+  try {
+    await db.collection('locks').deleteOne({ _id: name, runId });
+  } catch (error) {
+    // It will expire on its own
+    console.error(`Failed to release ${name} lock:`, error);
+  }
+}
+
+/**
+ * Gets the current holder of a lock, if any
+ * @returns {Promise<Object|null>} - { runId, acquiredAt, expiresAt }
+ */
+async function getLock(db, name) {
+  const lock = await db.collection('locks').findOne({ _id: name });
+  return lock && new Date(lock.expiresAt) > new Date() ? lock : null;
+}
+
+module.exports = { acquireLock, releaseLock, getLock };
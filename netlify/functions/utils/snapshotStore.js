@@ -0,0 +1,79 @@
+// netlify/functions/utils/snapshotStore.js
+const crypto = require('crypto');
+const { diffSnapshots } = require('./vehicleChanges');
+
+// Only create the timeline index once per container
+let indexEnsured = false;
+
+/**
+ * Identifies a vehicle across plate changes - by VIN where we have one
+ * @param {Object} record - Monitored vehicle record ({ registration, vin })
+ * @returns {string} - e.g. vin:WF0AXXGCDA1234567 or registration:AB12CDE
+ */
+function getVehicleKey(record) {
+  return record.vin ? `vin:${record.vin}` : `registration:${record.registration}`;
+}
+
+/**
+ * Hashes a snapshot's contents, ignoring when it was taken
+ */
+function hashSnapshot(snapshot) {
+  const contents = { ...snapshot };
+  delete contents.takenAt;
+  return crypto.createHash('sha1').update(JSON.stringify(contents)).digest('hex');
+}
+
+/**
+ * Stores a snapshot as a new version in vehicle_snapshots, if the data has changed since the last version.
+ * Failures are logged rather than thrown, so they never fail a check.
+ * @param {Object} db - MongoDB database
+ * @param {Object} record - Monitored vehicle record ({ registration, vin })
+ * @param {Object} snapshot - Snapshot from buildSnapshot
+ * @returns {Promise<Object|null>} - The new version, or null if nothing changed
+ */
+async function recordSnapshot(db, record, snapshot) {
+  const collection = db.collection('vehicle_snapshots');
+  const vehicleKey = getVehicleKey(record);
+
+  try {
+    if (!indexEnsured) {
+      await collection.createIndex({ vehicleKey: 1, version: -1 }, { unique: true, background: true });
+      indexEnsured = true;
+    }
+
+    const hash = hashSnapshot(snapshot);
+    const latest = await collection.findOne({ vehicleKey }, { sort: { version: -1 } });
+
+    if (latest && latest.hash === hash) {
+      return null;
+    }
+
+    const version = {
+      vehicleKey,
+      registration: record.registration,
+      vin: record.vin || null,
+      version: latest ? latest.version + 1 : 1,
+      hash,
+      takenAt: snapshot.takenAt,
+      changes: latest
+        ? diffSnapshots(latest.snapshot, snapshot).map(({ type, summary }) => ({ type, summary }))
+        : [],
+      snapshot
+    };
+
+    await collection.insertOne(version);
+    console.log(`Stored version ${version.version} of ${vehicleKey}`);
+    return version;
+  } catch (error) {
+    // Duplicate key - a concurrent check stored this version first
+    if (error.code !== 11000) {
+      console.error(`Failed to store snapshot for ${vehicleKey}:`, error);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  getVehicleKey,
+  recordSnapshot
+};
@@ -0,0 +1,329 @@
+// netlify/functions/utils/vehicleChanges.js
+const crypto = require('crypto');
+
+// Change events a subscriber can be notified about
+const CHANGE_TYPES = {
+  NEW_TEST: 'NEW_TEST',
+  RECALL_OPENED: 'RECALL_OPENED',
+  RECALL_CLOSED: 'RECALL_CLOSED',
+  RECORD_AMENDED: 'RECORD_AMENDED',
+  DETAILS_CHANGED: 'DETAILS_CHANGED',
+  // Not changes as such, but subscribers choose them the same way
+  EXPIRY_REMINDER: 'EXPIRY_REMINDER',
+  MOT_OVERDUE: 'MOT_OVERDUE'
+};
+
+// New test results a subscriber can choose between - DANGEROUS is any test with a dangerous defect
+const TEST_RESULTS = {
+  PASSED: 'PASSED',
+  FAILED: 'FAILED',
+  DANGEROUS: 'DANGEROUS'
+};
+
+// Vehicle fields that count as "details" (registration changes are handled separately, by VIN)
+const DETAIL_FIELDS = ['make', 'model', 'primaryColour', 'fuelType', 'engineSize'];
+// Test fields that, if they change on an existing test, mean the record was amended
+const TEST_FIELDS = ['completedDate', 'testResult', 'expiryDate', 'odometerValue', 'odometerUnit'];
+
+/**
+ * Identifies a test across fetches - older records may lack a test number
+ */
+function getTestId(test) {
+  return test.motTestNumber || test.completedDate;
+}
+
+/**
+ * Describes a defect for people, e.g. "MAJOR (dangerous): ..." - snapshots from before defects
+ * kept their shape hold just this text
+ */
+function describeDefect(defect) {
+  if (typeof defect === 'string') return defect;
+  return defect.description || `${defect.type || 'DEFECT'}${defect.dangerous ? ' (dangerous)' : ''}: ${defect.text || ''}`;
+}
+
+/**
+ * Reduces an MOT API response to the fields we watch for changes
+ * @param {Object} vehicleData - MOT API response
+ * @returns {Object} - Snapshot to store and diff against
+ */
+function buildSnapshot(vehicleData) {
+  const snapshot = {
+    takenAt: new Date(),
+    registration: vehicleData.registration || null,
+    hasOutstandingRecall: vehicleData.hasOutstandingRecall || null,
+    motTestDueDate: vehicleData.motTestDueDate || null,
+    tests: (vehicleData.motTests || [])
+      .map(test => ({
+        motTestNumber: test.motTestNumber || null,
+        completedDate: test.completedDate || null,
+        testResult: test.testResult || null,
+        expiryDate: test.expiryDate || null,
+        odometerValue: test.odometerValue || null,
+        odometerUnit: test.odometerUnit || null,
+        defects: (test.defects || [])
+          .map(defect => ({
+            type: defect.type || null,
+            text: defect.text || null,
+            dangerous: !!defect.dangerous,
+            description: describeDefect(defect)
+          }))
+          .sort((a, b) => a.description.localeCompare(b.description)),
+        dangerous: (test.defects || []).some(defect => defect.dangerous || defect.type === 'DANGEROUS')
+      }))
+      .sort((a, b) => new Date(b.completedDate) - new Date(a.completedDate))
+  };
+
+  DETAIL_FIELDS.forEach(field => {
+    snapshot[field] = vehicleData[field] || null;
+  });
+
+  return snapshot;
+}
+
+/**
+ * Stable key for an event, so overlapping runs that see the same change agree on it
+ */
+function eventKey(type, details, previous) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify({ details, since: previous.takenAt }))
+    .digest('hex')
+    .slice(0, 16);
+  return `${type}:${hash}`;
+}
+
+/**
+ * Compares two snapshots and describes what changed
+ * @param {Object|null} previous - Last stored snapshot (null for records from before snapshots)
+ * @param {Object} current - Snapshot of the fresh API response
+ * @param {Object} options - { lastMotTestDate } for records without a snapshot
+ * @returns {Array<Object>} - Events: { type, key, summary, details }
+ */
+function diffSnapshots(previous, current, options = {}) {
+  const events = [];
+
+  // Without a previous snapshot, all we can tell is whether there's a newer test
+  if (!previous) {
+    const latest = current.tests[0];
+    const lastDate = options.lastMotTestDate;
+    if (latest && latest.completedDate && (!lastDate || new Date(latest.completedDate) > new Date(lastDate))) {
+      events.push({
+        type: CHANGE_TYPES.NEW_TEST,
+        key: getTestId(latest),
+        summary: `New MOT test: ${latest.testResult}`,
+        details: { test: latest }
+      });
+    }
+    return events;
+  }
+
+  const previousTests = new Map(previous.tests.map(test => [getTestId(test), test]));
+  const currentIds = new Set();
+
+  current.tests.forEach(test => {
+    const id = getTestId(test);
+    currentIds.add(id);
+    const before = previousTests.get(id);
+
+    if (!before) {
+      events.push({
+        type: CHANGE_TYPES.NEW_TEST,
+        key: id,
+        summary: `New MOT test: ${test.testResult}`,
+        details: { test }
+      });
+      return;
+    }
+
+    const changes = TEST_FIELDS
+      .filter(field => before[field] !== test[field])
+      .map(field => ({ field, from: before[field], to: test[field] }));
+
+    // Compared by description, which older snapshots hold in place of the defect
+    const beforeDefects = before.defects.map(describeDefect);
+    const currentDefects = test.defects.map(describeDefect);
+    const addedDefects = test.defects.filter(defect => !beforeDefects.includes(describeDefect(defect)));
+    const removedDefects = before.defects.filter(defect => !currentDefects.includes(describeDefect(defect)));
+    if (addedDefects.length > 0 || removedDefects.length > 0) {
+      changes.push({ field: 'defects', added: addedDefects, removed: removedDefects });
+    }
+
+    if (changes.length > 0) {
+      const details = { motTestNumber: id, changes };
+      events.push({
+        type: CHANGE_TYPES.RECORD_AMENDED,
+        key: eventKey(CHANGE_TYPES.RECORD_AMENDED, details, previous),
+        summary: `MOT test from ${new Date(test.completedDate).toLocaleDateString('en-GB')} was amended (${changes.map(change => change.field).join(', ')})`,
+        details
+      });
+    }
+  });
+
+  // A test that has disappeared was withdrawn or replaced by a corrected record
+  previous.tests
+    .filter(test => !currentIds.has(getTestId(test)))
+    .forEach(test => {
+      const details = { motTestNumber: getTestId(test), removed: true, test };
+      events.push({
+        type: CHANGE_TYPES.RECORD_AMENDED,
+        key: eventKey(CHANGE_TYPES.RECORD_AMENDED, details, previous),
+        summary: `MOT test from ${new Date(test.completedDate).toLocaleDateString('en-GB')} was removed from the record`,
+        details
+      });
+    });
+
+  // Recall status is 'Yes', 'No', 'Unknown' or 'Unavailable' - only a definite flip counts
+  if (previous.hasOutstandingRecall !== 'Yes' && current.hasOutstandingRecall === 'Yes') {
+    const details = { from: previous.hasOutstandingRecall, to: current.hasOutstandingRecall };
+    events.push({
+      type: CHANGE_TYPES.RECALL_OPENED,
+      key: eventKey(CHANGE_TYPES.RECALL_OPENED, details, previous),
+      summary: 'An outstanding safety recall has been recorded',
+      details
+    });
+  } else if (previous.hasOutstandingRecall === 'Yes' && current.hasOutstandingRecall === 'No') {
+    const details = { from: previous.hasOutstandingRecall, to: current.hasOutstandingRecall };
+    events.push({
+      type: CHANGE_TYPES.RECALL_CLOSED,
+      key: eventKey(CHANGE_TYPES.RECALL_CLOSED, details, previous),
+      summary: 'The outstanding safety recall has been resolved',
+      details
+    });
+  }
+
+  const detailChanges = DETAIL_FIELDS
+    .filter(field => previous[field] !== current[field])
+    .map(field => ({ field, from: previous[field], to: current[field] }));
+
+  if (detailChanges.length > 0) {
+    const details = { changes: detailChanges };
+    events.push({
+      type: CHANGE_TYPES.DETAILS_CHANGED,
+      key: eventKey(CHANGE_TYPES.DETAILS_CHANGED, details, previous),
+      summary: `Vehicle details changed: ${detailChanges.map(change => `${change.field} ${change.from || 'unknown'} → ${change.to || 'unknown'}`).join(', ')}`,
+      details
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Builds the push payload for a change event
+ * @param {string} registration - Monitored registration
+ * @param {Object} event - Event from diffSnapshots
+ * @param {Object} vehicleData - MOT API response (or a snapshot) for the vehicle details
+ * @param {string|null} previousTestDate - Latest test date before this change
+ * @returns {Object} - Payload understood by the service worker
+ */
+function buildNotificationData(registration, event, vehicleData, previousTestDate) {
+  const vehicle = {
+    make: vehicleData.make || 'Unknown',
+    model: vehicleData.model || 'Unknown',
+    registration: vehicleData.registration,
+    color: vehicleData.primaryColour || 'Unknown'
+  };
+
+  if (event.type !== CHANGE_TYPES.NEW_TEST) {
+    return {
+      type: event.type,
+      registration,
+      summary: event.summary,
+      details: event.details,
+      vehicle
+    };
+  }
+
+  // New tests keep the payload shape the service worker has always understood
+  const test = event.details.test;
+  return {
+    type: event.type,
+    registration,
+    testResult: test.testResult,
+    previousDate: previousTestDate,
+    newDate: test.completedDate,
+    vehicle,
+    testDetails: {
+      expiryDate: test.expiryDate,
+      defects: test.defects,
+      dangerous: !!test.dangerous,
+      odometerValue: test.odometerValue,
+      odometerUnit: test.odometerUnit
+    }
+  };
+}
+
+/**
+ * Validates a subscriber's chosen event types
+ * @param {*} eventTypes - Array of CHANGE_TYPES values, or null/undefined for all of them
+ * @returns {Array<string>|null|false} - De-duplicated types, null for all, or false if invalid
+ */
+function normalizeEventTypes(eventTypes) {
+  if (eventTypes === undefined || eventTypes === null) {
+    return null;
+  }
+
+  const validTypes = Object.values(CHANGE_TYPES);
+  if (!Array.isArray(eventTypes) || !eventTypes.every(type => validTypes.includes(type))) {
+    return false;
+  }
+
+  return [...new Set(eventTypes)];
+}
+
+/**
+ * Query clause matching subscribers that want a notification: change events only go to those who
+ * chose that type (no preference means all types), anything else goes to everyone
+ */
+function getEventTypeFilter(notificationData) {
+  return Object.values(CHANGE_TYPES).includes(notificationData.type)
+    ? { $or: [{ eventTypes: { $exists: false } }, { eventTypes: null }, { eventTypes: notificationData.type }] }
+    : {};
+}
+
+/**
+ * Validates a subscriber's chosen new test results
+ * @param {*} testResults - Array of TEST_RESULTS values, or null/undefined for all tests
+ * @returns {Array<string>|null|false} - De-duplicated results, null for all, or false if invalid
+ */
+function normalizeTestResults(testResults) {
+  if (testResults === undefined || testResults === null) {
+    return null;
+  }
+
+  const validResults = Object.values(TEST_RESULTS);
+  if (!Array.isArray(testResults) || testResults.length === 0 || !testResults.every(result => validResults.includes(result))) {
+    return false;
+  }
+
+  return [...new Set(testResults)];
+}
+
+/**
+ * Query clause matching subscribers that want this new test: those who chose its result, or
+ * DANGEROUS if it has a dangerous defect (no preference means every test). Other events go to everyone.
+ */
+function getTestResultFilter(notificationData) {
+  if (notificationData.type !== CHANGE_TYPES.NEW_TEST) {
+    return {};
+  }
+
+  const matches = [notificationData.testResult];
+  if (notificationData.testDetails?.dangerous) {
+    matches.push(TEST_RESULTS.DANGEROUS);
+  }
+
+  return { $or: [{ testResults: { $exists: false } }, { testResults: null }, { testResults: { $in: matches } }] };
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  TEST_RESULTS,
+  describeDefect,
+  normalizeEventTypes,
+  getEventTypeFilter,
+  normalizeTestResults,
+  getTestResultFilter,
+  buildSnapshot,
+  diffSnapshots,
+  buildNotificationData
+};
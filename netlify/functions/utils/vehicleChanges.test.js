@@ -0,0 +1,148 @@
+// netlify/functions/utils/vehicleChanges.test.js
+const { CHANGE_TYPES, buildSnapshot, diffSnapshots, buildNotificationData } = require('./vehicleChanges');
+
+const PASS = {
+  motTestNumber: '111',
+  completedDate: '2024-03-01T10:00:00.000Z',
+  testResult: 'PASSED',
+  expiryDate: '2025-03-01',
+  odometerValue: '50000',
+  odometerUnit: 'mi',
+  defects: [{ type: 'ADVISORY', text: 'Tyre worn close to legal limit' }]
+};
+
+const FAIL = {
+  motTestNumber: '222',
+  completedDate: '2025-02-20T10:00:00.000Z',
+  testResult: 'FAILED',
+  odometerValue: '58000',
+  odometerUnit: 'mi',
+  defects: [{ type: 'MAJOR', text: 'Brake pipe corroded', dangerous: true }]
+};
+
+function vehicle(overrides = {}) {
+  return {
+    registration: 'AB12CDE',
+    make: 'FORD',
+    model: 'FOCUS',
+    primaryColour: 'Blue',
+    fuelType: 'Petrol',
+    engineSize: '1596',
+    hasOutstandingRecall: 'No',
+    motTests: [PASS],
+    ...overrides
+  };
+}
+
+describe('buildSnapshot', () => {
+  it('keeps the watched fields, newest test first, with each defect described', () => {
+    const snapshot = buildSnapshot(vehicle({ motTests: [PASS, FAIL] }));
+
+    expect(snapshot.registration).toBe('AB12CDE');
+    expect(snapshot.tests.map(test => test.motTestNumber)).toEqual(['222', '111']);
+    expect(snapshot.tests[0].defects).toEqual([
+      { type: 'MAJOR', text: 'Brake pipe corroded', dangerous: true, description: 'MAJOR (dangerous): Brake pipe corroded' }
+    ]);
+    expect(snapshot.tests[0].dangerous).toBe(true);
+    expect(snapshot.tests[1].dangerous).toBe(false);
+    expect(snapshot.tests[1].expiryDate).toBe('2025-03-01');
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('reports nothing when the vehicle is unchanged', () => {
+    expect(diffSnapshots(buildSnapshot(vehicle()), buildSnapshot(vehicle()))).toEqual([]);
+  });
+
+  it('reports a new test', () => {
+    const events = diffSnapshots(buildSnapshot(vehicle()), buildSnapshot(vehicle({ motTests: [PASS, FAIL] })));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: CHANGE_TYPES.NEW_TEST,
+      key: '222',
+      summary: 'New MOT test: FAILED'
+    });
+    expect(events[0].details.test.dangerous).toBe(true);
+  });
+
+  it('reports amended fields and defects on an existing test', () => {
+    const amended = { ...PASS, odometerValue: '5000', defects: [] };
+    const [event] = diffSnapshots(buildSnapshot(vehicle()), buildSnapshot(vehicle({ motTests: [amended] })));
+
+    expect(event.type).toBe(CHANGE_TYPES.RECORD_AMENDED);
+    expect(event.details.changes).toEqual([
+      { field: 'odometerValue', from: '50000', to: '5000' },
+      {
+        field: 'defects',
+        added: [],
+        removed: [{ type: 'ADVISORY', text: 'Tyre worn close to legal limit', dangerous: false, description: 'ADVISORY: Tyre worn close to legal limit' }]
+      }
+    ]);
+  });
+
+  it('compares defects with snapshots that hold only their descriptions', () => {
+    const previous = buildSnapshot(vehicle());
+    previous.tests[0].defects = ['ADVISORY: Tyre worn close to legal limit'];
+
+    expect(diffSnapshots(previous, buildSnapshot(vehicle()))).toEqual([]);
+  });
+
+  it('reports a test that has been removed from the record', () => {
+    const [event] = diffSnapshots(buildSnapshot(vehicle({ motTests: [PASS, FAIL] })), buildSnapshot(vehicle()));
+
+    expect(event.type).toBe(CHANGE_TYPES.RECORD_AMENDED);
+    expect(event.details).toMatchObject({ motTestNumber: '222', removed: true });
+  });
+
+  it('reports recalls opening and closing, but not unknown statuses', () => {
+    const open = buildSnapshot(vehicle({ hasOutstandingRecall: 'Yes' }));
+
+    expect(diffSnapshots(buildSnapshot(vehicle()), open).map(event => event.type)).toEqual([CHANGE_TYPES.RECALL_OPENED]);
+    expect(diffSnapshots(open, buildSnapshot(vehicle())).map(event => event.type)).toEqual([CHANGE_TYPES.RECALL_CLOSED]);
+    expect(diffSnapshots(open, buildSnapshot(vehicle({ hasOutstandingRecall: 'Unavailable' })))).toEqual([]);
+  });
+
+  it('reports changed vehicle details', () => {
+    const [event] = diffSnapshots(buildSnapshot(vehicle()), buildSnapshot(vehicle({ primaryColour: 'Red' })));
+
+    expect(event.type).toBe(CHANGE_TYPES.DETAILS_CHANGED);
+    expect(event.summary).toBe('Vehicle details changed: primaryColour Blue → Red');
+  });
+
+  it('gives the same change the same key, so overlapping runs agree on it', () => {
+    const previous = buildSnapshot(vehicle());
+    const first = diffSnapshots(previous, buildSnapshot(vehicle({ primaryColour: 'Red' })));
+    const second = diffSnapshots(previous, buildSnapshot(vehicle({ primaryColour: 'Red' })));
+
+    expect(second[0].key).toBe(first[0].key);
+  });
+
+  describe('without a previous snapshot', () => {
+    it('reports the latest test if it is newer than the last one seen', () => {
+      const events = diffSnapshots(null, buildSnapshot(vehicle({ motTests: [PASS, FAIL] })), {
+        lastMotTestDate: PASS.completedDate
+      });
+
+      expect(events.map(event => event.key)).toEqual(['222']);
+    });
+
+    it('reports nothing if the latest test has been seen', () => {
+      expect(diffSnapshots(null, buildSnapshot(vehicle()), { lastMotTestDate: PASS.completedDate })).toEqual([]);
+    });
+  });
+});
+
+describe('buildNotificationData', () => {
+  it('gives a new test its defects with their type, text and description', () => {
+    const [event] = diffSnapshots(buildSnapshot(vehicle()), buildSnapshot(vehicle({ motTests: [PASS, FAIL] })));
+
+    const data = buildNotificationData('AB12CDE', event, vehicle(), PASS.completedDate);
+
+    expect(data).toMatchObject({ type: CHANGE_TYPES.NEW_TEST, testResult: 'FAILED', previousDate: PASS.completedDate });
+    expect(data.testDetails.dangerous).toBe(true);
+    expect(data.testDetails.defects).toEqual([
+      { type: 'MAJOR', text: 'Brake pipe corroded', dangerous: true, description: 'MAJOR (dangerous): Brake pipe corroded' }
+    ]);
+  });
+});
@@ -0,0 +1,250 @@
+// netlify/functions/utils/webhooks.js
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const DELIVERY_STATUS = {
+  PENDING: 'PENDING', // Waiting for its next attempt
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED' // Out of retries
+};
+
+// Sent by the "send test event" action, so receivers can tell it apart from real events
+const TEST_EVENT_TYPE = 'TEST';
+
+// Wait before each retry: 1 minute, 5 minutes, 30 minutes, 2 hours, then 12 hours - then give up.
+// Retries are made by the scheduled check, so in practice they're no more than hourly.
+const RETRY_DELAYS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+
+// Receivers should acknowledge quickly and do their work afterwards
+const DELIVERY_TIMEOUT = 5000;
+
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30', 10);
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254) and other
+// non-public ranges a receiver mustn't point us at. IPv4 rules also cover IPv4-mapped IPv6.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+let indexesEnsured = false;
+
+async function ensureIndexes(db) {
+  if (indexesEnsured) return;
+
+  const deliveries = db.collection('webhook_deliveries');
+  await deliveries.createIndex({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, background: true });
+  await deliveries.createIndex({ subscriptionId: 1, createdAt: -1 }, { background: true });
+  await deliveries.createIndex({ status: 1, nextAttemptAt: 1 }, { background: true });
+  await db.collection('webhook_subscriptions').createIndex({ registrations: 1 }, { background: true });
+  indexesEnsured = true;
+}
+
+/**
+ * Signing secret for a new subscription - only ever shown to the subscriber once
+ */
+function createSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Signs a delivery. Receivers recompute this over `${timestamp}.${rawBody}` and should reject
+ * old timestamps, so a captured request can't be replayed later.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function allowPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Whether an IP address is one receivers can't use (see PRIVATE_ADDRESSES)
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks a receiver URL - HTTPS only, unless WEBHOOK_ALLOW_HTTP is set for local testing, and
+ * not a local or private host, unless WEBHOOK_ALLOW_PRIVATE_HOSTS is. Names are checked again
+ * when they're resolved for each delivery.
+ * @returns {string|null} - What's wrong with it, or null if it's fine
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an absolute URL';
+  }
+
+  const allowHttp = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    return 'url must use https';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (!allowPrivateHosts() && (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname))) {
+    return 'url must not point to a local or private address';
+  }
+
+  return null;
+}
+
+/**
+ * dns.lookup for delivery sockets, failing if the name resolves to a local or private address -
+ * checked as the connection is made, so a name can't be switched to one after validateWebhookUrl
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!allowPrivateHosts() && addresses.some(isPrivateAddress)) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a local or private address`), { code: 'EPRIVATEADDRESS' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Makes one attempt at a delivery and records it in the delivery log
+ * @returns {Promise<Object>} - The delivery as it now stands
+ */
+async function attemptDelivery(db, delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(), statusCode: null, durationMs: 0, error: null, responseBody: null };
+
+  // Subscriptions created before private hosts were refused are stopped here
+  const urlError = validateWebhookUrl(subscription.url);
+
+  try {
+    if (urlError) throw new Error(urlError);
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MOT-Tracker-Webhooks/1.0',
+        'X-MOT-Webhook-Id': delivery._id,
+        'X-MOT-Webhook-Event': delivery.type,
+        'X-MOT-Webhook-Timestamp': String(timestamp),
+        'X-MOT-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      ...deliveryAgents,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = String(response.data || '').slice(0, 500);
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code === 'ECONNABORTED' ? `No response within ${DELIVERY_TIMEOUT}ms` : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attemptCount = (delivery.attemptCount || 0) + 1;
+  let update;
+  if (!attempt.error) {
+    update = { status: DELIVERY_STATUS.DELIVERED, deliveredAt: attempt.at, nextAttemptAt: null };
+  } else if (urlError || attemptCount > RETRY_DELAYS.length) {
+    update = { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null };
+  } else {
+    update = { status: DELIVERY_STATUS.PENDING, nextAttemptAt: new Date(Date.now() + RETRY_DELAYS[attemptCount - 1]) };
+  }
+
+  await db.collection('webhook_deliveries').updateOne(
+    { _id: delivery._id },
+    {
+      $set: { ...update, attemptCount, lastAttemptAt: attempt.at, lastError: attempt.error },
+      $push: { attempts: attempt }
+    }
+  );
+
+  return { ...delivery, ...update, attemptCount, lastError: attempt.error };
+}
+
+/**
+ * Retries deliveries whose next attempt is due. Only called from the scheduled check,
+ * whose run lock stops two runs retrying the same delivery.
+ * @param {Object} db - MongoDB database
+ * @param {Object} options - { limit, deadline: stop starting attempts after this time }
+ * @returns {Promise<Object>} - { attempted, delivered }
+ */
+async function retryWebhookDeliveries(db, { limit = 20, deadline = Infinity } = {}) {
+  const deliveries = await db.collection('webhook_deliveries')
+    .find({ status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const results = { attempted: 0, delivered: 0 };
+
+  for (const delivery of deliveries) {
+    if (Date.now() >= deadline) break;
+
+    const subscription = await db.collection('webhook_subscriptions').findOne({ _id: delivery.subscriptionId, active: true });
+    if (!subscription) {
+      await db.collection('webhook_deliveries').updateOne(
+        { _id: delivery._id },
+        { $set: { status: DELIVERY_STATUS.FAILED, nextAttemptAt: null, lastError: 'Subscription removed or disabled' } }
+      );
+      continue;
+    }
+
+    const result = await attemptDelivery(db, delivery, subscription);
+    results.attempted++;
+    if (result.status === DELIVERY_STATUS.DELIVERED) results.delivered++;
+  }
+
+  return results;
+}
+
+/**
+ * Moves webhook subscriptions across when a vehicle's plate changes
+ */
+async function moveWebhookSubscriptions(db, oldRegistration, newRegistration) {
+  const collection = db.collection('webhook_subscriptions');
+  const subscriptions = await collection.find({ registrations: oldRegistration }).toArray();
+
+  for (const subscription of subscriptions) {
+    const registrations = [...new Set(subscription.registrations.map(reg => (reg === oldRegistration ? newRegistration : reg)))];
+    await collection.updateOne({ _id: subscription._id }, { $set: { registrations } });
+  }
+
+  return subscriptions.length;
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  TEST_EVENT_TYPE,
+  createSecret,
+  signPayload,
+  isPrivateAddress,
+  validateWebhookUrl,
+  ensureIndexes,
+  attemptDelivery,
+  retryWebhookDeliveries,
+  moveWebhookSubscriptions
+};
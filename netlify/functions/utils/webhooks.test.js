@@ -0,0 +1,194 @@
+// netlify/functions/utils/webhooks.test.js
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const {
+  DELIVERY_STATUS,
+  createSecret,
+  signPayload,
+  isPrivateAddress,
+  validateWebhookUrl,
+  attemptDelivery
+} = require('./webhooks');
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('dns', () => ({ lookup: jest.fn() }));
+
+const NOW = new Date('2025-01-15T12:00:00.000Z');
+
+const SUBSCRIPTION = { _id: 'wh_1', url: 'https://fleet.example.com/mot-events', secret: 'whsec_test', active: true };
+
+function delivery(overrides = {}) {
+  return {
+    _id: 'delivery-1',
+    subscriptionId: SUBSCRIPTION._id,
+    type: 'NEW_TEST',
+    payload: { id: 'delivery-1', type: 'NEW_TEST', registration: 'AB12CDE', data: { testResult: 'PASSED' } },
+    attemptCount: 0,
+    ...overrides
+  };
+}
+
+function deliveriesDb() {
+  const collection = { updateOne: jest.fn() };
+  return { db: { collection: () => collection }, collection };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.useRealTimers();
+  delete process.env.WEBHOOK_ALLOW_HTTP;
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+});
+
+describe('createSecret', () => {
+  it('makes a different prefixed secret each time', () => {
+    expect(createSecret()).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(createSecret()).not.toBe(createSecret());
+  });
+});
+
+describe('signPayload', () => {
+  it('is the HMAC-SHA256 of the timestamp and body, so receivers can verify it', () => {
+    const body = '{"id":"delivery-1"}';
+
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1736942400.${body}`).digest('hex');
+    expect(signPayload('whsec_test', 1736942400, body)).toBe(expected);
+  });
+
+  it('changes with the timestamp, the body or the secret', () => {
+    const signature = signPayload('whsec_test', 1736942400, '{}');
+
+    expect(signPayload('whsec_test', 1736942401, '{}')).not.toBe(signature);
+    expect(signPayload('whsec_test', 1736942400, '{ }')).not.toBe(signature);
+    expect(signPayload('whsec_other', 1736942400, '{}')).not.toBe(signature);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('catches loopback, private, link-local and unspecified addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => expect([address, isPrivateAddress(address)]).toEqual([address, true]));
+  });
+
+  it('lets public addresses and names through', () => {
+    ['93.184.216.34', '172.32.0.1', '2606:2800:220:1::1', 'fleet.example.com']
+      .forEach(address => expect([address, isPrivateAddress(address)]).toEqual([address, false]));
+  });
+});
+
+describe('validateWebhookUrl', () => {
+  it('accepts a public https URL', () => {
+    expect(validateWebhookUrl('https://fleet.example.com/mot-events')).toBeNull();
+  });
+
+  it('needs an absolute https URL', () => {
+    expect(validateWebhookUrl('/mot-events')).toBe('url must be an absolute URL');
+    expect(validateWebhookUrl('http://fleet.example.com/mot-events')).toBe('url must use https');
+
+    process.env.WEBHOOK_ALLOW_HTTP = 'true';
+    expect(validateWebhookUrl('http://fleet.example.com/mot-events')).toBeNull();
+  });
+
+  it('refuses local and private hosts, however they are written', () => {
+    ['https://localhost/hook', 'https://localhost./hook', 'https://api.localhost/hook', 'https://127.0.0.1/hook', 'https://0x7f.1/hook',
+      'https://[::1]/hook', 'https://[::ffff:10.0.0.1]/hook', 'https://169.254.169.254/latest/meta-data']
+      .forEach(url => expect([url, validateWebhookUrl(url)]).toEqual([url, 'url must not point to a local or private address']));
+  });
+
+  it('allows them for local testing', () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+    expect(validateWebhookUrl('https://localhost:9000/hook')).toBeNull();
+  });
+});
+
+describe('attemptDelivery', () => {
+  it('posts the signed payload and records the delivery', async () => {
+    axios.post.mockResolvedValue({ status: 204, data: '' });
+    const { db, collection } = deliveriesDb();
+
+    const result = await attemptDelivery(db, delivery(), SUBSCRIPTION);
+
+    const [url, body, config] = axios.post.mock.calls[0];
+    const timestamp = config.headers['X-MOT-Webhook-Timestamp'];
+    expect(url).toBe(SUBSCRIPTION.url);
+    expect(JSON.parse(body)).toEqual(delivery().payload);
+    expect(timestamp).toBe(String(NOW.getTime() / 1000));
+    expect(config.headers).toMatchObject({
+      'X-MOT-Webhook-Id': 'delivery-1',
+      'X-MOT-Webhook-Event': 'NEW_TEST',
+      'X-MOT-Webhook-Signature': `sha256=${signPayload('whsec_test', timestamp, body)}`
+    });
+    expect(config.maxRedirects).toBe(0);
+
+    expect(result).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, attemptCount: 1, lastError: null });
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { _id: 'delivery-1' },
+      expect.objectContaining({ $push: { attempts: expect.objectContaining({ statusCode: 204, error: null }) } })
+    );
+  });
+
+  it('retries a failed delivery with backoff, then gives up', async () => {
+    axios.post.mockResolvedValue({ status: 500, data: 'oops' });
+    const { db } = deliveriesDb();
+
+    await expect(attemptDelivery(db, delivery(), SUBSCRIPTION)).resolves.toMatchObject({
+      status: DELIVERY_STATUS.PENDING,
+      nextAttemptAt: new Date(NOW.getTime() + 60 * 1000),
+      lastError: 'Receiver responded with HTTP 500'
+    });
+    await expect(attemptDelivery(db, delivery({ attemptCount: 1 }), SUBSCRIPTION)).resolves.toMatchObject({
+      nextAttemptAt: new Date(NOW.getTime() + 5 * 60 * 1000)
+    });
+    await expect(attemptDelivery(db, delivery({ attemptCount: 5 }), SUBSCRIPTION)).resolves.toMatchObject({
+      status: DELIVERY_STATUS.FAILED,
+      nextAttemptAt: null,
+      attemptCount: 6
+    });
+  });
+
+  it('never calls a private host saved before they were refused', async () => {
+    const { db } = deliveriesDb();
+
+    const result = await attemptDelivery(db, delivery(), { ...SUBSCRIPTION, url: 'https://10.0.0.5/hook' });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: DELIVERY_STATUS.FAILED, lastError: 'url must not point to a local or private address' });
+  });
+
+  describe('resolving the receiver', () => {
+    async function agentLookup() {
+      axios.post.mockResolvedValue({ status: 200, data: '' });
+      await attemptDelivery(deliveriesDb().db, delivery(), SUBSCRIPTION);
+      return axios.post.mock.calls[0][2].httpsAgent.options.lookup;
+    }
+
+    const resolve = (lookup, options) => new Promise(done => {
+      lookup('fleet.example.com', options, (error, address) => done({ error, address }));
+    });
+
+    it('connects to public addresses', async () => {
+      const lookup = await agentLookup();
+      dns.lookup.mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+
+      await expect(resolve(lookup, {})).resolves.toEqual({ error: null, address: '93.184.216.34' });
+    });
+
+    it('refuses a name that resolves to a private address', async () => {
+      const lookup = await agentLookup();
+      dns.lookup.mockImplementation((hostname, options, callback) => callback(null, [
+        { address: '93.184.216.34', family: 4 },
+        { address: '127.0.0.1', family: 4 }
+      ]));
+
+      const { error } = await resolve(lookup, { all: true });
+      expect(error).toMatchObject({ code: 'EPRIVATEADDRESS', message: 'fleet.example.com resolves to a local or private address' });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// netlify/functions/verifyEmail.js
+
+const { connectToDatabase } = require('./utils/mongodb');
+const { EMAIL_STATUS } = require('./utils/emailNotifications');
+const { buildResultPage } = require('./utils/emailTemplates');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+/**
+ * Confirms an email address from the link in the confirmation email (GET ?token=).
+ * Opened in a browser, so it answers with a page rather than JSON.
+ */
+exports.handler = async function(event, context) {
+  const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: buildResultPage({ heading: 'Method not allowed', message: 'Open the link from your email to confirm.', accent: 'danger' })
+    };
+  }
+
+  const token = event.queryStringParameters?.token;
+
+  try {
+    const db = await connectToDatabase();
+    const collection = db.collection('email_subscriptions');
+    const subscriber = token ? await collection.findOne({ verifyToken: token }) : null;
+
+    if (!subscriber) {
+      return {
+        statusCode: 404,
+        headers,
+        body: buildResultPage({
+          heading: 'Link not recognised',
+          message: 'This confirmation link is invalid or has already been used. If you have already confirmed, you are all set.',
+          accent: 'warning'
+        })
+      };
+    }
+
+    if (new Date(subscriber.verifyExpiresAt) < new Date()) {
+      return {
+        statusCode: 410,
+        headers,
+        body: buildResultPage({
+          heading: 'Link expired',
+          message: `This confirmation link has expired. Ask for email updates for ${subscriber.registration} again to get a new one.`,
+          accent: 'warning',
+          registration: subscriber.registration
+        })
+      };
+    }
+
+    await collection.updateOne(
+      { _id: subscriber._id },
+      {
+        $set: { status: EMAIL_STATUS.ACTIVE, verifiedAt: new Date() },
+        $unset: { verifyToken: '', verifyExpiresAt: '' }
+      }
+    );
+
+    console.log(`Email subscription ${subscriber._id} confirmed for ${subscriber.registration}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: buildResultPage({
+        heading: 'Email updates confirmed',
+        message: `You'll now get an email when ${subscriber.registration} has a new MOT test, and before its MOT runs out.`,
+        accent: 'success',
+        registration: subscriber.registration
+      })
+    };
+  } catch (error) {
+    console.error('Error in verifyEmail function:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: buildResultPage({
+        heading: 'Something went wrong',
+        message: 'We could not confirm your email just now. Please try the link again later.',
+        accent: 'danger'
+      })
+    };
+  }
+};
@@ -0,0 +1,248 @@
+// netlify/functions/webhooks.js
+
+const crypto = require('crypto');
+const { connectToDatabase } = require('./utils/mongodb');
+const { requireAdmin } = require('./utils/adminAuth');
+const { normalizeEventTypes } = require('./utils/vehicleChanges');
+const { TEST_EVENT_TYPE, createSecret, validateWebhookUrl } = require('./utils/webhooks');
+const { dispatchNotification } = require('./utils/notificationDispatcher');
+
+// Environment variable validation
+function validateEnvironmentVariables() {
+  const required = ['MONGODB_URI', 'ADMIN_API_KEY'];
+  const missing = required.filter(key => !process.env[key]);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// Validate environment variables on module load
+validateEnvironmentVariables();
+
+const MAX_REGISTRATIONS = 100;
+const MAX_DELIVERIES = 100;
+
+/**
+ * Formats a registration (remove spaces, uppercase)
+ */
+function formatRegistration(registration) {
+  return String(registration).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * A subscription as returned to callers - the secret is only shown when it's created
+ */
+function toResponse(subscription) {
+  const { _id, secret, ...rest } = subscription;
+  return { id: _id, ...rest };
+}
+
+function errorResponse(headers, statusCode, code, message) {
+  return {
+    statusCode,
+    headers,
+    body: JSON.stringify({
+      error: true,
+      message,
+      code,
+      timestamp: new Date().toISOString()
+    })
+  };
+}
+
+/**
+ * Creates a subscription from { url, registrations, eventTypes?, description? }
+ */
+async function createSubscription(db, body, headers) {
+  const urlError = validateWebhookUrl(body.url);
+  if (urlError) {
+    return errorResponse(headers, 400, 'INVALID_URL', urlError);
+  }
+
+  if (!Array.isArray(body.registrations) || body.registrations.length === 0 || body.registrations.length > MAX_REGISTRATIONS) {
+    return errorResponse(headers, 400, 'INVALID_REGISTRATIONS', `registrations must be an array of 1 to ${MAX_REGISTRATIONS} registrations`);
+  }
+
+  const eventTypes = normalizeEventTypes(body.eventTypes);
+  if (eventTypes === false) {
+    return errorResponse(headers, 400, 'INVALID_EVENT_TYPES', 'eventTypes must be an array of change event types');
+  }
+
+  const registrations = [...new Set(body.registrations.map(formatRegistration).filter(Boolean))];
+
+  // Events only come from vehicles the scheduled check is monitoring
+  const monitored = await db.collection('notifications')
+    .find({ registration: { $in: registrations }, enabled: true }, { projection: { registration: 1 } })
+    .toArray();
+  const monitoredSet = new Set(monitored.map(record => record.registration));
+  const notMonitored = registrations.filter(registration => !monitoredSet.has(registration));
+  if (notMonitored.length > 0) {
+    return errorResponse(headers, 400, 'NOT_MONITORED',
+      `Not monitored, so there would be no events - enable them first (POST /api/enableNotification): ${notMonitored.join(', ')}`);
+  }
+
+  const secret = createSecret();
+  const subscription = {
+    _id: `wh_${crypto.randomBytes(12).toString('hex')}`,
+    url: body.url,
+    description: body.description ? String(body.description).slice(0, 200) : null,
+    registrations,
+    eventTypes,
+    secret,
+    active: true,
+    createdAt: new Date()
+  };
+
+  await db.collection('webhook_subscriptions').insertOne(subscription);
+
+  console.log(`Created webhook subscription ${subscription._id} for ${registrations.length} registrations`);
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      subscription: toResponse(subscription),
+      secret // Only shown now - store it to verify signatures
+    })
+  };
+}
+
+/**
+ * Sends a test event to one subscription, through the same delivery path as real events
+ */
+async function sendTestEvent(db, subscription, body, headers) {
+  const registration = body.registration ? formatRegistration(body.registration) : subscription.registrations[0];
+
+  if (!subscription.registrations.includes(registration)) {
+    return errorResponse(headers, 400, 'INVALID_REGISTRATION', `This webhook isn't subscribed to ${registration}`);
+  }
+
+  const { channels } = await dispatchNotification(db, registration, {
+    type: TEST_EVENT_TYPE,
+    registration,
+    summary: 'Test event - no action needed'
+  }, { channels: ['webhook'], recipientId: subscription._id });
+  const result = channels.webhook;
+
+  const delivery = await db.collection('webhook_deliveries')
+    .find({ subscriptionId: subscription._id })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .toArray();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: result.sent > 0,
+      result,
+      delivery: delivery[0] || null
+    })
+  };
+}
+
+/**
+ * Admin API for outgoing webhooks (requires Authorization: Bearer ADMIN_API_KEY):
+ *   GET                                   - list subscriptions
+ *   GET ?id=&limit=                       - one subscription and its delivery log, newest first
+ *   POST { url, registrations, eventTypes?, description? } - create a subscription (returns its signing secret)
+ *   POST ?id=&action=test { registration? } - send a test event
+ *   DELETE ?id=                           - remove a subscription
+ */
+exports.handler = async function(event, context) {
+  // CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  // Handle preflight request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers
+    };
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return errorResponse(headers, 405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+  }
+
+  const unauthorized = requireAdmin(event, headers);
+  if (unauthorized) {
+    return unauthorized;
+  }
+
+  const { id, action, limit } = event.queryStringParameters || {};
+
+  let body = {};
+  if (event.httpMethod === 'POST') {
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return errorResponse(headers, 400, 'INVALID_JSON', 'Invalid JSON in request body');
+    }
+  }
+
+  if (!id && (event.httpMethod === 'DELETE' || (event.httpMethod === 'POST' && action === 'test'))) {
+    return errorResponse(headers, 400, 'MISSING_PARAMETERS', `id is required to ${event.httpMethod === 'DELETE' ? 'remove a subscription' : 'send a test event'}`);
+  }
+
+  try {
+    const db = await connectToDatabase();
+    const collection = db.collection('webhook_subscriptions');
+
+    if (event.httpMethod === 'POST' && !id) {
+      return await createSubscription(db, body, headers);
+    }
+
+    if (event.httpMethod === 'GET' && !id) {
+      const subscriptions = await collection.find({}).sort({ createdAt: -1 }).toArray();
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ subscriptions: subscriptions.map(toResponse), count: subscriptions.length })
+      };
+    }
+
+    const subscription = await collection.findOne({ _id: id });
+    if (!subscription) {
+      return errorResponse(headers, 404, 'WEBHOOK_NOT_FOUND', `No webhook subscription with id ${id}`);
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await collection.deleteOne({ _id: id });
+      console.log(`Deleted webhook subscription ${id}`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, id })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action !== 'test') {
+        return errorResponse(headers, 400, 'INVALID_ACTION', "action must be 'test'");
+      }
+      return await sendTestEvent(db, subscription, body, headers);
+    }
+
+    const deliveries = await db.collection('webhook_deliveries')
+      .find({ subscriptionId: id })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_DELIVERIES))
+      .toArray();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ subscription: toResponse(subscription), deliveries })
+    };
+  } catch (error) {
+    console.error('Error in webhooks function:', error);
+    return errorResponse(headers, 500, 'INTERNAL_SERVER_ERROR', error.message || 'Internal server error');
+  }
+};
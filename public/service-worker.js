@@ -1,7 +1,7 @@
 // public/service-worker.js
 
 // Service worker version - increment when updating
-const VERSION = 'v2';
+const VERSION = 'v8';
 
 // Cache name
 const CACHE_NAME = `mot-app-cache-${VERSION}`;
@@ -14,6 +14,48 @@ const urlsToCache = [
   '/favicon.ico'
 ];
 
+// Titles for change events other than new tests
+const CHANGE_TITLES = {
+  RECALL_OPENED: 'Safety recall ⚠️',
+  RECALL_CLOSED: 'Recall resolved',
+  RECORD_AMENDED: 'MOT record amended',
+  DETAILS_CHANGED: 'Vehicle details changed'
+};
+
+// Actions shown on notifications that don't have their own
+const DEFAULT_ACTIONS = [
+  {
+    action: 'view',
+    title: 'View Details',
+    icon: '/favicon.ico'
+  },
+  {
+    action: 'dismiss',
+    title: 'Dismiss'
+  }
+];
+
+// Actions the server carries out (see /api/notificationAction) without opening the app.
+// Many browsers only show two (Notification.maxActions), so each notification lists its most
+// useful first and the rest are trimmed off. Muting is only offered here, so it comes before
+// marking as seen, which opening the notification does too.
+const REMIND_ACTION = {
+  action: 'remind-before-expiry',
+  title: 'Remind me a week before expiry'
+};
+const MUTE_ACTION = {
+  action: 'mute',
+  title: 'Mute this vehicle for 30 days'
+};
+const SEEN_ACTION = {
+  action: 'mark-seen',
+  title: 'Mark as seen'
+};
+const SERVER_ACTIONS = [REMIND_ACTION, MUTE_ACTION, SEEN_ACTION].map(({ action }) => action);
+
+// Confirmations replace each other rather than piling up
+const CONFIRMATION_TAG = 'mot-action-confirmation';
+
 // Install event - cache assets
 self.addEventListener('install', event => {
   // Perform install steps
@@ -113,15 +155,131 @@ self.addEventListener('push', event => {
       const pushData = event.data.json();
       console.log('Push data:', pushData);
       
-      // Validate push data structure
-      if (!pushData || !pushData.registration || !pushData.testResult) {
+      // Daily or weekly digest - opens the app on just the vehicles it covers
+      if (pushData?.type === 'DIGEST') {
+        const { title, summary, sections, url } = pushData;
+        
+        notificationData = {
+          title: `${title} 📋`,
+          body: [
+            `${summary}.`,
+            ...(sections || []).map(section => `${section.title}: ${section.count}`)
+          ].join('\n'),
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          tag: 'mot-digest',
+          vibrate: [200, 100, 200],
+          data: {
+            type: 'DIGEST',
+            url
+          },
+          actions: [
+            {
+              action: 'view',
+              title: 'View vehicles',
+              icon: '/favicon.ico'
+            }
+          ]
+        };
+      } else if (pushData?.type === 'REGISTRATION_CHANGED' && pushData.registration) {
+        // Registration changed (plate transfer) - the server has moved our subscription
+        const { registration, previousRegistration, vehicle } = pushData;
+        const vehicleName = vehicle?.make && vehicle?.model ? `${vehicle.make} ${vehicle.model}` : 'vehicle';
+        
+        notificationData = {
+          title: `Registration changed - ${registration}`,
+          body: `Your ${vehicleName} ${previousRegistration} is now registered as ${registration}. We'll keep monitoring it under the new plate.`,
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          requireInteraction: true,
+          vibrate: [200, 100, 200, 100, 200],
+          data: {
+            registration,
+            previousRegistration,
+            vehicle,
+            url: `/?registration=${registration}`
+          }
+        };
+      } else if (pushData?.type === 'EXPIRY_REMINDER' && pushData.registration) {
+        // Reminder ahead of the expiry date - can be snoozed until tomorrow
+        const { registration, summary, details, vehicle } = pushData;
+        const vehicleName = vehicle?.make && vehicle?.model ? `${vehicle.make} ${vehicle.model} ` : '';
+        
+        notificationData = {
+          title: `MOT reminder ⏰ - ${registration}`,
+          body: `${vehicleName}${registration}: ${summary}`,
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          requireInteraction: true,
+          vibrate: [200, 100, 200],
+          data: {
+            registration,
+            type: 'EXPIRY_REMINDER',
+            expiryDate: details?.expiryDate,
+            leadDays: details?.leadDays,
+            vehicle,
+            url: `/?registration=${registration}`
+          },
+          actions: [
+            // A reminder further out can be swapped for one a week before
+            ...(details?.leadDays > 7 ? [REMIND_ACTION] : []),
+            {
+              action: 'snooze',
+              title: 'Remind me tomorrow'
+            },
+            MUTE_ACTION
+          ]
+        };
+      } else if (pushData?.type === 'MOT_OVERDUE' && pushData.registration) {
+        // Expiry day, then repeated until a new pass - the vehicle can't legally be driven
+        const { registration, summary, details, vehicle } = pushData;
+        const vehicleName = vehicle?.make && vehicle?.model ? `${vehicle.make} ${vehicle.model} ` : '';
+        
+        notificationData = {
+          title: `${details?.daysOverdue > 0 ? 'MOT expired 🚨' : 'MOT expires today 🚨'} - ${registration}`,
+          body: `${vehicleName}${registration}: ${summary}`,
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          requireInteraction: true,
+          vibrate: [300, 100, 300, 100, 300, 100, 300],
+          data: {
+            registration,
+            type: 'MOT_OVERDUE',
+            expiryDate: details?.expiryDate,
+            vehicle,
+            url: `/?registration=${registration}`
+          },
+          actions: [MUTE_ACTION, SEEN_ACTION]
+        };
+      } else if (CHANGE_TITLES[pushData?.type] && pushData.registration) {
+        // Recall, amended record and vehicle details changes carry a ready-made summary
+        const { type, registration, summary, vehicle } = pushData;
+        const vehicleName = vehicle?.make && vehicle?.model ? `${vehicle.make} ${vehicle.model} ` : '';
+        
+        notificationData = {
+          title: `${CHANGE_TITLES[type]} - ${registration}`,
+          body: `${vehicleName}${registration}: ${summary}`,
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          requireInteraction: true,
+          vibrate: [200, 100, 200, 100, 200],
+          data: {
+            registration,
+            type,
+            vehicle,
+            url: `/?registration=${registration}`
+          },
+          actions: [MUTE_ACTION, SEEN_ACTION]
+        };
+      } else if (!pushData || !pushData.registration || !pushData.testResult) {
+        // Validate push data structure
         console.error('Invalid push data structure:', pushData);
         // Still show a default notification if data is malformed
         notificationData.title = 'MOT Update';
         notificationData.body = 'New MOT test recorded for your vehicle';
       } else {
         // Extract notification details
-        const { registration, testResult, vehicle, previousDate, newDate } = pushData;
+        const { registration, testResult, vehicle } = pushData;
         
         // Create notification title and body
         const passed = testResult === 'PASSED';
@@ -150,35 +308,45 @@ self.addEventListener('push', event => {
             testResult,
             vehicle,
             url: `/?registration=${registration}`
-          }
+          },
+          // Only a pass has a new expiry date to be reminded about
+          actions: passed ? [REMIND_ACTION, MUTE_ACTION, SEEN_ACTION] : [MUTE_ACTION, SEEN_ACTION]
         };
       }
+      
+      // Lets the app mark it read in the notification centre when it's opened
+      if (pushData.eventId) {
+        notificationData.data.eventId = pushData.eventId;
+      } else if (notificationData.actions) {
+        // Nothing to mark seen without it
+        notificationData.actions = notificationData.actions.filter(({ action }) => action !== SEEN_ACTION.action);
+      }
     } catch (error) {
       console.error('Error parsing push data:', error);
     }
   }
   
-  // Show the notification
+  // Actions are listed most important first - keep only as many as the browser will show
+  const actions = notificationData.actions || DEFAULT_ACTIONS;
+  const maxActions = self.Notification?.maxActions;
+  
+  // Show the notification, and flag the app icon until the app syncs its unread count
   event.waitUntil(
-    self.registration.showNotification(notificationData.title, {
-      body: notificationData.body,
-      icon: notificationData.icon,
-      badge: notificationData.badge,
-      requireInteraction: notificationData.requireInteraction,
-      vibrate: notificationData.vibrate,
-      data: notificationData.data,
-      actions: [
-        {
-          action: 'view',
-          title: 'View Details',
-          icon: '/favicon.ico'
-        },
-        {
-          action: 'dismiss',
-          title: 'Dismiss'
-        }
-      ]
-    })
+    Promise.all([
+      self.registration.showNotification(notificationData.title, {
+        body: notificationData.body,
+        icon: notificationData.icon,
+        badge: notificationData.badge,
+        tag: notificationData.tag,
+        requireInteraction: notificationData.requireInteraction,
+        vibrate: notificationData.vibrate,
+        data: notificationData.data,
+        actions: maxActions ? actions.slice(0, maxActions) : actions
+      }),
+      self.navigator.setAppBadge
+        ? self.navigator.setAppBadge().catch(error => console.error('Failed to set app badge:', error))
+        : null
+    ])
   );
 });
 
@@ -198,24 +366,93 @@ self.addEventListener('notificationclick', event => {
     return;
   }
   
+  if (action === 'snooze') {
+    // Our push endpoint tells the server which device is snoozing
+    event.waitUntil(
+      self.registration.pushManager.getSubscription()
+        .then(subscription => fetch('/api/snoozeReminder', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            registration,
+            endpoint: subscription?.endpoint,
+            expiryDate: notificationData.expiryDate,
+            leadDays: notificationData.leadDays
+          })
+        }))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Snooze failed with status ${response.status}`);
+          }
+        })
+        .catch(error => {
+          console.error('Failed to snooze reminder:', error);
+        })
+    );
+    return;
+  }
+  
+  if (SERVER_ACTIONS.includes(action)) {
+    // Done on the server, then confirmed with a notification of its own - the app stays closed
+    event.waitUntil(
+      self.registration.pushManager.getSubscription()
+        .then(subscription => fetch('/api/notificationAction', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            action,
+            registration,
+            endpoint: subscription?.endpoint,
+            eventId: notificationData.eventId
+          })
+        }))
+        .then(response => response.json().then(result => ({ response, result })))
+        .then(({ response, result }) => {
+          // 409s explain why it can't be done, e.g. the MOT expires in less than a week
+          if (response.status === 409) {
+            return showActionNotification(`Couldn't do that - ${registration}`, result.message, notificationData);
+          }
+          if (!response.ok) {
+            throw new Error(result.message || `Action failed with status ${response.status}`);
+          }
+          
+          return Promise.all([
+            showActionNotification(result.confirmation.title, result.confirmation.body, notificationData),
+            action === SEEN_ACTION.action ? updateAppBadge(result.unreadCount) : null
+          ]);
+        })
+        .catch(error => {
+          console.error(`Failed to carry out the ${action} action:`, error);
+        })
+    );
+    return;
+  }
+  
   // Default action or 'view' action - open/focus the app
   event.waitUntil(
     self.clients.matchAll({ 
       type: 'window',
       includeUncontrolled: true 
     }).then(clientList => {
-      // Construct the URL with the registration if available
-      const url = registration ? `/?registration=${registration}` : '/';
+      // Construct the URL with the registration if available - digests link to a list of vehicles
+      const baseUrl = notificationData.url || (registration ? `/?registration=${registration}` : '/');
+      const eventId = notificationData.eventId;
+      const url = eventId ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}event=${encodeURIComponent(eventId)}` : baseUrl;
       
       // Look for an existing window to focus
       for (const client of clientList) {
         if (client.url.includes(self.location.origin)) {
           return client.focus().then(() => {
+            if (notificationData.type === 'DIGEST') {
+              return client.postMessage({ type: 'SHOW_VEHICLE_LIST', url, eventId });
+            }
             // Send message to client to load the specific registration
             if (registration) {
               return client.postMessage({
                 type: 'LOAD_REGISTRATION',
-                registration: registration
+                registration: registration,
+                previousRegistration: notificationData.previousRegistration,
+                eventId
               });
             }
           }).catch(error => {
@@ -234,11 +471,33 @@ self.addEventListener('notificationclick', event => {
   );
 });
 
+// Shows the outcome of a notification action - tapping it opens the vehicle
+function showActionNotification(title, body, notificationData) {
+  return self.registration.showNotification(title, {
+    body,
+    icon: '/favicon.ico',
+    badge: '/favicon.ico',
+    tag: CONFIRMATION_TAG,
+    data: {
+      registration: notificationData.registration,
+      url: notificationData.url
+    }
+  });
+}
+
+// Sets the app icon's unread count, as the notification centre does when the app is open
+function updateAppBadge(count) {
+  if (!self.navigator.setAppBadge) return null;
+  
+  const update = count > 0 ? self.navigator.setAppBadge(count) : self.navigator.clearAppBadge();
+  return update.catch(error => console.error('Failed to update app badge:', error));
+}
+
 // Message event - handle messages from the main thread
 self.addEventListener('message', event => {
   console.log('Service worker received message:', event.data);
   
-  const { type, data } = event.data || {};
+  const { type } = event.data || {};
   
   if (type === 'SKIP_WAITING') {
     self.skipWaiting();
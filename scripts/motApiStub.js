@@ -0,0 +1,167 @@
+// scripts/motApiStub.js
+//
+// Local stand-in for the DVSA MOT History API, for offline development.
+// Serves the token endpoint and vehicle lookups (by registration or VIN) from
+// scripts/fixtures/motApiStub.json.
+//
+// Usage: node scripts/motApiStub.js   (or: npm run mot-stub)
+//
+// Then point the functions at it, e.g. in .env:
+//   MOT_API_URL=http://localhost:4010
+//   TOKEN_URL=http://localhost:4010/token
+//   CLIENT_ID=local  CLIENT_SECRET=local  API_KEY=local  SCOPE=local
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.MOT_STUB_PORT || 4010;
+const FIXTURES_PATH = process.env.MOT_STUB_FIXTURES || path.join(__dirname, 'fixtures', 'motApiStub.json');
+const LATENCY = parseInt(process.env.MOT_STUB_LATENCY || '0', 10); // Artificial delay in ms
+
+const ACCESS_TOKEN = 'local-stub-token';
+
+/**
+ * Loads fixtures fresh on every request so they can be edited while the stub runs
+ */
+function loadFixtures() {
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+  return {
+    vehicles: fixtures.vehicles || [],
+    errors: fixtures.errors || {}
+  };
+}
+
+// How many times each error fixture has been served (for "times"-limited errors)
+const errorCounts = new Map();
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, statusCode, errorCode, errorMessage) {
+  sendJson(res, statusCode, {
+    errorCode,
+    errorMessage,
+    requestId: `stub-${Date.now()}`
+  });
+}
+
+function handleToken(req, res) {
+  if (req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'invalid_request', error_description: 'Method not allowed' });
+  }
+
+  // Any client credentials are accepted, but they must be sent
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+    return sendJson(res, 401, { error: 'invalid_client', error_description: 'Client credentials are required' });
+  }
+
+  sendJson(res, 200, {
+    token_type: 'Bearer',
+    expires_in: 3599,
+    access_token: ACCESS_TOKEN
+  });
+}
+
+/**
+ * Checks the bearer token and API key, sending an error response if either is missing
+ * @returns {boolean} - Whether the request may continue
+ */
+function checkCredentials(req, res) {
+  if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+    sendError(res, 401, 'MOTH-UA-01', 'Invalid or missing access token');
+    return false;
+  }
+
+  if (!req.headers['x-api-key']) {
+    sendError(res, 403, 'MOTH-FB-01', 'Missing API key');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Fixtures carry the VIN so they can be looked up by it, but the API doesn't return it
+ */
+function toApiResponse(vehicle) {
+  const response = { ...vehicle };
+  delete response.vin;
+  return response;
+}
+
+function handleRegistration(req, res, registration) {
+  if (!checkCredentials(req, res)) return;
+
+  const { vehicles, errors } = loadFixtures();
+  const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+
+  // Canned error responses take priority, optionally only for the first N requests
+  const errorFixture = errors[formattedReg];
+  if (errorFixture) {
+    const count = errorCounts.get(formattedReg) || 0;
+    if (!errorFixture.times || count < errorFixture.times) {
+      errorCounts.set(formattedReg, count + 1);
+      console.log(`  -> canned ${errorFixture.status} for ${formattedReg}`);
+      return sendJson(res, errorFixture.status, errorFixture.body || {}, errorFixture.headers || {});
+    }
+  }
+
+  const vehicle = vehicles.find(v => v.registration === formattedReg);
+  if (!vehicle) {
+    return sendError(res, 404, 'MOTH-NP-01', `No MOT Tests found with vehicle registration : ${formattedReg}`);
+  }
+
+  sendJson(res, 200, toApiResponse(vehicle));
+}
+
+function handleVin(req, res, vin) {
+  if (!checkCredentials(req, res)) return;
+
+  const { vehicles } = loadFixtures();
+  const formattedVin = vin.replace(/\s+/g, '').toUpperCase();
+
+  const vehicle = vehicles.find(v => v.vin === formattedVin);
+  if (!vehicle) {
+    return sendError(res, 404, 'MOTH-NP-01', `No MOT Tests found with vehicle identification number : ${formattedVin}`);
+  }
+
+  sendJson(res, 200, toApiResponse(vehicle));
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`${req.method} ${pathname}`);
+
+  setTimeout(() => {
+    try {
+      if (pathname === '/token') {
+        return handleToken(req, res);
+      }
+
+      const match = pathname.match(/^\/v1\/trade\/vehicles\/registration\/([^/]+)$/);
+      if (match && req.method === 'GET') {
+        return handleRegistration(req, res, decodeURIComponent(match[1]));
+      }
+
+      const vinMatch = pathname.match(/^\/v1\/trade\/vehicles\/vin\/([^/]+)$/);
+      if (vinMatch && req.method === 'GET') {
+        return handleVin(req, res, decodeURIComponent(vinMatch[1]));
+      }
+
+      sendError(res, 404, 'MOTH-NF-01', `Unknown endpoint: ${pathname}`);
+    } catch (error) {
+      console.error('Stub error:', error);
+      sendError(res, 500, 'MOTH-IS-01', error.message);
+    }
+  }, LATENCY);
+});
+
+server.listen(PORT, () => {
+  const { vehicles, errors } = loadFixtures();
+  console.log(`MOT API stub listening on http://localhost:${PORT}`);
+  console.log(`Fixtures: ${FIXTURES_PATH}`);
+  console.log(`Vehicles: ${vehicles.map(v => v.registration).join(', ')}`);
+  console.log(`Canned errors: ${Object.keys(errors).map(reg => `${reg} (${errors[reg].status})`).join(', ')}`);
+});
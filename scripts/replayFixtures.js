@@ -0,0 +1,36 @@
+// scripts/replayFixtures.js
+//
+// Feeds MOT API responses saved as fixture files through the scheduled check's change
+// detector, and prints the change events and push payloads it would produce. Nothing
+// talks to MongoDB, the MOT API or push services, so it's safe to run anywhere.
+//
+// Usage: node scripts/replayFixtures.js <oldest.json> <newer.json> [...]   (or: npm run replay-fixtures -- ...)
+//
+// e.g. node scripts/replayFixtures.js scripts/fixtures/replay/AB12CDE-1-before.json scripts/fixtures/replay/AB12CDE-2-after.json
+const fs = require('fs');
+const path = require('path');
+const { replayVersions } = require('../netlify/functions/utils/changeReplay');
+
+const files = process.argv.slice(2);
+
+if (files.length < 2) {
+  console.error('Usage: node scripts/replayFixtures.js <oldest.json> <newer.json> [...]');
+  process.exit(1);
+}
+
+const versions = files.map(file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+const registration = (versions[versions.length - 1].registration || 'UNKNOWN').replace(/\s+/g, '').toUpperCase();
+
+replayVersions(registration, versions).forEach(step => {
+  console.log(`\n${files[step.from]} -> ${files[step.to]}`);
+
+  if (step.events.length === 0) {
+    console.log('  No changes - nothing would be sent');
+    return;
+  }
+
+  step.events.forEach((event, index) => {
+    console.log(`  ${event.type}: ${event.summary}`);
+    console.log(`    payload: ${JSON.stringify(step.notifications[index])}`);
+  });
+});
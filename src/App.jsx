@@ -2,17 +2,48 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Header from './components/Header';
 import RegistrationInput from './components/RegistrationInput';
 import MOTHistory from './components/MOTHistory';
+import BatchLookup from './components/BatchLookup';
 import NotificationToggle from './components/NotificationToggle';
+import EmailNotifications from './components/EmailNotifications';
+import VehicleList from './components/VehicleList';
+import NotificationCentre from './components/NotificationCentre';
 import { getDeviceId } from './services/pushNotificationService';
+import { getServiceStatus, getMonitoredVehicles } from './services/motApi';
+
+// How often to re-check whether the MOT API is up
+const STATUS_POLL_INTERVAL = 60000;
+
+// Digests link to ?registrations=A,B&digest=section - returns null for any other URL
+const parseVehicleListParams = (search) => {
+  const params = new URLSearchParams(search);
+  const registrations = (params.get('registrations') || '')
+    .split(',')
+    .map(reg => reg.replace(/\s+/g, '').toUpperCase())
+    .filter(Boolean);
+
+  return registrations.length > 0
+    ? { registrations: [...new Set(registrations)], section: params.get('digest') || 'all' }
+    : null;
+};
 
 const App = () => {
   const [currentReg, setCurrentReg] = useState('');
+  const [currentVin, setCurrentVin] = useState(null);
   const [vehicleData, setVehicleData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [deviceNotifications, setDeviceNotifications] = useState(new Set());
   const [lastChecked, setLastChecked] = useState(null);
+  const [servedFromCache, setServedFromCache] = useState(false);
   const [lastMotUpdate, setLastMotUpdate] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const [motApiStatus, setMotApiStatus] = useState(null);
+  // Watched registrations whose MOT has expired, mapped to the expiry date
+  const [overdueVehicles, setOverdueVehicles] = useState(new Map());
+  // Vehicles a digest notification or email linked to, shown as a list
+  const [vehicleList, setVehicleList] = useState(null);
+  // Notification the user opened from a push, to mark read in the notification centre
+  const [openedEventId, setOpenedEventId] = useState(null);
   
   // Create a ref to store the fetchVehicleData function to avoid dependency cycles
   const fetchVehicleDataRef = useRef(null);
@@ -21,11 +52,27 @@ const App = () => {
   useEffect(() => {
     const handleMessage = (event) => {
       if (event.data?.type === 'LOAD_REGISTRATION') {
-        const registration = event.data.registration;
+        const { registration, previousRegistration, eventId } = event.data;
         console.log('Loading registration from notification click:', registration);
+        
+        // The server has moved our subscription to the vehicle's new plate, so follow it here too
+        if (previousRegistration) {
+          setDeviceNotifications(prev => {
+            if (!prev.has(previousRegistration)) return prev;
+            const newSet = new Set(prev);
+            newSet.delete(previousRegistration);
+            newSet.add(registration);
+            return newSet;
+          });
+        }
+        
         if (fetchVehicleDataRef.current) {
           fetchVehicleDataRef.current(registration);
         }
+        if (eventId) setOpenedEventId(eventId);
+      } else if (event.data?.type === 'SHOW_VEHICLE_LIST') {
+        setVehicleList(parseVehicleListParams(new URL(event.data.url, window.location.origin).search));
+        if (event.data.eventId) setOpenedEventId(event.data.eventId);
       }
     };
 
@@ -35,6 +82,23 @@ const App = () => {
     };
   }, []);
   
+  // Check whether the MOT API circuit breaker is open, so we can warn before lookups fail
+  const refreshServiceStatus = useCallback(async () => {
+    try {
+      const status = await getServiceStatus();
+      setMotApiStatus(status.motApi);
+    } catch (error) {
+      // Status is informational only - lookups report their own errors
+      console.warn('Could not load service status:', error.message);
+    }
+  }, []);
+  
+  useEffect(() => {
+    refreshServiceStatus();
+    const interval = setInterval(refreshServiceStatus, STATUS_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refreshServiceStatus]);
+  
   // Extract the latest MOT test date from vehicle data
   const getLatestMotTestDate = useCallback((vehicleData) => {
     if (!vehicleData || !vehicleData.motTests || vehicleData.motTests.length === 0) {
@@ -49,20 +113,42 @@ const App = () => {
     return sortedTests[0].completedDate;
   }, []);
   
+  // Display vehicle data we've just fetched (singly or as part of a batch)
+  // cache is { status, fetchedAt } from the server's MOT cache, if it told us
+  const showVehicleData = (data, registration, vin = null, cache = null) => {
+    setVehicleData(data);
+    setCurrentReg(registration);
+    setCurrentVin(vin);
+    // "Last checked" is when the data was actually fetched from the MOT API
+    setLastChecked(cache?.fetchedAt ? new Date(cache.fetchedAt) : new Date());
+    setServedFromCache(cache?.status === 'HIT' || cache?.status === 'STALE');
+    setError(null);
+    
+    // Set the last MOT update date
+    const latestMotDate = getLatestMotTestDate(data);
+    setLastMotUpdate(latestMotDate ? new Date(latestMotDate) : null);
+  };
+  
   // Define fetchVehicleData early, but we'll refer to it through a ref to avoid dependency cycles
-  const fetchVehicleData = async (registration) => {
+  // lookupType is 'registration' (default) or 'vin'
+  // forceFresh skips the server's MOT cache (used by the Refresh button)
+  const fetchVehicleData = async (registration, lookupType = 'registration', forceFresh = false) => {
     if (!registration) return;
     
     setLoading(true);
     setError(null);
     
     try {
-      // Format registration consistently
+      // Format registration (or VIN) consistently
       const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
+      const isVinLookup = lookupType === 'vin';
       
       // Add cache-busting query param to avoid stale data
       const timestamp = new Date().getTime();
-      const response = await fetch(`/api/getMotHistory?registration=${formattedReg}&_=${timestamp}`, {
+      const url = (isVinLookup
+        ? `/api/getMotHistoryByVin?vin=${formattedReg}&_=${timestamp}`
+        : `/api/getMotHistory?registration=${formattedReg}&_=${timestamp}`) + (forceFresh ? '&fresh=true' : '');
+      const response = await fetch(url, {
         headers: {
           'Cache-Control': 'no-cache, no-store, must-revalidate',
           'Pragma': 'no-cache',
@@ -76,10 +162,19 @@ const App = () => {
       if (!response.ok) {
         let errorMessage = 'Failed to fetch vehicle data';
         
-        if (data.message) {
+        if (data.code === 'CIRCUIT_OPEN') {
+          refreshServiceStatus();
+        }
+        
+        if (response.status === 429) {
+          const retryAfter = data.details?.retryAfter || response.headers.get('Retry-After');
+          errorMessage = retryAfter
+            ? `Rate limited, retry in ${retryAfter} s`
+            : 'Rate limited - please try again shortly';
+        } else if (data.message) {
           errorMessage = data.message;
         } else if (response.status === 404) {
-          errorMessage = `No vehicle found with registration ${formattedReg}`;
+          errorMessage = `No vehicle found with ${isVinLookup ? 'VIN' : 'registration'} ${formattedReg}`;
         } else if (response.status === 401 || response.status === 403) {
           errorMessage = 'Authentication error - please try again later';
         } else if (response.status >= 500) {
@@ -89,15 +184,20 @@ const App = () => {
         throw new Error(errorMessage);
       }
       
-      setVehicleData(data);
-      setCurrentReg(formattedReg);
-      setLastChecked(new Date());
-      
-      // Set the last MOT update date
-      const latestMotDate = getLatestMotTestDate(data);
-      if (latestMotDate) {
-        setLastMotUpdate(new Date(latestMotDate));
+      // A VIN lookup tells us the vehicle's current plate - everything else is keyed on it
+      if (isVinLookup && !data.registration) {
+        throw new Error(`No current registration is recorded for VIN ${formattedReg}`);
       }
+
+      showVehicleData(
+        data,
+        isVinLookup ? data.registration.replace(/\s+/g, '').toUpperCase() : formattedReg,
+        isVinLookup ? formattedReg : null,
+        {
+          status: response.headers.get('X-Cache'),
+          fetchedAt: response.headers.get('X-Cache-Fetched-At')
+        }
+      );
       
     } catch (err) {
       console.error('Error fetching MOT data:', err);
@@ -135,6 +235,33 @@ const App = () => {
     }
   }, [deviceNotifications]);
   
+  // Flag watched vehicles whose MOT has expired without a new pass
+  useEffect(() => {
+    if (deviceNotifications.size === 0) {
+      setOverdueVehicles(new Map());
+      return;
+    }
+    
+    let cancelled = false;
+    getMonitoredVehicles(Array.from(deviceNotifications))
+      .then(({ vehicles }) => {
+        if (cancelled) return;
+        setOverdueVehicles(new Map(
+          vehicles
+            .filter(vehicle => vehicle.overdue)
+            .map(vehicle => [vehicle.registration, vehicle.motExpiryDate])
+        ));
+      })
+      .catch(error => {
+        // The flag is informational only - the list still works without it
+        console.warn('Could not load watched vehicle status:', error.message);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceNotifications]);
+  
   // Handle URL parameters for direct registration loading
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -142,12 +269,14 @@ const App = () => {
     if (regParam && fetchVehicleDataRef.current) {
       fetchVehicleDataRef.current(regParam);
     }
+    setVehicleList(parseVehicleListParams(window.location.search));
+    setOpenedEventId(urlParams.get('event'));
   }, []);
   
-  // Force refresh data from API
+  // Force refresh data from API, bypassing the server cache
   const refreshData = () => {
     if (currentReg) {
-      fetchVehicleData(currentReg);
+      fetchVehicleData(currentReg, 'registration', true);
     }
   };
   
@@ -200,7 +329,40 @@ const App = () => {
         <Header />
         
         <div className="p-4">
-          <RegistrationInput onSubmit={fetchVehicleData} />
+          <div className="flex justify-between mb-2">
+            <NotificationCentre
+              openedEventId={openedEventId}
+              onSelect={event => fetchVehicleData(event.registration)}
+            />
+            <button
+              onClick={() => setBatchMode(!batchMode)}
+              className="text-xs text-blue-500 hover:underline"
+            >
+              {batchMode ? 'Check a single vehicle' : 'Check multiple vehicles'}
+            </button>
+          </div>
+          
+          {motApiStatus && motApiStatus.circuit !== 'CLOSED' && (
+            <div className="mb-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-3 rounded text-sm">
+              The DVSA MOT service is currently unavailable, so lookups may fail.
+              {motApiStatus.lastSuccessAt && ` Last successful lookup: ${formatDateTime(new Date(motApiStatus.lastSuccessAt))}.`}
+            </div>
+          )}
+          
+          {vehicleList && (
+            <VehicleList
+              registrations={vehicleList.registrations}
+              section={vehicleList.section}
+              onSelect={fetchVehicleData}
+              onClose={() => setVehicleList(null)}
+            />
+          )}
+          
+          {batchMode ? (
+            <BatchLookup onSelect={(registration, data, cache) => showVehicleData(data, registration, null, cache)} />
+          ) : (
+            <RegistrationInput onSubmit={fetchVehicleData} />
+          )}
           
           {error && (
             <div className="mt-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded">
@@ -245,6 +407,7 @@ const App = () => {
               
               <div className="text-xs text-gray-500 mb-1">
                 Last checked: {formatDateTime(lastChecked)}
+                {servedFromCache && ' (cached - press Refresh for the latest data)'}
               </div>
               
               {lastMotUpdate && (
@@ -258,6 +421,7 @@ const App = () => {
               <div className="mt-4 border-t pt-4">
                 <NotificationToggle 
                   registration={currentReg}
+                  vin={currentVin}
                   isEnabled={isNotificationEnabled(currentReg)}
                   onToggle={toggleNotification}
                 />
@@ -272,6 +436,8 @@ const App = () => {
                     </p>
                   </div>
                 )}
+                
+                <EmailNotifications registration={currentReg} vin={currentVin} />
               </div>
             </div>
           )}
@@ -286,13 +452,23 @@ const App = () => {
               
               <ul className="space-y-2">
                 {Array.from(deviceNotifications).map(reg => (
-                  <li key={reg} className="flex justify-between items-center bg-gray-50 p-2 rounded">
-                    <button 
-                      onClick={() => fetchVehicleData(reg)}
-                      className="text-blue-500 hover:underline"
-                    >
-                      {reg}
-                    </button>
+                  <li key={reg} className={`flex justify-between items-center p-2 rounded ${overdueVehicles.has(reg) ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}>
+                    <div className="flex items-center gap-2">
+                      <button 
+                        onClick={() => fetchVehicleData(reg)}
+                        className="text-blue-500 hover:underline"
+                      >
+                        {reg}
+                      </button>
+                      {overdueVehicles.has(reg) && (
+                        <span
+                          className="text-xs font-semibold bg-red-600 text-white px-2 py-0.5 rounded"
+                          title={`MOT expired on ${new Date(overdueVehicles.get(reg)).toLocaleDateString('en-GB')}`}
+                        >
+                          MOT overdue
+                        </span>
+                      )}
+                    </div>
                     <button 
                       onClick={() => toggleNotification(reg, false)}
                       className="text-red-500 text-sm"
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { getMotHistoryBatch } from '../services/motApi';
+
+// Must match MAX_BATCH_SIZE in netlify/functions/getMotHistoryBatch.js
+const MAX_BATCH_SIZE = 50;
+
+const BatchLookup = ({ onSelect }) => {
+  const [input, setInput] = useState('');
+  const [results, setResults] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Split pasted text on commas, semicolons and new lines - registrations can contain spaces
+  const parseRegistrations = (text) => {
+    const registrations = text
+      .split(/[,;\n]+/)
+      .map(reg => reg.replace(/\s+/g, '').toUpperCase())
+      .filter(Boolean);
+
+    return [...new Set(registrations)];
+  };
+
+  // Format date from ISO string
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const getLatestTest = (vehicleData) => {
+    if (!vehicleData.motTests || vehicleData.motTests.length === 0) {
+      return null;
+    }
+
+    return [...vehicleData.motTests].sort(
+      (a, b) => new Date(b.completedDate) - new Date(a.completedDate)
+    )[0];
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const registrations = parseRegistrations(input);
+
+    if (registrations.length === 0) {
+      setError('Please enter at least one registration');
+      return;
+    }
+
+    if (registrations.length > MAX_BATCH_SIZE) {
+      setError(`Please enter no more than ${MAX_BATCH_SIZE} registrations at a time`);
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await getMotHistoryBatch(registrations);
+      setResults(response.results);
+      setSummary(response.summary);
+    } catch (err) {
+      setError(err.message || 'Failed to look up registrations');
+      setResults(null);
+      setSummary(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full">
+      <form onSubmit={handleSubmit} className="flex flex-col space-y-2">
+        <label htmlFor="batch-registrations" className="font-medium text-gray-700">
+          Vehicle Registrations
+        </label>
+        <textarea
+          id="batch-registrations"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          rows={4}
+          placeholder={'One per line, or separated by commas\nAB12CDE\nFA11URE'}
+          className="p-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+        >
+          {loading ? 'Checking...' : 'Check All'}
+        </button>
+        {error && (
+          <p className="text-xs text-red-500 mt-1">
+            {error}
+          </p>
+        )}
+        <p className="text-xs text-gray-500">
+          Check up to {MAX_BATCH_SIZE} registrations at once
+        </p>
+      </form>
+
+      {summary && (
+        <div className="mt-4 text-xs text-gray-600">
+          {summary.total} checked • {summary.succeeded} found • {summary.failed} failed
+        </div>
+      )}
+
+      {results && (
+        <ul className="mt-2 space-y-2">
+          {results.map(result => {
+            if (!result.success) {
+              return (
+                <li key={result.registration} className="bg-red-50 border border-red-200 p-2 rounded text-sm">
+                  <div className="font-semibold">{result.registration}</div>
+                  <div className="text-xs text-red-700">
+                    {result.error.message}
+                    {result.error.retryAfter ? ` - retry in ${result.error.retryAfter}s` : ''}
+                  </div>
+                </li>
+              );
+            }
+
+            const latestTest = getLatestTest(result.data);
+            const passed = latestTest?.testResult === 'PASSED';
+
+            return (
+              <li key={result.registration} className="bg-gray-50 border p-2 rounded text-sm">
+                <div className="flex justify-between items-center">
+                  <button
+                    onClick={() => onSelect(result.registration, result.data, result.cache)}
+                    className="font-semibold text-blue-500 hover:underline"
+                  >
+                    {result.registration}
+                  </button>
+                  {latestTest ? (
+                    <span className={`px-2 py-1 rounded text-xs font-bold ${
+                      passed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {latestTest.testResult}
+                    </span>
+                  ) : (
+                    <span className="px-2 py-1 rounded text-xs font-bold bg-yellow-100 text-yellow-800">
+                      NO TESTS
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-600 mt-1">
+                  {result.data.make || 'Unknown'} {result.data.model || ''}
+                  {' • '}
+                  {latestTest
+                    ? `Last test ${formatDate(latestTest.completedDate)}${latestTest.expiryDate ? `, expires ${formatDate(latestTest.expiryDate)}` : ''}`
+                    : `First MOT due ${formatDate(result.data.motTestDueDate)}`}
+                </div>
+                {result.data.hasOutstandingRecall === 'Yes' && (
+                  <div className="text-xs text-red-600 font-medium mt-1">Outstanding recall</div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BatchLookup;
@@ -0,0 +1,87 @@
+import React, { useEffect, useState } from 'react';
+import { enableNotification, subscribeEmail } from '../services/motApi';
+
+// Remember the address so it doesn't need typing again for the next vehicle
+const EMAIL_STORAGE_KEY = 'notificationEmail';
+
+const EmailNotifications = ({ registration, vin }) => {
+  const [email, setEmail] = useState(() => localStorage.getItem(EMAIL_STORAGE_KEY) || '');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  // Start fresh when a different vehicle is shown
+  useEffect(() => {
+    setResult(null);
+    setError('');
+  }, [registration]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setResult(null);
+
+    if (!email.trim()) {
+      setError('Please enter your email address');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // Make sure the server is monitoring this vehicle, as it does for push
+      await enableNotification(registration, vin);
+      const response = await subscribeEmail(email.trim(), registration);
+      localStorage.setItem(EMAIL_STORAGE_KEY, email.trim());
+      setResult(response);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border">
+      <h3 className="font-medium">Email Updates</h3>
+      <p className="text-sm text-gray-600">
+        Get an email when {registration} has a new MOT test, fails one, or its MOT is about to run out. Works on any device.
+      </p>
+
+      <form onSubmit={handleSubmit} className="mt-2 flex gap-2">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="you@example.com"
+          className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          disabled={loading}
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className={`bg-blue-600 text-white text-sm px-3 py-1 rounded ${loading ? 'opacity-50 cursor-not-allowed' : 'hover:bg-blue-700'}`}
+        >
+          {loading ? 'Sending...' : 'Email me'}
+        </button>
+      </form>
+
+      {result && (
+        <div className={`mt-2 rounded p-2 border ${result.status === 'ACTIVE' ? 'bg-green-50 border-green-200' : 'bg-blue-50 border-blue-200'}`}>
+          <p className={`text-xs ${result.status === 'ACTIVE' ? 'text-green-800' : 'text-blue-800'}`}>
+            {result.status === 'ACTIVE' ? '✅ ' : '📧 '}{result.message}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-xs text-red-600">{error}</p>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">
+        We'll email you a link to confirm first. Every email has a one-click unsubscribe link.
+      </p>
+    </div>
+  );
+};
+
+export default EmailNotifications;
@@ -1,6 +1,74 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { getVehicleTimeline } from '../services/motApi';
+
+// Last timeline version the user has seen, per registration
+const LAST_SEEN_KEY = 'lastSeenVehicleVersions';
+
+const getLastSeenVersion = (registration) => {
+  const lastSeen = JSON.parse(localStorage.getItem(LAST_SEEN_KEY) || '{}');
+  return lastSeen[registration] || null;
+};
+
+const setLastSeenVersion = (registration, version) => {
+  const lastSeen = JSON.parse(localStorage.getItem(LAST_SEEN_KEY) || '{}');
+  lastSeen[registration] = version;
+  localStorage.setItem(LAST_SEEN_KEY, JSON.stringify(lastSeen));
+};
 
 const MOTHistory = ({ vehicleData }) => {
+  const [changesSinceLastLook, setChangesSinceLastLook] = useState(null);
+  const registration = (vehicleData.registration || '').replace(/\s+/g, '').toUpperCase();
+
+  // Work out what changed since the user last looked at this vehicle (monitored vehicles only)
+  useEffect(() => {
+    if (!registration) return;
+
+    let cancelled = false;
+    const lastSeenVersion = getLastSeenVersion(registration);
+    setChangesSinceLastLook(null);
+
+    getVehicleTimeline(registration, lastSeenVersion)
+      .then(timeline => {
+        if (cancelled || !timeline.latestVersion) return;
+
+        if (lastSeenVersion && timeline.diff && timeline.latestVersion > lastSeenVersion) {
+          setChangesSinceLastLook({
+            since: timeline.diff.fromTakenAt,
+            latestVersion: timeline.latestVersion,
+            changes: timeline.diff.changes
+          });
+        } else {
+          // First look (or nothing new) - start from the latest version
+          setLastSeenVersion(registration, timeline.latestVersion);
+        }
+      })
+      .catch(() => {
+        // The version we last saw has gone - start again from the latest
+        if (!cancelled && lastSeenVersion) {
+          setLastSeenVersion(registration, null);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [registration]);
+
+  const dismissChanges = () => {
+    setLastSeenVersion(registration, changesSinceLastLook.latestVersion);
+    setChangesSinceLastLook(null);
+  };
+
+  // Tests that are new or amended since the last look get highlighted in the history
+  const highlightedTests = {};
+  (changesSinceLastLook?.changes || []).forEach(change => {
+    if (change.type === 'NEW_TEST' && change.details?.test) {
+      highlightedTests[change.details.test.motTestNumber || change.details.test.completedDate] = 'New';
+    } else if (change.type === 'RECORD_AMENDED' && !change.details?.removed) {
+      highlightedTests[change.details.motTestNumber] = 'Amended';
+    }
+  });
+
   // Function to format date from ISO string
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -22,6 +90,31 @@ const MOTHistory = ({ vehicleData }) => {
 
   return (
     <div className="bg-white p-4 rounded-lg">
+      {changesSinceLastLook && (
+        <div className="mb-4 p-3 rounded border border-blue-200 bg-blue-50 text-sm">
+          <div className="flex justify-between items-center mb-1">
+            <h3 className="font-semibold text-blue-800">
+              What changed since you last looked ({formatDate(changesSinceLastLook.since)})
+            </h3>
+            <button
+              onClick={dismissChanges}
+              className="text-xs text-blue-700 hover:underline"
+            >
+              Mark as seen
+            </button>
+          </div>
+          {changesSinceLastLook.changes.length > 0 ? (
+            <ul className="list-disc pl-5 text-blue-900 space-y-1">
+              {changesSinceLastLook.changes.map((change, index) => (
+                <li key={index}>{change.summary}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-blue-900">The record was updated, but nothing we track has changed.</p>
+          )}
+        </div>
+      )}
+
       <div className="vehicle-details mb-4">
         <h2 className="text-xl font-bold mb-2 text-gray-800">Vehicle Details</h2>
         <div className="grid grid-cols-2 gap-2 text-sm">
@@ -69,11 +162,16 @@ const MOTHistory = ({ vehicleData }) => {
             <div className="space-y-4">
               {vehicleData.motTests
                 .sort((a, b) => new Date(b.completedDate) - new Date(a.completedDate))
-                .map((test, index) => (
-                  <div key={index} className="border rounded-lg p-3 bg-gray-50">
+                .map((test, index) => {
+                  const highlight = highlightedTests[test.motTestNumber || test.completedDate];
+                  return (
+                  <div key={index} className={`border rounded-lg p-3 ${highlight ? 'bg-blue-50 border-blue-300' : 'bg-gray-50'}`}>
                     <div className="flex justify-between items-center mb-2">
                       <div className="font-semibold">
                         {formatDate(test.completedDate)}
+                        {highlight && (
+                          <span className="ml-2 px-2 py-0.5 rounded bg-blue-600 text-white text-xs">{highlight}</span>
+                        )}
                       </div>
                       <div className={`px-2 py-1 rounded text-xs font-bold ${
                         test.testResult === 'PASSED' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
@@ -117,7 +215,8 @@ const MOTHistory = ({ vehicleData }) => {
                       </div>
                     )}
                   </div>
-                ))}
+                  );
+                })}
             </div>
           ) : (
             <p className="text-gray-500 italic">No MOT test history available</p>
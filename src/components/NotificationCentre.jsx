@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getInbox, markNotificationsRead } from '../services/pushNotificationService';
+
+// How often to re-check the inbox while the app is open
+const INBOX_POLL_INTERVAL = 60000;
+
+// Shows the unread count on the installed app's icon, where the browser supports it
+const syncAppBadge = (count) => {
+  if (!('setAppBadge' in navigator)) return;
+
+  const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+  update.catch(error => console.warn('Could not update app badge:', error.message));
+};
+
+// Past notifications for this device, with their read state and an unread count
+const NotificationCentre = ({ openedEventId, onSelect }) => {
+  const [open, setOpen] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateUnreadCount = (count) => {
+    setUnreadCount(count);
+    syncAppBadge(count);
+  };
+
+  const refresh = useCallback(async () => {
+    try {
+      const inbox = await getInbox();
+      setEvents(inbox.events);
+      setNextBefore(inbox.nextBefore);
+      updateUnreadCount(inbox.unreadCount);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, INBOX_POLL_INTERVAL);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [refresh]);
+
+  const markRead = useCallback(async (ids) => {
+    // Show it straight away - the next refresh corrects it if the server didn't take it
+    setEvents(prev => prev.map(event => (!ids || ids.includes(event.id) ? { ...event, read: true } : event)));
+    try {
+      const result = await markNotificationsRead(ids);
+      updateUnreadCount(result.unreadCount);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Opening a push notification reads it here too
+  useEffect(() => {
+    if (openedEventId) {
+      markRead([openedEventId]).then(refresh);
+    }
+  }, [openedEventId, markRead, refresh]);
+
+  const loadMore = async () => {
+    setLoading(true);
+    try {
+      const inbox = await getInbox(nextBefore);
+      setEvents(prev => [...prev, ...inbox.events]);
+      setNextBefore(inbox.nextBefore);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectEvent = (event) => {
+    if (!event.read) markRead([event.id]);
+    setOpen(false);
+    onSelect(event);
+  };
+
+  // Format a date with both date and time
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative text-xs text-blue-500 hover:underline"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        🔔 Notifications
+        {unreadCount > 0 && (
+          <span className="ml-1 font-semibold bg-red-600 text-white px-1.5 py-0.5 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white border border-gray-200 rounded shadow-lg z-10">
+          <div className="flex justify-between items-center p-2 border-b">
+            <h2 className="text-sm font-semibold">Notifications</h2>
+            {unreadCount > 0 && (
+              <button onClick={() => markRead(null)} className="text-xs text-blue-500 hover:underline">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {error && <p className="p-2 text-xs text-red-600">{error}</p>}
+
+          {events.length === 0 && !error && (
+            <p className="p-2 text-xs text-gray-500">No notifications yet.</p>
+          )}
+
+          <ul>
+            {events.map(event => (
+              <li key={event.id} className={`border-b last:border-b-0 ${event.read ? '' : 'bg-blue-50'}`}>
+                <button onClick={() => selectEvent(event)} className="w-full text-left p-2">
+                  <div className="flex justify-between items-start gap-2">
+                    <span className={`text-sm ${event.read ? '' : 'font-semibold'}`}>{event.title}</span>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">{formatDateTime(event.createdAt)}</span>
+                  </div>
+                  {event.body && <p className="text-xs text-gray-600 mt-1">{event.body}</p>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {nextBefore && (
+            <button
+              onClick={loadMore}
+              disabled={loading}
+              className="w-full p-2 text-xs text-blue-500 hover:underline disabled:text-gray-400"
+            >
+              {loading ? 'Loading…' : 'Show older notifications'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCentre;
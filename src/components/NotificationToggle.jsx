@@ -7,10 +7,48 @@ import {
   subscribeToVehicleNotifications,
   unsubscribeFromVehicleNotifications,
   getCurrentSubscription,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  updateDeliveryChannels,
+  updateNotificationFilters,
   getDeviceId 
 } from '../services/pushNotificationService';
+import { enableNotification } from '../services/motApi';
 
-const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
+// Change events a device can choose to be notified about
+const EVENT_TYPE_LABELS = {
+  NEW_TEST: 'New MOT tests',
+  RECALL_OPENED: 'New safety recalls',
+  RECALL_CLOSED: 'Recalls resolved',
+  RECORD_AMENDED: 'Corrections to MOT records',
+  DETAILS_CHANGED: 'Vehicle details changes (e.g. colour)',
+  EXPIRY_REMINDER: 'Reminders before the MOT expires',
+  MOT_OVERDUE: 'Alerts when the MOT has expired'
+};
+
+// New test results a device can choose to be notified about
+const TEST_RESULT_LABELS = {
+  PASSED: 'Passes',
+  FAILED: 'Fails',
+  DANGEROUS: 'Any test with dangerous defects'
+};
+
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '07:00' };
+
+// How often pushes arrive - digests cover every vehicle on the device
+const DIGEST_LABELS = {
+  '': 'As they happen',
+  DAILY: 'One daily digest',
+  WEEKLY: 'One weekly digest (Mondays)'
+};
+
+// Where this device's notifications can go
+const CHANNEL_LABELS = {
+  webPush: 'Push notifications on this device',
+  chat: 'A Slack or Discord channel'
+};
+
+const NotificationToggle = ({ registration, vin, isEnabled, onToggle }) => {
   const [notificationPermission, setNotificationPermission] = useState('default');
   const [isLoading, setIsLoading] = useState(false);
   const [pushSupported, setPushSupported] = useState(false);
@@ -18,6 +56,18 @@ const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
   const [deviceSubscribed, setDeviceSubscribed] = useState(false);
   const [supportError, setSupportError] = useState(null);
   const [debugInfo, setDebugInfo] = useState(null);
+  const [eventTypes, setEventTypes] = useState(null);
+  const [savingPreferences, setSavingPreferences] = useState(false);
+  const [channels, setChannels] = useState(['webPush']);
+  const [chatProvider, setChatProvider] = useState(null);
+  const [chatWebhookUrl, setChatWebhookUrl] = useState('');
+  const [testResults, setTestResults] = useState(['PASSED', 'FAILED']);
+  const [quietHours, setQuietHours] = useState(null);
+  const [quietHoursDraft, setQuietHoursDraft] = useState(DEFAULT_QUIET_HOURS);
+  const [digest, setDigest] = useState(null);
+  const [mutedUntil, setMutedUntil] = useState(null);
+  const [monitoredVin, setMonitoredVin] = useState(vin);
+  const [vinDraft, setVinDraft] = useState('');
 
   useEffect(() => {
     // Check if push notifications are supported
@@ -51,6 +101,132 @@ const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
     checkSubscriptionStatus();
   }, []);
 
+  // Load this device's event preferences while notifications are on
+  useEffect(() => {
+    if (!isEnabled) {
+      setEventTypes(null);
+      return;
+    }
+
+    getNotificationPreferences(registration)
+      .then(preferences => {
+        setEventTypes(preferences.eventTypes);
+        setChannels(preferences.channels || ['webPush']);
+        setChatProvider(preferences.chat?.provider || null);
+        setTestResults(preferences.testResults || ['PASSED', 'FAILED']);
+        setQuietHours(preferences.quietHours || null);
+        setDigest(preferences.digest || null);
+        setMutedUntil(preferences.mutedUntil || null);
+        setMonitoredVin(preferences.vin || vin || null);
+        if (preferences.quietHours) {
+          setQuietHoursDraft({ start: preferences.quietHours.start, end: preferences.quietHours.end });
+        }
+      })
+      .catch(() => setEventTypes(Object.keys(EVENT_TYPE_LABELS)));
+  }, [isEnabled, registration, vin]);
+
+  // Vehicles looked up by plate are monitored without a VIN (the MOT API doesn't give one), so
+  // ask for it - with it, monitoring follows the vehicle if it gets a new plate
+  const saveVin = async (e) => {
+    e.preventDefault();
+    setSavingPreferences(true);
+    try {
+      const result = await enableNotification(registration, vinDraft.replace(/\s+/g, '').toUpperCase());
+      setMonitoredVin(result.vin);
+      setVinDraft('');
+    } catch (error) {
+      alert(`Failed to add the VIN: ${error.message}`);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
+  const saveFilters = async (filters) => {
+    setSavingPreferences(true);
+    try {
+      const preferences = await updateNotificationFilters(registration, filters);
+      setTestResults(preferences.testResults);
+      setQuietHours(preferences.quietHours);
+      setDigest(preferences.digest || null);
+      setMutedUntil(preferences.mutedUntil || null);
+    } catch (error) {
+      alert(`Failed to update notification preferences: ${error.message}`);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
+  const toggleTestResult = (result) => {
+    const updated = testResults.includes(result)
+      ? testResults.filter(r => r !== result)
+      : [...testResults, result];
+
+    if (updated.length === 0) return;
+    saveFilters({ testResults: updated });
+  };
+
+  const toggleQuietHours = () => {
+    saveFilters({
+      quietHours: quietHours
+        ? null
+        : { ...quietHoursDraft, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+    });
+  };
+
+  const saveQuietHours = (e) => {
+    e.preventDefault();
+    saveFilters({ quietHours: { ...quietHoursDraft, timeZone: quietHours.timeZone } });
+  };
+
+  const saveChannels = async (updated, webhookUrl) => {
+    setSavingPreferences(true);
+    try {
+      const preferences = await updateDeliveryChannels(registration, updated, webhookUrl);
+      setChannels(preferences.channels);
+      setChatProvider(preferences.chat?.provider || null);
+      setChatWebhookUrl('');
+    } catch (error) {
+      alert(`Failed to update where notifications go: ${error.message}`);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
+  const toggleChannel = (channel) => {
+    const updated = channels.includes(channel)
+      ? channels.filter(c => c !== channel)
+      : [...channels, channel];
+
+    if (updated.length === 0) return;
+    // Chat can't be saved until there's a webhook URL to post to
+    if (updated.includes('chat') && !chatProvider) {
+      setChannels(updated);
+      return;
+    }
+    saveChannels(updated);
+  };
+
+  const saveChatWebhook = (e) => {
+    e.preventDefault();
+    saveChannels(channels, chatWebhookUrl.trim());
+  };
+
+  const toggleEventType = async (type) => {
+    const updated = eventTypes.includes(type)
+      ? eventTypes.filter(t => t !== type)
+      : [...eventTypes, type];
+
+    setSavingPreferences(true);
+    try {
+      const preferences = await updateNotificationPreferences(registration, updated);
+      setEventTypes(preferences.eventTypes);
+    } catch (error) {
+      alert(`Failed to update notification preferences: ${error.message}`);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
   const checkPushReadiness = async () => {
     try {
       const ready = await isPushReady();
@@ -90,6 +266,11 @@ const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
           await subscribeToVehicleNotifications(registration, pushSubscription);
           console.log('Successfully subscribed to vehicle notifications');
           
+          // Make sure the server is monitoring this vehicle (with its VIN if we know it,
+          // so monitoring follows the vehicle if its plate changes)
+          const monitoring = await enableNotification(registration, vin);
+          setMonitoredVin(monitoring.vin || null);
+          
           // Update local state
           setDeviceSubscribed(true);
           setNotificationPermission('granted');
@@ -170,7 +351,7 @@ const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
           
           <div className="mt-2 p-2 bg-yellow-50 rounded border border-yellow-200">
             <p className="text-yellow-700 text-xs">
-              <strong>Alternative:</strong> You can still use the app normally - it just won't send automatic push notifications. The app will still check for updates when you open it.
+              <strong>Alternative:</strong> You can get updates by email instead (below). The app will still check for updates when you open it.
             </p>
           </div>
         </div>
@@ -280,6 +461,188 @@ const NotificationToggle = ({ registration, isEnabled, onToggle }) => {
           </p>
         </div>
       )}
+
+      {isEnabled && eventTypes && !monitoredVin && (
+        <form onSubmit={saveVin} className="mt-2 bg-blue-50 border border-blue-200 rounded p-2">
+          <p className="text-xs text-blue-800 mb-1">
+            Add the VIN (from the V5C logbook) to keep getting notifications if {registration} is given a new plate.
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={vinDraft}
+              onChange={e => setVinDraft(e.target.value)}
+              placeholder="VIN (e.g. WF0AXXGCDA1234567)"
+              pattern="[A-Za-z0-9 ]{5,24}"
+              required
+              className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1 uppercase"
+            />
+            <button
+              type="submit"
+              disabled={savingPreferences}
+              className="text-xs bg-blue-600 hover:bg-blue-700 text-white rounded px-2 py-1 disabled:opacity-50"
+            >
+              Add VIN
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isEnabled && mutedUntil && (
+        <div className="mt-2 bg-yellow-50 border border-yellow-200 rounded p-2 flex justify-between items-center">
+          <p className="text-xs text-yellow-800">
+            <span className="font-medium">🔕 Muted</span> until {new Date(mutedUntil).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })} from a notification.
+          </p>
+          <button
+            onClick={() => saveFilters({ mutedUntil: null })}
+            disabled={savingPreferences}
+            className="ml-2 text-xs text-blue-500 hover:underline disabled:text-gray-400"
+          >
+            Unmute
+          </button>
+        </div>
+      )}
+
+      {isEnabled && eventTypes && (
+        <div className="mt-2">
+          <p className="text-xs font-medium text-gray-700 mb-1">Notify me about:</p>
+          <div className="space-y-1">
+            {Object.entries(EVENT_TYPE_LABELS).map(([type, label]) => (
+              <label key={type} className="flex items-center text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={eventTypes.includes(type)}
+                  disabled={savingPreferences}
+                  onChange={() => toggleEventType(type)}
+                  className="mr-2"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {eventTypes.includes('NEW_TEST') && (
+            <>
+              <p className="text-xs font-medium text-gray-700 mt-2 mb-1">For new MOT tests, only:</p>
+              <div className="space-y-1">
+                {Object.entries(TEST_RESULT_LABELS).map(([result, label]) => (
+                  <label key={result} className="flex items-center text-xs text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={testResults.includes(result)}
+                      disabled={savingPreferences || (testResults.length === 1 && testResults.includes(result))}
+                      onChange={() => toggleTestResult(result)}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          <label className="flex items-center text-xs font-medium text-gray-700 mt-2">
+            Push notifications:
+            <select
+              value={digest || ''}
+              disabled={savingPreferences}
+              onChange={e => saveFilters({ digest: e.target.value || null })}
+              className="ml-2 font-normal border border-gray-300 rounded px-1 py-0.5"
+            >
+              {Object.entries(DIGEST_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {digest && (
+            <p className="text-xs text-gray-500 mt-1">
+              The digest covers every vehicle you watch on this device, and links to them in the app.
+            </p>
+          )}
+
+          <label className="flex items-center text-xs font-medium text-gray-700 mt-2">
+            <input
+              type="checkbox"
+              checked={!!quietHours}
+              disabled={savingPreferences}
+              onChange={toggleQuietHours}
+              className="mr-2"
+            />
+            Quiet hours
+          </label>
+          {quietHours && (
+            <form onSubmit={saveQuietHours} className="mt-1 ml-5 flex flex-wrap items-center gap-1 text-xs text-gray-700">
+              <input
+                type="time"
+                value={quietHoursDraft.start}
+                onChange={e => setQuietHoursDraft({ ...quietHoursDraft, start: e.target.value })}
+                required
+                className="border border-gray-300 rounded px-1 py-0.5"
+              />
+              <span>to</span>
+              <input
+                type="time"
+                value={quietHoursDraft.end}
+                onChange={e => setQuietHoursDraft({ ...quietHoursDraft, end: e.target.value })}
+                required
+                className="border border-gray-300 rounded px-1 py-0.5"
+              />
+              <span className="text-gray-500">({quietHours.timeZone})</span>
+              {(quietHoursDraft.start !== quietHours.start || quietHoursDraft.end !== quietHours.end) && (
+                <button
+                  type="submit"
+                  disabled={savingPreferences}
+                  className="bg-blue-600 hover:bg-blue-700 text-white rounded px-2 py-0.5 disabled:opacity-50"
+                >
+                  Save
+                </button>
+              )}
+              <p className="w-full text-gray-500">
+                Push notifications in these hours are held and sent when they end.
+              </p>
+            </form>
+          )}
+
+          <p className="text-xs font-medium text-gray-700 mt-2 mb-1">Send them to:</p>
+          <div className="space-y-1">
+            {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+              <label key={channel} className="flex items-center text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={channels.includes(channel)}
+                  disabled={savingPreferences || (channels.length === 1 && channels.includes(channel))}
+                  onChange={() => toggleChannel(channel)}
+                  className="mr-2"
+                />
+                {label}
+                {channel === 'chat' && chatProvider && (
+                  <span className="ml-1 text-gray-500">({chatProvider === 'discord' ? 'Discord' : 'Slack'})</span>
+                )}
+              </label>
+            ))}
+          </div>
+
+          {channels.includes('chat') && (
+            <form onSubmit={saveChatWebhook} className="mt-2 flex gap-2">
+              <input
+                type="url"
+                value={chatWebhookUrl}
+                onChange={e => setChatWebhookUrl(e.target.value)}
+                placeholder={chatProvider ? 'New incoming webhook URL' : 'Slack or Discord incoming webhook URL'}
+                required
+                className="flex-1 min-w-0 text-xs border border-gray-300 rounded px-2 py-1"
+              />
+              <button
+                type="submit"
+                disabled={savingPreferences}
+                className="text-xs bg-blue-600 hover:bg-blue-700 text-white rounded px-2 py-1 disabled:opacity-50"
+              >
+                {chatProvider ? 'Replace' : 'Save'}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
     </div>
   );
 };
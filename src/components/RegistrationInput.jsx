@@ -3,6 +3,7 @@ import React, { useState } from 'react';
 const RegistrationInput = ({ onSubmit }) => {
   const [registration, setRegistration] = useState('');
   const [error, setError] = useState('');
+  const [searchByVin, setSearchByVin] = useState(false);
 
   // UK vehicle registration validator
   const isValidUKRegistration = (reg) => {
@@ -29,6 +30,9 @@ const RegistrationInput = ({ onSubmit }) => {
     return true;
   };
 
+  // VIN validator - modern VINs are 17 characters, older chassis numbers can be shorter
+  const isValidVin = (vin) => /^[A-Z0-9]{5,20}$/.test(vin);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     setError('');
@@ -36,6 +40,16 @@ const RegistrationInput = ({ onSubmit }) => {
     // Format registration - remove spaces, convert to uppercase
     const formattedReg = registration.replace(/\s+/g, '').toUpperCase();
     
+    if (searchByVin) {
+      if (!isValidVin(formattedReg)) {
+        setError('Please enter a valid VIN');
+        return;
+      }
+      
+      onSubmit(formattedReg, 'vin');
+      return;
+    }
+    
     if (!isValidUKRegistration(formattedReg)) {
       setError('Please enter a valid UK registration number');
       return;
@@ -47,16 +61,28 @@ const RegistrationInput = ({ onSubmit }) => {
   return (
     <form onSubmit={handleSubmit} className="w-full">
       <div className="flex flex-col space-y-2">
-        <label htmlFor="registration" className="font-medium text-gray-700">
-          Vehicle Registration
-        </label>
+        <div className="flex justify-between items-center">
+          <label htmlFor="registration" className="font-medium text-gray-700">
+            {searchByVin ? 'Vehicle Identification Number (VIN)' : 'Vehicle Registration'}
+          </label>
+          <button
+            type="button"
+            onClick={() => {
+              setSearchByVin(!searchByVin);
+              setError('');
+            }}
+            className="text-xs text-blue-500 hover:underline"
+          >
+            {searchByVin ? 'Search by registration' : 'Search by VIN'}
+          </button>
+        </div>
         <div className="flex">
           <input
             type="text"
             id="registration"
             value={registration}
             onChange={(e) => setRegistration(e.target.value)}
-            placeholder="Enter registration (e.g. AB12CDE)"
+            placeholder={searchByVin ? 'Enter VIN (e.g. WF0AXXGCDA1234567)' : 'Enter registration (e.g. AB12CDE)'}
             className="flex-1 p-2 border border-gray-300 rounded-l focus:ring-blue-500 focus:border-blue-500"
           />
           <button
@@ -72,7 +98,9 @@ const RegistrationInput = ({ onSubmit }) => {
           </p>
         )}
         <p className="text-xs text-gray-500">
-          Enter a UK vehicle registration to check its MOT history
+          {searchByVin
+            ? 'Searching by VIN finds the vehicle even if its plate has changed'
+            : 'Enter a UK vehicle registration to check its MOT history'}
         </p>
       </div>
     </form>
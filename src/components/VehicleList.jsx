@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { getMonitoredVehicles } from '../services/motApi';
+
+// Titles for the digest sections that link here - must match SECTIONS in netlify/functions/utils/digests.js
+const SECTION_TITLES = {
+  all: 'Vehicles in your digest',
+  failures: 'Failed MOTs',
+  tests: 'New MOT tests',
+  expiries: 'MOTs expiring or expired',
+  recalls: 'Recall changes',
+  other: 'Other changes'
+};
+
+// Shows just the vehicles a digest (or its section) was about, with their MOT status
+const VehicleList = ({ registrations, section, onSelect, onClose }) => {
+  const [vehicles, setVehicles] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setVehicles(null);
+    setError('');
+
+    getMonitoredVehicles(registrations)
+      .then(({ vehicles: monitored }) => {
+        if (cancelled) return;
+        // Keep the digest's order, including any that are no longer monitored
+        const byRegistration = new Map(monitored.map(vehicle => [vehicle.registration, vehicle]));
+        setVehicles(registrations.map(registration => byRegistration.get(registration) || { registration }));
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [registrations]);
+
+  // Format date from ISO string
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="mb-4 border border-gray-200 rounded p-3">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold">{SECTION_TITLES[section] || SECTION_TITLES.all}</h2>
+        <button onClick={onClose} className="text-xs text-blue-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!vehicles && !error && (
+        <div className="flex justify-center py-2">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+
+      {vehicles && (
+        <ul className="space-y-2">
+          {vehicles.map(vehicle => (
+            <li
+              key={vehicle.registration}
+              className={`flex justify-between items-center p-2 rounded text-sm ${vehicle.overdue ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}
+            >
+              <button
+                onClick={() => onSelect(vehicle.registration)}
+                className="text-blue-500 hover:underline font-medium"
+              >
+                {vehicle.registration}
+              </button>
+              <span className="text-xs text-gray-600">
+                {vehicle.overdue && (
+                  <span className="font-semibold bg-red-600 text-white px-2 py-0.5 rounded mr-2">MOT overdue</span>
+                )}
+                {vehicle.motExpiryDate
+                  ? `MOT ${vehicle.overdue ? 'expired' : 'expires'} ${formatDate(vehicle.motExpiryDate)}`
+                  : vehicle.lastCheckedDate ? 'No MOT expiry recorded' : 'No longer monitored'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VehicleList;
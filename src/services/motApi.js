@@ -4,6 +4,21 @@
  * Service to interact with the MOT API via Netlify functions
  */
 
+/**
+ * Builds a user-facing message from a function's error response
+ * @param {Object} errorData - Parsed error body
+ * @param {number} status - HTTP status
+ * @returns {string} - Error message
+ */
+const getErrorMessage = (errorData, status) => {
+  if (status === 429) {
+    const retryAfter = errorData.details?.retryAfter;
+    return retryAfter ? `Rate limited, retry in ${retryAfter} s` : 'Rate limited - please try again shortly';
+  }
+  
+  return errorData.message || `Error: ${status}`;
+};
+
 /**
  * Fetches MOT history for a specific vehicle registration
  * @param {string} registration - The vehicle registration
@@ -16,7 +31,7 @@ export const getMotHistory = async (registration) => {
     
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.message || `Error: ${response.status}`);
+      throw new Error(getErrorMessage(errorData, response.status));
     }
     
     return await response.json();
@@ -26,23 +41,93 @@ export const getMotHistory = async (registration) => {
   }
 };
 
+/**
+ * Fetches MOT history for a vehicle by its VIN
+ * @param {string} vin - The vehicle identification number
+ * @returns {Promise<Object>} - Vehicle and MOT data, including its current registration
+ */
+export const getMotHistoryByVin = async (vin) => {
+  try {
+    const response = await fetch(`/api/getMotHistoryByVin?vin=${encodeURIComponent(vin)}`);
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching MOT history by VIN:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches MOT history for several registrations in one request
+ * @param {Array<string>} registrations - The vehicle registrations (up to 50)
+ * @returns {Promise<Object>} - { results: [{ registration, success, data | error }], summary }
+ */
+export const getMotHistoryBatch = async (registrations) => {
+  try {
+    const response = await fetch('/api/getMotHistoryBatch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ registrations })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching MOT history batch:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the stored versions of a vehicle's data, and what changed since a given version
+ * @param {string} registration - The vehicle registration
+ * @param {number} [fromVersion] - Version to diff from, up to the latest
+ * @returns {Promise<Object>} - { latestVersion, versions, diff }
+ */
+export const getVehicleTimeline = async (registration, fromVersion = null) => {
+  try {
+    const query = `registration=${encodeURIComponent(registration)}${fromVersion ? `&from=${fromVersion}` : ''}`;
+    const response = await fetch(`/api/getVehicleTimeline?${query}`);
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching vehicle timeline:', error);
+    throw error;
+  }
+};
+
 /**
  * Enables notifications for a vehicle registration
  * @param {string} registration - The vehicle registration to monitor
+ * @param {string} [vin] - Optional VIN, so monitoring survives a plate change
  * @returns {Promise<Object>} - Result of the operation
  */
-export const enableNotification = async (registration) => {
+export const enableNotification = async (registration, vin = null) => {
   try {
     // Use /api/ path for consistency with redirects
     const response = await fetch('/api/enableNotification', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ registration })
+      body: JSON.stringify(vin ? { registration, vin } : { registration })
     });
     
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.message || `Error: ${response.status}`);
+      throw new Error(getErrorMessage(errorData, response.status));
     }
     
     return await response.json();
@@ -68,7 +153,7 @@ export const disableNotification = async (registration) => {
     
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.message || `Error: ${response.status}`);
+      throw new Error(getErrorMessage(errorData, response.status));
     }
     
     return await response.json();
@@ -76,4 +161,72 @@ export const disableNotification = async (registration) => {
     console.error('Error disabling notification:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Asks for email updates for a vehicle. Nothing is sent until the address is confirmed
+ * from the email this triggers.
+ * @param {string} email - The address to send updates to
+ * @param {string} registration - The vehicle registration
+ * @returns {Promise<Object>} - { status: 'PENDING' | 'ACTIVE', message }
+ */
+export const subscribeEmail = async (email, registration) => {
+  try {
+    const response = await fetch('/api/subscribeEmail', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, registration })
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error subscribing to email updates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the monitoring status of vehicles, e.g. whether their MOT is overdue
+ * @param {Array<string>} registrations - The registrations to fetch
+ * @returns {Promise<Object>} - { vehicles, count }
+ */
+export const getMonitoredVehicles = async (registrations) => {
+  try {
+    const response = await fetch(`/api/getMonitoredVehicles?registrations=${encodeURIComponent(registrations.join(','))}`);
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching monitored vehicles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches service status (MOT API availability and the last scheduled check)
+ * @returns {Promise<Object>} - { status, motApi, scheduledCheck }
+ */
+export const getServiceStatus = async () => {
+  try {
+    const response = await fetch('/api/status');
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(getErrorMessage(errorData, response.status));
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching service status:', error);
+    throw error;
+  }
+};
@@ -314,6 +314,174 @@ export const unsubscribeFromVehicleNotifications = async (registration, pushSubs
   }
 };
 
+/**
+ * Get which change events this device is notified about for a vehicle
+ */
+export const getNotificationPreferences = async (registration) => {
+  try {
+    const response = await fetch(
+      `/api/notificationPreferences?registration=${encodeURIComponent(registration)}&deviceId=${encodeURIComponent(generateDeviceId())}`
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to load notification preferences');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading notification preferences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Choose which change events this device is notified about for a vehicle
+ */
+export const updateNotificationPreferences = async (registration, eventTypes) => {
+  try {
+    const response = await fetch('/api/notificationPreferences', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        registration: registration,
+        deviceId: generateDeviceId(),
+        eventTypes: eventTypes
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to update notification preferences');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Choose which new test results this device is notified about for a vehicle, its quiet hours,
+ * and whether it gets a daily or weekly digest instead (for every vehicle on the device).
+ * Only the settings passed are changed - null turns quiet hours or the digest off, and
+ * mutedUntil: null unmutes a vehicle muted from a notification.
+ */
+export const updateNotificationFilters = async (registration, { testResults, quietHours, digest, mutedUntil }) => {
+  try {
+    const response = await fetch('/api/notificationPreferences', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        registration: registration,
+        deviceId: generateDeviceId(),
+        ...(testResults !== undefined && { testResults }),
+        ...(quietHours !== undefined && { quietHours }),
+        ...(digest !== undefined && { digest }),
+        ...(mutedUntil !== undefined && { mutedUntil })
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to update notification filters');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating notification filters:', error);
+    throw error;
+  }
+};
+
+/**
+ * Choose how this device is notified about a vehicle - push, chat or both.
+ * chatWebhookUrl is a Slack or Discord incoming webhook; leave it out to keep the saved one.
+ */
+export const updateDeliveryChannels = async (registration, channels, chatWebhookUrl) => {
+  try {
+    const response = await fetch('/api/notificationPreferences', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        registration: registration,
+        deviceId: generateDeviceId(),
+        channels: channels,
+        ...(chatWebhookUrl !== undefined && { chatWebhookUrl })
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to update delivery channels');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error updating delivery channels:', error);
+    throw error;
+  }
+};
+
+/**
+ * This device's past notifications, newest first, with its unread count.
+ * Pass the previous page's nextBefore to get older ones.
+ */
+export const getInbox = async (before = null) => {
+  try {
+    const params = new URLSearchParams({ deviceId: generateDeviceId(), _: Date.now() });
+    if (before) params.set('before', before);
+
+    const response = await fetch(`/api/notificationInbox?${params}`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to load notifications');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading notifications:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark notifications read on this device - null marks them all read
+ * @returns {Promise<Object>} - { marked, unreadCount }
+ */
+export const markNotificationsRead = async (ids = null) => {
+  try {
+    const response = await fetch('/api/notificationInbox', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        deviceId: generateDeviceId(),
+        ...(ids ? { ids } : { all: true })
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to mark notifications read');
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    throw error;
+  }
+};
+
 /**
  * Generate a unique device ID for this browser/device
  */